@@ -25,6 +25,7 @@ const membershipRoutes = require('./routes/membership.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const messageRoutes = require('./routes/message.routes');
 const workoutRoutes = require('./routes/workout.routes');
+const attendanceRoutes = require('./routes/attendance.routes');
 
 const app = express();
 
@@ -161,112 +162,14 @@ app.get('/payment/return', async (req, res) => {
           logger.warn(`Payment return URL called for old payment: ${payment._id} (created ${payment.createdAt})`);
           // Don't complete old payments - they should be handled via webhook or manual verification
         } else {
-          // Mark payment as completed
-          payment.status = 'completed';
-          payment.transactionDate = new Date();
-          await payment.save();
+          // Mark payment as completed and activate the membership/subscription (idempotent)
+          const { fulfilPayment } = require('./services/paymentFulfilment.service');
+          const { alreadyFulfilled } = await fulfilPayment(payment._id, { source: 'return-url' });
 
-          logger.info(`Payment marked as completed via return URL: ${payment._id}`, {
+          logger.info(`Payment ${alreadyFulfilled ? 'already fulfilled' : 'fulfilled via return URL'}: ${payment._id}`, {
             orderId: payment.payhereOrderId,
             type: type || payment.metadata?.type
           });
-
-          // Handle membership activation
-          if (payment.metadata && payment.metadata.type === 'membership') {
-            try {
-              const Membership = require('./models/Membership');
-              const { planId, planName, durationDays, startDate, endDate } = payment.metadata;
-
-              const existingMembership = await Membership.findOne({ paymentId: payment._id });
-
-              if (!existingMembership) {
-                const activeMembership = await Membership.findOne({
-                  userId: payment.userId,
-                  status: 'active',
-                  endDate: { $gt: new Date() }
-                }).sort({ endDate: -1 });
-
-                let membershipStartDate = startDate ? new Date(startDate) : new Date();
-                let membershipEndDate = endDate ? new Date(endDate) : new Date();
-
-                if (activeMembership && activeMembership.endDate > new Date()) {
-                  membershipStartDate = new Date(activeMembership.endDate);
-                  membershipStartDate.setDate(membershipStartDate.getDate() + 1);
-                  membershipEndDate = new Date(membershipStartDate);
-                  membershipEndDate.setDate(membershipEndDate.getDate() + durationDays);
-                }
-
-                await Membership.create({
-                  userId: payment.userId,
-                  planId: planId,
-                  planName: planName,
-                  durationDays: durationDays,
-                  amount: payment.amount,
-                  currency: payment.currency,
-                  startDate: membershipStartDate,
-                  endDate: membershipEndDate,
-                  status: 'active',
-                  paymentId: payment._id,
-                  autoRenew: false,
-                });
-
-                logger.info(`Membership created via return URL for payment ${payment._id}`);
-              }
-            } catch (membershipError) {
-              logger.error(`Failed to create membership via return URL:`, membershipError);
-            }
-          }
-
-          // Handle subscription activation
-          if (payment.metadata && payment.metadata.type === 'subscription' && payment.instructorId) {
-            try {
-              const Subscription = require('./models/Subscription');
-
-              const existingSubscription = await Subscription.findOne({ paymentId: payment._id });
-
-              if (!existingSubscription) {
-                // Calculate expiry date (1 month from now)
-                const subscribedAt = new Date();
-                const expiresAt = new Date(subscribedAt);
-                expiresAt.setMonth(expiresAt.getMonth() + 1);
-
-                const activeSubscription = await Subscription.findOne({
-                  memberId: payment.userId,
-                  instructorId: payment.instructorId,
-                  status: 'active'
-                });
-
-                if (activeSubscription) {
-                  // Extend existing subscription by 1 month from current expiry or now
-                  const baseDate = activeSubscription.expiresAt > new Date()
-                    ? new Date(activeSubscription.expiresAt)
-                    : new Date();
-                  const newExpiresAt = new Date(baseDate);
-                  newExpiresAt.setMonth(newExpiresAt.getMonth() + 1);
-
-                  activeSubscription.status = 'active';
-                  activeSubscription.subscribedAt = subscribedAt;
-                  activeSubscription.expiresAt = newExpiresAt;
-                  activeSubscription.cancelledAt = null;
-                  activeSubscription.paymentId = payment._id;
-                  await activeSubscription.save();
-                } else {
-                  await Subscription.create({
-                    memberId: payment.userId,
-                    instructorId: payment.instructorId,
-                    status: 'active',
-                    paymentId: payment._id,
-                    subscribedAt: subscribedAt,
-                    expiresAt: expiresAt
-                  });
-                }
-
-                logger.info(`Subscription created via return URL for payment ${payment._id}, expires: ${expiresAt}`);
-              }
-            } catch (subscriptionError) {
-              logger.error(`Failed to create subscription via return URL:`, subscriptionError);
-            }
-          }
         }
       }
     } catch (error) {
@@ -329,18 +232,20 @@ app.get('/payment/return', async (req, res) => {
 app.get('/payment/cancel', async (req, res) => {
   const { paymentId } = req.query;
 
-  // Delete the pending payment record when cancelled
+  // Keep the record: reconciliation checks it once in case the gateway still took the money
   if (paymentId) {
     try {
       const Payment = require('./models/Payment');
-      const payment = await Payment.findById(paymentId);
+      const result = await Payment.updateOne(
+        { _id: paymentId, status: 'pending' },
+        { $set: { status: 'cancelled' } }
+      );
 
-      if (payment && payment.status === 'pending') {
-        await Payment.findByIdAndDelete(paymentId);
-        logger.info(`Cancelled and deleted pending payment: ${paymentId}`);
+      if (result.modifiedCount > 0) {
+        logger.info(`Marked pending payment as cancelled: ${paymentId}`);
       }
     } catch (err) {
-      logger.error(`Error deleting cancelled payment ${paymentId}:`, err.message);
+      logger.error(`Error cancelling payment ${paymentId}:`, err.message);
     }
   }
 
@@ -410,29 +315,7 @@ app.use('/api/v1/memberships', membershipRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/messages', messageRoutes);
 app.use('/api/v1/workouts', workoutRoutes);
-
-// Cleanup stale pending payments on startup and periodically
-const cleanupStalePendingPayments = async () => {
-  try {
-    const Payment = require('./models/Payment');
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const result = await Payment.deleteMany({
-      status: 'pending',
-      createdAt: { $lt: oneHourAgo }
-    });
-    if (result.deletedCount > 0) {
-      logger.info(`Cleaned up ${result.deletedCount} stale pending payment(s)`);
-    }
-  } catch (err) {
-    logger.error('Error cleaning up stale pending payments:', err.message);
-  }
-};
-
-// Run cleanup on startup (after a short delay to ensure DB connection)
-setTimeout(cleanupStalePendingPayments, 5000);
-
-// Run cleanup every 30 minutes
-setInterval(cleanupStalePendingPayments, 30 * 60 * 1000);
+app.use('/api/v1/attendance', attendanceRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -19,6 +19,26 @@ const config = {
   PAYHERE_MERCHANT_ID: process.env.PAYHERE_MERCHANT_ID,
   PAYHERE_MERCHANT_SECRET: process.env.PAYHERE_MERCHANT_SECRET,
   PAYHERE_SANDBOX: process.env.PAYHERE_SANDBOX || 'true',
+  // Merchant API (automatic charges for membership auto-renewal)
+  PAYHERE_APP_ID: process.env.PAYHERE_APP_ID,
+  PAYHERE_APP_SECRET: process.env.PAYHERE_APP_SECRET,
+  PAYHERE_API_MOCK: process.env.PAYHERE_API_MOCK || 'false',
+
+  // Payment gateway for checkouts: 'payhere' or the offline 'mock' (see validatePaymentConfig)
+  PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || 'payhere',
+  // Mock gateway: signing secret (required to run it), default outcome and webhook delays (ms)
+  MOCK_GATEWAY_SECRET: process.env.MOCK_GATEWAY_SECRET,
+  MOCK_GATEWAY_OUTCOME: process.env.MOCK_GATEWAY_OUTCOME || 'success',
+  MOCK_GATEWAY_WEBHOOK_DELAY_MS: process.env.MOCK_GATEWAY_WEBHOOK_DELAY_MS || 1000,
+  MOCK_GATEWAY_DELAYED_WEBHOOK_MS: process.env.MOCK_GATEWAY_DELAYED_WEBHOOK_MS || 30000,
+
+  // Pending payment reconciliation against the gateway status API (minutes)
+  PAYMENT_RECONCILE_INTERVAL_MINUTES: process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES || 30,
+  PAYMENT_RECONCILE_MIN_AGE_MINUTES: process.env.PAYMENT_RECONCILE_MIN_AGE_MINUTES || 15,
+  PAYMENT_EXPIRE_AFTER_MINUTES: process.env.PAYMENT_EXPIRE_AFTER_MINUTES || 60,
+  PAYMENT_RECONCILE_BATCH_SIZE: process.env.PAYMENT_RECONCILE_BATCH_SIZE || 100,
+  // Cancelled/expired checkouts are rechecked for a late payment until they are this old (hours)
+  PAYMENT_RECONCILE_CLOSED_HOURS: process.env.PAYMENT_RECONCILE_CLOSED_HOURS || 72,
 
   // Email configuration (Resend)
   RESEND_API_KEY: process.env.RESEND_API_KEY,
@@ -47,6 +67,90 @@ const config = {
   CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
   ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
 
+  // Realtime chat gateway (Socket.IO path on the API server)
+  SOCKET_IO_PATH: process.env.SOCKET_IO_PATH || '/socket.io',
+  // Share sockets between API instances through MongoDB (needs a replica set); 'false' for a single instance
+  SOCKET_IO_CLUSTER_ADAPTER: process.env.SOCKET_IO_CLUSTER_ADAPTER || 'true',
+
+  // Chat attachments (size limits per kind and lifetime of download URLs)
+  CHAT_ATTACHMENT_MAX_IMAGE_MB: process.env.CHAT_ATTACHMENT_MAX_IMAGE_MB || 10,
+  CHAT_ATTACHMENT_MAX_VIDEO_MB: process.env.CHAT_ATTACHMENT_MAX_VIDEO_MB || 100,
+  CHAT_ATTACHMENT_MAX_FILE_MB: process.env.CHAT_ATTACHMENT_MAX_FILE_MB || 10,
+  CHAT_ATTACHMENT_URL_TTL_MINUTES: process.env.CHAT_ATTACHMENT_URL_TTL_MINUTES || 60,
+
+  // How long after sending the author may still edit a chat message
+  MESSAGE_EDIT_WINDOW_MINUTES: process.env.MESSAGE_EDIT_WINDOW_MINUTES || 15,
+
+  // Largest group chat an instructor can run (owner included)
+  GROUP_CHAT_MAX_MEMBERS: process.env.GROUP_CHAT_MAX_MEMBERS || 50,
+
+  // Attendance check-in (lifetime of the front-desk QR code)
+  CHECK_IN_CODE_TTL: process.env.CHECK_IN_CODE_TTL || '5m',
+
+  // Member door pass (HMAC secret and rotation interval in seconds)
+  MEMBER_PASS_SECRET: process.env.MEMBER_PASS_SECRET,
+  MEMBER_PASS_STEP_SECONDS: process.env.MEMBER_PASS_STEP_SECONDS || 30,
+
+  // Membership freeze allowance for plans that don't set their own (days)
+  MEMBERSHIP_MAX_FREEZE_DAYS: process.env.MEMBERSHIP_MAX_FREEZE_DAYS || 30,
+
+  // Membership auto-renewal (charge N days before endDate, retry with exponential backoff)
+  AUTO_RENEW_DAYS_BEFORE: process.env.AUTO_RENEW_DAYS_BEFORE || 3,
+  AUTO_RENEW_MAX_ATTEMPTS: process.env.AUTO_RENEW_MAX_ATTEMPTS || 4,
+  AUTO_RENEW_RETRY_BASE_HOURS: process.env.AUTO_RENEW_RETRY_BASE_HOURS || 6,
+
+  // Expiry reminders for memberships and instructor subscriptions (days before expiry, comma separated)
+  EXPIRY_REMINDER_DAYS: process.env.EXPIRY_REMINDER_DAYS || '7,3,1',
+
+  // Mobile app deep links (renew links in reminders), e.g. getfit://memberships/renew
+  APP_DEEP_LINK_BASE: process.env.APP_DEEP_LINK_BASE || 'getfit://',
+
+  // Notification preferences: timezone of quiet hours and digests until a member picks one,
+  // and how often held pushes and due digests are sent (digest hours are only hit if this is under 60)
+  NOTIFICATION_DEFAULT_TIMEZONE: process.env.NOTIFICATION_DEFAULT_TIMEZONE || 'Asia/Colombo',
+  NOTIFICATION_DELIVERY_INTERVAL_MINUTES: process.env.NOTIFICATION_DELIVERY_INTERVAL_MINUTES || 5,
+
+  // Expo push API (point it at a local stub in tests); the access token is only needed when
+  // push security is enabled for the Expo project. Receipts are checked once tickets are
+  // PUSH_RECEIPT_DELAY_MINUTES old, as Expo recommends.
+  EXPO_PUSH_API_URL: process.env.EXPO_PUSH_API_URL || 'https://exp.host/--/api/v2/push',
+  EXPO_ACCESS_TOKEN: process.env.EXPO_ACCESS_TOKEN || '',
+  PUSH_RECEIPT_INTERVAL_MINUTES: process.env.PUSH_RECEIPT_INTERVAL_MINUTES || 15,
+  PUSH_RECEIPT_DELAY_MINUTES: process.env.PUSH_RECEIPT_DELAY_MINUTES || 15,
+  PUSH_RECEIPT_BATCH_SIZE: process.env.PUSH_RECEIPT_BATCH_SIZE || 5000,
+  // How often scheduled admin broadcasts are checked for being due
+  BROADCAST_DISPATCH_INTERVAL_SECONDS: process.env.BROADCAST_DISPATCH_INTERVAL_SECONDS || 60,
+
+  // Invoices (prices are tax inclusive; INVOICE_TAX_RATE is a percentage)
+  INVOICE_PREFIX: process.env.INVOICE_PREFIX || 'GF',
+  // Front-desk (cash / bank transfer) receipt numbers, e.g. RC-000001
+  RECEIPT_PREFIX: process.env.RECEIPT_PREFIX || 'RC',
+  GYM_LEGAL_NAME: process.env.GYM_LEGAL_NAME || 'Get-Fit Gym',
+  GYM_ADDRESS: process.env.GYM_ADDRESS || '',
+  GYM_PHONE: process.env.GYM_PHONE || '',
+  GYM_EMAIL: process.env.GYM_EMAIL || '',
+  GYM_TAX_ID: process.env.GYM_TAX_ID || '',
+  INVOICE_TAX_LABEL: process.env.INVOICE_TAX_LABEL || 'VAT',
+  INVOICE_TAX_RATE: process.env.INVOICE_TAX_RATE || 0,
+
+  // Instructor payouts (gym commission % on subscription payments, unless set per instructor)
+  INSTRUCTOR_COMMISSION_RATE: process.env.INSTRUCTOR_COMMISSION_RATE || 20,
+
+  // Outbound webhooks (retries back off from WEBHOOK_RETRY_BASE_SECONDS, doubling each attempt)
+  WEBHOOK_MAX_ATTEMPTS: process.env.WEBHOOK_MAX_ATTEMPTS || 8,
+  WEBHOOK_RETRY_BASE_SECONDS: process.env.WEBHOOK_RETRY_BASE_SECONDS || 30,
+  WEBHOOK_TIMEOUT_MS: process.env.WEBHOOK_TIMEOUT_MS || 10000,
+  WEBHOOK_QUEUE_INTERVAL_SECONDS: process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS || 60,
+
+  // Background jobs (MongoDB-backed, run once per cluster)
+  JOB_POLL_INTERVAL_SECONDS: process.env.JOB_POLL_INTERVAL_SECONDS || 15,
+  // A job whose instance stops heart-beating is taken over after this long
+  JOB_LOCK_TIMEOUT_MINUTES: process.env.JOB_LOCK_TIMEOUT_MINUTES || 10,
+  // Failed runs are retried after JOB_RETRY_DELAY_SECONDS, doubling, up to JOB_MAX_RETRIES times
+  JOB_MAX_RETRIES: process.env.JOB_MAX_RETRIES || 3,
+  JOB_RETRY_DELAY_SECONDS: process.env.JOB_RETRY_DELAY_SECONDS || 60,
+  JOB_RUN_HISTORY_DAYS: process.env.JOB_RUN_HISTORY_DAYS || 30,
+
   // Rate limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
@@ -69,9 +173,28 @@ const validateConfig = () => {
   }
 };
 
+// Environments the mock gateway may run in: it completes any payment on request
+const MOCK_GATEWAY_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Validate the payment gateway choice: the mock gateway only runs where NODE_ENV says it may
+ * and with its own signing secret.
+ */
+const validatePaymentConfig = () => {
+  if (config.PAYMENT_GATEWAY === 'mock') {
+    if (!MOCK_GATEWAY_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      throw new Error(`PAYMENT_GATEWAY=mock is only allowed with NODE_ENV set to ${MOCK_GATEWAY_ENVIRONMENTS.join(' or ')}`);
+    }
+    if (!config.MOCK_GATEWAY_SECRET) {
+      throw new Error('PAYMENT_GATEWAY=mock requires MOCK_GATEWAY_SECRET to be set');
+    }
+  }
+};
+
 // Validate configuration on load
 if (config.NODE_ENV === 'production') {
   validateConfig();
 }
+validatePaymentConfig();
 
 module.exports = config;
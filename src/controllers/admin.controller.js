@@ -3,7 +3,7 @@ const User = require('../models/User');
 const Payment = require('../models/Payment');
 const Exercise = require('../models/Exercise');
 const Instructor = require('../models/Instructor');
-const TrainingSchedule = require('../models/TrainingSchedule');
+const Attendance = require('../models/Attendance');
 const Subscription = require('../models/Subscription');
 
 const getDashboardStats = async (req, res, next) => {
@@ -536,7 +536,7 @@ const getAnalytics = async (req, res, next) => {
           { $match: { status: 'completed', createdAt: { $gte: thisWeekStart } } },
           { $group: { _id: null, total: { $sum: '$amount' } } }
         ]),
-        TrainingSchedule.countDocuments({ createdAt: { $gte: thisWeekStart } })
+        Attendance.countDocuments({ checkInAt: { $gte: thisWeekStart } })
       ]),
       // Last week data
       Promise.all([
@@ -545,7 +545,7 @@ const getAnalytics = async (req, res, next) => {
           { $match: { status: 'completed', createdAt: { $gte: lastWeekStart, $lte: lastWeekEnd } } },
           { $group: { _id: null, total: { $sum: '$amount' } } }
         ]),
-        TrainingSchedule.countDocuments({ createdAt: { $gte: lastWeekStart, $lte: lastWeekEnd } })
+        Attendance.countDocuments({ checkInAt: { $gte: lastWeekStart, $lte: lastWeekEnd } })
       ]),
       // This month data
       Promise.all([
@@ -554,7 +554,7 @@ const getAnalytics = async (req, res, next) => {
           { $match: { status: 'completed', createdAt: { $gte: thisMonthStart } } },
           { $group: { _id: null, total: { $sum: '$amount' } } }
         ]),
-        TrainingSchedule.countDocuments({ createdAt: { $gte: thisMonthStart } })
+        Attendance.countDocuments({ checkInAt: { $gte: thisMonthStart } })
       ]),
       // Last month data
       Promise.all([
@@ -563,7 +563,7 @@ const getAnalytics = async (req, res, next) => {
           { $match: { status: 'completed', createdAt: { $gte: lastMonthStart, $lte: lastMonthEnd } } },
           { $group: { _id: null, total: { $sum: '$amount' } } }
         ]),
-        TrainingSchedule.countDocuments({ createdAt: { $gte: lastMonthStart, $lte: lastMonthEnd } })
+        Attendance.countDocuments({ checkInAt: { $gte: lastMonthStart, $lte: lastMonthEnd } })
       ]),
       // Exercise statistics (group by category)
       Exercise.aggregate([
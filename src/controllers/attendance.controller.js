@@ -0,0 +1,342 @@
+const ApiError = require('../utils/ApiError');
+const Attendance = require('../models/Attendance');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const { generateCheckInCode, verifyCheckInCode } = require('../services/token.service');
+const memberPassService = require('../services/memberPass.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const MAX_REPORT_DAYS = 92;
+
+// Helper: find the membership that currently grants gym access
+const findActiveMembership = (userId, at = new Date()) => Membership.findOne({
+  userId,
+  status: 'active',
+  startDate: { $lte: at },
+  endDate: { $gte: at }
+}).sort({ endDate: -1 });
+
+// Helper: effective end of a visit (open visits are capped so they don't count forever)
+const getVisitEnd = (visit, now = new Date()) => {
+  if (visit.checkOutAt) return new Date(visit.checkOutAt);
+  const cap = new Date(new Date(visit.checkInAt).getTime() + Attendance.MAX_VISIT_HOURS * 60 * 60 * 1000);
+  return cap < now ? cap : now;
+};
+
+// Helper: local YYYY-MM-DD key for a date
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Admin: issue the short-lived code the front desk displays as a QR code
+const getDeskCode = async (req, res, next) => {
+  try {
+    const location = req.query.location || 'front-desk';
+    const code = generateCheckInCode(location);
+
+    res.json({
+      success: true,
+      data: { code, location, expiresIn: config.CHECK_IN_CODE_TTL }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check a member in.
+ * Members scan the front-desk QR code and send it as `code`;
+ * admins at the desk scan the member's door pass (`passToken`) or check a member in manually by `userId`.
+ */
+const checkIn = async (req, res, next) => {
+  try {
+    const { code, userId, passToken } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    let memberId;
+    let method = 'qr';
+    let location = 'front-desk';
+
+    if (isAdmin && passToken) {
+      const verification = memberPassService.verifyPass(passToken);
+      if (!verification.valid) {
+        return next(new ApiError(verification.error, 400));
+      }
+      memberId = verification.payload.uid;
+      method = 'pass';
+    } else if (isAdmin && userId) {
+      memberId = userId;
+      method = 'manual';
+    } else {
+      if (!code) {
+        return next(new ApiError('Check-in code is required. Please scan the QR code at the front desk.', 400));
+      }
+      try {
+        const decoded = verifyCheckInCode(code);
+        location = decoded.location || location;
+      } catch (tokenError) {
+        return next(new ApiError(
+          tokenError.name === 'TokenExpiredError'
+            ? 'Check-in code has expired. Please scan the current QR code.'
+            : 'Invalid check-in code',
+          400
+        ));
+      }
+      memberId = req.user.id;
+    }
+
+    const isDeskCheckIn = method !== 'qr';
+    if (isDeskCheckIn) {
+      const member = await User.findById(memberId);
+      if (!member || !member.isActive) {
+        return next(new ApiError('Member not found', 404));
+      }
+      memberId = member._id;
+    }
+
+    const now = new Date();
+
+    const membership = await findActiveMembership(memberId, now);
+    if (!membership) {
+      return next(new ApiError('No active membership. Please purchase or renew a membership to enter the gym.', 403));
+    }
+
+    // One open visit per member; visits left open past the cap are closed automatically
+    const openVisit = await Attendance.findOne({ userId: memberId, checkOutAt: null }).sort({ checkInAt: -1 });
+    if (openVisit) {
+      const visitEnd = getVisitEnd(openVisit, now);
+      if (visitEnd < now) {
+        await openVisit.checkOut(visitEnd);
+      } else {
+        return next(new ApiError('Member is already checked in', 400));
+      }
+    }
+
+    const attendance = await Attendance.create({
+      userId: memberId,
+      membershipId: membership._id,
+      checkInAt: now,
+      method,
+      location,
+      recordedBy: isDeskCheckIn ? req.user.id : null
+    });
+
+    logger.info('Member checked in', {
+      attendanceId: attendance._id,
+      userId: memberId,
+      method: attendance.method
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: {
+        attendance,
+        membership: {
+          _id: membership._id,
+          planName: membership.planName,
+          endDate: membership.endDate
+        }
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Check a member out (members check themselves out; admins may pass userId)
+const checkOut = async (req, res, next) => {
+  try {
+    const memberId = req.user.role === 'admin' && req.body.userId ? req.body.userId : req.user.id;
+
+    const openVisit = await Attendance.findOne({ userId: memberId, checkOutAt: null }).sort({ checkInAt: -1 });
+    if (!openVisit) {
+      return next(new ApiError('No open check-in found', 404));
+    }
+
+    await openVisit.checkOut(getVisitEnd(openVisit));
+
+    res.json({
+      success: true,
+      message: 'Checked out successfully',
+      data: { attendance: openVisit }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper: paginated visit history for a member
+const buildHistory = async (userId, query) => {
+  const { page = 1, limit = 20 } = query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [items, total, openVisit] = await Promise.all([
+    Attendance.find({ userId })
+      .sort({ checkInAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    Attendance.countDocuments({ userId }),
+    Attendance.findOne({ userId, checkOutAt: null }).sort({ checkInAt: -1 }).lean()
+  ]);
+
+  const isCheckedIn = !!openVisit && getVisitEnd(openVisit) >= new Date();
+
+  return {
+    items,
+    isCheckedIn,
+    currentVisit: isCheckedIn ? openVisit : null,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / parseInt(limit))
+  };
+};
+
+const getMyAttendance = async (req, res, next) => {
+  try {
+    const data = await buildHistory(req.user.id, req.query);
+    res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: visit history of a single member
+const getMemberAttendance = async (req, res, next) => {
+  try {
+    const member = await User.findById(req.params.userId).select('name email');
+    if (!member) {
+      return next(new ApiError('Member not found', 404));
+    }
+
+    const data = await buildHistory(member._id, req.query);
+    res.json({ success: true, data: { member, ...data } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: visits, unique members and average duration per day
+const getDailyReport = async (req, res, next) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    to.setHours(23, 59, 59, 999);
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+    from.setHours(0, 0, 0, 0);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return next(new ApiError('Invalid date range', 400));
+    }
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_REPORT_DAYS) {
+      return next(new ApiError(`Date range cannot exceed ${MAX_REPORT_DAYS} days`, 400));
+    }
+
+    const visits = await Attendance.find({ checkInAt: { $gte: from, $lte: to } })
+      .select('userId checkInAt checkOutAt')
+      .lean();
+
+    // Pre-fill every day in the range so gaps show up as zero
+    const days = {};
+    for (let d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
+      days[toDateKey(d)] = { visits: 0, members: new Set(), totalMinutes: 0 };
+    }
+
+    const now = new Date();
+    visits.forEach(visit => {
+      const day = days[toDateKey(visit.checkInAt)];
+      if (!day) return;
+      day.visits += 1;
+      day.members.add(visit.userId.toString());
+      day.totalMinutes += (getVisitEnd(visit, now) - new Date(visit.checkInAt)) / 60000;
+    });
+
+    const report = Object.entries(days).map(([date, day]) => ({
+      date,
+      visits: day.visits,
+      uniqueMembers: day.members.size,
+      avgDurationMinutes: day.visits > 0 ? Math.round(day.totalMinutes / day.visits) : 0
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        totalVisits: visits.length,
+        uniqueMembers: new Set(visits.map(v => v.userId.toString())).size,
+        days: report
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: check-ins and occupancy (members inside) per hour of a given day
+const getHourlyReport = async (req, res, next) => {
+  try {
+    const dayStart = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(dayStart)) {
+      return next(new ApiError('Invalid date', 400));
+    }
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    // Any visit that started before the day ends and may still have been running during it
+    const earliestStart = new Date(dayStart.getTime() - Attendance.MAX_VISIT_HOURS * 60 * 60 * 1000);
+    const visits = await Attendance.find({
+      checkInAt: { $gte: earliestStart, $lt: dayEnd },
+      $or: [{ checkOutAt: null }, { checkOutAt: { $gt: dayStart } }]
+    })
+      .select('checkInAt checkOutAt')
+      .lean();
+
+    const now = new Date();
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const slotStart = new Date(dayStart);
+      slotStart.setHours(hour);
+      const slotEnd = new Date(slotStart);
+      slotEnd.setHours(hour + 1);
+
+      let checkIns = 0;
+      let occupancy = 0;
+      visits.forEach(visit => {
+        const start = new Date(visit.checkInAt);
+        if (start >= slotStart && start < slotEnd) checkIns += 1;
+        if (start < slotEnd && getVisitEnd(visit, now) > slotStart) occupancy += 1;
+      });
+
+      hours.push({ hour, checkIns, occupancy });
+    }
+
+    const peak = hours.reduce((max, h) => (h.occupancy > max.occupancy ? h : max), hours[0]);
+
+    res.json({
+      success: true,
+      data: {
+        date: toDateKey(dayStart),
+        totalCheckIns: hours.reduce((sum, h) => sum + h.checkIns, 0),
+        peakHour: peak.occupancy > 0 ? peak.hour : null,
+        peakOccupancy: peak.occupancy,
+        hours
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getDeskCode,
+  checkIn,
+  checkOut,
+  getMyAttendance,
+  getMemberAttendance,
+  getDailyReport,
+  getHourlyReport
+};
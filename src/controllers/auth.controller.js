@@ -5,6 +5,7 @@ const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 const { sendVerificationEmail, sendPasswordResetEmail, sendWelcomeEmail, sendOTPEmail, sendPasswordResetOTPEmail } = require('../services/email.service');
 const config = require('../config/environment');
+const webhookService = require('../services/webhook.service');
 
 /**
  * Register a new user
@@ -56,6 +57,10 @@ const register = async (req, res, next) => {
       logger.warn(`User ${email} registered but OTP email could not be sent. Error: ${emailError.message}`);
     }
 
+    if (user.role === 'member') {
+      await webhookService.emitEvent('member.registered', { member: user });
+    }
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully. Please check your email for the OTP code to verify your account.',
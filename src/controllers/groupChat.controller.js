@@ -0,0 +1,263 @@
+const Conversation = require('../models/Conversation');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/environment');
+const realtime = require('../services/realtime.service');
+const { assertClientsOf } = require('../services/chatMembership.service');
+
+// Helper: group as the app sees it (members populated with name, profilePicture and role)
+const formatGroup = (conversation, userId) => ({
+    _id: conversation._id,
+    type: 'group',
+    name: conversation.name,
+    description: conversation.description,
+    owner: conversation.owner,
+    role: conversation.getGroupMember(userId)?.role,
+    isActive: conversation.isActive,
+    lastMessage: conversation.lastMessage,
+    unreadCount: conversation.getUnreadCount(userId),
+    members: conversation.members.map(member => ({
+        _id: member.user?._id || member.user,
+        name: member.user?.name,
+        profilePicture: member.user?.profilePicture?.secure_url ||
+            (typeof member.user?.profilePicture === 'string' ? member.user.profilePicture : null),
+        role: member.role,
+        joinedAt: member.joinedAt
+    })),
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+});
+
+// Helper: tell every member (in their own words) that the group changed
+const emitGroupUpdated = async (conversation) => {
+    await conversation.populate('members.user', 'name profilePicture');
+    conversation.members.forEach(member => {
+        const memberId = member.user._id || member.user;
+        realtime.emitToUser(memberId, 'conversation:updated', { conversation: formatGroup(conversation, memberId) });
+    });
+};
+
+// Helper: the group, if the user is in it; optionally only for its owner
+const findGroup = async (conversationId, userId, { ownerOnly = false } = {}) => {
+    const conversation = await Conversation.findOne({
+        _id: conversationId,
+        type: 'group',
+        participants: userId,
+        isActive: true
+    });
+
+    if (!conversation) {
+        throw new ApiError('Group not found or you are not a member', 404);
+    }
+    if (ownerOnly && conversation.owner.toString() !== userId.toString()) {
+        throw new ApiError('Only the group owner can do this', 403);
+    }
+
+    return conversation;
+};
+
+// Helper: unique member IDs from the request, without the owner
+const normalizeMemberIds = (memberIds = [], ownerId) =>
+    [...new Set(memberIds.map(id => id.toString()))].filter(id => id !== ownerId.toString());
+
+/**
+ * Create a group conversation (instructor)
+ * Members must be the instructor's current clients
+ */
+const createGroup = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { name, description } = req.body;
+        const memberIds = normalizeMemberIds(req.body.memberIds, userId);
+
+        const maxMembers = Number(config.GROUP_CHAT_MAX_MEMBERS);
+        if (memberIds.length + 1 > maxMembers) {
+            return next(new ApiError(`A group can have at most ${maxMembers} members`, 400));
+        }
+
+        await assertClientsOf(userId, memberIds);
+
+        const conversation = await Conversation.create({
+            type: 'group',
+            name,
+            description,
+            owner: userId,
+            participants: [userId, ...memberIds],
+            members: [
+                { user: userId, role: 'owner' },
+                ...memberIds.map(memberId => ({ user: memberId, role: 'member' }))
+            ],
+            lastMessage: null
+        });
+
+        await emitGroupUpdated(conversation);
+
+        res.status(201).json({
+            success: true,
+            message: 'Group created successfully',
+            data: formatGroup(conversation, userId)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a group with its members
+ */
+const getGroup = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const conversation = await findGroup(req.params.conversationId, userId);
+        await conversation.populate('members.user', 'name profilePicture');
+
+        res.status(200).json({
+            success: true,
+            data: formatGroup(conversation, userId)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Rename a group or change its description (owner)
+ */
+const updateGroup = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const conversation = await findGroup(req.params.conversationId, userId, { ownerOnly: true });
+
+        const { name, description } = req.body;
+        if (name !== undefined) conversation.name = name;
+        if (description !== undefined) conversation.description = description;
+        await conversation.save();
+
+        await emitGroupUpdated(conversation);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group updated successfully',
+            data: formatGroup(conversation, userId)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add clients to a group (owner)
+ */
+const addGroupMembers = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        let conversation = await findGroup(req.params.conversationId, userId, { ownerOnly: true });
+
+        const memberIds = normalizeMemberIds(req.body.memberIds, userId)
+            .filter(memberId => !conversation.getGroupMember(memberId));
+
+        const maxMembers = Number(config.GROUP_CHAT_MAX_MEMBERS);
+        if (conversation.members.length + memberIds.length > maxMembers) {
+            return next(new ApiError(`A group can have at most ${maxMembers} members`, 400));
+        }
+
+        await assertClientsOf(userId, memberIds);
+
+        // Atomic, so unread counts changed meanwhile are kept; fails if the members changed meanwhile
+        conversation = await Conversation.findOneAndUpdate(
+            {
+                _id: conversation._id,
+                isActive: true,
+                'members.user': { $nin: memberIds },
+                [`members.${maxMembers - memberIds.length}`]: { $exists: false }
+            },
+            {
+                $push: { members: { $each: memberIds.map(memberId => ({ user: memberId, role: 'member' })) } },
+                $addToSet: { participants: { $each: memberIds } }
+            },
+            { new: true }
+        );
+        if (!conversation) {
+            return next(new ApiError('The group changed meanwhile, please try again', 409));
+        }
+
+        await emitGroupUpdated(conversation);
+
+        res.status(200).json({
+            success: true,
+            message: `${memberIds.length} member(s) added`,
+            data: formatGroup(conversation, userId)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a member from a group (owner), or leave it (any member except the owner)
+ */
+const removeGroupMember = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { memberId } = req.params;
+        const leaving = memberId === userId.toString();
+
+        let conversation = await findGroup(req.params.conversationId, userId, { ownerOnly: !leaving });
+
+        if (conversation.owner.toString() === memberId) {
+            return next(new ApiError('The owner cannot leave the group; delete it instead', 400));
+        }
+        if (!conversation.getGroupMember(memberId)) {
+            return next(new ApiError('User is not a member of this group', 404));
+        }
+
+        // Atomic, so the other members' unread counts changed meanwhile are kept
+        conversation = await Conversation.findOneAndUpdate(
+            { _id: conversation._id },
+            { $pull: { members: { user: memberId }, participants: memberId } },
+            { new: true }
+        );
+
+        realtime.emitToUser(memberId, 'conversation:removed', { conversationId: conversation._id.toString() });
+        await emitGroupUpdated(conversation);
+
+        res.status(200).json({
+            success: true,
+            message: leaving ? 'You left the group' : 'Member removed from the group'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Close a group (owner); its messages are kept but nobody can write in it any more
+ */
+const deleteGroup = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const conversation = await findGroup(req.params.conversationId, userId, { ownerOnly: true });
+
+        conversation.isActive = false;
+        await conversation.save();
+
+        conversation.participants.forEach(participantId => {
+            realtime.emitToUser(participantId, 'conversation:removed', { conversationId: conversation._id.toString() });
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Group deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createGroup,
+    getGroup,
+    updateGroup,
+    addGroupMembers,
+    removeGroupMember,
+    deleteGroup
+};
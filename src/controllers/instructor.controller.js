@@ -1,5 +1,7 @@
 const ApiError = require('../utils/ApiError');
 const Instructor = require('../models/Instructor');
+const { fulfilPayment } = require('../services/paymentFulfilment.service');
+const webhookService = require('../services/webhook.service');
 
 const getAllInstructors = async (req, res, next) => {
   try {
@@ -118,6 +120,7 @@ const getAllInstructors = async (req, res, next) => {
           specialty: instructor.specializations?.[0] || 'Fitness',
           specializations: instructor.specializations || [],
           rating: instructor.stats?.avgRating || 0,
+          totalReviews: instructor.stats?.totalReviews || 0,
           bio: instructor.bio || null,
           experience: instructor.experience || 0,
           monthlyRate: instructor.monthlyRate || 0,
@@ -274,6 +277,7 @@ const getInstructorById = async (req, res, next) => {
       specialty: instructor.specializations?.[0] || 'Fitness',
       specializations: instructor.specializations || [],
       rating: instructor.stats?.avgRating || 0,
+      totalReviews: instructor.stats?.totalReviews || 0,
       bio: instructor.bio || null,
       experience: instructor.experience || 0,
       monthlyRate: instructor.monthlyRate || 0,
@@ -530,7 +534,6 @@ const becomeInstructor = async (req, res, next) => {
 
 const subscribeToInstructor = async (req, res, next) => {
   try {
-    const Subscription = require('../models/Subscription');
     const Payment = require('../models/Payment');
     const { instructorId, paymentId } = req.body;
 
@@ -561,61 +564,16 @@ const subscribeToInstructor = async (req, res, next) => {
       return next(new ApiError('Instructor not found', 404));
     }
 
-    // Calculate subscription dates (1 month from now)
-    const subscribedAt = new Date();
-    const expiresAt = new Date(subscribedAt);
-    expiresAt.setMonth(expiresAt.getMonth() + 1);
-
-    // Check if already subscribed
-    const existing = await Subscription.findOne({
-      memberId: req.user.id,
-      instructorId: instructorId
-    });
-
-    if (existing) {
-      if (existing.status === 'active' && existing.expiresAt > new Date()) {
-        return next(new ApiError('Already subscribed to this instructor', 400));
-      } else {
-        // Reactivate subscription with new payment - extend from current expiry or now
-        const baseDate = existing.expiresAt > new Date()
-          ? new Date(existing.expiresAt)
-          : new Date();
-        const newExpiresAt = new Date(baseDate);
-        newExpiresAt.setMonth(newExpiresAt.getMonth() + 1);
-
-        existing.status = 'active';
-        existing.subscribedAt = subscribedAt;
-        existing.expiresAt = newExpiresAt;
-        existing.cancelledAt = null;
-        existing.paymentId = paymentId;
-        await existing.save();
-        return res.json({
-          success: true,
-          message: 'Subscription reactivated',
-          data: { subscription: existing }
-        });
-      }
-    }
+    // Activation is keyed on the payment, so calling this after the webhook/return URL
+    // already activated the subscription returns it instead of extending it again
+    const { subscription, alreadyFulfilled } = await fulfilPayment(payment._id, { source: 'subscribe' });
 
-    // Create new subscription with payment reference and expiry date
-    const subscription = await Subscription.create({
-      memberId: req.user.id,
-      instructorId: instructorId,
-      status: 'active',
-      paymentId: paymentId,
-      subscribedAt: subscribedAt,
-      expiresAt: expiresAt
-    });
-
-    res.status(201).json({
+    res.status(alreadyFulfilled ? 200 : 201).json({
       success: true,
-      message: 'Successfully subscribed to instructor',
+      message: alreadyFulfilled ? 'Subscription is active' : 'Successfully subscribed to instructor',
       data: { subscription }
     });
   } catch (err) {
-    if (err.code === 11000) {
-      return next(new ApiError('Already subscribed to this instructor', 400));
-    }
     console.error('Error subscribing to instructor:', err);
     next(err);
   }
@@ -640,6 +598,8 @@ const unsubscribeFromInstructor = async (req, res, next) => {
     subscription.cancelledAt = new Date();
     await subscription.save();
 
+    await webhookService.emitEvent('subscription.cancelled', { subscription });
+
     res.json({
       success: true,
       message: 'Successfully unsubscribed from instructor',
@@ -0,0 +1,49 @@
+const jobQueueService = require('../services/jobQueue.service');
+
+// Admin: background jobs with their schedule, lock and last outcome
+const getJobs = async (req, res, next) => {
+  try {
+    const items = await jobQueueService.listJobs();
+    res.json({ success: true, data: { items, instanceId: jobQueueService.INSTANCE_ID } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: run history of a job
+const getJobRuns = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+    const runs = await jobQueueService.getJobRuns(req.params.name, { status, page, limit });
+    res.json({ success: true, data: runs });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: start a job now. It runs in the background; follow it in the run history.
+const triggerJob = async (req, res, next) => {
+  try {
+    const run = await jobQueueService.triggerJob(req.params.name, req.user.id);
+    res.status(202).json({ success: true, message: `Job ${req.params.name} started`, data: run });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: pause or resume the scheduled runs of a job
+const updateJob = async (req, res, next) => {
+  try {
+    const job = await jobQueueService.setJobEnabled(req.params.name, req.body.isEnabled);
+    res.json({ success: true, message: job.isEnabled ? 'Job resumed' : 'Job paused', data: job });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  updateJob
+};
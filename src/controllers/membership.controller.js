@@ -1,25 +1,25 @@
 // controllers/membership.controller.js
 const ApiError = require('../utils/ApiError');
-const { MEMBERSHIP_PLANS } = require('../utils/constants');
 const Membership = require('../models/Membership');
 const Payment = require('../models/Payment');
-const payhereService = require('../services/payhere.service');
+const paymentGateway = require('../services/paymentGateway.service');
 const config = require('../config/environment');
 const User = require('../models/User');
+const memberPassService = require('../services/memberPass.service');
+const membershipPlanService = require('../services/membershipPlan.service');
+const promoCodeService = require('../services/promoCode.service');
+const membershipFreezeService = require('../services/membershipFreeze.service');
+const membershipRenewalService = require('../services/membershipRenewal.service');
 
-const normalizePlans = () => MEMBERSHIP_PLANS.map(plan => ({
-  id: plan.id,
-  name: plan.name,
-  price: plan.price,
-  priceFemale: plan.priceFemale,
-  currency: plan.currency || 'LKR',
-  durationDays: plan.durationDays,
-  description: plan.description || '',
-}));
+const normalizePlans = async (user = null) => {
+  const plans = await membershipPlanService.getPlans();
+  return plans.map(plan => membershipPlanService.formatPlan(plan, user));
+};
 
 const getMembershipPlans = async (req, res, next) => {
   try {
-    res.json({ success: true, data: { plans: normalizePlans() } });
+    const user = await User.findById(req.user.id).select('gender dateOfBirth');
+    res.json({ success: true, data: { plans: await normalizePlans(user) } });
   } catch (err) {
     next(err);
   }
@@ -39,10 +39,12 @@ const getMyMemberships = async (req, res, next) => {
     const memberships = await Membership.find({ userId: req.user.id })
       .sort({ createdAt: -1 });
     const activeMembership = memberships.find(m => m.status === 'active');
+    const frozenMembership = memberships.find(m => m.status === 'frozen') || null;
     res.json({
       success: true,
       data: {
         activeMembership,
+        frozenMembership,
         history: memberships,
       }
     });
@@ -53,14 +55,15 @@ const getMyMemberships = async (req, res, next) => {
 
 const purchaseMembership = async (req, res, next) => {
   try {
-    const { planId } = req.body;
+    const { planId, promoCode } = req.body;
     if (!planId) return next(new ApiError('planId is required', 400));
 
-    if (!config.PAYHERE_MERCHANT_ID || !config.PAYHERE_MERCHANT_SECRET) {
-      return next(new ApiError('PayHere not configured', 500));
+    const gateway = paymentGateway.getActiveGateway();
+    if (!gateway.isConfigured()) {
+      return next(new ApiError(`Payment gateway "${gateway.name}" is not configured`, 500));
     }
 
-    const plan = MEMBERSHIP_PLANS.find(p => p.id === planId);
+    const plan = await membershipPlanService.getActivePlan(planId);
     if (!plan) return next(new ApiError('Invalid membership plan', 400));
 
     // Get user details first to check gender
@@ -74,7 +77,7 @@ const purchaseMembership = async (req, res, next) => {
     const lastMembership = await Membership.findOne({ userId: req.user.id }).sort({ endDate: -1 });
     const now = new Date();
     let startDate = now;
-    if (lastMembership && lastMembership.endDate && lastMembership.endDate > now && lastMembership.status === 'active') {
+    if (lastMembership && lastMembership.endDate && lastMembership.endDate > now && ['active', 'frozen'].includes(lastMembership.status)) {
       startDate = new Date(lastMembership.endDate);
       startDate.setDate(startDate.getDate() + 1);
     }
@@ -95,15 +98,23 @@ const purchaseMembership = async (req, res, next) => {
     // Generate unique order ID
     const orderId = `MEM_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    // Use plan price based on gender
-    let finalPrice = plan.price;
-    if (user.gender === 'Female' && plan.priceFemale) {
-      finalPrice = plan.priceFemale;
-    }
+    // Price the plan for this member (gender/age pricing rules)
+    const { price: finalPrice, rule: priceRule } = plan.getPriceFor(user);
+
+    // Apply the promo code, if any (throws with the reason it cannot be used)
+    const promo = promoCode
+      ? await promoCodeService.applyPromoCode({
+        code: promoCode,
+        userId: req.user.id,
+        type: 'membership',
+        amount: Number(finalPrice),
+        planCode: plan.code
+      })
+      : null;
 
     // Use plan price and default currency LKR for PayHere
-    const amount = Number(finalPrice);
-    const currency = 'LKR'; // PayHere primary currency - ensure sandbox supports your currency if different
+    const amount = promo ? promo.finalAmount : Number(finalPrice);
+    const currency = plan.currency || 'LKR'; // PayHere primary currency - ensure sandbox supports your currency if different
 
     // Create payment record with pending status
     const payment = await Payment.create({
@@ -111,20 +122,25 @@ const purchaseMembership = async (req, res, next) => {
       amount: amount,
       currency: currency,
       status: 'pending',
-      paymentMethod: 'payhere',
+      paymentMethod: gateway.name,
       payhereOrderId: orderId,
       description: `${plan.name} Membership`,
       metadata: {
         type: 'membership',
-        planId: plan.id,
+        planId: plan.code,
         planName: plan.name,
         durationDays: plan.durationDays,
+        // Snapshot of the pricing at purchase time - later plan edits must not change it
+        basePrice: plan.price,
+        priceRule: priceRule ? (priceRule.label || 'custom') : null,
+        ...(promo ? promoCodeService.toPaymentMetadata(promo, Number(finalPrice)) : {}),
         startDate,
         endDate,
       }
     });
+    await promoCodeService.reservePromoUse(payment);
 
-    // Initialize PayHere payment
+    // Initialize the checkout with the configured gateway
     const backendUrl = config.BACKEND_URL || `http://localhost:${config.PORT || 3000}`;
 
     // Ensure we pass separate first/last names if available
@@ -135,18 +151,18 @@ const purchaseMembership = async (req, res, next) => {
 
     // Log payment initialization details (without sensitive data)
     const logger = require('../utils/logger');
-    logger.info('Initializing PayHere payment for membership:', {
+    logger.info(`Initializing ${gateway.name} payment for membership:`, {
       orderId,
       amount,
       currency,
-      planId: plan.id,
+      planId: plan.code,
       planName: plan.name,
       userId: user._id,
       email: userEmail.substring(0, 5) + '...', // Log partial email for debugging
       hasPhone: !!user.phone
     });
 
-    const paymentData = await payhereService.initializePayment({
+    const paymentData = await gateway.initializePayment({
       orderId: orderId,
       amount: amount,
       currency: currency,
@@ -159,7 +175,7 @@ const purchaseMembership = async (req, res, next) => {
       country: 'Sri Lanka',
       returnUrl: `${backendUrl}/payment/return?paymentId=${payment._id}&type=membership`,
       cancelUrl: `${backendUrl}/payment/cancel?paymentId=${payment._id}&type=membership`,
-      notifyUrl: `${backendUrl}/api/v1/payments/payhere-notify`
+      notifyUrl: `${backendUrl}${gateway.notifyPath}`
     });
 
     res.status(201).json({
@@ -190,9 +206,252 @@ const getAllMemberships = async (req, res, next) => {
   }
 };
 
+// Issue the member's rotating door pass (re-fetched by the app every step)
+const getMyPass = async (req, res, next) => {
+  try {
+    await refreshMembershipStatuses(req.user.id);
+    const now = new Date();
+    const membership = await Membership.findOne({
+      userId: req.user.id,
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gte: now }
+    }).sort({ endDate: -1 });
+
+    const pass = memberPassService.issuePass(req.user.id, membership);
+
+    res.json({
+      success: true,
+      data: {
+        ...pass,
+        stepSeconds: memberPassService.STEP_SECONDS,
+        membership: membership ? {
+          _id: membership._id,
+          planName: membership.planName,
+          status: membership.status,
+          endDate: membership.endDate
+        } : null
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Staff: verify a scanned pass against the signature and the current membership record (read-only)
+const verifyMemberPass = async (req, res, next) => {
+  try {
+    const verification = memberPassService.verifyPass(req.body.token);
+    if (!verification.valid) {
+      return res.json({
+        success: true,
+        data: { valid: false, accessGranted: false, reason: verification.error }
+      });
+    }
+
+    const { uid } = verification.payload;
+    const now = new Date();
+    const [member, membership] = await Promise.all([
+      User.findById(uid).select('name email profilePicture isActive').lean(),
+      Membership.findOne({
+        userId: uid,
+        status: 'active',
+        startDate: { $lte: now },
+        endDate: { $gte: now }
+      }).sort({ endDate: -1 }).lean()
+    ]);
+
+    let reason = null;
+    if (!member || !member.isActive) reason = 'Member account not found or deactivated';
+    else if (!membership) reason = 'No active membership';
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        accessGranted: !reason,
+        reason,
+        member: member ? {
+          _id: member._id,
+          name: member.name,
+          email: member.email,
+          profilePicture: member.profilePicture?.secure_url || (typeof member.profilePicture === 'string' ? member.profilePicture : null)
+        } : null,
+        membership: membership ? {
+          _id: membership._id,
+          planName: membership.planName,
+          status: membership.status,
+          endDate: membership.endDate
+        } : null
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper: load a membership the current user may manage (admins may manage any)
+const findManageableMembership = async (req) => {
+  const filter = { _id: req.params.id };
+  if (req.user.role !== 'admin') filter.userId = req.user.id;
+  return Membership.findOne(filter);
+};
+
+// Pause my membership for a number of days (within the plan's freeze allowance)
+const freezeMembership = async (req, res, next) => {
+  try {
+    const membership = await findManageableMembership(req);
+    if (!membership) {
+      return next(new ApiError('Membership not found', 404));
+    }
+
+    await membershipFreezeService.freezeMembership(membership, {
+      days: req.body.days,
+      reason: req.body.reason,
+      requestedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Membership frozen successfully',
+      data: {
+        membership,
+        freezeAllowance: await membershipFreezeService.getFreezeAllowance(membership)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Resume a frozen membership early - the end date is extended by the days spent frozen
+const unfreezeMembership = async (req, res, next) => {
+  try {
+    const membership = await findManageableMembership(req);
+    if (!membership) {
+      return next(new ApiError('Membership not found', 404));
+    }
+
+    const { days } = await membershipFreezeService.unfreezeMembership(membership);
+
+    res.json({
+      success: true,
+      message: `Membership resumed. Your end date was extended by ${days} day(s).`,
+      data: {
+        membership,
+        extendedByDays: days,
+        freezeAllowance: await membershipFreezeService.getFreezeAllowance(membership)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: freeze any member's membership, ignoring the plan's freeze allowance
+const overrideFreezeMembership = async (req, res, next) => {
+  try {
+    const membership = await Membership.findById(req.params.id);
+    if (!membership) {
+      return next(new ApiError('Membership not found', 404));
+    }
+
+    await membershipFreezeService.freezeMembership(membership, {
+      days: req.body.days,
+      reason: req.body.reason,
+      requestedBy: req.user.id,
+      override: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Membership frozen by admin override',
+      data: { membership }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Turn auto-renewal on or off for my membership.
+ * The first time it is enabled the member must authorise their card through the
+ * PayHere pre-approval checkout returned here; auto-renew switches on once PayHere confirms.
+ */
+const setAutoRenew = async (req, res, next) => {
+  try {
+    const membership = await Membership.findOne({ _id: req.params.id, userId: req.user.id })
+      .select('+payhereCustomerToken');
+    if (!membership) {
+      return next(new ApiError('Membership not found', 404));
+    }
+
+    const { enabled } = req.body;
+
+    if (!enabled) {
+      membership.autoRenew = false;
+      membership.payhereCustomerToken = undefined;
+      membership.renewalCardMask = null;
+      membership.nextRenewalAttemptAt = null;
+      await membership.save();
+      return res.json({
+        success: true,
+        message: 'Auto-renew turned off',
+        data: { membership }
+      });
+    }
+
+    if (!['active', 'frozen'].includes(membership.status)) {
+      return next(new ApiError('Auto-renew can only be enabled for an active membership', 400));
+    }
+
+    if (membership.payhereCustomerToken) {
+      membership.autoRenew = true;
+      membership.renewalAttempts = 0;
+      membership.nextRenewalAttemptAt = null;
+      await membership.save();
+      return res.json({
+        success: true,
+        message: 'Auto-renew turned on',
+        data: { membership }
+      });
+    }
+
+    if (!config.PAYHERE_MERCHANT_ID || !config.PAYHERE_MERCHANT_SECRET) {
+      return next(new ApiError('PayHere not configured', 500));
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user.email || !user.email.includes('@')) {
+      return next(new ApiError('Valid email address is required for payment. Please update your profile with a valid email address.', 400));
+    }
+
+    const checkout = await membershipRenewalService.createPreapprovalCheckout(membership, user);
+
+    res.json({
+      success: true,
+      message: 'Authorise your card to turn on auto-renew',
+      data: {
+        membership,
+        requiresPreapproval: true,
+        paymentUrl: checkout.paymentUrl,
+        paymentParams: checkout.params
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   getMembershipPlans,
   getMyMemberships,
   purchaseMembership,
   getAllMemberships,
+  getMyPass,
+  verifyMemberPass,
+  freezeMembership,
+  unfreezeMembership,
+  overrideFreezeMembership,
+  setAutoRenew,
 };
@@ -0,0 +1,150 @@
+const ApiError = require('../utils/ApiError');
+const MembershipPlan = require('../models/MembershipPlan');
+const membershipPlanService = require('../services/membershipPlan.service');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = ['name', 'description', 'durationDays', 'price', 'currency', 'priceRules', 'maxFreezeDays', 'sortOrder'];
+
+// Admin: list all plans including archived ones
+const getAdminPlans = async (req, res, next) => {
+  try {
+    const plans = await membershipPlanService.getPlans({ includeArchived: req.query.includeArchived !== 'false' });
+    res.json({
+      success: true,
+      data: { plans: plans.map(plan => membershipPlanService.formatPlan(plan)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: create a new plan (appended to the end of the list unless sortOrder is given)
+const createPlan = async (req, res, next) => {
+  try {
+    await membershipPlanService.ensureDefaultPlans();
+
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (data.sortOrder === undefined) {
+      const last = await MembershipPlan.findOne({}).sort({ sortOrder: -1 }).select('sortOrder');
+      data.sortOrder = last ? last.sortOrder + 1 : 0;
+    }
+
+    const plan = await MembershipPlan.create({
+      ...data,
+      code: req.body.code,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    logger.info('Membership plan created', { code: plan.code, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Membership plan created successfully',
+      data: { plan: membershipPlanService.formatPlan(plan) }
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new ApiError('A plan with this code already exists', 400));
+    }
+    next(err);
+  }
+};
+
+// Admin: edit a plan. Existing memberships keep the price they were bought at.
+const updatePlan = async (req, res, next) => {
+  try {
+    const plan = await MembershipPlan.findOne({ code: req.params.code });
+    if (!plan) {
+      return next(new ApiError('Membership plan not found', 404));
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+    plan.updatedBy = req.user.id;
+    await plan.save();
+
+    logger.info('Membership plan updated', { code: plan.code, updatedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Membership plan updated successfully',
+      data: { plan: membershipPlanService.formatPlan(plan) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: archive (hide from purchase) or restore a plan
+const setPlanArchived = (isArchived) => async (req, res, next) => {
+  try {
+    const plan = await MembershipPlan.findOneAndUpdate(
+      { code: req.params.code },
+      { isArchived, archivedAt: isArchived ? new Date() : null, updatedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!plan) {
+      return next(new ApiError('Membership plan not found', 404));
+    }
+
+    logger.info(`Membership plan ${isArchived ? 'archived' : 'restored'}`, { code: plan.code, by: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Membership plan ${isArchived ? 'archived' : 'restored'} successfully`,
+      data: { plan: membershipPlanService.formatPlan(plan) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const archivePlan = setPlanArchived(true);
+const restorePlan = setPlanArchived(false);
+
+// Admin: reorder plans. Body: { order: ['monthly', 'quarterly', ...] }
+const reorderPlans = async (req, res, next) => {
+  try {
+    const { order } = req.body;
+
+    const plans = await MembershipPlan.find({ code: { $in: order } }).select('code');
+    if (plans.length !== new Set(order).size) {
+      const known = plans.map(p => p.code);
+      const unknown = order.filter(code => !known.includes(code));
+      return next(new ApiError(`Unknown plan code(s): ${unknown.join(', ')}`, 400));
+    }
+
+    await MembershipPlan.bulkWrite(order.map((code, index) => ({
+      updateOne: {
+        filter: { code },
+        update: { $set: { sortOrder: index, updatedBy: req.user.id } }
+      }
+    })));
+
+    const updated = await membershipPlanService.getPlans({ includeArchived: true });
+
+    res.json({
+      success: true,
+      message: 'Membership plans reordered successfully',
+      data: { plans: updated.map(plan => membershipPlanService.formatPlan(plan)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getAdminPlans,
+  createPlan,
+  updatePlan,
+  archivePlan,
+  restorePlan,
+  reorderPlans
+};
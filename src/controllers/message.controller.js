@@ -1,9 +1,197 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
 const Instructor = require('../models/Instructor');
-const Subscription = require('../models/Subscription');
 const ApiError = require('../utils/ApiError');
+const notificationService = require('../services/notification.service');
+const realtime = require('../services/realtime.service');
+const {
+    uploadAttachment,
+    describeAttachment,
+    formatAttachment,
+    deleteAttachment
+} = require('../services/chatAttachment.service');
+const {
+    isClientOf,
+    getClientIds,
+    findOrCreateDirectConversation,
+    canSendMessage
+} = require('../services/chatMembership.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Sync responses reach back this far before the request, so writes still in flight
+// while the query ran are picked up by the next sync (clients upsert by _id)
+const SYNC_OVERLAP_MS = 5 * 1000;
+
+// Helper: profile picture URL of a populated user (Cloudinary object or plain URL)
+const getProfilePictureUrl = (user) => {
+    if (!user?.profilePicture) return null;
+    if (typeof user.profilePicture === 'object' && user.profilePicture.secure_url) {
+        return user.profilePicture.secure_url;
+    }
+    if (typeof user.profilePicture === 'string' &&
+        (user.profilePicture.startsWith('http://') || user.profilePicture.startsWith('https://'))) {
+        return user.profilePicture;
+    }
+    return null;
+};
+
+// Helper: a message (sender populated) as the app sees it
+const formatMessage = (msg, userId) => ({
+    _id: msg._id,
+    content: msg.content,
+    messageType: msg.messageType,
+    attachmentUrl: msg.attachmentUrl,
+    attachment: formatAttachment(msg.attachment),
+    sender: {
+        _id: msg.sender?._id,
+        name: msg.sender?.name,
+        profilePicture: getProfilePictureUrl(msg.sender)
+    },
+    isRead: msg.isRead,
+    readAt: msg.readAt,
+    createdAt: msg.createdAt,
+    updatedAt: msg.updatedAt,
+    editedAt: msg.editedAt,
+    isEdited: Boolean(msg.editedAt),
+    isAnnouncement: Boolean(msg.announcementId),
+    isOwnMessage: msg.sender?._id.toString() === userId.toString()
+});
+
+// Helper: what is left of a deleted message for clients that have it cached
+const formatDeletedMessage = (msg) => ({
+    _id: msg._id,
+    isDeleted: true,
+    deletedAt: msg.deletedAt || msg.updatedAt,
+    updatedAt: msg.updatedAt
+});
+
+// Helper: send an event about a message (sender populated) to every participant
+const emitMessageEvent = (conversation, event, msg) => {
+    const conversationId = conversation._id.toString();
+    conversation.participants.forEach(participantId => {
+        realtime.emitToUser(participantId, event, { conversationId, message: formatMessage(msg, participantId) });
+    });
+};
+
+// Helper: unread messages across all of a user's active conversations
+const countTotalUnread = async (userId) => {
+    const conversations = await Conversation.find({
+        participants: userId,
+        isActive: true
+    }).select('type member instructor unreadCount members');
+
+    return conversations.reduce((total, conv) => total + conv.getUnreadCount(userId), 0);
+};
+
+// Helper: send each connected participant their unread count (conversation and total)
+const emitUnreadCounts = async (conversation) => {
+    for (const participantId of conversation.participants) {
+        const userId = participantId.toString();
+        if (!(await realtime.isUserOnline(userId))) continue;
+
+        realtime.emitToUser(userId, 'conversation:unread', {
+            conversationId: conversation._id.toString(),
+            unreadCount: conversation.getUnreadCount(userId),
+            totalUnread: await countTotalUnread(userId)
+        });
+    }
+};
+
+// Helper: mark the other participants' messages read (all, or up to and including the message
+// `upTo`) and update the reader's unread count
+// Returns the reader's unread count afterwards
+const markMessagesRead = async (conversation, userId, upTo = null) => {
+    const readAt = new Date();
+    let changed;
+    let unreadCount = 0;
+    let lastReadAt = null;
+
+    if (conversation.type === 'group') {
+        // Group messages have many readers: how far each member has read is kept on their entry
+        const member = conversation.getGroupMember(userId);
+        if (!member) return 0;
+
+        const readUntil = upTo ? upTo.createdAt : readAt;
+        changed = !member.lastReadAt || member.lastReadAt < readUntil;
+        lastReadAt = changed ? readUntil : member.lastReadAt;
+
+        if (upTo) {
+            unreadCount = await Message.countDocuments({
+                conversationId: conversation._id,
+                sender: { $ne: userId },
+                isDeleted: false,
+                createdAt: { $gt: lastReadAt }
+            });
+        }
+    } else {
+        const unreadFilter = {
+            conversationId: conversation._id,
+            sender: { $ne: userId },
+            isRead: false
+        };
+        const { modifiedCount } = await Message.updateMany(
+            upTo ? { ...unreadFilter, createdAt: { $lte: upTo.createdAt } } : unreadFilter,
+            {
+                isRead: true,
+                readAt
+            }
+        );
+
+        changed = modifiedCount > 0;
+        if (upTo) {
+            unreadCount = await Message.countDocuments({ ...unreadFilter, isDeleted: false });
+        }
+    }
+
+    const previousCount = conversation.getUnreadCount(userId);
+    conversation = await conversation.updateReadState(userId, unreadCount, lastReadAt) || conversation;
+
+    // Read receipts for the senders, and the reader's other devices
+    if (changed) {
+        const receipt = {
+            conversationId: conversation._id.toString(),
+            readBy: userId.toString(),
+            upTo: upTo ? upTo._id.toString() : null,
+            readAt
+        };
+        conversation.participants.forEach(participantId => realtime.emitToUser(participantId, 'message:read', receipt));
+    }
+    if (changed || previousCount !== unreadCount) {
+        emitUnreadCounts(conversation).catch(err => {
+            logger.error(`Error emitting unread counts for conversation ${conversation._id}: ${err.message}`);
+        });
+    }
+
+    return unreadCount;
+};
+
+// Helper: deliver a new message to every participant's sockets; Expo push only to
+// recipients with no socket open
+const deliverMessage = async (conversation, messageData, senderName, preview) => {
+    const conversationId = conversation._id.toString();
+    const senderId = messageData.sender._id.toString();
+    const recipientIds = conversation.participants
+        .map(participantId => participantId.toString())
+        .filter(participantId => participantId !== senderId);
+
+    realtime.emitToUser(senderId, 'message:new', { conversationId, message: messageData });
+    recipientIds.forEach(recipientId => realtime.emitToUser(recipientId, 'message:new', {
+        conversationId,
+        message: { ...messageData, isOwnMessage: false }
+    }));
+
+    await emitUnreadCounts(conversation);
+
+    const from = conversation.type === 'group' ? `${senderName} (${conversation.name})` : senderName;
+    for (const recipientId of recipientIds) {
+        if (!(await realtime.isUserOnline(recipientId))) {
+            await notificationService.sendMessageNotification(recipientId, from, preview, conversationId);
+        }
+    }
+};
 
 /**
  * Get or create a conversation between current user and another user
@@ -39,39 +227,15 @@ const getOrCreateConversation = async (req, res, next) => {
             return next(new ApiError('Messaging is only allowed between members and instructors', 400));
         }
 
-        // Verify subscription exists between member and instructor
-        const subscription = await Subscription.findOne({
-            memberId: memberId,
-            instructorId: instructorId,
-            status: 'active'
-        });
-
-        if (!subscription) {
-            return next(new ApiError('You can only message instructors you are subscribed to', 403));
+        // Verify the member is the instructor's client (active subscription or allocation)
+        if (!(await isClientOf(instructorId, memberId))) {
+            return next(new ApiError('You can only message instructors you are subscribed or allocated to', 403));
         }
 
         // Find existing conversation or create new one
-        let conversation = await Conversation.findOne({
-            member: memberId,
-            instructor: instructorId
-        }).populate('participants', 'name email profilePicture role');
-
-        if (!conversation) {
-            conversation = await Conversation.create({
-                participants: [memberId, instructorId],
-                member: memberId,
-                instructor: instructorId,
-                lastMessage: null,
-                unreadCount: {
-                    member: 0,
-                    instructor: 0
-                }
-            });
-
-            // Populate participants
-            conversation = await Conversation.findById(conversation._id)
-                .populate('participants', 'name email profilePicture role');
-        }
+        const conversation = await findOrCreateDirectConversation(memberId, instructorId);
+        const unreadCount = conversation.getUnreadCount(currentUserId);
+        await conversation.populate('participants', 'name email profilePicture role');
 
         // Get instructor details if available
         let instructorDetails = null;
@@ -102,10 +266,9 @@ const getOrCreateConversation = async (req, res, next) => {
             data: {
                 conversation: {
                     _id: conversation._id,
+                    type: 'direct',
                     lastMessage: conversation.lastMessage,
-                    unreadCount: currentUserRole === 'member'
-                        ? conversation.unreadCount.member
-                        : conversation.unreadCount.instructor,
+                    unreadCount,
                     createdAt: conversation.createdAt,
                     updatedAt: conversation.updatedAt
                 },
@@ -134,7 +297,6 @@ const getOrCreateConversation = async (req, res, next) => {
 const getConversations = async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const userRole = req.user.role;
         const { page = 1, limit = 20 } = req.query;
 
         const query = {
@@ -152,7 +314,7 @@ const getConversations = async (req, res, next) => {
         const total = await Conversation.countDocuments(query);
 
         // Get instructor details for all instructor participants
-        const instructorIds = conversations.map(conv => conv.instructor);
+        const instructorIds = conversations.map(conv => conv.instructor).filter(Boolean);
         const instructorDetails = await Instructor.find({ userId: { $in: instructorIds } })
             .select('userId specializations rating');
 
@@ -163,6 +325,21 @@ const getConversations = async (req, res, next) => {
 
         // Format conversations
         const formattedConversations = conversations.map(conv => {
+            if (conv.type === 'group') {
+                return {
+                    _id: conv._id,
+                    type: 'group',
+                    name: conv.name,
+                    description: conv.description,
+                    owner: conv.owner,
+                    role: conv.getGroupMember(userId)?.role,
+                    memberCount: conv.members.length,
+                    lastMessage: conv.lastMessage,
+                    unreadCount: conv.getUnreadCount(userId),
+                    updatedAt: conv.updatedAt
+                };
+            }
+
             const otherParticipant = conv.participants.find(
                 p => p._id.toString() !== userId
             );
@@ -183,6 +360,7 @@ const getConversations = async (req, res, next) => {
 
             return {
                 _id: conv._id,
+                type: 'direct',
                 otherParticipant: {
                     _id: otherParticipant?._id,
                     name: otherParticipant?.name,
@@ -195,9 +373,7 @@ const getConversations = async (req, res, next) => {
                     })
                 },
                 lastMessage: conv.lastMessage,
-                unreadCount: userRole === 'member'
-                    ? conv.unreadCount.member
-                    : conv.unreadCount.instructor,
+                unreadCount: conv.getUnreadCount(userId),
                 updatedAt: conv.updatedAt
             };
         });
@@ -218,13 +394,17 @@ const getConversations = async (req, res, next) => {
 
 /**
  * Get messages for a specific conversation
+ * Newest page by default; `before` / `after` (message IDs) page towards older / newer messages.
+ * `page` is still accepted for older app versions. Reading messages does not mark them read.
  */
 const getMessages = async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const userRole = req.user.role;
         const { conversationId } = req.params;
-        const { page = 1, limit = 50 } = req.query;
+        const { before, after } = req.query;
+        // Express 5 re-parses req.query on every read, so the validator's toInt() does not stick
+        const page = req.query.page ? parseInt(req.query.page, 10) : null;
+        const limit = parseInt(req.query.limit, 10) || 50;
 
         // Verify user is participant in conversation
         const conversation = await Conversation.findOne({
@@ -236,77 +416,132 @@ const getMessages = async (req, res, next) => {
             return next(new ApiError('Conversation not found or you are not a participant', 404));
         }
 
-        const messages = await Message.find({
+        const filter = {
             conversationId: conversationId,
             isDeleted: false
-        })
-            .populate('sender', 'name email profilePicture')
-            .sort({ createdAt: -1 })
-            .skip((page - 1) * limit)
-            .limit(parseInt(limit));
+        };
 
-        const total = await Message.countDocuments({
-            conversationId: conversationId,
-            isDeleted: false
-        });
+        if (page && !before && !after) {
+            const messages = await Message.find(filter)
+                .populate('sender', 'name email profilePicture')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit);
+
+            const total = await Message.countDocuments(filter);
+
+            return res.status(200).json({
+                success: true,
+                data: messages.map(msg => formatMessage(msg, userId)).reverse(), // Return in chronological order
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        }
 
-        // Mark messages as read
-        await Message.updateMany(
-            {
-                conversationId: conversationId,
-                sender: { $ne: userId },
-                isRead: false
-            },
-            {
-                isRead: true,
-                readAt: new Date()
+        // Older messages unless paging forward with `after`
+        const older = !after;
+        if (before || after) {
+            const cursor = await Message.findOne({ _id: before || after, conversationId }).select('createdAt');
+            if (!cursor) {
+                return next(new ApiError('Cursor message not found in this conversation', 404));
             }
-        );
 
-        // Reset unread count for current user
-        if (userRole === 'member') {
-            conversation.unreadCount.member = 0;
-        } else {
-            conversation.unreadCount.instructor = 0;
+            const op = older ? '$lt' : '$gt';
+            filter.$or = [
+                { createdAt: { [op]: cursor.createdAt } },
+                { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+            ];
         }
-        await conversation.save();
 
-        // Format messages with proper profile picture URLs
-        const formattedMessages = messages.map(msg => {
-            let profilePicture = null;
-            if (msg.sender?.profilePicture) {
-                if (typeof msg.sender.profilePicture === 'object' && msg.sender.profilePicture.secure_url) {
-                    profilePicture = msg.sender.profilePicture.secure_url;
-                } else if (typeof msg.sender.profilePicture === 'string' &&
-                    (msg.sender.profilePicture.startsWith('http://') ||
-                        msg.sender.profilePicture.startsWith('https://'))) {
-                    profilePicture = msg.sender.profilePicture;
-                }
+        const direction = older ? -1 : 1;
+        const found = await Message.find(filter)
+            .populate('sender', 'name email profilePicture')
+            .sort({ createdAt: direction, _id: direction })
+            .limit(limit + 1);
+
+        const hasMore = found.length > limit;
+        const messages = found.slice(0, limit);
+        if (older) messages.reverse(); // Return in chronological order
+
+        res.status(200).json({
+            success: true,
+            data: messages.map(msg => formatMessage(msg, userId)),
+            pagination: {
+                limit,
+                // More messages in the direction paged (older for `before` and the newest page)
+                hasMore,
+                before: messages[0]?._id || null,
+                after: messages[messages.length - 1]?._id || null
             }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
-            return {
-                _id: msg._id,
-                content: msg.content,
-                messageType: msg.messageType,
-                attachmentUrl: msg.attachmentUrl,
-                sender: {
-                    _id: msg.sender?._id,
-                    name: msg.sender?.name,
-                    profilePicture: profilePicture
-                },
-                isRead: msg.isRead,
-                createdAt: msg.createdAt,
-                isOwnMessage: msg.sender?._id.toString() === userId
-            };
+/**
+ * Delta sync: messages created, edited, read or deleted since `since`
+ * Call again with `nextSince` until `hasMore` is false; store `nextSince` for the next sync.
+ */
+const syncMessages = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { conversationId } = req.params;
+        const since = req.query.since ? new Date(req.query.since) : new Date(0);
+        const limit = parseInt(req.query.limit, 10) || 200;
+
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            participants: userId
+        });
+
+        if (!conversation) {
+            return next(new ApiError('Conversation not found or you are not a participant', 404));
+        }
+
+        const syncedAt = new Date(Date.now() - SYNC_OVERLAP_MS);
+        const changed = await Message.find({
+            conversationId: conversationId,
+            updatedAt: { $gt: since }
+        })
+            .populate('sender', 'name email profilePicture')
+            .sort({ updatedAt: 1, _id: 1 })
+            .limit(limit + 1);
+
+        const hasMore = changed.length > limit;
+        let messages = changed.slice(0, limit);
+        if (hasMore) {
+            // Keep messages changed in the same millisecond together, or the next page would skip some
+            const boundary = changed[limit].updatedAt.getTime();
+            const complete = messages.filter(msg => msg.updatedAt.getTime() !== boundary);
+            if (complete.length > 0) messages = complete;
+        }
+
+        const created = [];
+        const updated = [];
+        const deleted = [];
+        messages.forEach(msg => {
+            if (msg.isDeleted) {
+                deleted.push(formatDeletedMessage(msg));
+            } else if (msg.createdAt > since) {
+                created.push(formatMessage(msg, userId));
+            } else {
+                updated.push(formatMessage(msg, userId));
+            }
         });
 
         res.status(200).json({
             success: true,
-            data: formattedMessages.reverse(), // Return in chronological order
-            pagination: {
-                current: parseInt(page),
-                pages: Math.ceil(total / limit),
-                total
+            data: {
+                created,
+                updated,
+                deleted,
+                unreadCount: conversation.getUnreadCount(userId),
+                hasMore,
+                nextSince: hasMore ? messages[messages.length - 1].updatedAt : syncedAt
             }
         });
     } catch (error) {
@@ -320,16 +555,17 @@ const getMessages = async (req, res, next) => {
 const sendMessage = async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const userRole = req.user.role;
         const { conversationId } = req.params;
         const { content, messageType = 'text', attachmentUrl } = req.body;
+        const text = typeof content === 'string' ? content.trim() : '';
 
-        if (!content || content.trim() === '') {
+        // An attachment can be sent without a caption
+        if (!text && !req.file) {
             return next(new ApiError('Message content is required', 400));
         }
 
         // Verify user is participant in conversation
-        const conversation = await Conversation.findOne({
+        let conversation = await Conversation.findOne({
             _id: conversationId,
             participants: userId
         });
@@ -338,89 +574,61 @@ const sendMessage = async (req, res, next) => {
             return next(new ApiError('Conversation not found or you are not a participant', 404));
         }
 
-        // Verify subscription is still active
-        const subscription = await Subscription.findOne({
-            memberId: conversation.member,
-            instructorId: conversation.instructor,
-            status: 'active'
-        });
-
-        if (!subscription) {
-            return next(new ApiError('Subscription is no longer active. You cannot send messages.', 403));
+        if (!conversation.isActive) {
+            return next(new ApiError('This conversation has been closed', 403));
         }
 
-        // Create the message
-        const message = await Message.create({
-            conversationId: conversationId,
-            sender: userId,
-            content: content.trim(),
-            messageType,
-            attachmentUrl
-        });
+        // Verify the member is still the instructor's client (active subscription or allocation)
+        if (!(await canSendMessage(conversation, userId))) {
+            return next(new ApiError(conversation.type === 'group'
+                ? 'You are no longer a client of this group\'s instructor. You cannot send messages.'
+                : 'Subscription is no longer active. You cannot send messages.', 403));
+        }
 
-        // Update conversation with last message
-        conversation.lastMessage = {
-            content: content.trim().substring(0, 100), // Store preview
-            sender: userId,
-            createdAt: new Date()
-        };
+        // Upload the attachment only once the sender may send
+        const attachment = req.file ? await uploadAttachment(req.file, conversationId) : null;
 
-        // Increment unread count for recipient
-        const recipientRole = userRole === 'member' ? 'instructor' : 'member';
-        if (recipientRole === 'member') {
-            conversation.unreadCount.member += 1;
-        } else {
-            conversation.unreadCount.instructor += 1;
+        // Create the message
+        let message;
+        try {
+            message = await Message.create({
+                conversationId: conversationId,
+                sender: userId,
+                content: text,
+                messageType: attachment ? attachment.kind : messageType,
+                attachmentUrl: attachment ? null : attachmentUrl,
+                attachment
+            });
+        } catch (error) {
+            if (attachment) await deleteAttachment(attachment);
+            throw error;
         }
 
-        await conversation.save();
+        // Text shown in the conversation list and push notification
+        const preview = text || describeAttachment(attachment);
+
+        // Update conversation with last message and one more unread for the recipients
+        conversation = await conversation.recordMessage(userId, {
+            content: preview.substring(0, 100), // Store preview
+            sender: userId,
+            createdAt: message.createdAt
+        }) || conversation;
 
         // Get sender info for response and notification
         const sender = await User.findById(userId).select('name email profilePicture');
 
-        // Determine recipient ID and send push notification
-        const recipientId = recipientRole === 'member'
-            ? conversation.member.toString()
-            : conversation.instructor.toString();
-
-        // Send push notification to recipient (async, don't wait)
-        const notificationService = require('../services/notification.service');
-        notificationService.sendMessageNotification(
-            recipientId,
-            sender.name,
-            content.trim(),
-            conversationId
-        ).catch(err => {
-            console.error('Error sending message notification:', err);
-        });
+        // Same shape as getMessages
+        message.sender = sender;
+        const messageData = formatMessage(message, userId);
 
-        let profilePicture = null;
-        if (sender?.profilePicture) {
-            if (typeof sender.profilePicture === 'object' && sender.profilePicture.secure_url) {
-                profilePicture = sender.profilePicture.secure_url;
-            } else if (typeof sender.profilePicture === 'string' &&
-                (sender.profilePicture.startsWith('http://') ||
-                    sender.profilePicture.startsWith('https://'))) {
-                profilePicture = sender.profilePicture;
-            }
-        }
+        // Realtime delivery, or a push notification to recipients that are offline (async, don't wait)
+        deliverMessage(conversation, messageData, sender.name, preview).catch(err => {
+            logger.error(`Error delivering message ${message._id}: ${err.message}`);
+        });
 
         res.status(201).json({
             success: true,
-            data: {
-                _id: message._id,
-                content: message.content,
-                messageType: message.messageType,
-                attachmentUrl: message.attachmentUrl,
-                sender: {
-                    _id: sender._id,
-                    name: sender.name,
-                    profilePicture: profilePicture
-                },
-                isRead: false,
-                createdAt: message.createdAt,
-                isOwnMessage: true
-            }
+            data: messageData
         });
     } catch (error) {
         next(error);
@@ -445,8 +653,20 @@ const deleteMessage = async (req, res, next) => {
         }
 
         message.isDeleted = true;
+        message.deletedAt = new Date();
+
+        // Remove the file from storage; if that fails the reference is kept so it can be cleaned up later
+        if (message.attachment && await deleteAttachment(message.attachment)) {
+            message.attachment = null;
+        }
         await message.save();
 
+        const conversation = await Conversation.findById(message.conversationId).select('participants');
+        if (conversation) {
+            const payload = { conversationId: conversation._id.toString(), message: formatDeletedMessage(message) };
+            conversation.participants.forEach(participantId => realtime.emitToUser(participantId, 'message:deleted', payload));
+        }
+
         res.status(200).json({
             success: true,
             message: 'Message deleted successfully'
@@ -457,26 +677,172 @@ const deleteMessage = async (req, res, next) => {
 };
 
 /**
- * Get total unread message count for the user
+ * Edit a message (author only, within MESSAGE_EDIT_WINDOW_MINUTES of sending)
+ * The previous content is kept in the message's edit history.
  */
-const getUnreadCount = async (req, res, next) => {
+const editMessage = async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const userRole = req.user.role;
+        const { messageId } = req.params;
+        const content = req.body.content;
 
-        const conversations = await Conversation.find({
-            participants: userId,
-            isActive: true
+        const message = await Message.findOne({
+            _id: messageId,
+            sender: userId,
+            isDeleted: false
+        }).select('+editHistory');
+
+        if (!message) {
+            return next(new ApiError('Message not found or you are not the sender', 404));
+        }
+
+        const windowMinutes = Number(config.MESSAGE_EDIT_WINDOW_MINUTES);
+        if (Date.now() - message.createdAt.getTime() > windowMinutes * 60 * 1000) {
+            return next(new ApiError(`Messages can only be edited within ${windowMinutes} minutes of sending`, 403));
+        }
+
+        if (!content && message.messageType === 'text') {
+            return next(new ApiError('Message content is required', 400));
+        }
+
+        if (content !== message.content) {
+            const editedAt = new Date();
+            message.editHistory.push({ content: message.content, editedAt });
+            message.content = content;
+            message.editedAt = editedAt;
+            await message.save();
+
+            // Keep the conversation preview in step if this is the last message
+            await Conversation.updateOne(
+                {
+                    _id: message.conversationId,
+                    'lastMessage.sender': userId,
+                    'lastMessage.createdAt': message.createdAt
+                },
+                { $set: { 'lastMessage.content': (content || describeAttachment(message.attachment)).substring(0, 100) } }
+            );
+        }
+
+        await message.populate('sender', 'name email profilePicture');
+
+        const conversation = await Conversation.findById(message.conversationId).select('participants');
+        if (conversation && message.editedAt) {
+            emitMessageEvent(conversation, 'message:edited', message);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Message updated successfully',
+            data: formatMessage(message, userId)
         });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        let totalUnread = 0;
-        conversations.forEach(conv => {
-            if (userRole === 'member') {
-                totalUnread += conv.unreadCount.member || 0;
-            } else {
-                totalUnread += conv.unreadCount.instructor || 0;
+/**
+ * Get the edit history of a message (participants of the conversation)
+ */
+const getMessageHistory = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { messageId } = req.params;
+
+        const message = await Message.findOne({
+            _id: messageId,
+            isDeleted: false
+        }).select('+editHistory');
+
+        const isParticipant = message && await Conversation.exists({
+            _id: message.conversationId,
+            participants: userId
+        });
+
+        if (!isParticipant) {
+            return next(new ApiError('Message not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                _id: message._id,
+                content: message.content,
+                editedAt: message.editedAt,
+                history: message.editHistory
             }
         });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Announcement from an instructor to all current clients
+ * Sent as a message in each client's direct conversation (created if needed), all sharing one announcementId.
+ */
+const broadcastToClients = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const content = req.body.content;
+
+        const clientIds = await getClientIds(userId);
+        if (clientIds.length === 0) {
+            return next(new ApiError('You have no active clients to message', 400));
+        }
+
+        const sender = await User.findById(userId).select('name email profilePicture');
+        const announcementId = new mongoose.Types.ObjectId();
+
+        let delivered = 0;
+        for (const clientId of clientIds) {
+            try {
+                let conversation = await findOrCreateDirectConversation(clientId, userId);
+
+                const message = await Message.create({
+                    conversationId: conversation._id,
+                    sender: userId,
+                    content,
+                    announcementId
+                });
+
+                conversation = await conversation.recordMessage(userId, {
+                    content: content.substring(0, 100),
+                    sender: userId,
+                    createdAt: message.createdAt
+                }) || conversation;
+
+                message.sender = sender;
+                deliverMessage(conversation, formatMessage(message, userId), sender.name, content).catch(err => {
+                    logger.error(`Error delivering announcement ${announcementId} to ${clientId}: ${err.message}`);
+                });
+                delivered += 1;
+            } catch (error) {
+                // One client's conversation failing should not stop the others
+                logger.error(`Error sending announcement ${announcementId} to ${clientId}: ${error.message}`);
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Announcement sent to ${delivered} client(s)`,
+            data: {
+                announcementId,
+                recipients: delivered,
+                failed: clientIds.length - delivered
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get total unread message count for the user
+ */
+const getUnreadCount = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const totalUnread = await countTotalUnread(userId);
 
         res.status(200).json({
             success: true,
@@ -490,12 +856,11 @@ const getUnreadCount = async (req, res, next) => {
 };
 
 /**
- * Mark all messages in a conversation as read
+ * Mark messages in a conversation as read (all, or up to a message)
  */
 const markConversationAsRead = async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const userRole = req.user.role;
         const { conversationId } = req.params;
 
         const conversation = await Conversation.findOne({
@@ -507,30 +872,23 @@ const markConversationAsRead = async (req, res, next) => {
             return next(new ApiError('Conversation not found', 404));
         }
 
-        // Mark all messages as read
-        await Message.updateMany(
-            {
-                conversationId: conversationId,
-                sender: { $ne: userId },
-                isRead: false
-            },
-            {
-                isRead: true,
-                readAt: new Date()
+        // Read up to a message (the last one the app showed), or everything
+        let upTo = null;
+        if (req.body?.upTo) {
+            upTo = await Message.findOne({ _id: req.body.upTo, conversationId }).select('createdAt');
+            if (!upTo) {
+                return next(new ApiError('Message not found in this conversation', 404));
             }
-        );
-
-        // Reset unread count
-        if (userRole === 'member') {
-            conversation.unreadCount.member = 0;
-        } else {
-            conversation.unreadCount.instructor = 0;
         }
-        await conversation.save();
+
+        const unreadCount = await markMessagesRead(conversation, userId, upTo);
 
         res.status(200).json({
             success: true,
-            message: 'Conversation marked as read'
+            message: 'Conversation marked as read',
+            data: {
+                unreadCount
+            }
         });
     } catch (error) {
         next(error);
@@ -541,8 +899,12 @@ module.exports = {
     getOrCreateConversation,
     getConversations,
     getMessages,
+    syncMessages,
     sendMessage,
+    editMessage,
+    getMessageHistory,
     deleteMessage,
+    broadcastToClients,
     getUnreadCount,
     markConversationAsRead
 };
@@ -1,12 +1,16 @@
 const ApiError = require('../utils/ApiError');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const notificationService = require('../services/notification.service');
+const pushService = require('../services/push.service');
+const broadcastService = require('../services/broadcast.service');
+const PushDevice = require('../models/PushDevice');
 const logger = require('../utils/logger');
 
-// Admin: Create notification
+// Admin: Create notification (sent now, or at a future sentAt)
 const createNotification = async (req, res, next) => {
   try {
-    const { title, message, link, linkText, targetAudience, priority, isActive } = req.body;
+    const { title, message, link, linkText, targetAudience, priority, isActive, segment, sentAt, sendPush } = req.body;
 
     // Validate required fields
     if (!title || !message) {
@@ -21,8 +25,11 @@ const createNotification = async (req, res, next) => {
       return next(new ApiError(`Invalid target audience: ${invalidAudiences.join(', ')}`, 400));
     }
 
-    // Create notification
-    const notification = await Notification.create({
+    const sendAt = sentAt ? new Date(sentAt) : new Date();
+    const isScheduled = sendAt > new Date();
+
+    // Created as scheduled either way; the dispatch resolves recipients and pushes
+    let notification = await Notification.create({
       title,
       message,
       link: link || null,
@@ -30,19 +37,30 @@ const createNotification = async (req, res, next) => {
       targetAudience: audiences,
       priority: priority || 'medium',
       isActive: isActive !== undefined ? isActive : true,
+      segment: broadcastService.hasSegment(segment) ? segment : null,
+      isTargeted: broadcastService.hasSegment(segment),
+      sendPush: sendPush !== undefined ? sendPush : true,
+      sentAt: sendAt,
+      status: 'scheduled',
       createdBy: req.user.id
     });
 
-    logger.info('Notification created', {
+    if (!isScheduled) {
+      notification = await broadcastService.dispatchBroadcast(notification._id) || notification;
+    }
+
+    logger.info(isScheduled ? 'Notification scheduled' : 'Notification created', {
       notificationId: notification._id,
       title: notification.title,
       targetAudience: notification.targetAudience,
+      isTargeted: notification.isTargeted,
+      sentAt: notification.sentAt,
       createdBy: req.user.id
     });
 
     res.status(201).json({
       success: true,
-      message: 'Notification created successfully',
+      message: isScheduled ? 'Notification scheduled successfully' : 'Notification created successfully',
       data: { notification }
     });
   } catch (err) {
@@ -54,9 +72,14 @@ const createNotification = async (req, res, next) => {
 // Admin: Get all notifications
 const getAllNotifications = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, targetAudience, isActive } = req.query;
+    const { page = 1, limit = 20, targetAudience, isActive, status } = req.query;
     const filter = {};
 
+    if (status && Notification.BROADCAST_STATUSES.includes(status)) {
+      // Notifications created before scheduling existed have no status and were sent right away
+      filter.status = status === 'sent' ? { $in: ['sent', null] } : status;
+    }
+
     if (targetAudience) {
       filter.targetAudience = { $in: [targetAudience, 'all'] };
     }
@@ -119,7 +142,7 @@ const getNotificationById = async (req, res, next) => {
 const updateNotification = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, message, link, linkText, targetAudience, priority, isActive } = req.body;
+    const { title, message, link, linkText, targetAudience, priority, isActive, segment, sentAt, sendPush } = req.body;
 
     const notification = await Notification.findById(id);
 
@@ -127,6 +150,14 @@ const updateNotification = async (req, res, next) => {
       return next(new ApiError('Notification not found', 404));
     }
 
+    // Who gets it and when can only change before it is sent (the audience of an untargeted
+    // broadcast is just a visibility filter and can still change)
+    const changesDelivery = [segment, sentAt, sendPush].some(value => value !== undefined)
+      || (targetAudience !== undefined && notification.isTargeted);
+    if (changesDelivery && notification.status !== 'scheduled') {
+      return next(new ApiError('Audience, schedule and push can only be changed before the notification is sent', 400));
+    }
+
     // Update fields
     if (title !== undefined) notification.title = title;
     if (message !== undefined) notification.message = message;
@@ -138,6 +169,12 @@ const updateNotification = async (req, res, next) => {
     }
     if (priority !== undefined) notification.priority = priority;
     if (isActive !== undefined) notification.isActive = isActive;
+    if (segment !== undefined) {
+      notification.segment = broadcastService.hasSegment(segment) ? segment : null;
+      notification.isTargeted = broadcastService.hasSegment(segment);
+    }
+    if (sentAt !== undefined) notification.sentAt = new Date(sentAt);
+    if (sendPush !== undefined) notification.sendPush = sendPush;
 
     await notification.save();
 
@@ -157,6 +194,28 @@ const updateNotification = async (req, res, next) => {
   }
 };
 
+// Admin: Reach, read rate and push delivery of a notification
+const getNotificationStats = async (req, res, next) => {
+  try {
+    const stats = await broadcastService.getBroadcastStats(req.params.id);
+    res.json({ success: true, data: { stats } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: How many users an audience / segment would reach right now
+const previewNotificationAudience = async (req, res, next) => {
+  try {
+    const { targetAudience, segment } = req.body;
+    const audiences = Array.isArray(targetAudience) ? targetAudience : [targetAudience || 'all'];
+    const audience = await broadcastService.previewAudience({ targetAudience: audiences, segment });
+    res.json({ success: true, data: { audience } });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Admin: Delete notification
 const deleteNotification = async (req, res, next) => {
   try {
@@ -185,7 +244,7 @@ const deleteNotification = async (req, res, next) => {
   }
 };
 
-// User: Get my notifications
+// User: Get my notifications (admin broadcasts merged with personal notifications)
 const getMyNotifications = async (req, res, next) => {
   try {
     const { page = 1, limit = 20, unreadOnly } = req.query;
@@ -195,54 +254,15 @@ const getMyNotifications = async (req, res, next) => {
       return next(new ApiError('User not found', 404));
     }
 
-    // Build filter based on user role and target audience
-    const filter = {
-      isActive: true,
-      $or: [
-        { targetAudience: 'all' },
-        { targetAudience: user.role }
-      ]
-    };
-
-    // If unreadOnly, filter out read notifications
-    if (unreadOnly === 'true') {
-      filter['readBy.user'] = { $ne: req.user.id };
-    }
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const [notifications, total] = await Promise.all([
-      Notification.find(filter)
-        .populate('createdBy', 'name')
-        .sort({ sentAt: -1, createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Notification.countDocuments(filter)
-    ]);
-
-    // Mark which notifications are read
-    const notificationsWithReadStatus = notifications.map(notif => {
-      const isRead = notif.readBy.some(
-        read => read.user && read.user.toString() === req.user.id.toString()
-      );
-      return {
-        ...notif,
-        isRead,
-        readAt: isRead ? notif.readBy.find(
-          read => read.user && read.user.toString() === req.user.id.toString()
-        )?.readAt : null
-      };
+    const inbox = await notificationService.getInbox(user, {
+      page,
+      limit,
+      unreadOnly: unreadOnly === 'true'
     });
 
     res.json({
       success: true,
-      data: {
-        items: notificationsWithReadStatus,
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      data: inbox
     });
   } catch (err) {
     logger.error('Error getting user notifications:', err);
@@ -250,28 +270,20 @@ const getMyNotifications = async (req, res, next) => {
   }
 };
 
-// User: Mark notification as read
+// User: Mark notification as read (personal or broadcast)
 const markAsRead = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const user = await User.findById(req.user.id);
 
-    const notification = await Notification.findById(id);
-
-    if (!notification) {
-      return next(new ApiError('Notification not found', 404));
+    if (!user) {
+      return next(new ApiError('User not found', 404));
     }
 
-    // Check if already read
-    const alreadyRead = notification.readBy.some(
-      read => read.user && read.user.toString() === req.user.id.toString()
-    );
+    const notification = await notificationService.markRead(user, id);
 
-    if (!alreadyRead) {
-      notification.readBy.push({
-        user: req.user.id,
-        readAt: new Date()
-      });
-      await notification.save();
+    if (!notification) {
+      return next(new ApiError('Notification not found', 404));
     }
 
     res.json({
@@ -294,33 +306,12 @@ const markAllAsRead = async (req, res, next) => {
       return next(new ApiError('User not found', 404));
     }
 
-    // Find all unread notifications for this user
-    const filter = {
-      isActive: true,
-      $or: [
-        { targetAudience: 'all' },
-        { targetAudience: user.role }
-      ],
-      'readBy.user': { $ne: req.user.id }
-    };
-
-    const notifications = await Notification.find(filter);
-
-    // Mark each as read
-    const updatePromises = notifications.map(notif => {
-      notif.readBy.push({
-        user: req.user.id,
-        readAt: new Date()
-      });
-      return notif.save();
-    });
-
-    await Promise.all(updatePromises);
+    const count = await notificationService.markAllRead(user);
 
     res.json({
       success: true,
       message: 'All notifications marked as read',
-      data: { count: notifications.length }
+      data: { count }
     });
   } catch (err) {
     logger.error('Error marking all notifications as read:', err);
@@ -328,7 +319,7 @@ const markAllAsRead = async (req, res, next) => {
   }
 };
 
-// User: Get unread notification count
+// User: Get unread notification count (broadcasts + personal)
 const getUnreadCount = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
@@ -337,20 +328,11 @@ const getUnreadCount = async (req, res, next) => {
       return next(new ApiError('User not found', 404));
     }
 
-    const filter = {
-      isActive: true,
-      $or: [
-        { targetAudience: 'all' },
-        { targetAudience: user.role }
-      ],
-      'readBy.user': { $ne: req.user.id }
-    };
-
-    const count = await Notification.countDocuments(filter);
+    const counts = await notificationService.getUnreadCounts(user);
 
     res.json({
       success: true,
-      data: { unreadCount: count }
+      data: counts
     });
   } catch (err) {
     logger.error('Error getting unread count:', err);
@@ -358,27 +340,30 @@ const getUnreadCount = async (req, res, next) => {
   }
 };
 
-// User: Register push token
+// User: Register push token of the device the app runs on (called on every launch / login)
 const registerPushToken = async (req, res, next) => {
   try {
-    const { token } = req.body;
+    const { token, platform, appVersion, deviceName } = req.body;
 
     if (!token) {
       return next(new ApiError('Push token is required', 400));
     }
 
     // Validate Expo push token format
-    if (!token.startsWith('ExponentPushToken[') && !token.startsWith('ExpoPushToken[')) {
+    if (!pushService.isExpoPushToken(token)) {
       return next(new ApiError('Invalid Expo push token format', 400));
     }
 
-    await User.findByIdAndUpdate(req.user.id, { expoPushToken: token });
+    if (platform && !PushDevice.PLATFORMS.includes(platform)) {
+      return next(new ApiError(`Invalid platform. Use one of: ${PushDevice.PLATFORMS.join(', ')}`, 400));
+    }
 
-    logger.info('Push token registered', { userId: req.user.id });
+    const device = await pushService.registerDevice(req.user.id, { token, platform, appVersion, deviceName });
 
     res.json({
       success: true,
-      message: 'Push token registered successfully'
+      message: 'Push token registered successfully',
+      data: { device }
     });
   } catch (err) {
     logger.error('Error registering push token:', err);
@@ -386,16 +371,39 @@ const registerPushToken = async (req, res, next) => {
   }
 };
 
-// User: Remove push token (for logout)
+// User: Devices that receive the user's push notifications
+const getMyDevices = async (req, res, next) => {
+  try {
+    const devices = await pushService.listDevices(req.user.id);
+    res.json({ success: true, data: { devices } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// User: Remove push token of this device (for logout)
 const removePushToken = async (req, res, next) => {
   try {
-    await User.findByIdAndUpdate(req.user.id, { expoPushToken: null });
+    const token = req.body?.token || req.query.token;
 
-    logger.info('Push token removed', { userId: req.user.id });
+    // Deprecated: app builds without device registration log out without a token. Only their
+    // own (legacy) devices are removed, so logging out never silences the user's other devices.
+    if (!token) {
+      logger.warn(`Deprecated DELETE /push-token without a token from user ${req.user.id}; removing legacy devices only`);
+      const removed = await pushService.unregisterLegacyDevices(req.user.id);
+      return res.json({
+        success: true,
+        message: 'Push token removed successfully',
+        data: { removed }
+      });
+    }
+
+    const removed = await pushService.unregisterDevice(req.user.id, token);
 
     res.json({
       success: true,
-      message: 'Push token removed successfully'
+      message: 'Push token removed successfully',
+      data: { removed }
     });
   } catch (err) {
     logger.error('Error removing push token:', err);
@@ -403,6 +411,22 @@ const removePushToken = async (req, res, next) => {
   }
 };
 
+// User: Remove all of the user's devices (log out everywhere)
+const removeAllPushDevices = async (req, res, next) => {
+  try {
+    const removed = await pushService.unregisterAllDevices(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'All push devices removed successfully',
+      data: { removed }
+    });
+  } catch (err) {
+    logger.error('Error removing push devices:', err);
+    next(err);
+  }
+};
+
 module.exports = {
   // Admin endpoints
   createNotification,
@@ -410,12 +434,16 @@ module.exports = {
   getNotificationById,
   updateNotification,
   deleteNotification,
+  getNotificationStats,
+  previewNotificationAudience,
   // User endpoints
   getMyNotifications,
   markAsRead,
   markAllAsRead,
   getUnreadCount,
   registerPushToken,
-  removePushToken
+  removePushToken,
+  removeAllPushDevices,
+  getMyDevices
 };
 
@@ -1,64 +1,31 @@
 const ApiError = require('../utils/ApiError');
 const Payment = require('../models/Payment');
 const SavedCard = require('../models/SavedCard');
+const LedgerEntry = require('../models/LedgerEntry');
 const config = require('../config/environment');
-const payhereService = require('../services/payhere.service');
+const paymentGateway = require('../services/paymentGateway.service');
+const mockGateway = require('../services/mockGateway.service');
+const promoCodeService = require('../services/promoCode.service');
+const membershipPlanService = require('../services/membershipPlan.service');
+const membershipRenewalService = require('../services/membershipRenewal.service');
+const { fulfilPayment } = require('../services/paymentFulfilment.service');
+const refundService = require('../services/refund.service');
+const manualPaymentService = require('../services/manualPayment.service');
+const invoiceService = require('../services/invoice.service');
+const paymentReconciliationService = require('../services/paymentReconciliation.service');
+const instructorPayoutService = require('../services/instructorPayout.service');
 const User = require('../models/User');
-const { sendPaymentReceiptEmail } = require('../services/email.service');
 const logger = require('../utils/logger');
 
-/**
- * Helper function to send payment receipt email
- */
-const sendPaymentReceipt = async (payment) => {
-  try {
-    // Populate user details
-    await payment.populate('userId', 'name email');
-    const user = payment.userId;
-
-    if (!user || !user.email) {
-      logger.warn(`Cannot send receipt: User or email not found for payment ${payment._id}`);
-      return;
-    }
-
-    let instructorName = null;
-
-    // If this is a subscription payment, get instructor name
-    if (payment.instructorId) {
-      const Instructor = require('../models/Instructor');
-      const instructor = await Instructor.findOne({ userId: payment.instructorId }).populate('userId', 'name');
-      instructorName = instructor?.userId?.name || null;
-    }
-
-    await sendPaymentReceiptEmail(user.email, user.name, {
-      orderId: payment.payhereOrderId,
-      paymentId: payment.payherePaymentId,
-      amount: payment.amount,
-      currency: payment.currency,
-      description: payment.description,
-      transactionDate: payment.transactionDate || payment.createdAt,
-      instructorName: instructorName
-    });
-
-    logger.info(`Payment receipt email sent to ${user.email} for payment ${payment._id}`);
-  } catch (emailError) {
-    // Log error but don't throw - payment is already completed
-    logger.error(`Failed to send payment receipt email for payment ${payment._id}:`, emailError);
-  }
-};
-
 // Create payment intent (PayHere initialization)
 const createPaymentIntent = async (req, res, next) => {
   try {
     const { amount, currency = 'LKR', instructorId, description, metadata } = req.body;
 
-    if (!config.PAYHERE_MERCHANT_ID || !config.PAYHERE_MERCHANT_SECRET) {
-      logger.error('PayHere configuration missing:', {
-        hasMerchantId: !!config.PAYHERE_MERCHANT_ID,
-        hasMerchantSecret: !!config.PAYHERE_MERCHANT_SECRET,
-        sandbox: config.PAYHERE_SANDBOX
-      });
-      return next(new ApiError('PayHere not configured. Please check your .env file for PAYHERE_MERCHANT_ID and PAYHERE_MERCHANT_SECRET', 500));
+    const gateway = paymentGateway.getActiveGateway();
+    if (!gateway.isConfigured()) {
+      logger.error(`Payment gateway "${gateway.name}" is not configured`);
+      return next(new ApiError(`Payment gateway "${gateway.name}" is not configured. Please check your .env file`, 500));
     }
 
     // Get user details
@@ -97,13 +64,13 @@ const createPaymentIntent = async (req, res, next) => {
       amount: amount,
       currency: currency,
       status: 'pending',
-      paymentMethod: 'payhere',
+      paymentMethod: gateway.name,
       payhereOrderId: orderId,
       description: description || 'Payment',
       metadata: metadata || {}
     });
 
-    // Initialize PayHere payment
+    // Initialize the checkout with the configured gateway
     // PayHere requires HTTPS URLs for return/cancel (sandbox accepts HTTP but production requires HTTPS)
     // For mobile apps, payment status is updated via webhook
     // App will check payment status when user returns
@@ -111,7 +78,7 @@ const createPaymentIntent = async (req, res, next) => {
     const backendUrl = config.BACKEND_URL || `http://localhost:${config.PORT}`;
 
     // Log payment initialization details (without sensitive data)
-    logger.info('Initializing PayHere payment (createPaymentIntent):', {
+    logger.info(`Initializing ${gateway.name} payment (createPaymentIntent):`, {
       orderId,
       amount,
       currency,
@@ -120,7 +87,7 @@ const createPaymentIntent = async (req, res, next) => {
       hasPhone: !!user.phone
     });
 
-    const paymentData = await payhereService.initializePayment({
+    const paymentData = await gateway.initializePayment({
       orderId: orderId,
       amount: amount,
       currency: currency,
@@ -133,7 +100,7 @@ const createPaymentIntent = async (req, res, next) => {
       country: 'Sri Lanka',
       returnUrl: `${backendUrl}/payment/return?paymentId=${payment._id}`,
       cancelUrl: `${backendUrl}/payment/cancel?paymentId=${payment._id}`,
-      notifyUrl: `${backendUrl}/api/v1/payments/payhere-notify`
+      notifyUrl: `${backendUrl}${gateway.notifyPath}`
     });
 
     res.status(201).json({
@@ -179,18 +146,10 @@ const confirmPayment = async (req, res, next) => {
 
 const getPaymentHistory = async (req, res, next) => {
   try {
-    // Clean up old pending payments (older than 1 hour) for this user
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    await Payment.deleteMany({ 
-      userId: req.user.id, 
-      status: 'pending', 
-      createdAt: { $lt: oneHourAgo } 
-    });
-    
-    // Exclude pending payments from history - only show completed, failed, or refunded
-    const items = await Payment.find({ 
+    // Only show settled payments - pending, cancelled and expired checkouts are left out
+    const items = await Payment.find({
       userId: req.user.id,
-      status: { $ne: 'pending' }
+      status: { $in: ['completed', 'failed', 'refunded'] }
     }).sort({ createdAt: -1 });
     res.json({ success: true, data: { items } });
   } catch (err) {
@@ -198,14 +157,33 @@ const getPaymentHistory = async (req, res, next) => {
   }
 };
 
+// Instructor: subscription payments with the commission split from the ledger
 const getInstructorEarnings = async (req, res, next) => {
   try {
-    const items = await Payment.find({ instructorId: req.user.id, status: 'completed' })
+    const items = await Payment.find({ instructorId: req.user.id, status: { $in: ['completed', 'refunded'] } })
       .populate('userId', 'name email')
       .sort({ createdAt: -1 })
       .lean();
-    const total = items.reduce((sum, p) => sum + (p.amount || 0), 0);
-    res.json({ success: true, data: { items, total } });
+
+    const entries = await LedgerEntry.find({ instructorId: req.user.id }).lean();
+    const byPayment = new Map();
+    entries.forEach(entry => {
+      const key = entry.paymentId.toString();
+      const split = byPayment.get(key) || { commissionAmount: 0, instructorAmount: 0 };
+      split.commissionAmount += entry.commissionAmount;
+      split.instructorAmount += entry.instructorAmount;
+      byPayment.set(key, split);
+    });
+    items.forEach(item => {
+      item.split = byPayment.get(item._id.toString()) || null;
+    });
+
+    const total = items.reduce((sum, p) => sum + (p.amount || 0) - (p.refundedAmount || 0), 0);
+    const commission = Math.round(entries.reduce((sum, e) => sum + e.commissionAmount, 0) * 100) / 100;
+    const net = Math.round(entries.reduce((sum, e) => sum + e.instructorAmount, 0) * 100) / 100;
+    const balance = await instructorPayoutService.getBalance(req.user.id);
+
+    res.json({ success: true, data: { items, total, commission, net, balance } });
   } catch (err) {
     next(err);
   }
@@ -255,7 +233,7 @@ const handlePayHereWebhook = async (req, res, next) => {
     logger.info('Parsed webhook body:', JSON.stringify(body, null, 2));
 
     // Verify payment notification
-    const verification = payhereService.verifyPayment(body);
+    const verification = paymentGateway.getGateway('payhere').verifyNotification(body);
 
     logger.info('Verification result:', JSON.stringify(verification, null, 2));
 
@@ -264,174 +242,253 @@ const handlePayHereWebhook = async (req, res, next) => {
       return next(new ApiError(`Webhook verification failed: ${verification.error}`, 400));
     }
 
-    // Find payment by order ID
-    const payment = await Payment.findOne({ payhereOrderId: verification.orderId });
+    // Pre-approval (auto-renew card authorisation) has no payment record
+    if (membershipRenewalService.isPreapprovalOrder(verification.orderId)) {
+      await membershipRenewalService.handlePreapprovalNotification(verification);
+      return res.json({ received: true });
+    }
 
-    logger.info('Payment lookup result:', payment ? `Found payment ${payment._id}` : 'Payment NOT FOUND');
+    // Return success response to PayHere
+    res.json(await applyNotification(verification, 'webhook'));
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (!payment) {
-      logger.warn('Payment not found for order:', verification.orderId);
-      return res.json({ received: true, message: 'Payment not found' });
-    }
-
-    // Update payment status
-    if (verification.success) {
-      logger.info('✅ Payment SUCCESS - Updating payment status to completed');
-      payment.status = 'completed';
-      payment.payherePaymentId = verification.paymentId;
-      payment.transactionDate = new Date();
-      await payment.save();
-      logger.info('✅ Payment updated successfully:', payment._id);
-
-      // If this is a membership payment, create/activate membership (same pattern as subscriptions)
-      if (payment.metadata && payment.metadata.type === 'membership') {
-        try {
-          const Membership = require('../models/Membership');
-          const { planId, planName, durationDays, startDate, endDate } = payment.metadata;
-
-          // Check if membership already exists for this payment
-          const existingMembership = await Membership.findOne({ paymentId: payment._id });
-
-          if (!existingMembership) {
-            // Check if user has an active membership - if so, extend it from the end date
-            // Otherwise, use the start date from metadata (or current date)
-            const activeMembership = await Membership.findOne({
-              userId: payment.userId,
-              status: 'active',
-              endDate: { $gt: new Date() }
-            }).sort({ endDate: -1 });
-
-            let membershipStartDate = startDate ? new Date(startDate) : new Date();
-            let membershipEndDate = endDate ? new Date(endDate) : new Date();
-
-            // If user has active membership, extend from its end date
-            if (activeMembership && activeMembership.endDate > new Date()) {
-              membershipStartDate = new Date(activeMembership.endDate);
-              membershipStartDate.setDate(membershipStartDate.getDate() + 1); // Start day after expiration
-              membershipEndDate = new Date(membershipStartDate);
-              membershipEndDate.setDate(membershipEndDate.getDate() + durationDays);
-
-              // Update existing membership to link with new payment (optional - for history)
-              logger.info(`Extending membership for user ${payment.userId} from existing membership`);
-            }
-
-            // Create new membership
-            const newMembership = await Membership.create({
-              userId: payment.userId,
-              planId: planId,
-              planName: planName,
-              durationDays: durationDays,
-              amount: payment.amount,
-              currency: payment.currency,
-              startDate: membershipStartDate,
-              endDate: membershipEndDate,
-              status: 'active',
-              paymentId: payment._id,
-              autoRenew: false,
-            });
-
-            logger.info(`Membership created/activated for payment ${payment._id}`, {
-              membershipId: newMembership._id,
-              userId: payment.userId,
-              startDate: membershipStartDate,
-              endDate: membershipEndDate
-            });
-          } else {
-            // Membership already exists for this payment - reactivate if needed
-            if (existingMembership.status !== 'active') {
-              existingMembership.status = 'active';
-              await existingMembership.save();
-              logger.info(`Membership reactivated for payment ${payment._id}`);
-            }
-          }
-        } catch (membershipError) {
-          // Log error but don't fail the webhook
-          logger.error(`Failed to create/activate membership for payment ${payment._id}:`, {
-            error: membershipError.message,
-            stack: membershipError.stack,
-            userId: payment.userId
-          });
-        }
-      }
+// Helper: fulfil or fail the payment a verified gateway notification is about
+const applyNotification = async (verification, source) => {
+  const payment = await Payment.findOne({ payhereOrderId: verification.orderId });
 
-      // If this is a subscription payment, create/activate subscription
-      if (payment.metadata && payment.metadata.type === 'subscription' && payment.instructorId) {
-        try {
-          const Subscription = require('../models/Subscription');
-
-          // Check if subscription already exists for this payment
-          const existingSubscription = await Subscription.findOne({ paymentId: payment._id });
-
-          if (!existingSubscription) {
-            // Check if user already has an active subscription to this instructor
-            const activeSubscription = await Subscription.findOne({
-              memberId: payment.userId,
-              instructorId: payment.instructorId,
-              status: 'active'
-            });
-
-            if (activeSubscription) {
-              // Reactivate existing subscription with new payment
-              activeSubscription.status = 'active';
-              activeSubscription.subscribedAt = new Date();
-              activeSubscription.cancelledAt = null;
-              activeSubscription.paymentId = payment._id;
-              await activeSubscription.save();
-              logger.info(`Subscription reactivated for payment ${payment._id}`);
-            } else {
-              // Create new subscription
-              await Subscription.create({
-                memberId: payment.userId,
-                instructorId: payment.instructorId,
-                status: 'active',
-                paymentId: payment._id,
-                subscribedAt: new Date()
-              });
-              logger.info(`Subscription created for payment ${payment._id}`);
-            }
-          }
-        } catch (subscriptionError) {
-          // Log error but don't fail the webhook
-          logger.error(`Failed to create subscription for payment ${payment._id}:`, subscriptionError);
-        }
-      }
+  logger.info('Payment lookup result:', payment ? `Found payment ${payment._id}` : 'Payment NOT FOUND');
+
+  if (!payment) {
+    logger.warn('Payment not found for order:', verification.orderId);
+    return { received: true, message: 'Payment not found' };
+  }
 
-      // Send payment receipt email
-      await sendPaymentReceipt(payment);
+  if (verification.success) {
+    logger.info('✅ Payment SUCCESS - Fulfilling payment');
+    const gatewayResult = {
+      gatewayStatus: String(verification.statusCode),
+      amount: verification.amount,
+      currency: verification.currency
+    };
+    // Same check as reconciliation: a different amount is left to an admin
+    if (await paymentReconciliationService.recordAmountMismatch(payment, gatewayResult)) {
+      logger.warn(`Payment ${payment._id} not fulfilled: the gateway captured ${verification.amount} instead of ${payment.amount}`);
+      return { received: true };
+    }
+    // A late success for a cancelled or expired checkout: the member paid, so honour it
+    await paymentReconciliationService.reopenLatePayment(payment, gatewayResult);
+    const result = await fulfilPayment(payment._id, {
+      payherePaymentId: verification.paymentId,
+      source
+    });
+    if (result.alreadyFulfilled) {
+      logger.info('✅ Payment was already fulfilled:', payment._id);
+    } else if (result.payment?.fulfilledAt) {
+      logger.info('✅ Payment fulfilled:', payment._id);
     } else {
-      payment.status = 'failed';
-      await payment.save();
+      logger.warn(`Payment ${payment._id} was not fulfilled: it is ${result.payment?.status || 'missing'}`);
     }
+  } else if (payment.status === 'pending') {
+    payment.status = 'failed';
+    await payment.save();
+  }
 
-    // Return success response to PayHere
-    res.json({ received: true });
+  return { received: true };
+};
+
+// Mock gateway notification (PAYMENT_GATEWAY=mock only)
+const handleMockWebhook = async (req, res, next) => {
+  try {
+    if (paymentGateway.getActiveGateway().name !== 'mock') {
+      return next(new ApiError('Not found', 404));
+    }
+
+    const verification = mockGateway.verifyNotification(req.body);
+    if (!verification.valid) {
+      return next(new ApiError(`Webhook verification failed: ${verification.error}`, 400));
+    }
+
+    res.json(await applyNotification(verification, 'mock-webhook'));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Offline checkout page of the mock gateway; `outcome` completes it
+const mockCheckout = async (req, res, next) => {
+  try {
+    if (paymentGateway.getActiveGateway().name !== 'mock') {
+      return next(new ApiError('Not found', 404));
+    }
+
+    const { outcome, ...params } = { ...req.query, ...req.body };
+    if (!mockGateway.verifyCheckoutParams(params)) {
+      return next(new ApiError('Invalid or tampered checkout parameters', 400));
+    }
+
+    if (!outcome) {
+      return res.type('html').send(mockGateway.renderCheckoutPage(params));
+    }
+
+    if (!mockGateway.OUTCOMES.includes(outcome)) {
+      return next(new ApiError(`outcome must be one of: ${mockGateway.OUTCOMES.join(', ')}`, 400));
+    }
+
+    const result = mockGateway.completeCheckout(params, outcome);
+    if (result.redirectUrl) {
+      return res.redirect(result.redirectUrl);
+    }
+    res.status(402).type('html').send(`<h2>${result.message}</h2><p>You can close this page and return to the app.</p>`);
   } catch (err) {
     next(err);
   }
 };
 
+// Admin: refund a payment in full or in part (PayHere API, or `manual` for money returned elsewhere)
 const refundPayment = async (req, res, next) => {
   try {
     const { paymentId } = req.params;
+    const { amount, reason, manual } = req.body;
     const payment = await Payment.findById(paymentId);
 
     if (!payment) {
       return next(new ApiError('Payment not found', 404));
     }
 
-    if (payment.status !== 'completed') {
-      return next(new ApiError('Only completed payments can be refunded', 400));
+    const result = await refundService.issueRefund({
+      payment,
+      amount,
+      reason,
+      manual,
+      issuedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: result.payment.status === 'refunded' ? 'Payment refunded in full' : 'Partial refund issued',
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: record a cash or bank-transfer payment taken at the front desk and activate it
+const recordManualPayment = async (req, res, next) => {
+  try {
+    const { userId, type, planId, instructorId, method, reference, promoCode, notes } = req.body;
+
+    const result = await manualPaymentService.recordManualPayment({
+      recordedBy: req.user.id,
+      userId,
+      type,
+      planId,
+      instructorId,
+      method,
+      reference,
+      promoCode,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payment recorded with receipt ${result.payment.receiptNumber}`,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: front-desk takings for a day (defaults to today), grouped by the admin who recorded them
+const getCashDrawerReport = async (req, res, next) => {
+  try {
+    let day = new Date();
+    if (req.query.date) {
+      const [year, month, date] = req.query.date.slice(0, 10).split('-').map(Number);
+      day = new Date(year, month - 1, date);
     }
 
-    // PayHere refunds are typically handled through their merchant portal
-    // For now, we'll just mark it as refunded in our system
-    payment.status = 'refunded';
-    await payment.save();
+    const report = await manualPaymentService.getCashDrawerReport(day);
+    res.json({ success: true, data: report });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: problems found while reconciling payments with the gateway
+const getPaymentExceptions = async (req, res, next) => {
+  try {
+    const { status, type, page, limit } = req.query;
+    const report = await paymentReconciliationService.getExceptionReport({ status, type, page, limit });
+    res.json({ success: true, data: report });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: close a reconciliation exception
+const resolvePaymentException = async (req, res, next) => {
+  try {
+    const exception = await paymentReconciliationService.resolveException(req.params.exceptionId, req.user.id, req.body.note);
+    if (!exception) throw new ApiError('Open exception not found', 404);
+
+    res.json({ success: true, message: 'Exception resolved', data: exception });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: run payment reconciliation now instead of waiting for the scheduler
+const runPaymentReconciliation = async (req, res, next) => {
+  try {
+    const summary = await paymentReconciliationService.reconcilePendingPayments();
+    res.json({ success: true, data: summary });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Download the PDF invoice for a payment (owner or admin)
+const getInvoicePdf = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId);
+
+    if (!payment || (req.user.role !== 'admin' && payment.userId.toString() !== req.user.id.toString())) {
+      return next(new ApiError('Payment not found', 404));
+    }
+
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      return next(new ApiError('Invoices are only available for completed payments', 400));
+    }
+
+    const pdf = await invoiceService.generateInvoicePdf(payment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="invoice-${payment.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: refund history of a payment
+const getPaymentRefunds = async (req, res, next) => {
+  try {
+    const Refund = require('../models/Refund');
+    const refunds = await Refund.find({ paymentId: req.params.paymentId })
+      .populate('issuedBy', 'name email')
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      message: 'Payment marked as refunded. Please process refund through PayHere merchant portal.',
-      data: { payment }
+      data: { refunds }
     });
   } catch (err) {
     next(err);
@@ -441,10 +498,11 @@ const refundPayment = async (req, res, next) => {
 // Create subscription payment with PayHere
 const createSubscriptionPayment = async (req, res, next) => {
   try {
-    const { instructorId, amount, currency = 'LKR', description } = req.body;
+    const { instructorId, amount, currency = 'LKR', description, promoCode } = req.body;
 
-    if (!config.PAYHERE_MERCHANT_ID || !config.PAYHERE_MERCHANT_SECRET) {
-      return next(new ApiError('PayHere not configured', 500));
+    const gateway = paymentGateway.getActiveGateway();
+    if (!gateway.isConfigured()) {
+      return next(new ApiError(`Payment gateway "${gateway.name}" is not configured`, 500));
     }
 
     if (!instructorId) {
@@ -494,6 +552,18 @@ const createSubscriptionPayment = async (req, res, next) => {
       return next(new ApiError('Invalid email address format. Please ensure your email address is valid.', 400));
     }
 
+    // Apply the promo code, if any (throws with the reason it cannot be used)
+    const promo = promoCode
+      ? await promoCodeService.applyPromoCode({
+        code: promoCode,
+        userId: req.user.id,
+        type: 'subscription',
+        amount: Number(amount),
+        instructorId
+      })
+      : null;
+    const chargeAmount = promo ? promo.finalAmount : amount;
+
     // Generate unique order ID (PayHere requires unique order IDs)
     const orderId = `SUB_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -505,19 +575,21 @@ const createSubscriptionPayment = async (req, res, next) => {
     const payment = await Payment.create({
       userId: req.user.id,
       instructorId: instructorId,
-      amount: amount,
+      amount: chargeAmount,
       currency: currency,
       status: 'pending',
-      paymentMethod: 'payhere',
+      paymentMethod: gateway.name,
       payhereOrderId: orderId,
       description: paymentDescription,
       metadata: {
         type: 'subscription',
-        instructorId: instructorId
+        instructorId: instructorId,
+        ...(promo ? promoCodeService.toPaymentMetadata(promo, Number(amount)) : {})
       }
     });
+    await promoCodeService.reservePromoUse(payment);
 
-    // Initialize PayHere payment
+    // Initialize the checkout with the configured gateway
     // PayHere requires HTTPS URLs for return/cancel (sandbox accepts HTTP but production requires HTTPS)
     // For mobile apps, payment status is updated via webhook
     // App will check payment status when user returns
@@ -525,18 +597,18 @@ const createSubscriptionPayment = async (req, res, next) => {
     const backendUrl = config.BACKEND_URL || `http://localhost:${config.PORT}`;
 
     // Log payment initialization details (without sensitive data)
-    logger.info('Initializing PayHere payment:', {
+    logger.info(`Initializing ${gateway.name} payment:`, {
       orderId,
-      amount,
+      amount: chargeAmount,
       currency,
       userId: user._id,
       email: userEmail.substring(0, 5) + '...', // Log partial email for debugging
       hasPhone: !!user.phone
     });
 
-    const paymentData = await payhereService.initializePayment({
+    const paymentData = await gateway.initializePayment({
       orderId: orderId,
-      amount: amount,
+      amount: chargeAmount,
       currency: currency,
       items: paymentDescription,
       customerName: user.name || 'Customer',
@@ -547,7 +619,7 @@ const createSubscriptionPayment = async (req, res, next) => {
       country: 'Sri Lanka',
       returnUrl: `${backendUrl}/payment/return?paymentId=${payment._id}`,
       cancelUrl: `${backendUrl}/payment/cancel?paymentId=${payment._id}`,
-      notifyUrl: `${backendUrl}/api/v1/payments/payhere-notify`
+      notifyUrl: `${backendUrl}${gateway.notifyPath}`
     });
 
     res.status(201).json({
@@ -564,6 +636,68 @@ const createSubscriptionPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Price a purchase before the PayHere session is created.
+ * Body: { type: 'membership', planId, promoCode? } or { type: 'subscription', instructorId, amount, promoCode? }
+ */
+const getPaymentQuote = async (req, res, next) => {
+  try {
+    const { type, planId, instructorId, promoCode } = req.body;
+
+    let originalAmount;
+    let currency = req.body.currency || 'LKR';
+    let description;
+
+    if (type === 'membership') {
+      const plan = await membershipPlanService.getActivePlan(planId);
+      if (!plan) return next(new ApiError('Invalid membership plan', 400));
+
+      const user = await User.findById(req.user.id).select('gender dateOfBirth');
+      originalAmount = Number(plan.getPriceFor(user).price);
+      currency = plan.currency || 'LKR';
+      description = `${plan.name} Membership`;
+    } else {
+      const Instructor = require('../models/Instructor');
+      const instructor = await Instructor.findOne({ userId: instructorId }).populate('userId', 'name');
+      if (!instructor) return next(new ApiError('Instructor not found', 404));
+
+      originalAmount = Number(req.body.amount);
+      description = `Monthly subscription to ${instructor.userId?.name || 'Instructor'}`;
+    }
+
+    const promo = promoCode
+      ? await promoCodeService.applyPromoCode({
+        code: promoCode,
+        userId: req.user.id,
+        type,
+        amount: originalAmount,
+        planCode: planId,
+        instructorId
+      })
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        description,
+        currency,
+        originalAmount,
+        discount: promo ? promo.discount : 0,
+        finalAmount: promo ? promo.finalAmount : originalAmount,
+        promoCode: promo ? {
+          code: promo.promo.code,
+          description: promo.promo.description,
+          discountType: promo.promo.discountType,
+          discountValue: promo.promo.discountValue
+        } : null
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Complete subscription payment (verify after redirect)
 const completeSubscriptionPayment = async (req, res, next) => {
   try {
@@ -658,12 +792,18 @@ const markPaymentComplete = async (req, res, next) => {
     // Return current payment status - DO NOT automatically mark as complete
     // Only the PayHere webhook or return URL handler should complete payments
 
-    // If payment is already completed, return success
+    // If payment is already completed, make sure its membership/subscription was activated
+    // (no-op when the webhook or return URL already did it) and return success
     if (payment.status === 'completed') {
+      const fulfilment = await fulfilPayment(payment._id, { source: 'status-check' });
       return res.json({
         success: true,
         message: 'Payment completed',
-        data: { payment }
+        data: {
+          payment: fulfilment.payment || payment,
+          membership: fulfilment.membership,
+          subscription: fulfilment.subscription
+        }
       });
     }
 
@@ -694,8 +834,18 @@ module.exports = {
   getPaymentHistory,
   getInstructorEarnings,
   handlePayHereWebhook,
+  handleMockWebhook,
+  mockCheckout,
   refundPayment,
+  getPaymentRefunds,
+  getInvoicePdf,
+  recordManualPayment,
+  getCashDrawerReport,
+  getPaymentExceptions,
+  resolvePaymentException,
+  runPaymentReconciliation,
   createSubscriptionPayment,
+  getPaymentQuote,
   completeSubscriptionPayment,
   saveCard,
   getSavedCards,
@@ -0,0 +1,162 @@
+const ApiError = require('../utils/ApiError');
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const Instructor = require('../models/Instructor');
+const instructorPayoutService = require('../services/instructorPayout.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Instructor: ledger statement for a date range (defaults to the current month)
+const getMyStatement = async (req, res, next) => {
+  try {
+    const statement = await instructorPayoutService.getStatement(req.user._id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ success: true, data: statement });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Instructor: own payout batches
+const getMyPayouts = async (req, res, next) => {
+  try {
+    const items = await Payout.find({ instructorId: req.user._id }).sort({ periodStart: -1 }).lean();
+    const balance = await instructorPayoutService.getBalance(req.user._id);
+    res.json({ success: true, data: { items, balance } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: list payouts
+const getPayouts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, period, instructorId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (period) filter.period = period;
+    if (instructorId) filter.instructorId = instructorId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [items, total] = await Promise.all([
+      Payout.find(filter)
+        .populate('instructorId', 'name email phone')
+        .sort({ periodStart: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payout.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { items, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: a payout with the ledger entries it covers
+const getPayoutById = async (req, res, next) => {
+  try {
+    const payout = await Payout.findById(req.params.id).populate('instructorId', 'name email phone');
+    if (!payout) {
+      return next(new ApiError('Payout not found', 404));
+    }
+
+    const entries = await LedgerEntry.find({ payoutId: payout._id })
+      .populate('memberId', 'name email')
+      .sort({ entryDate: 1 })
+      .lean();
+
+    res.json({ success: true, data: { payout, entries } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: generate payouts for a month (defaults to the previous one)
+const generatePayouts = async (req, res, next) => {
+  try {
+    const result = await instructorPayoutService.generateMonthlyPayouts(req.body.period || undefined);
+    logger.info(`Payout generation for ${result.period} run by admin ${req.user.id}`, result);
+    res.json({ success: true, message: `${result.created} payout(s) generated for ${result.period}`, data: result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: approve a pending payout
+const approvePayout = async (req, res, next) => {
+  try {
+    const payout = await instructorPayoutService.approvePayout(req.params.id, req.user.id);
+    res.json({ success: true, message: 'Payout approved', data: payout });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: record that an approved payout has been paid
+const markPayoutPaid = async (req, res, next) => {
+  try {
+    const payout = await instructorPayoutService.markPayoutPaid(req.params.id, req.user.id, {
+      paymentReference: req.body.paymentReference,
+      notes: req.body.notes
+    });
+    res.json({ success: true, message: 'Payout marked as paid', data: payout });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: payments vs ledger vs payouts for a month
+const getReconciliationReport = async (req, res, next) => {
+  try {
+    const report = await instructorPayoutService.getReconciliationReport(req.query.period || undefined);
+    res.json({ success: true, data: report });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: set an instructor's commission rate (null = gym default)
+const setCommissionRate = async (req, res, next) => {
+  try {
+    const { commissionRate } = req.body;
+    const instructor = await Instructor.findOneAndUpdate(
+      { userId: req.params.userId },
+      { $set: { commissionRate } },
+      { new: true }
+    ).select('userId commissionRate');
+
+    if (!instructor) {
+      return next(new ApiError('Instructor not found', 404));
+    }
+
+    res.json({
+      success: true,
+      message: 'Commission rate updated',
+      data: {
+        userId: instructor.userId,
+        commissionRate: instructor.commissionRate,
+        effectiveRate: instructor.commissionRate ?? Number(config.INSTRUCTOR_COMMISSION_RATE)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getMyStatement,
+  getMyPayouts,
+  getPayouts,
+  getPayoutById,
+  generatePayouts,
+  approvePayout,
+  markPayoutPaid,
+  getReconciliationReport,
+  setCommissionRate
+};
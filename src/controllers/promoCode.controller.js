@@ -0,0 +1,112 @@
+const ApiError = require('../utils/ApiError');
+const PromoCode = require('../models/PromoCode');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = [
+  'description', 'discountType', 'discountValue', 'maxDiscount', 'minAmount',
+  'validFrom', 'validUntil', 'maxUses', 'maxUsesPerUser',
+  'appliesTo', 'planCodes', 'instructorIds', 'firstPurchaseOnly', 'isActive'
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Admin: list promo codes
+const getPromoCodes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, active, search } = req.query;
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === 'true';
+    if (search) filter.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [items, total] = await Promise.all([
+      PromoCode.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      PromoCode.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { items, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: create a promo code
+const createPromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.create({
+      ...pickEditable(req.body),
+      code: req.body.code,
+      createdBy: req.user.id
+    });
+
+    logger.info('Promo code created', { code: promo.code, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promoCode: promo }
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new ApiError('A promo code with this code already exists', 400));
+    }
+    next(err);
+  }
+};
+
+// Admin: update a promo code (the code itself cannot change once members may have used it)
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) {
+      return next(new ApiError('Promo code not found', 404));
+    }
+
+    Object.assign(promo, pickEditable(req.body));
+    await promo.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { promoCode: promo }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: deactivate a promo code (kept for payment history)
+const deactivatePromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!promo) {
+      return next(new ApiError('Promo code not found', 404));
+    }
+
+    logger.info('Promo code deactivated', { code: promo.code, by: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Promo code deactivated successfully',
+      data: { promoCode: promo }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode
+};
@@ -0,0 +1,187 @@
+const ApiError = require('../utils/ApiError');
+const Review = require('../models/Review');
+const Instructor = require('../models/Instructor');
+const Subscription = require('../models/Subscription');
+const Allocation = require('../models/Allocation');
+const logger = require('../utils/logger');
+
+/**
+ * A member may review an instructor only if they have (or had) a paid
+ * subscription or a free allocation with that instructor.
+ */
+const hasTrainedWithInstructor = async (memberId, instructorId) => {
+  const [subscription, allocation] = await Promise.all([
+    Subscription.exists({ memberId, instructorId }),
+    Allocation.exists({ memberId, instructorId })
+  ]);
+  return !!(subscription || allocation);
+};
+
+const formatReview = (review) => {
+  // userId is populated with the author's public profile
+  const author = review.userId?.name !== undefined ? review.userId : null;
+
+  let profilePicture = null;
+  if (author?.profilePicture) {
+    if (typeof author.profilePicture === 'object' && author.profilePicture.secure_url) {
+      profilePicture = author.profilePicture.secure_url;
+    } else if (typeof author.profilePicture === 'string' &&
+      (author.profilePicture.startsWith('http://') || author.profilePicture.startsWith('https://'))) {
+      profilePicture = author.profilePicture;
+    }
+  }
+
+  return {
+    _id: review._id,
+    instructorId: review.instructorId,
+    rating: review.rating,
+    comment: review.comment || null,
+    author: author ? { _id: author._id, name: author.name, profilePicture } : null,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+};
+
+// Public: list reviews for an instructor (paginated, newest first)
+const getInstructorReviews = async (req, res, next) => {
+  try {
+    const { instructorId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const instructor = await Instructor.findOne({ userId: instructorId }).select('stats').lean();
+    if (!instructor) {
+      return next(new ApiError('Instructor not found', 404));
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find({ instructorId })
+        .populate('userId', 'name profilePicture')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Review.countDocuments({ instructorId })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items: reviews.map(formatReview),
+        avgRating: instructor.stats?.avgRating || 0,
+        totalReviews: instructor.stats?.totalReviews || total,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (err) {
+    logger.error('Error getting instructor reviews:', err);
+    next(err);
+  }
+};
+
+// Member: create a review for an instructor they have trained with
+const createReview = async (req, res, next) => {
+  try {
+    const { instructorId } = req.params;
+    const { rating, comment } = req.body;
+
+    const instructor = await Instructor.findOne({ userId: instructorId });
+    if (!instructor) {
+      return next(new ApiError('Instructor not found', 404));
+    }
+
+    if (!(await hasTrainedWithInstructor(req.user.id, instructorId))) {
+      return next(new ApiError('You can only review instructors you are or were subscribed or allocated to', 403));
+    }
+
+    const existing = await Review.findOne({ instructorId, userId: req.user.id });
+    if (existing) {
+      return next(new ApiError('You have already reviewed this instructor. Update your existing review instead.', 400));
+    }
+
+    const review = await Review.create({
+      instructorId,
+      userId: req.user.id,
+      rating,
+      comment
+    });
+
+    await review.populate('userId', 'name profilePicture');
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: { review: formatReview(review) }
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new ApiError('You have already reviewed this instructor. Update your existing review instead.', 400));
+    }
+    logger.error('Error creating review:', err);
+    next(err);
+  }
+};
+
+// Member: update their own review of an instructor
+const updateReview = async (req, res, next) => {
+  try {
+    const { instructorId } = req.params;
+    const { rating, comment } = req.body;
+
+    const review = await Review.findOne({ instructorId, userId: req.user.id });
+    if (!review) {
+      return next(new ApiError('Review not found', 404));
+    }
+
+    if (!(await hasTrainedWithInstructor(req.user.id, instructorId))) {
+      return next(new ApiError('You can only review instructors you are or were subscribed or allocated to', 403));
+    }
+
+    if (rating !== undefined) review.rating = rating;
+    if (comment !== undefined) review.comment = comment;
+    await review.save();
+
+    await review.populate('userId', 'name profilePicture');
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: { review: formatReview(review) }
+    });
+  } catch (err) {
+    logger.error('Error updating review:', err);
+    next(err);
+  }
+};
+
+// Member: delete their own review of an instructor
+const deleteReview = async (req, res, next) => {
+  try {
+    const { instructorId } = req.params;
+
+    const review = await Review.findOne({ instructorId, userId: req.user.id });
+    if (!review) {
+      return next(new ApiError('Review not found', 404));
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (err) {
+    logger.error('Error deleting review:', err);
+    next(err);
+  }
+};
+
+module.exports = {
+  getInstructorReviews,
+  createReview,
+  updateReview,
+  deleteReview
+};
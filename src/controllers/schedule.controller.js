@@ -1,5 +1,6 @@
 const ApiError = require('../utils/ApiError');
 const TrainingSchedule = require('../models/TrainingSchedule');
+const { sendPushNotification } = require('../services/notification.service');
 
 const createSchedule = async (req, res, next) => {
   try {
@@ -57,6 +58,16 @@ const assignSchedule = async (req, res, next) => {
     if (req.user.role !== 'instructor' && req.user.role !== 'admin') return next(new ApiError('Not authorized', 403));
     schedule.assignedTo = req.body.assignedTo;
     await schedule.save();
+
+    // Never throws; the member's preferences decide how (and whether) they hear about it
+    if (schedule.assignedTo) {
+      sendPushNotification(schedule.assignedTo, 'New training schedule',
+        `${req.user.name || 'Your instructor'} assigned you "${schedule.name}".`, {
+          type: 'schedule',
+          relatedId: schedule._id.toString()
+        });
+    }
+
     res.json({ success: true, message: 'Schedule assigned', data: { schedule } });
   } catch (err) { next(err); }
 };
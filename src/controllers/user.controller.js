@@ -2,6 +2,7 @@ const ApiError = require('../utils/ApiError');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const { uploadImage, deleteFromCloudinary } = require('../services/cloudinary.service');
+const notificationPreferenceService = require('../services/notificationPreference.service');
 
 const getProfile = async (req, res, next) => {
   try {
@@ -188,12 +189,33 @@ const deleteAccount = async (req, res, next) => {
   }
 };
 
+const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const preferences = await notificationPreferenceService.getPreferences(req.user.id);
+    res.json({ success: true, data: { preferences } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const { channels, quietHours, dailyDigest } = req.body;
+    const preferences = await notificationPreferenceService.updatePreferences(req.user.id, { channels, quietHours, dailyDigest });
+    res.json({ success: true, message: 'Notification preferences updated', data: { preferences } });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   getProfile,
   updateProfile,
   uploadProfilePicture,
   changePassword,
   deleteAccount,
+  getNotificationPreferences,
+  updateNotificationPreferences,
 };
 
 
@@ -0,0 +1,197 @@
+const ApiError = require('../utils/ApiError');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhook.service');
+const logger = require('../utils/logger');
+
+// Admin: webhook subscriptions and the events they can listen to
+const getWebhooks = async (req, res, next) => {
+  try {
+    const items = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.json({ success: true, data: { items, events: WebhookSubscription.WEBHOOK_EVENTS } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: subscribe a URL to events. The signing secret is only returned here and on rotation.
+const createWebhook = async (req, res, next) => {
+  try {
+    const { name, url, events, description, isActive } = req.body;
+    const secret = webhookService.generateSecret();
+
+    const webhook = await WebhookSubscription.create({
+      name,
+      url,
+      events,
+      description,
+      isActive,
+      secret,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Webhook ${webhook._id} created by admin ${req.user.id}`, { url, events });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now - it will not be shown again.',
+      data: { webhook, secret }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: a subscription with its delivery counts
+const getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id);
+    if (!webhook) {
+      return next(new ApiError('Webhook not found', 404));
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscriptionId: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const deliveries = counts.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {});
+
+    res.json({ success: true, data: { webhook, deliveries } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: change URL, events, description or pause/resume a subscription
+const updateWebhook = async (req, res, next) => {
+  try {
+    const allowed = ['name', 'url', 'events', 'description', 'isActive'];
+    const updates = {};
+    allowed.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const webhook = await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true, runValidators: true });
+    if (!webhook) {
+      return next(new ApiError('Webhook not found', 404));
+    }
+
+    // Deliveries held while it was paused go out with the next retry run
+    if (updates.isActive === true) {
+      await webhookService.resumeDeliveries(webhook._id);
+    }
+
+    res.json({ success: true, message: 'Webhook updated', data: webhook });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: remove a subscription. Queued deliveries fail on their next attempt, held ones (paused) right away; the log is kept.
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return next(new ApiError('Webhook not found', 404));
+    }
+
+    await WebhookDelivery.updateMany(
+      { subscriptionId: webhook._id, status: 'pending', nextAttemptAt: null },
+      { $set: { status: 'failed', error: 'Subscription was deleted' } }
+    );
+
+    logger.info(`Webhook ${webhook._id} deleted by admin ${req.user.id}`);
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: issue a new signing secret
+const rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const secret = webhookService.generateSecret();
+    const webhook = await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: { secret } }, { new: true });
+    if (!webhook) {
+      return next(new ApiError('Webhook not found', 404));
+    }
+
+    logger.info(`Webhook ${webhook._id} secret rotated by admin ${req.user.id}`);
+    res.json({
+      success: true,
+      message: 'Secret rotated. Store the new secret now - it will not be shown again.',
+      data: { webhook, secret }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: delivery log, newest first
+const getDeliveries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, subscriptionId, status, event } = req.query;
+    const filter = {};
+    if (subscriptionId) filter.subscriptionId = subscriptionId;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [items, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .populate('subscriptionId', 'name url')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { items, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: one delivery with its payload and last response
+const getDeliveryById = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).populate('subscriptionId', 'name url');
+    if (!delivery) {
+      return next(new ApiError('Delivery not found', 404));
+    }
+
+    res.json({ success: true, data: delivery });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin: send a delivery again (same event ID, new delivery record)
+const redeliverWebhook = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.deliveryId, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: delivery.status === 'delivered' ? 'Delivered' : 'Redelivery queued; it will be retried if the receiver did not accept it',
+      data: delivery
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getDeliveries,
+  getDeliveryById,
+  redeliverWebhook
+};
@@ -1,5 +1,6 @@
 const multer = require('multer');
 const ApiError = require('../utils/ApiError');
+const { ALLOWED_MIME_TYPES: CHAT_ATTACHMENT_MIME_TYPES, getMaxUploadBytes } = require('../services/chatAttachment.service');
 
 // Memory storage for Cloudinary (files are stored in memory as buffers, not on disk)
 const memoryStorage = multer.memoryStorage();
@@ -45,6 +46,13 @@ const uploadFile = multer({
   fileFilter: fileFilter(ALL_MEDIA_MIME_TYPES)
 });
 
-module.exports = { uploadImage, uploadVideo, uploadExerciseMedia, uploadFile };
+// Uploader for chat attachments (photos, videos, PDFs); limits per kind are checked by chatAttachment.service
+const uploadChatAttachment = multer({
+  storage: memoryStorage,
+  limits: { fileSize: getMaxUploadBytes(), files: 1 },
+  fileFilter: fileFilter(CHAT_ATTACHMENT_MIME_TYPES)
+});
+
+module.exports = { uploadImage, uploadVideo, uploadExerciseMedia, uploadFile, uploadChatAttachment };
 
 
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const CHECK_IN_METHODS = ['qr', 'pass', 'manual'];
+
+// Visits still open after this long are treated as finished for reporting purposes
+const MAX_VISIT_HOURS = 12;
+
+const attendanceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  membershipId: { type: mongoose.Schema.Types.ObjectId, ref: 'Membership' },
+  checkInAt: { type: Date, required: true, default: Date.now, index: true },
+  checkOutAt: { type: Date, default: null },
+  durationMinutes: { type: Number, min: 0, default: null },
+  method: { type: String, enum: CHECK_IN_METHODS, default: 'qr' },
+  location: { type: String, trim: true, default: 'front-desk' },
+  // Admin who recorded the check-in at the desk (null when the member scanned the desk code)
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+// Fast lookup of a member's open visit
+attendanceSchema.index({ userId: 1, checkOutAt: 1 });
+attendanceSchema.index({ checkInAt: 1, checkOutAt: 1 });
+
+/**
+ * Close the visit and record its duration
+ * @param {Date} at - Check-out time (defaults to now)
+ */
+attendanceSchema.methods.checkOut = function (at = new Date()) {
+  this.checkOutAt = at;
+  this.durationMinutes = Math.max(0, Math.round((at - this.checkInAt) / 60000));
+  return this.save();
+};
+
+attendanceSchema.statics.MAX_VISIT_HOURS = MAX_VISIT_HOURS;
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
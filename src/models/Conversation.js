@@ -1,21 +1,76 @@
 const mongoose = require('mongoose');
 
+const CONVERSATION_TYPES = ['direct', 'group'];
+const GROUP_ROLES = ['owner', 'member'];
+
+// Member of a group conversation, with their own unread count
+const groupMemberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: GROUP_ROLES,
+        default: 'member'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    },
+    unreadCount: {
+        type: Number,
+        default: 0
+    },
+    lastReadAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
 const conversationSchema = new mongoose.Schema({
+    // 'direct' between a member and an instructor, or a 'group' run by an instructor
+    type: {
+        type: String,
+        enum: CONVERSATION_TYPES,
+        default: 'direct'
+    },
     participants: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     }],
-    // Store the member and instructor explicitly for easier querying
+    // Store the member and instructor explicitly for easier querying (direct conversations only)
     member: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function () { return this.type !== 'group'; }
     },
     instructor: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function () { return this.type !== 'group'; }
+    },
+    // Group conversations: the instructor running the group and everyone in it (mirrored in participants)
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Group name cannot be more than 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Group description cannot be more than 500 characters']
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () { return this.type === 'group'; }
+    },
+    members: {
+        type: [groupMemberSchema],
+        default: undefined
     },
     lastMessage: {
         content: {
@@ -31,7 +86,7 @@ const conversationSchema = new mongoose.Schema({
         }
     },
     unreadCount: {
-        // Unread count for each participant
+        // Unread count for each participant of a direct conversation (groups: members[].unreadCount)
         member: {
             type: Number,
             default: 0
@@ -53,10 +108,15 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ participants: 1 });
 conversationSchema.index({ member: 1 });
 conversationSchema.index({ instructor: 1 });
+conversationSchema.index({ owner: 1, type: 1 });
 conversationSchema.index({ 'lastMessage.createdAt': -1 });
 
 // Compound index to ensure unique conversations between member and instructor
-conversationSchema.index({ member: 1, instructor: 1 }, { unique: true });
+// (groups have no member field, so an instructor can run any number of them)
+conversationSchema.index(
+    { member: 1, instructor: 1 },
+    { unique: true, partialFilterExpression: { member: { $exists: true } } }
+);
 
 // Virtual to get the other participant
 conversationSchema.methods.getOtherParticipant = function (userId) {
@@ -83,4 +143,59 @@ conversationSchema.methods.resetUnread = async function (userRole) {
     await this.save();
 };
 
+// Group member entry of a user, if any
+conversationSchema.methods.getGroupMember = function (userId) {
+    return (this.members || []).find(m => (m.user._id || m.user).toString() === userId.toString()) || null;
+};
+
+// Unread count of one participant
+conversationSchema.methods.getUnreadCount = function (userId) {
+    if (this.type === 'group') {
+        return this.getGroupMember(userId)?.unreadCount || 0;
+    }
+    return this.member.toString() === userId.toString()
+        ? this.unreadCount.member || 0
+        : this.unreadCount.instructor || 0;
+};
+
+// Store a participant's unread count and, in groups, how far they have read (never backwards).
+// Atomic, so concurrent sends and reads don't overwrite each other; resolves to the updated conversation
+conversationSchema.methods.updateReadState = function (userId, unreadCount, lastReadAt = null) {
+    if (this.type === 'group') {
+        const update = { $set: { 'members.$[m].unreadCount': unreadCount } };
+        if (lastReadAt) update.$max = { 'members.$[m].lastReadAt': lastReadAt };
+        return this.constructor.findOneAndUpdate({ _id: this._id }, update, {
+            new: true,
+            arrayFilters: [{ 'm.user': new mongoose.Types.ObjectId(String(userId)) }]
+        });
+    }
+
+    const role = this.member.toString() === userId.toString() ? 'member' : 'instructor';
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $set: { [`unreadCount.${role}`]: unreadCount } },
+        { new: true }
+    );
+};
+
+// A new message from `senderId`: store it as the last message and add one unread for everyone
+// else, atomically; resolves to the updated conversation
+conversationSchema.methods.recordMessage = function (senderId, lastMessage) {
+    const update = { $set: { lastMessage } };
+    const options = { new: true };
+
+    if (this.type === 'group') {
+        update.$inc = { 'members.$[m].unreadCount': 1 };
+        options.arrayFilters = [{ 'm.user': { $ne: new mongoose.Types.ObjectId(String(senderId)) } }];
+    } else {
+        const recipientRole = this.member.toString() === senderId.toString() ? 'instructor' : 'member';
+        update.$inc = { [`unreadCount.${recipientRole}`]: 1 };
+    }
+
+    return this.constructor.findOneAndUpdate({ _id: this._id }, update, options);
+};
+
+conversationSchema.statics.CONVERSATION_TYPES = CONVERSATION_TYPES;
+conversationSchema.statics.GROUP_ROLES = GROUP_ROLES;
+
 module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers) incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+/**
+ * Atomically increment and return the next value of a sequence
+ * @param {string} name - Sequence name
+ * @param {import('mongoose').ClientSession} [session] - Transaction the number is taken in (rolled back with it)
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -21,6 +21,7 @@ const StatsSchema = new mongoose.Schema({
   totalClients: { type: Number, default: 0 },
   totalSessions: { type: Number, default: 0 },
   avgRating: { type: Number, default: 0 },
+  totalReviews: { type: Number, default: 0 },
   totalEarnings: { type: Number, default: 0 }
 }, { _id: false });
 
@@ -33,6 +34,8 @@ const instructorSchema = new mongoose.Schema({
   certifications: [CertificationSchema],
   bio: { type: String, maxlength: 1000, trim: true },
   stats: { type: StatsSchema, default: () => ({}) },
+  // Gym commission (%) on this instructor's subscriptions; null = INSTRUCTOR_COMMISSION_RATE
+  commissionRate: { type: Number, min: 0, max: 100, default: null },
   isAvailable: { type: Boolean, default: true },
   acceptingMembers: { type: Boolean, default: true },
   beforePhoto: {
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One document per named recurring job; it doubles as the cluster-wide lock (see jobQueue.service)
+const jobSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, trim: true },
+  intervalMs: { type: Number, required: true, min: 1000 },
+  isEnabled: { type: Boolean, default: true },
+  nextRunAt: { type: Date, default: Date.now, index: true },
+  // Instance currently running the job, and when its claim runs out if it dies
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  lastRunAt: { type: Date },
+  lastFinishedAt: { type: Date },
+  lastStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+  lastError: { type: String },
+  lastDurationMs: { type: Number },
+  // Failed runs since the last success; retries back off until JOB_MAX_RETRIES is reached
+  consecutiveFailures: { type: Number, default: 0 },
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Job', jobSchema);
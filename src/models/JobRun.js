@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const config = require('../config/environment');
+
+const RUN_STATUSES = ['running', 'succeeded', 'failed'];
+// schedule = regular interval, retry = re-run after a failure, manual = triggered by an admin
+const RUN_TRIGGERS = ['schedule', 'retry', 'manual'];
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: { type: String, required: true, index: true },
+  status: { type: String, enum: RUN_STATUSES, default: 'running', index: true },
+  trigger: { type: String, enum: RUN_TRIGGERS, default: 'schedule' },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  instanceId: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  // Whatever the job handler returned (counts, summaries)
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String }
+}, { timestamps: true });
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Run history is kept for JOB_RUN_HISTORY_DAYS
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: Number(config.JOB_RUN_HISTORY_DAYS) * 24 * 60 * 60 });
+
+jobRunSchema.statics.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
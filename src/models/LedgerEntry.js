@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// earning = instructor share of a subscription payment, refund = reversal of part of an earning
+const ENTRY_TYPES = ['earning', 'refund'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  memberId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true, index: true },
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+  type: { type: String, enum: ENTRY_TYPES, required: true },
+  // Amounts are negative for refunds
+  grossAmount: { type: Number, required: true },
+  commissionRate: { type: Number, required: true, min: 0, max: 100 },
+  commissionAmount: { type: Number, required: true },
+  instructorAmount: { type: Number, required: true },
+  currency: { type: String, default: 'LKR', uppercase: true },
+  entryDate: { type: Date, required: true, default: Date.now },
+  // Set once the entry has been included in a payout batch
+  payoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout', default: null, index: true }
+}, { timestamps: true });
+
+ledgerEntrySchema.index({ instructorId: 1, payoutId: 1, entryDate: 1 });
+// One earning per payment and one reversal per refund
+ledgerEntrySchema.index({ paymentId: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'earning' } });
+ledgerEntrySchema.index({ refundId: 1 }, { unique: true, partialFilterExpression: { type: 'refund' } });
+
+ledgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,6 +1,35 @@
 const mongoose = require('mongoose');
 
-const MEMBERSHIP_STATUS = ['active', 'pending', 'expired', 'cancelled'];
+const MEMBERSHIP_STATUS = ['active', 'pending', 'frozen', 'expired', 'cancelled'];
+
+const FreezeSchema = new mongoose.Schema({
+  startDate: { type: Date, required: true },
+  // Planned resume date; the freeze ends automatically at this point
+  until: { type: Date, required: true },
+  // Actual resume date (null while the freeze is running)
+  endedAt: { type: Date, default: null },
+  // Days the end date was extended by once the freeze ended
+  days: { type: Number, min: 0, default: 0 },
+  reason: { type: String, trim: true, maxlength: 500 },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Admin override - ignores the plan's freeze allowance
+  isOverride: { type: Boolean, default: false }
+}, { _id: true });
+
+const RenewalSchema = new mongoose.Schema({
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  amount: { type: Number, min: 0 },
+  previousEndDate: { type: Date },
+  newEndDate: { type: Date },
+  renewedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Expiry reminder already sent for an end date (see expiryReminder.service); 0 days = on expiry
+const ExpiryReminderSchema = new mongoose.Schema({
+  offsetDays: { type: Number, min: 0, required: true },
+  endDate: { type: Date, required: true },
+  sentAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const membershipSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
@@ -14,7 +43,39 @@ const membershipSchema = new mongoose.Schema({
   status: { type: String, enum: MEMBERSHIP_STATUS, default: 'active', index: true },
   paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
   autoRenew: { type: Boolean, default: false },
+  // PayHere pre-approval token used for automatic renewal charges
+  payhereCustomerToken: { type: String, select: false },
+  renewalCardMask: { type: String, default: null },
+  renewalAttempts: { type: Number, min: 0, default: 0 },
+  nextRenewalAttemptAt: { type: Date, default: null },
+  lastRenewalError: { type: String, default: null },
+  renewals: [RenewalSchema],
+  freezes: [FreezeSchema],
+  expiryReminders: [ExpiryReminderSchema],
 }, { timestamps: true });
 
-module.exports = mongoose.model('Membership', membershipSchema);
+/**
+ * The freeze currently in progress, if any
+ */
+membershipSchema.methods.getActiveFreeze = function () {
+  return (this.freezes || []).find(freeze => !freeze.endedAt) || null;
+};
+
+/**
+ * Freeze days already used by the member (admin overrides don't count towards the allowance)
+ */
+membershipSchema.methods.getUsedFreezeDays = function () {
+  return (this.freezes || [])
+    .filter(freeze => !freeze.isOverride)
+    .reduce((sum, freeze) => {
+      if (freeze.endedAt) return sum + freeze.days;
+      // A running freeze reserves its full planned length
+      return sum + Math.ceil((freeze.until - freeze.startDate) / (24 * 60 * 60 * 1000));
+    }, 0);
+};
 
+membershipSchema.index({ autoRenew: 1, status: 1, endDate: 1 });
+// A payment activates at most one membership
+membershipSchema.index({ paymentId: 1 }, { unique: true, partialFilterExpression: { paymentId: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('Membership', membershipSchema);
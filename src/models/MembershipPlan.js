@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const GENDERS = ['Male', 'Female', 'Other', 'Prefer not to say'];
+
+// A pricing rule overrides the base price for members matching ALL of its conditions.
+// Rules are evaluated in array order and the first match wins.
+const PriceRuleSchema = new mongoose.Schema({
+  label: { type: String, trim: true, maxlength: 100 },
+  gender: { type: String, enum: GENDERS },
+  minAge: { type: Number, min: 0 },
+  maxAge: { type: Number, min: 0 },
+  price: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const membershipPlanSchema = new mongoose.Schema({
+  // Stable identifier stored on Membership.planId (e.g. 'monthly')
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-_]+$/, 'Plan code may only contain letters, numbers, dashes and underscores']
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500, default: '' },
+  durationDays: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR', uppercase: true },
+  priceRules: [PriceRuleSchema],
+  // Days a member may freeze this plan in total (null = use MEMBERSHIP_MAX_FREEZE_DAYS, 0 = freezing disabled)
+  maxFreezeDays: { type: Number, min: 0, default: null },
+  sortOrder: { type: Number, default: 0, index: true },
+  isArchived: { type: Boolean, default: false, index: true },
+  archivedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+/**
+ * Find the first pricing rule matching the member's gender and age
+ * @param {Object} user - User document (gender, dateOfBirth)
+ * @returns {Object|null} Matching rule or null
+ */
+membershipPlanSchema.methods.findPriceRule = function (user, at = new Date()) {
+  let age = null;
+  if (user?.dateOfBirth) {
+    const dob = new Date(user.dateOfBirth);
+    age = at.getFullYear() - dob.getFullYear();
+    const hadBirthday = at.getMonth() > dob.getMonth() ||
+      (at.getMonth() === dob.getMonth() && at.getDate() >= dob.getDate());
+    if (!hadBirthday) age -= 1;
+  }
+
+  return (this.priceRules || []).find(rule => {
+    if (rule.gender && rule.gender !== user?.gender) return false;
+    if (rule.minAge !== undefined && rule.minAge !== null && (age === null || age < rule.minAge)) return false;
+    if (rule.maxAge !== undefined && rule.maxAge !== null && (age === null || age > rule.maxAge)) return false;
+    return true;
+  }) || null;
+};
+
+/**
+ * Price this plan for a specific member
+ * @param {Object} user - User document (gender, dateOfBirth)
+ * @returns {{ price: number, rule: Object|null }}
+ */
+membershipPlanSchema.methods.getPriceFor = function (user, at = new Date()) {
+  const rule = this.findPriceRule(user, at);
+  return { price: rule ? rule.price : this.price, rule };
+};
+
+module.exports = mongoose.model('MembershipPlan', membershipPlanSchema);
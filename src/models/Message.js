@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+// File attached to a message, stored privately in Cloudinary (see chatAttachment.service)
+const attachmentSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['image', 'video', 'file'],
+        required: true
+    },
+    publicId: {
+        type: String,
+        required: true
+    },
+    resourceType: {
+        type: String,
+        enum: ['image', 'video', 'raw'],
+        required: true
+    },
+    format: String,
+    mimeType: String,
+    originalName: String,
+    bytes: Number,
+    width: Number,
+    height: Number
+}, { _id: false });
+
+// Earlier version of an edited message
+const editSchema = new mongoose.Schema({
+    content: {
+        type: String,
+        default: ''
+    },
+    editedAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     conversationId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -14,13 +50,14 @@ const messageSchema = new mongoose.Schema({
     },
     content: {
         type: String,
-        required: [true, 'Message content is required'],
+        // Optional caption on image, video and file messages
+        required: [function () { return this.messageType === 'text'; }, 'Message content is required'],
         trim: true,
         maxlength: [2000, 'Message cannot be more than 2000 characters']
     },
     messageType: {
         type: String,
-        enum: ['text', 'image', 'file'],
+        enum: ['text', 'image', 'video', 'file'],
         default: 'text'
     },
     attachmentUrl: {
@@ -28,6 +65,15 @@ const messageSchema = new mongoose.Schema({
         trim: true,
         default: null
     },
+    attachment: {
+        type: attachmentSchema,
+        default: null
+    },
+    // Shared by the copies of an instructor's announcement to all clients
+    announcementId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     isRead: {
         type: Boolean,
         default: false
@@ -39,6 +85,20 @@ const messageSchema = new mongoose.Schema({
     isDeleted: {
         type: Boolean,
         default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the author edits the message; previous contents are kept in editHistory, oldest first
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    editHistory: {
+        type: [editSchema],
+        default: [],
+        select: false
     }
 }, {
     timestamps: true
@@ -46,6 +106,8 @@ const messageSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 messageSchema.index({ conversationId: 1, createdAt: -1 });
+// Delta sync: everything changed in a conversation since a point in time
+messageSchema.index({ conversationId: 1, updatedAt: 1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ isRead: 1 });
 
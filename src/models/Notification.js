@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+// scheduled: waits for sentAt; sending: recipients resolved, pushes going out; sent: done
+const BROADCAST_STATUSES = ['scheduled', 'sending', 'sent'];
+const GENDERS = ['Male', 'Female', 'Other', 'Prefer not to say'];
+
+// Narrows targetAudience; every condition that is set must match
+const SegmentSchema = new mongoose.Schema({
+  // Members whose active membership ends within this many days
+  expiringWithinDays: { type: Number, min: 1, max: 365 },
+  // Members with an active subscription to this instructor (instructor's user ID)
+  instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Users who have not logged in for this many days (or never)
+  inactiveDays: { type: Number, min: 1 },
+  genders: { type: [String], enum: GENDERS, default: undefined },
+  // Members with an active membership of one of these plans
+  planIds: { type: [String], default: undefined }
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -52,10 +69,58 @@ const notificationSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // When the broadcast goes out; a future date schedules it
   sentAt: {
     type: Date,
     default: Date.now
   },
+  status: {
+    type: String,
+    enum: BROADCAST_STATUSES,
+    default: 'sent'
+  },
+  segment: {
+    type: SegmentSchema,
+    default: null
+  },
+  // Targeted broadcasts are only visible to the users resolved from the segment when sent
+  isTargeted: {
+    type: Boolean,
+    default: false
+  },
+  recipients: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'User',
+    select: false
+  },
+  // Users the broadcast reached when it was sent (base for the read rate)
+  recipientCount: {
+    type: Number,
+    default: null
+  },
+  sendPush: {
+    type: Boolean,
+    default: true
+  },
+  dispatchedAt: {
+    type: Date,
+    default: null
+  },
+  // When a dispatch run claimed it (status sending); a stale claim is taken over (see broadcast.service)
+  sendingClaimedAt: {
+    type: Date,
+    default: null
+  },
+  // sent / failed: accepted / rejected by Expo; deferred: held for quiet hours or the daily digest;
+  // skipped: push turned off or no device; delivered / receiptErrors: from Expo push receipts
+  pushStats: {
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    receiptErrors: { type: Number, default: 0 }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -83,6 +148,8 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ targetAudience: 1, isActive: 1, sentAt: -1 });
 notificationSchema.index({ createdBy: 1 });
 notificationSchema.index({ 'readBy.user': 1 });
+notificationSchema.index({ recipients: 1 });
+notificationSchema.index({ status: 1, sentAt: 1 });
 
 // Virtual to check if notification is read by a specific user
 notificationSchema.methods.isReadBy = function(userId) {
@@ -94,4 +161,7 @@ notificationSchema.virtual('readCount').get(function() {
   return this.readBy.length;
 });
 
+notificationSchema.statics.BROADCAST_STATUSES = BROADCAST_STATUSES;
+notificationSchema.statics.GENDERS = GENDERS;
+
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const config = require('../config/environment');
+
+// What a member can switch channels on and off for
+const NOTIFICATION_CATEGORIES = ['message', 'payment', 'reminder', 'broadcast', 'schedule_assigned'];
+const CHANNELS = ['push', 'email', 'inApp'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const ChannelsSchema = new mongoose.Schema({
+  push: { type: Boolean, default: true },
+  email: { type: Boolean, default: true },
+  inApp: { type: Boolean, default: true }
+}, { _id: false });
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  // Channel toggles per category, e.g. channels.payment.email
+  channels: NOTIFICATION_CATEGORIES.reduce((channels, category) => {
+    channels[category] = { type: ChannelsSchema, default: () => ({}) };
+    return channels;
+  }, {}),
+  // Pushes are held during quiet hours and sent once they end (in-app and email are not held)
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: [TIME_OF_DAY, 'Use HH:mm for quiet hours'] },
+    end: { type: String, default: '07:00', match: [TIME_OF_DAY, 'Use HH:mm for quiet hours'] },
+    timezone: {
+      type: String,
+      default: () => config.NOTIFICATION_DEFAULT_TIMEZONE,
+      validate: { validator: isValidTimezone, message: 'Unknown timezone' }
+    }
+  },
+  // Pushes other than chat messages are collected and sent once a day at `hour` (quiet hours timezone)
+  dailyDigest: {
+    enabled: { type: Boolean, default: false },
+    hour: { type: Number, min: 0, max: 23, default: 8 },
+    lastSentAt: { type: Date, default: null }
+  }
+}, { timestamps: true });
+
+notificationPreferenceSchema.index({ 'dailyDigest.enabled': 1, 'dailyDigest.lastSentAt': 1 });
+
+notificationPreferenceSchema.statics.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
+notificationPreferenceSchema.statics.CHANNELS = CHANNELS;
+notificationPreferenceSchema.statics.isValidTimezone = isValidTimezone;
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
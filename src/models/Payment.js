@@ -1,7 +1,10 @@
 const mongoose = require('mongoose');
 
-const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
-const PAYMENT_METHODS = ['payhere', 'paypal', 'cash', 'mock'];
+// cancelled = checkout closed by the member, expired = abandoned (never confirmed by the gateway)
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded', 'cancelled', 'expired'];
+const PAYMENT_METHODS = ['payhere', 'paypal', 'cash', 'bank_transfer', 'mock'];
+// Methods recorded by an admin at the front desk rather than paid through a gateway
+const MANUAL_PAYMENT_METHODS = ['cash', 'bank_transfer'];
 
 const paymentSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
@@ -14,9 +17,33 @@ const paymentSchema = new mongoose.Schema({
   payherePaymentId: { type: String, trim: true },
   description: { type: String, trim: true },
   metadata: { type: mongoose.Schema.Types.Mixed },
-  transactionDate: { type: Date, default: Date.now }
+  transactionDate: { type: Date, default: Date.now },
+  // Set once the membership/subscription paid for has been activated (see paymentFulfilment.service)
+  fulfilledAt: { type: Date, default: null },
+  // Sum of completed refunds; status becomes 'refunded' once it reaches the amount
+  refundedAmount: { type: Number, min: 0, default: 0 },
+  // Sequential invoice number, assigned when the payment completes
+  invoiceNumber: { type: String, trim: true },
+  // Front-desk payments: admin who took the money and the receipt handed to the member
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  receiptNumber: { type: String, trim: true },
+  // Last check against the gateway's status API (see paymentReconciliation.service)
+  reconciliation: {
+    lastCheckedAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    gatewayStatus: { type: String },
+    // The gateway gave a final status; cancelled/expired checkouts are not checked again
+    settledAt: { type: Date }
+  }
 }, { timestamps: true });
 
+paymentSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } });
+paymentSchema.index({ receiptNumber: 1 }, { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } });
+// Checkouts holding a promo code use (see promoCode.service)
+paymentSchema.index({ 'metadata.promoUseHeld': 1, status: 1 }, { partialFilterExpression: { 'metadata.promoUseHeld': true } });
+
+paymentSchema.statics.MANUAL_PAYMENT_METHODS = MANUAL_PAYMENT_METHODS;
+
 module.exports = mongoose.model('Payment', paymentSchema);
 
 
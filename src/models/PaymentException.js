@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Problems found while reconciling payments with the gateway that need an admin
+const EXCEPTION_TYPES = [
+  'amount_mismatch', // gateway captured a different amount - not fulfilled
+  'refunded_at_gateway', // refunded in the gateway portal while still pending here
+  'chargeback', // disputed by the card holder
+  'paid_after_cancel', // checkout was cancelled or had expired but the gateway took the money (fulfilled)
+  'gateway_error' // status API call failed
+];
+const EXCEPTION_STATUSES = ['open', 'resolved'];
+
+const paymentExceptionSchema = new mongoose.Schema({
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  orderId: { type: String, trim: true },
+  type: { type: String, enum: EXCEPTION_TYPES, required: true, index: true },
+  status: { type: String, enum: EXCEPTION_STATUSES, default: 'open', index: true },
+  details: { type: String, trim: true },
+  gatewayStatus: { type: String },
+  gatewayAmount: { type: Number },
+  // Reconciliation runs that hit the same problem
+  occurrences: { type: Number, default: 1 },
+  lastSeenAt: { type: Date, default: Date.now },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date },
+  resolutionNote: { type: String, trim: true, maxlength: 1000 }
+}, { timestamps: true });
+
+// One open exception per payment and problem
+paymentExceptionSchema.index({ paymentId: 1, type: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+paymentExceptionSchema.statics.EXCEPTION_TYPES = EXCEPTION_TYPES;
+
+module.exports = mongoose.model('PaymentException', paymentExceptionSchema);
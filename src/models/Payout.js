@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// pending = generated, approved = checked by an admin, paid = money sent to the instructor
+const PAYOUT_STATUSES = ['pending', 'approved', 'paid'];
+
+const payoutSchema = new mongoose.Schema({
+  instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Calendar month the payout covers, e.g. "2026-09"
+  period: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  entryCount: { type: Number, default: 0 },
+  grossAmount: { type: Number, required: true },
+  commissionAmount: { type: Number, required: true },
+  // What the instructor is paid (gross minus commission, after refunds)
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR', uppercase: true },
+  status: { type: String, enum: PAYOUT_STATUSES, default: 'pending', index: true },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  paidAt: { type: Date },
+  // Bank transfer / cheque reference
+  paymentReference: { type: String, trim: true, maxlength: 200 },
+  notes: { type: String, trim: true, maxlength: 1000 }
+}, { timestamps: true });
+
+payoutSchema.index({ instructorId: 1, period: 1 }, { unique: true });
+
+payoutSchema.statics.PAYOUT_STATUSES = PAYOUT_STATUSES;
+
+module.exports = mongoose.model('Payout', payoutSchema);
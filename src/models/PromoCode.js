@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const PURCHASE_TYPES = ['membership', 'subscription'];
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-_]+$/, 'Promo code may only contain letters, numbers, dashes and underscores']
+  },
+  description: { type: String, trim: true, maxlength: 500, default: '' },
+  discountType: { type: String, enum: DISCOUNT_TYPES, required: true },
+  // Percentage (0-100) or a fixed amount in the purchase currency
+  discountValue: { type: Number, required: true, min: 0 },
+  // Upper bound for percentage discounts (optional)
+  maxDiscount: { type: Number, min: 0, default: null },
+  minAmount: { type: Number, min: 0, default: 0 },
+  validFrom: { type: Date, default: null },
+  validUntil: { type: Date, default: null },
+  // null means unlimited
+  maxUses: { type: Number, min: 1, default: null },
+  maxUsesPerUser: { type: Number, min: 1, default: 1 },
+  timesUsed: { type: Number, min: 0, default: 0 },
+  // Restrictions - empty arrays mean "no restriction"
+  appliesTo: [{ type: String, enum: PURCHASE_TYPES }],
+  planCodes: [{ type: String, lowercase: true, trim: true }],
+  instructorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  firstPurchaseOnly: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+/**
+ * Discount this code gives on the given amount (never more than the amount itself)
+ * @param {number} amount - Price before discount
+ * @returns {number} Discount, rounded to 2 decimals
+ */
+promoCodeSchema.methods.calculateDiscount = function (amount) {
+  let discount = this.discountType === 'percentage'
+    ? amount * (Math.min(this.discountValue, 100) / 100)
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount != null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+promoCodeSchema.statics.PURCHASE_TYPES = PURCHASE_TYPES;
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
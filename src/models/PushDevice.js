@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['ios', 'android', 'web', 'unknown'];
+
+// One document per app install; a user has as many as the devices they are logged in on
+const pushDeviceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Expo push token; a token registered by another user moves to them (shared device, re-login)
+  token: { type: String, required: true, unique: true, trim: true },
+  platform: { type: String, enum: PLATFORMS, default: 'unknown' },
+  appVersion: { type: String, trim: true, maxlength: 50, default: null },
+  deviceName: { type: String, trim: true, maxlength: 100, default: null },
+  // Last time the app registered the token (on every launch / login)
+  lastSeenAt: { type: Date, default: Date.now },
+  lastPushedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+pushDeviceSchema.statics.PLATFORMS = PLATFORMS;
+
+module.exports = mongoose.model('PushDevice', pushDeviceSchema);
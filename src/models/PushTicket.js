@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Expo only keeps push receipts for a day; unchecked tickets are dropped after that
+const RECEIPT_RETENTION_SECONDS = 24 * 60 * 60;
+
+// Ticket Expo returned for an accepted push, kept until its receipt has been checked
+const pushTicketSchema = new mongoose.Schema({
+  ticketId: { type: String, required: true, unique: true },
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'PushDevice' },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  token: { type: String, required: true },
+  // Admin broadcast the push belonged to, so its receipt counts towards the broadcast's stats
+  broadcastId: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+pushTicketSchema.index({ createdAt: 1 }, { expireAfterSeconds: RECEIPT_RETENTION_SECONDS });
+
+module.exports = mongoose.model('PushTicket', pushTicketSchema);
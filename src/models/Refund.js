@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const REFUND_STATUSES = ['completed', 'failed'];
+// payhere/mock = refunded through that payment gateway, manual = money returned outside the system (cash, portal)
+const REFUND_METHODS = ['payhere', 'mock', 'manual'];
+
+const refundSchema = new mongoose.Schema({
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR', uppercase: true },
+  reason: { type: String, required: true, trim: true, maxlength: 500 },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: REFUND_STATUSES, required: true },
+  method: { type: String, enum: REFUND_METHODS, required: true },
+  gatewayRefundId: { type: String, trim: true },
+  gatewayMessage: { type: String, trim: true },
+  // What happened to the membership/subscription the payment paid for
+  entitlement: {
+    kind: { type: String, enum: ['membership', 'subscription', null], default: null },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    action: { type: String, enum: ['shortened', 'cancelled', 'none'], default: 'none' },
+    previousEndDate: { type: Date },
+    newEndDate: { type: Date }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
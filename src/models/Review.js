@@ -9,30 +9,44 @@ const reviewSchema = new mongoose.Schema({
 
 // Compound unique index: one review per user per instructor
 reviewSchema.index({ instructorId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ instructorId: 1, createdAt: -1 });
 
-// After save/update, update instructor average rating in a separate collection if exists
-reviewSchema.post('save', async function(doc, next) {
-  try {
-    // Optional: If Instructor model exists with stats.avgRating, update it
-    const Instructor = mongoose.models.Instructor;
-    if (Instructor) {
-      const agg = await mongoose.model('Review').aggregate([
-        { $match: { instructorId: doc.instructorId } },
-        { $group: { _id: '$instructorId', avgRating: { $avg: '$rating' }, count: { $sum: 1 } } }
-      ]);
-      const avg = agg[0]?.avgRating || 0;
-      await Instructor.findOneAndUpdate(
-        { userId: doc.instructorId },
-        { $set: { 'stats.avgRating': avg, 'stats.totalReviews': agg[0]?.count || 0 } },
-        { upsert: false }
-      );
-    }
-    next();
-  } catch (err) {
-    next(err);
-  }
+/**
+ * Recompute the instructor's average rating and review count from all of their reviews
+ * @param {ObjectId|string} instructorId - The instructor's user ID
+ */
+reviewSchema.statics.recalculateInstructorRating = async function (instructorId) {
+  // Optional: If Instructor model exists with stats.avgRating, update it
+  const Instructor = mongoose.models.Instructor;
+  if (!Instructor) return;
+
+  const agg = await this.aggregate([
+    { $match: { instructorId: new mongoose.Types.ObjectId(String(instructorId)) } },
+    { $group: { _id: '$instructorId', avgRating: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const avg = agg[0]?.avgRating || 0;
+  await Instructor.findOneAndUpdate(
+    { userId: instructorId },
+    { $set: { 'stats.avgRating': avg, 'stats.totalReviews': agg[0]?.count || 0 } },
+    { upsert: false }
+  );
+};
+
+// Keep instructor stats in sync whenever a review is created, edited or removed
+reviewSchema.post('save', async function (doc) {
+  await doc.constructor.recalculateInstructorRating(doc.instructorId);
 });
 
-module.exports = mongoose.model('Review', reviewSchema);
+reviewSchema.post('findOneAndUpdate', async function (doc) {
+  if (doc) await this.model.recalculateInstructorRating(doc.instructorId);
+});
 
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await this.model.recalculateInstructorRating(doc.instructorId);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function (doc) {
+  await doc.constructor.recalculateInstructorRating(doc.instructorId);
+});
 
+module.exports = mongoose.model('Review', reviewSchema);
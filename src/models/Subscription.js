@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Expiry reminder already sent for an expiry date (see expiryReminder.service); 0 days = on expiry
+const ExpiryReminderSchema = new mongoose.Schema({
+  offsetDays: { type: Number, min: 0, required: true },
+  endDate: { type: Date, required: true },
+  sentAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const subscriptionSchema = new mongoose.Schema({
   memberId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,7 +41,8 @@ const subscriptionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
     index: true
-  }
+  },
+  expiryReminders: [ExpiryReminderSchema]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
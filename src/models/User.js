@@ -86,6 +86,7 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Legacy single-device token; moved to PushDevice the first time the user is pushed to
   expoPushToken: {
     type: String,
     default: null
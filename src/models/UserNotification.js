@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Personal notifications written by notification.service (admin broadcasts live in Notification)
+const NOTIFICATION_TYPES = ['general', 'message', 'membership', 'subscription', 'payment', 'schedule', 'broadcast'];
+// sent / skipped (turned off or no device), held for quiet hours, waiting for (or sent in) the daily digest
+const PUSH_STATUSES = ['sent', 'skipped', 'held', 'digest', 'digested'];
+
+const userNotificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, default: 'general' },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  message: { type: String, required: true, trim: true, maxlength: 1000 },
+  // Conversation, membership, subscription, ... the notification is about
+  relatedId: { type: String, default: null },
+  // Extra push payload (deep link, sender name, ...) so the app can open the right screen
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Preference category (NotificationPreference.NOTIFICATION_CATEGORIES) the user's choices were applied for
+  category: { type: String, default: null },
+  // False when the user turned in-app notifications off for the category (kept only for a pending push)
+  inInbox: { type: Boolean, default: true },
+  pushStatus: { type: String, enum: PUSH_STATUSES, default: 'sent' },
+  isRead: { type: Boolean, default: false },
+  readAt: { type: Date, default: null }
+}, { timestamps: true });
+
+userNotificationSchema.index({ userId: 1, createdAt: -1 });
+userNotificationSchema.index({ userId: 1, isRead: 1 });
+userNotificationSchema.index({ pushStatus: 1, userId: 1 });
+
+userNotificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+userNotificationSchema.statics.PUSH_STATUSES = PUSH_STATUSES;
+
+module.exports = mongoose.model('UserNotification', userNotificationSchema);
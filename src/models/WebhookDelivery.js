@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// pending = queued or waiting for a retry, delivered = 2xx received, failed = gave up after the last attempt
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true, index: true },
+  event: { type: String, required: true, index: true },
+  // Same for every delivery (and redelivery) of one event so receivers can de-duplicate
+  eventId: { type: String, required: true, index: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending', index: true },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // Set while a worker is sending this delivery so two workers never send it twice
+  lockedUntil: { type: Date, default: null },
+  lastAttemptAt: { type: Date },
+  deliveredAt: { type: Date },
+  responseStatus: { type: Number },
+  // First part of the receiver's response body, for debugging
+  responseBody: { type: String },
+  error: { type: String },
+  durationMs: { type: Number },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Events external systems (accounting, door access) can subscribe to
+const WEBHOOK_EVENTS = [
+  'member.registered',
+  'payment.completed',
+  'payment.refunded',
+  'membership.activated',
+  'membership.expired',
+  'subscription.cancelled',
+  'subscription.expired'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  url: { type: String, required: true, trim: true },
+  // '*' receives every event
+  events: {
+    type: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'] }],
+    validate: { validator: (events) => events.length > 0, message: 'At least one event is required' }
+  },
+  // HMAC-SHA256 signing secret, only shown when the subscription is created or rotated
+  secret: { type: String, required: true, select: false },
+  isActive: { type: Boolean, default: true, index: true },
+  description: { type: String, trim: true, maxlength: 500 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastDeliveryAt: { type: Date },
+  // Deliveries that gave up since the last successful one
+  consecutiveFailures: { type: Number, default: 0 }
+}, { timestamps: true });
+
+webhookSubscriptionSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
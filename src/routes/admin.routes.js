@@ -3,6 +3,38 @@ const router = express.Router();
 const { verifyToken } = require('../middlewares/auth.middleware');
 const { requireAdmin } = require('../middlewares/role.middleware');
 const { getDashboardStats, getAllUsers, getUserDetails, suspendUser, activateUser, getAllInstructors, approveInstructor, createInstructor, getAllPayments, getAllExercises, getAnalytics, getAllSubscriptions, allocateInstructor } = require('../controllers/admin.controller');
+const { getPromoCodes, createPromoCode, updatePromoCode, deactivatePromoCode } = require('../controllers/promoCode.controller');
+const { getPayouts, getPayoutById, generatePayouts, approvePayout, markPayoutPaid, getReconciliationReport, setCommissionRate } = require('../controllers/payout.controller');
+const {
+  getWebhooks,
+  createWebhook,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getDeliveries,
+  getDeliveryById,
+  redeliverWebhook
+} = require('../controllers/webhook.controller');
+const { getJobs, getJobRuns, triggerJob, updateJob } = require('../controllers/job.controller');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const {
+  createPromoCodeValidator,
+  updatePromoCodeValidator,
+  generatePayoutsValidator,
+  reconciliationValidator,
+  payoutIdValidator,
+  markPayoutPaidValidator,
+  commissionRateValidator
+} = require('../validators/payment.validator');
+const {
+  createWebhookValidator,
+  updateWebhookValidator,
+  webhookIdValidator,
+  deliveriesValidator,
+  deliveryIdValidator
+} = require('../validators/webhook.validator');
+const { jobNameValidator, jobRunsValidator, updateJobValidator } = require('../validators/job.validator');
 
 router.use(verifyToken, requireAdmin);
 
@@ -15,11 +47,41 @@ router.get('/instructors', getAllInstructors);
 // POST route for creating instructors - must come before the :userId route
 router.post('/instructors', createInstructor);
 router.post('/instructors/:userId/approve', approveInstructor);
+router.put('/instructors/:userId/commission', validateRequest(commissionRateValidator), setCommissionRate);
 router.get('/payments', getAllPayments);
 router.get('/exercises', getAllExercises);
 router.get('/analytics', getAnalytics);
 router.get('/subscriptions', getAllSubscriptions);
 router.post('/allocate-instructor', allocateInstructor);
+router.get('/promo-codes', getPromoCodes);
+router.post('/promo-codes', validateRequest(createPromoCodeValidator), createPromoCode);
+router.put('/promo-codes/:id', validateRequest(updatePromoCodeValidator), updatePromoCode);
+router.post('/promo-codes/:id/deactivate', deactivatePromoCode);
+
+// Instructor payouts
+router.get('/payouts', getPayouts);
+router.post('/payouts/generate', validateRequest(generatePayoutsValidator), generatePayouts);
+router.get('/payouts/reconciliation', validateRequest(reconciliationValidator), getReconciliationReport);
+router.get('/payouts/:id', validateRequest(payoutIdValidator), getPayoutById);
+router.post('/payouts/:id/approve', validateRequest(payoutIdValidator), approvePayout);
+router.post('/payouts/:id/mark-paid', validateRequest(markPayoutPaidValidator), markPayoutPaid);
+
+// Outbound webhooks - delivery routes must come before the :id routes
+router.get('/webhooks', getWebhooks);
+router.post('/webhooks', validateRequest(createWebhookValidator), createWebhook);
+router.get('/webhooks/deliveries', validateRequest(deliveriesValidator), getDeliveries);
+router.get('/webhooks/deliveries/:deliveryId', validateRequest(deliveryIdValidator), getDeliveryById);
+router.post('/webhooks/deliveries/:deliveryId/redeliver', validateRequest(deliveryIdValidator), redeliverWebhook);
+router.get('/webhooks/:id', validateRequest(webhookIdValidator), getWebhookById);
+router.put('/webhooks/:id', validateRequest(updateWebhookValidator), updateWebhook);
+router.delete('/webhooks/:id', validateRequest(webhookIdValidator), deleteWebhook);
+router.post('/webhooks/:id/rotate-secret', validateRequest(webhookIdValidator), rotateWebhookSecret);
+
+// Background jobs
+router.get('/jobs', getJobs);
+router.get('/jobs/:name/runs', validateRequest(jobRunsValidator), getJobRuns);
+router.post('/jobs/:name/trigger', validateRequest(jobNameValidator), triggerJob);
+router.patch('/jobs/:name', validateRequest(updateJobValidator), updateJob);
 
 module.exports = router;
 
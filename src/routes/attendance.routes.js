@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middlewares/auth.middleware');
+const { requireAdmin, requireMember } = require('../middlewares/role.middleware');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const { checkInValidator, checkOutValidator, reportRangeValidator } = require('../validators/attendance.validator');
+const { getDeskCode, checkIn, checkOut, getMyAttendance, getMemberAttendance, getDailyReport, getHourlyReport } = require('../controllers/attendance.controller');
+
+router.post('/check-in', verifyToken, requireMember, validateRequest(checkInValidator), checkIn);
+router.post('/check-out', verifyToken, requireMember, validateRequest(checkOutValidator), checkOut);
+router.get('/me', verifyToken, getMyAttendance);
+
+// Admin / front desk routes
+router.get('/desk-code', verifyToken, requireAdmin, getDeskCode);
+router.get('/reports/daily', verifyToken, requireAdmin, validateRequest(reportRangeValidator), getDailyReport);
+router.get('/reports/hourly', verifyToken, requireAdmin, validateRequest(reportRangeValidator), getHourlyReport);
+router.get('/members/:userId', verifyToken, requireAdmin, getMemberAttendance);
+
+module.exports = router;
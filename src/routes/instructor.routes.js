@@ -4,6 +4,11 @@ const { verifyToken, optionalAuth } = require('../middlewares/auth.middleware');
 const { requireInstructor, requireAdmin } = require('../middlewares/role.middleware');
 const { getAllInstructors, getInstructorById, updateInstructorProfile, getMyProfile, getInstructorStats, getMyClients, updateAvailability, becomeInstructor, subscribeToInstructor, unsubscribeFromInstructor, checkSubscriptionStatus, uploadBeforeAfterPhoto, deleteBeforeAfterPhoto, allocateToInstructor, deallocateFromInstructor, checkAllocationStatus, getMyCurrentAllocation, getMyAllocatedMembers, removeAllocatedMember, toggleAcceptingMembers } = require('../controllers/instructor.controller');
 const { getClientMeasurements } = require('../controllers/measurement.controller');
+const { getMyStatement, getMyPayouts } = require('../controllers/payout.controller');
+const { getInstructorReviews, createReview, updateReview, deleteReview } = require('../controllers/review.controller');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const { createReviewValidator, updateReviewValidator } = require('../validators/review.validator');
+const { statementValidator } = require('../validators/payment.validator');
 const { uploadImage } = require('../middlewares/upload.middleware');
 
 router.get('/', optionalAuth, getAllInstructors);
@@ -11,6 +16,8 @@ router.get('/me', verifyToken, requireInstructor, getMyProfile);
 router.put('/me', verifyToken, requireInstructor, updateInstructorProfile);
 router.get('/me/stats', verifyToken, requireInstructor, getInstructorStats);
 router.get('/me/clients', verifyToken, requireInstructor, getMyClients);
+router.get('/me/statement', verifyToken, requireInstructor, validateRequest(statementValidator), getMyStatement);
+router.get('/me/payouts', verifyToken, requireInstructor, getMyPayouts);
 router.get('/clients/:clientId/measurements', verifyToken, requireInstructor, getClientMeasurements);
 router.post('/me/availability', verifyToken, requireInstructor, updateAvailability);
 router.post('/me/transformation-photos', verifyToken, requireInstructor, uploadImage.single('photo'), uploadBeforeAfterPhoto);
@@ -39,4 +46,10 @@ router.get('/:instructorId/subscription-status', verifyToken, requireMember, che
 router.post('/:instructorId/deallocate', verifyToken, requireMember, deallocateFromInstructor);
 router.get('/:instructorId/allocation-status', verifyToken, requireMember, checkAllocationStatus);
 
+// Review routes (one review per member per instructor)
+router.get('/:instructorId/reviews', optionalAuth, getInstructorReviews);
+router.post('/:instructorId/reviews', verifyToken, requireMember, validateRequest(createReviewValidator), createReview);
+router.put('/:instructorId/reviews', verifyToken, requireMember, validateRequest(updateReviewValidator), updateReview);
+router.delete('/:instructorId/reviews', verifyToken, requireMember, deleteReview);
+
 module.exports = router;
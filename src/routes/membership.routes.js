@@ -2,12 +2,53 @@ const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middlewares/auth.middleware');
 const { requireAdmin } = require('../middlewares/role.middleware');
-const { getMembershipPlans, getMyMemberships, purchaseMembership, getAllMemberships } = require('../controllers/membership.controller');
+const {
+  getMembershipPlans,
+  getMyMemberships,
+  purchaseMembership,
+  getAllMemberships,
+  getMyPass,
+  verifyMemberPass,
+  freezeMembership,
+  unfreezeMembership,
+  overrideFreezeMembership,
+  setAutoRenew
+} = require('../controllers/membership.controller');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const { getAdminPlans, createPlan, updatePlan, archivePlan, restorePlan, reorderPlans } = require('../controllers/membershipPlan.controller');
+const {
+  verifyPassValidator,
+  createPlanValidator,
+  updatePlanValidator,
+  reorderPlansValidator,
+  freezeValidator,
+  membershipIdValidator,
+  autoRenewValidator
+} = require('../validators/membership.validator');
 
 router.get('/plans', verifyToken, getMembershipPlans);
+
+// Admin plan management
+router.get('/admin/plans', verifyToken, requireAdmin, getAdminPlans);
+router.post('/plans', verifyToken, requireAdmin, validateRequest(createPlanValidator), createPlan);
+router.put('/plans/order', verifyToken, requireAdmin, validateRequest(reorderPlansValidator), reorderPlans);
+router.put('/plans/:code', verifyToken, requireAdmin, validateRequest(updatePlanValidator), updatePlan);
+router.post('/plans/:code/archive', verifyToken, requireAdmin, archivePlan);
+router.post('/plans/:code/restore', verifyToken, requireAdmin, restorePlan);
+
 router.get('/me', verifyToken, getMyMemberships);
+router.get('/me/pass', verifyToken, getMyPass);
+router.post('/pass/verify', verifyToken, requireAdmin, validateRequest(verifyPassValidator), verifyMemberPass);
 router.post('/purchase', verifyToken, purchaseMembership);
 router.get('/', verifyToken, requireAdmin, getAllMemberships);
 
+// Freeze / pause
+router.post('/:id/freeze', verifyToken, validateRequest(freezeValidator), freezeMembership);
+router.post('/:id/unfreeze', verifyToken, validateRequest(membershipIdValidator), unfreezeMembership);
+router.post('/:id/freeze/override', verifyToken, requireAdmin, validateRequest(freezeValidator), overrideFreezeMembership);
+
+// Auto-renewal (PayHere pre-approval)
+router.post('/:id/auto-renew', verifyToken, validateRequest(autoRenewValidator), setAutoRenew);
+
 module.exports = router;
 
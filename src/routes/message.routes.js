@@ -5,17 +5,62 @@ const {
     getOrCreateConversation,
     getConversations,
     getMessages,
+    syncMessages,
     sendMessage,
+    editMessage,
+    getMessageHistory,
     deleteMessage,
+    broadcastToClients,
     getUnreadCount,
     markConversationAsRead
 } = require('../controllers/message.controller');
+const {
+    createGroup,
+    getGroup,
+    updateGroup,
+    addGroupMembers,
+    removeGroupMember,
+    deleteGroup
+} = require('../controllers/groupChat.controller');
 
+const multer = require('multer');
 const { verifyToken } = require('../middlewares/auth.middleware');
 const { checkRole } = require('../middlewares/role.middleware');
+const { uploadChatAttachment } = require('../middlewares/upload.middleware');
+const { getMaxUploadBytes } = require('../services/chatAttachment.service');
+const ApiError = require('../utils/ApiError');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const {
+    conversationIdValidator,
+    messageIdValidator,
+    getMessagesValidator,
+    syncMessagesValidator,
+    markReadValidator,
+    editMessageValidator,
+    broadcastValidator,
+    createGroupValidator,
+    updateGroupValidator,
+    addGroupMembersValidator,
+    groupMemberValidator
+} = require('../validators/message.validator');
 
 // Middleware to allow only members and instructors
 const requireMemberOrInstructor = checkRole(['member', 'instructor']);
+// Groups and announcements are run by instructors for their clients
+const requireInstructorOnly = checkRole(['instructor']);
+
+// Optional 'attachment' file on a multipart message; JSON requests pass straight through
+const receiveAttachment = (req, res, next) => {
+    uploadChatAttachment.single('attachment')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return next(new ApiError(`File too large. Maximum size is ${getMaxUploadBytes() / (1024 * 1024)}MB.`, 400));
+            }
+            return next(new ApiError(`Upload error: ${err.message}`, 400));
+        }
+        next(err);
+    });
+};
 
 // Get all conversations for current user
 router.get('/conversations', verifyToken, requireMemberOrInstructor, getConversations);
@@ -26,17 +71,38 @@ router.get('/unread-count', verifyToken, requireMemberOrInstructor, getUnreadCou
 // Get or create conversation with a specific user
 router.get('/conversations/with/:recipientId', verifyToken, requireMemberOrInstructor, getOrCreateConversation);
 
-// Get messages for a specific conversation
-router.get('/conversations/:conversationId/messages', verifyToken, requireMemberOrInstructor, getMessages);
+// Get messages for a specific conversation (?before= / ?after= message ID cursors)
+router.get('/conversations/:conversationId/messages', verifyToken, requireMemberOrInstructor, validateRequest(getMessagesValidator), getMessages);
+
+// Messages created, edited, read or deleted since ?since=
+router.get('/conversations/:conversationId/sync', verifyToken, requireMemberOrInstructor, validateRequest(syncMessagesValidator), syncMessages);
 
-// Send a message in a conversation
-router.post('/conversations/:conversationId/messages', verifyToken, requireMemberOrInstructor, sendMessage);
+// Send a message in a conversation (text and/or one attachment)
+router.post('/conversations/:conversationId/messages', verifyToken, requireMemberOrInstructor, validateRequest(conversationIdValidator), receiveAttachment, sendMessage);
 
-// Mark conversation as read
-router.put('/conversations/:conversationId/read', verifyToken, requireMemberOrInstructor, markConversationAsRead);
+// Mark conversation as read (read receipt), optionally only up to { upTo: messageId }
+router.put('/conversations/:conversationId/read', verifyToken, requireMemberOrInstructor, validateRequest(markReadValidator), markConversationAsRead);
+
+// Edit a message (author, within MESSAGE_EDIT_WINDOW_MINUTES)
+router.put('/messages/:messageId', verifyToken, requireMemberOrInstructor, validateRequest(editMessageValidator), editMessage);
+
+// Edit history of a message
+router.get('/messages/:messageId/history', verifyToken, requireMemberOrInstructor, validateRequest(messageIdValidator), getMessageHistory);
 
 // Delete a message
-router.delete('/messages/:messageId', verifyToken, requireMemberOrInstructor, deleteMessage);
+router.delete('/messages/:messageId', verifyToken, requireMemberOrInstructor, validateRequest(messageIdValidator), deleteMessage);
+
+// Announcement to all of the instructor's current clients
+router.post('/broadcast', verifyToken, requireInstructorOnly, validateRequest(broadcastValidator), broadcastToClients);
+
+// Group conversations (messages use the conversation routes above)
+router.post('/groups', verifyToken, requireInstructorOnly, validateRequest(createGroupValidator), createGroup);
+router.get('/groups/:conversationId', verifyToken, requireMemberOrInstructor, validateRequest(conversationIdValidator), getGroup);
+router.put('/groups/:conversationId', verifyToken, requireInstructorOnly, validateRequest(updateGroupValidator), updateGroup);
+router.delete('/groups/:conversationId', verifyToken, requireInstructorOnly, validateRequest(conversationIdValidator), deleteGroup);
+router.post('/groups/:conversationId/members', verifyToken, requireInstructorOnly, validateRequest(addGroupMembersValidator), addGroupMembers);
+// Owner removes a member, or a member removes themselves to leave
+router.delete('/groups/:conversationId/members/:memberId', verifyToken, requireMemberOrInstructor, validateRequest(groupMemberValidator), removeGroupMember);
 
 module.exports = router;
 
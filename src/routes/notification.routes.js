@@ -8,19 +8,32 @@ const {
   getNotificationById,
   updateNotification,
   deleteNotification,
+  getNotificationStats,
+  previewNotificationAudience,
   getMyNotifications,
   markAsRead,
   markAllAsRead,
   getUnreadCount,
   registerPushToken,
-  removePushToken
+  removePushToken,
+  removeAllPushDevices,
+  getMyDevices
 } = require('../controllers/notification.controller');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const {
+  notificationIdValidator,
+  createNotificationValidator,
+  updateNotificationValidator,
+  audiencePreviewValidator
+} = require('../validators/notification.validator');
 
 // Admin routes (require admin role)
-router.post('/', verifyToken, requireAdmin, createNotification);
+router.post('/', verifyToken, requireAdmin, validateRequest(createNotificationValidator), createNotification);
 router.get('/admin', verifyToken, requireAdmin, getAllNotifications);
+router.post('/admin/audience-preview', verifyToken, requireAdmin, validateRequest(audiencePreviewValidator), previewNotificationAudience);
 router.get('/admin/:id', verifyToken, requireAdmin, getNotificationById);
-router.put('/admin/:id', verifyToken, requireAdmin, updateNotification);
+router.get('/admin/:id/stats', verifyToken, requireAdmin, validateRequest(notificationIdValidator), getNotificationStats);
+router.put('/admin/:id', verifyToken, requireAdmin, validateRequest(updateNotificationValidator), updateNotification);
 router.delete('/admin/:id', verifyToken, requireAdmin, deleteNotification);
 
 // User routes (require authentication)
@@ -32,5 +45,7 @@ router.post('/me/read-all', verifyToken, markAllAsRead);
 // Push notification token routes
 router.post('/push-token', verifyToken, registerPushToken);
 router.delete('/push-token', verifyToken, removePushToken);
+router.get('/push-devices', verifyToken, getMyDevices);
+router.delete('/push-devices', verifyToken, removeAllPushDevices);
 
 module.exports = router;
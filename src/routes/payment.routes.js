@@ -8,8 +8,18 @@ const {
   getPaymentHistory,
   getInstructorEarnings,
   handlePayHereWebhook,
+  handleMockWebhook,
+  mockCheckout,
   refundPayment,
+  getPaymentRefunds,
+  getInvoicePdf,
+  recordManualPayment,
+  getCashDrawerReport,
+  getPaymentExceptions,
+  resolvePaymentException,
+  runPaymentReconciliation,
   createSubscriptionPayment,
+  getPaymentQuote,
   completeSubscriptionPayment,
   saveCard,
   getSavedCards,
@@ -18,16 +28,36 @@ const {
   createSubscriptionPaymentWithSavedCard,
   markPaymentComplete
 } = require('../controllers/payment.controller');
+const { validateRequest } = require('../middlewares/validation.middleware');
+const {
+  quoteValidator,
+  refundValidator,
+  manualPaymentValidator,
+  cashDrawerValidator,
+  paymentExceptionsValidator,
+  resolveExceptionValidator
+} = require('../validators/payment.validator');
 
 router.post('/create-intent', verifyToken, createPaymentIntent);
 router.post('/confirm', verifyToken, confirmPayment);
+router.post('/quote', verifyToken, validateRequest(quoteValidator), getPaymentQuote);
 router.post('/subscription', verifyToken, createSubscriptionPayment);
 router.post('/subscription/saved-card', verifyToken, createSubscriptionPaymentWithSavedCard);
 router.post('/subscription/complete', verifyToken, completeSubscriptionPayment);
 router.get('/history', verifyToken, getPaymentHistory);
 router.get('/earnings', verifyToken, requireInstructor, getInstructorEarnings);
+router.post('/manual', verifyToken, requireAdmin, validateRequest(manualPaymentValidator), recordManualPayment);
+router.get('/reports/cash-drawer', verifyToken, requireAdmin, validateRequest(cashDrawerValidator), getCashDrawerReport);
+router.get('/reconciliation/exceptions', verifyToken, requireAdmin, validateRequest(paymentExceptionsValidator), getPaymentExceptions);
+router.post('/reconciliation/exceptions/:exceptionId/resolve', verifyToken, requireAdmin, validateRequest(resolveExceptionValidator), resolvePaymentException);
+router.post('/reconciliation/run', verifyToken, requireAdmin, runPaymentReconciliation);
 router.post('/payhere-notify', handlePayHereWebhook);
-router.post('/:paymentId/refund', verifyToken, requireAdmin, refundPayment);
+router.post('/mock-notify', handleMockWebhook);
+router.get('/mock-checkout', mockCheckout);
+router.post('/mock-checkout', mockCheckout);
+router.post('/:paymentId/refund', verifyToken, requireAdmin, validateRequest(refundValidator), refundPayment);
+router.get('/:paymentId/refunds', verifyToken, requireAdmin, getPaymentRefunds);
+router.get('/:paymentId/invoice.pdf', verifyToken, getInvoicePdf);
 
 // Manual payment completion - called when user returns from PayHere
 // This is a workaround for unreliable webhook notifications
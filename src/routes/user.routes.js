@@ -4,8 +4,16 @@ const multer = require('multer');
 const ApiError = require('../utils/ApiError');
 const { verifyToken } = require('../middlewares/auth.middleware');
 const { validateRequest } = require('../middlewares/validation.middleware');
-const { updateProfileValidator, changePasswordValidator } = require('../validators/user.validator');
-const { getProfile, updateProfile, uploadProfilePicture, changePassword, deleteAccount } = require('../controllers/user.controller');
+const { updateProfileValidator, changePasswordValidator, notificationPreferencesValidator } = require('../validators/user.validator');
+const {
+  getProfile,
+  updateProfile,
+  uploadProfilePicture,
+  changePassword,
+  deleteAccount,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/user.controller');
 const { uploadImage } = require('../middlewares/upload.middleware');
 
 router.get('/me', verifyToken, getProfile);
@@ -32,6 +40,8 @@ router.post('/me/profile-picture', verifyToken, (req, res, next) => {
 }, uploadProfilePicture);
 router.post('/me/change-password', verifyToken, validateRequest(changePasswordValidator), changePassword);
 router.delete('/me', verifyToken, deleteAccount);
+router.get('/me/notification-preferences', verifyToken, getNotificationPreferences);
+router.put('/me/notification-preferences', verifyToken, validateRequest(notificationPreferencesValidator), updateNotificationPreferences);
 
 module.exports = router;
 
@@ -7,6 +7,7 @@ const config = require('./config/environment');
 const logger = require('./utils/logger');
 const { handleUnhandledRejection, handleUncaughtException } = require('./middlewares/error.middleware');
 const { startScheduler, stopScheduler } = require('./services/scheduler.service');
+const { attachRealtime, closeRealtime } = require('./services/realtime.service');
 
 // Handle uncaught exceptions
 handleUncaughtException();
@@ -30,21 +31,28 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   startScheduler(60 * 60 * 1000);
 });
 
+// Realtime chat (Socket.IO) shares the HTTP server
+attachRealtime(server);
+
 // Handle server shutdown gracefully
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
-  stopScheduler();
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
+  // Let running jobs finish so they are not left locked until the lock times out
+  Promise.all([stopScheduler(), closeRealtime()]).finally(() => {
+    server.close(() => {
+      logger.info('Process terminated');
+      process.exit(0);
+    });
   });
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
-  stopScheduler();
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
+  // Let running jobs finish so they are not left locked until the lock times out
+  Promise.all([stopScheduler(), closeRealtime()]).finally(() => {
+    server.close(() => {
+      logger.info('Process terminated');
+      process.exit(0);
+    });
   });
 });
@@ -0,0 +1,232 @@
+/**
+ * Broadcast Service
+ * Admin broadcasts (Notification): audience segments, scheduling and delivery statistics.
+ *
+ * A broadcast is dispatched once, when its sentAt has come. Its recipients are resolved from
+ * the target audience and segment at that moment; targeted broadcasts keep that list, so users
+ * who match the segment later never see them. Pushes go out through notification.service
+ * (recipients' preferences apply) and Expo receipts are added to the stats by push.service.
+ * A broadcast left in `sending` by a crashed run is taken over once SENDING_TIMEOUT_MS has passed.
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Subscription = require('../models/Subscription');
+const ApiError = require('../utils/ApiError');
+const notificationService = require('./notification.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A dispatch claimed this long ago without finishing is taken over by the next run
+const SENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Helper: broadcasts that are due, or whose dispatch was claimed by a run that never finished
+const dueFilter = (now) => ({
+  isActive: true,
+  sentAt: { $lte: now },
+  $or: [
+    { status: 'scheduled' },
+    // Claims from before sendingClaimedAt existed have none and count as stale
+    { status: 'sending', sendingClaimedAt: { $not: { $gt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } } }
+  ]
+});
+
+/**
+ * Whether a segment narrows the audience at all
+ */
+const hasSegment = (segment) => {
+  if (!segment) return false;
+  const values = Object.values(typeof segment.toObject === 'function' ? segment.toObject() : segment);
+  return values.some(value => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0));
+};
+
+// Helper: User filter for a broadcast's target audience and segment
+const buildRecipientFilter = async ({ targetAudience, segment }, now) => {
+  const conditions = [{ isActive: true }];
+
+  const audiences = targetAudience && targetAudience.length > 0 ? targetAudience : ['all'];
+  if (!audiences.includes('all')) {
+    conditions.push({ role: { $in: audiences } });
+  }
+
+  if (segment?.genders?.length > 0) {
+    conditions.push({ gender: { $in: segment.genders } });
+  }
+
+  if (segment?.inactiveDays) {
+    const lastActiveBefore = new Date(now.getTime() - segment.inactiveDays * DAY_MS);
+    conditions.push({ $or: [{ lastLogin: { $lt: lastActiveBefore } }, { lastLogin: null }] });
+  }
+
+  if (segment?.expiringWithinDays) {
+    const userIds = await Membership.distinct('userId', {
+      status: 'active',
+      endDate: { $gt: now, $lte: new Date(now.getTime() + segment.expiringWithinDays * DAY_MS) }
+    });
+    conditions.push({ _id: { $in: userIds } });
+  }
+
+  if (segment?.planIds?.length > 0) {
+    const userIds = await Membership.distinct('userId', {
+      status: 'active',
+      planId: { $in: segment.planIds },
+      endDate: { $gt: now }
+    });
+    conditions.push({ _id: { $in: userIds } });
+  }
+
+  if (segment?.instructorId) {
+    const memberIds = await Subscription.distinct('memberId', {
+      instructorId: segment.instructorId,
+      status: 'active',
+      expiresAt: { $gt: now }
+    });
+    conditions.push({ _id: { $in: memberIds } });
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * Number of users a broadcast with this audience would reach right now
+ * @param {Object} audience - { targetAudience, segment }
+ */
+const previewAudience = async (audience, now = new Date()) => {
+  const filter = await buildRecipientFilter(audience, now);
+  const [total, byRole] = await Promise.all([
+    User.countDocuments(filter),
+    User.aggregate([{ $match: filter }, { $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  return {
+    total,
+    byRole: byRole.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {})
+  };
+};
+
+/**
+ * Send a broadcast whose sentAt has come: resolve its recipients and push to them.
+ * Claimed with a conditional update, so each broadcast is dispatched once. A stale claim whose
+ * recipients were already resolved is only marked sent: its pushes may have gone out.
+ *
+ * @returns {Promise<Object|null>} The sent broadcast, or null if it was not due or already taken
+ */
+const dispatchBroadcast = async (broadcastId, now = new Date()) => {
+  const broadcast = await Notification.findOneAndUpdate(
+    { _id: broadcastId, ...dueFilter(now) },
+    { $set: { status: 'sending', sendingClaimedAt: now } },
+    { new: true }
+  );
+  if (!broadcast) return null;
+
+  if (broadcast.dispatchedAt) {
+    logger.warn(`Broadcast ${broadcast._id} was left sending by an interrupted run; marked sent without pushing again`);
+    return Notification.findByIdAndUpdate(broadcast._id, { $set: { status: 'sent' } }, { new: true });
+  }
+
+  let userIds;
+  try {
+    userIds = await User.distinct('_id', await buildRecipientFilter(broadcast, now));
+
+    const update = { recipientCount: userIds.length, dispatchedAt: now };
+    if (broadcast.isTargeted) update.recipients = userIds;
+    await Notification.updateOne({ _id: broadcast._id }, { $set: update });
+  } catch (err) {
+    // Nothing was sent yet: let the next run try again
+    await Notification.updateOne({ _id: broadcast._id, status: 'sending' }, { $set: { status: 'scheduled' } });
+    throw err;
+  }
+
+  const update = { status: 'sent' };
+  try {
+    if (broadcast.sendPush && userIds.length > 0) {
+      const stats = await notificationService.pushBroadcast(broadcast, userIds);
+      update.pushNotificationSent = true;
+      update['pushStats.sent'] = stats.sent;
+      update['pushStats.failed'] = stats.failed;
+      update['pushStats.deferred'] = stats.deferred;
+      update['pushStats.skipped'] = stats.skipped;
+    }
+  } catch (err) {
+    // The broadcast is visible in the inbox already; sending it again could push twice
+    logger.error(`Pushing broadcast ${broadcast._id} failed:`, err);
+  }
+
+  logger.info(`Broadcast ${broadcast._id} sent to ${userIds.length} user(s)`);
+  return Notification.findByIdAndUpdate(broadcast._id, { $set: update }, { new: true });
+};
+
+/**
+ * Dispatch every scheduled broadcast that is due (called by the scheduler)
+ * @returns {Promise<number>} Broadcasts sent
+ */
+const dispatchDueBroadcasts = async (now = new Date()) => {
+  const due = await Notification.find(dueFilter(now))
+    .sort({ sentAt: 1 })
+    .select('_id');
+
+  let sent = 0;
+  for (const { _id } of due) {
+    try {
+      if (await dispatchBroadcast(_id, now)) sent += 1;
+    } catch (err) {
+      logger.error(`Failed to dispatch broadcast ${_id}:`, err);
+    }
+  }
+
+  return sent;
+};
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Reach, read rate and push delivery of a broadcast
+ */
+const getBroadcastStats = async (broadcastId) => {
+  const broadcast = await Notification.findById(broadcastId);
+  if (!broadcast) throw new ApiError('Notification not found', 404);
+
+  // Broadcasts sent before recipients were counted: today's audience is the best estimate
+  let reach = broadcast.recipientCount;
+  const reachEstimated = reach === null && broadcast.status !== 'scheduled';
+  if (reachEstimated) {
+    reach = (await previewAudience(broadcast)).total;
+  }
+
+  const reads = broadcast.readBy.length;
+  const push = broadcast.pushStats || {};
+  const receipts = (push.delivered || 0) + (push.receiptErrors || 0);
+
+  return {
+    id: broadcast._id,
+    title: broadcast.title,
+    status: broadcast.status,
+    sentAt: broadcast.sentAt,
+    dispatchedAt: broadcast.dispatchedAt,
+    reach,
+    reachEstimated,
+    reads,
+    readRate: percentage(reads, reach),
+    push: {
+      enabled: broadcast.sendPush,
+      sent: push.sent || 0,
+      failed: push.failed || 0,
+      deferred: push.deferred || 0,
+      skipped: push.skipped || 0,
+      delivered: push.delivered || 0,
+      receiptErrors: push.receiptErrors || 0,
+      // Accepted by Expo, receipt not checked yet
+      awaitingReceipt: Math.max(0, (push.sent || 0) - receipts),
+      deliveryRate: percentage(push.delivered || 0, receipts)
+    }
+  };
+};
+
+module.exports = {
+  hasSegment,
+  previewAudience,
+  dispatchBroadcast,
+  dispatchDueBroadcasts,
+  getBroadcastStats
+};
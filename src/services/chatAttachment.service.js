@@ -0,0 +1,162 @@
+/**
+ * Chat Attachment Service
+ * Photos, videos (e.g. form-check clips) and PDFs sent in member-instructor chat.
+ *
+ * Attachments are stored in Cloudinary as private ('authenticated') files, one folder per
+ * conversation, so they can't be opened through a public URL. Every time a message is read
+ * the app gets a download URL that expires after CHAT_ATTACHMENT_URL_TTL_MINUTES and a signed
+ * thumbnail URL (a still for videos, the first page for PDFs). Deleting the message deletes
+ * the file and its thumbnails.
+ */
+
+const {
+  uploadPrivateFile,
+  getPrivateDownloadUrl,
+  getSignedDeliveryUrl,
+  deletePrivateFile
+} = require('./cloudinary.service');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+
+// What can be attached; PDFs are stored as images so Cloudinary can render a thumbnail of page 1
+const ATTACHMENT_KINDS = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+    maxMb: () => Number(config.CHAT_ATTACHMENT_MAX_IMAGE_MB),
+    resourceType: 'image',
+    label: 'Photo'
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+    maxMb: () => Number(config.CHAT_ATTACHMENT_MAX_VIDEO_MB),
+    resourceType: 'video',
+    label: 'Video'
+  },
+  file: {
+    mimeTypes: ['application/pdf'],
+    maxMb: () => Number(config.CHAT_ATTACHMENT_MAX_FILE_MB),
+    resourceType: 'image',
+    label: 'File',
+    thumbnail: { page: 1 }
+  }
+};
+
+const ALLOWED_MIME_TYPES = Object.values(ATTACHMENT_KINDS).flatMap(kind => kind.mimeTypes);
+
+const THUMBNAIL_TRANSFORMATION = { width: 320, height: 320, crop: 'limit' };
+const THUMBNAIL_FORMAT = 'jpg';
+
+/**
+ * Kind of attachment ('image', 'video' or 'file') for a MIME type; null if not allowed
+ */
+const getAttachmentKind = (mimeType) =>
+  Object.keys(ATTACHMENT_KINDS).find(kind => ATTACHMENT_KINDS[kind].mimeTypes.includes(mimeType)) || null;
+
+/**
+ * Largest attachment of any kind, in bytes (the limit multer enforces while receiving)
+ */
+const getMaxUploadBytes = () =>
+  Math.max(...Object.values(ATTACHMENT_KINDS).map(kind => kind.maxMb())) * MB;
+
+// Helper: transformation of a kind's thumbnail
+const thumbnailTransformation = (kind) => [{ ...THUMBNAIL_TRANSFORMATION, ...ATTACHMENT_KINDS[kind].thumbnail }];
+
+/**
+ * Check and upload an attachment received by multer
+ * @param {Object} file - Multer file object (memory storage)
+ * @param {string} conversationId
+ * @returns {Promise<Object>} Message.attachment, with `kind` matching Message.messageType
+ */
+const uploadAttachment = async (file, conversationId) => {
+  const kind = getAttachmentKind(file.mimetype);
+  if (!kind) {
+    throw new ApiError(`Invalid file type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`, 400);
+  }
+
+  const { maxMb, resourceType, label } = ATTACHMENT_KINDS[kind];
+  if (file.size > maxMb() * MB) {
+    throw new ApiError(`File too large. Maximum size for ${label.toLowerCase()}s is ${maxMb()}MB.`, 400);
+  }
+
+  const result = await uploadPrivateFile(file, {
+    folder: `gym-management/chat/${conversationId}`,
+    resource_type: resourceType,
+    // Thumbnail made at upload; large videos are processed in the background
+    eager: thumbnailTransformation(kind).map(step => ({ ...step, format: THUMBNAIL_FORMAT })),
+    eager_async: kind === 'video'
+  });
+
+  return {
+    kind,
+    publicId: result.public_id,
+    resourceType: result.resource_type || resourceType,
+    format: result.format,
+    mimeType: file.mimetype,
+    originalName: file.originalname,
+    bytes: result.bytes || file.size,
+    width: result.width || null,
+    height: result.height || null
+  };
+};
+
+/**
+ * Short text shown for an attachment where only text fits (conversation list, push notification)
+ */
+const describeAttachment = (attachment) => ATTACHMENT_KINDS[attachment?.kind]?.label || 'Attachment';
+
+/**
+ * What the app gets for an attachment: metadata plus fresh URLs
+ * @returns {Object|null} { kind, name, mimeType, bytes, width, height, url, thumbnailUrl, expiresAt }
+ */
+const formatAttachment = (attachment) => {
+  if (!attachment?.publicId) return null;
+
+  const { url, expiresAt } = getPrivateDownloadUrl(attachment.publicId, {
+    resource_type: attachment.resourceType,
+    format: attachment.format,
+    expiresInSeconds: Number(config.CHAT_ATTACHMENT_URL_TTL_MINUTES) * 60
+  });
+
+  return {
+    kind: attachment.kind,
+    name: attachment.originalName,
+    mimeType: attachment.mimeType,
+    bytes: attachment.bytes,
+    width: attachment.width,
+    height: attachment.height,
+    url,
+    thumbnailUrl: getSignedDeliveryUrl(attachment.publicId, {
+      resource_type: attachment.resourceType,
+      format: THUMBNAIL_FORMAT,
+      transformation: thumbnailTransformation(attachment.kind)
+    }),
+    expiresAt
+  };
+};
+
+/**
+ * Delete an attachment (and its thumbnails) from storage
+ * @returns {Promise<boolean>} Whether it is gone
+ */
+const deleteAttachment = async (attachment) => {
+  if (!attachment?.publicId) return true;
+
+  const { result } = await deletePrivateFile(attachment.publicId, { resource_type: attachment.resourceType });
+  if (result === 'ok' || result === 'not found') return true;
+
+  logger.error(`Could not delete chat attachment ${attachment.publicId}: ${result}`);
+  return false;
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  getAttachmentKind,
+  getMaxUploadBytes,
+  uploadAttachment,
+  describeAttachment,
+  formatAttachment,
+  deleteAttachment
+};
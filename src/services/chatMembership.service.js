@@ -0,0 +1,100 @@
+/**
+ * Chat Membership Service
+ * Who may chat with whom. A member is an instructor's client while they have an active
+ * Subscription to the instructor or an active Allocation with them; only clients can be in
+ * a direct conversation with the instructor, be added to one of the instructor's groups,
+ * write in those groups or receive the instructor's announcements.
+ */
+
+const Conversation = require('../models/Conversation');
+const Subscription = require('../models/Subscription');
+const Allocation = require('../models/Allocation');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Whether the member is currently a client of the instructor
+ */
+const isClientOf = async (instructorId, memberId) => {
+  const [subscription, allocation] = await Promise.all([
+    Subscription.exists({ memberId, instructorId, status: 'active' }),
+    Allocation.exists({ memberId, instructorId, status: 'active' })
+  ]);
+  return Boolean(subscription || allocation);
+};
+
+/**
+ * IDs (strings) of the instructor's current clients
+ */
+const getClientIds = async (instructorId) => {
+  const [subscribed, allocated] = await Promise.all([
+    Subscription.distinct('memberId', { instructorId, status: 'active' }),
+    Allocation.distinct('memberId', { instructorId, status: 'active' })
+  ]);
+
+  const ids = new Set([...subscribed, ...allocated].map(id => id.toString()));
+  if (ids.size === 0) return [];
+
+  // Deactivated accounts don't get messages
+  const active = await User.distinct('_id', { _id: { $in: [...ids] }, isActive: true });
+  return active.map(id => id.toString());
+};
+
+/**
+ * Check that every user can join the instructor's group
+ * @throws {ApiError} 400 naming the users that are not clients
+ */
+const assertClientsOf = async (instructorId, memberIds) => {
+  const clients = new Set(await getClientIds(instructorId));
+  const notClients = memberIds.filter(id => !clients.has(id.toString()));
+  if (notClients.length > 0) {
+    throw new ApiError(`Only your current clients can be added to a group (not clients: ${notClients.join(', ')})`, 400);
+  }
+};
+
+/**
+ * The direct conversation between a member and an instructor, created if needed
+ */
+const findOrCreateDirectConversation = async (memberId, instructorId) => {
+  const existing = await Conversation.findOne({ member: memberId, instructor: instructorId });
+  if (existing) return existing;
+
+  try {
+    return await Conversation.create({
+      type: 'direct',
+      participants: [memberId, instructorId],
+      member: memberId,
+      instructor: instructorId,
+      lastMessage: null,
+      unreadCount: {
+        member: 0,
+        instructor: 0
+      }
+    });
+  } catch (error) {
+    // Created by a parallel request in the meantime
+    if (error.code === 11000) return Conversation.findOne({ member: memberId, instructor: instructorId });
+    throw error;
+  }
+};
+
+/**
+ * Whether the user may write in the conversation right now
+ * Direct: the member must still be the instructor's client. Group: the owner always can;
+ * other members while they are the owner's clients.
+ */
+const canSendMessage = async (conversation, userId) => {
+  if (conversation.type === 'group') {
+    if (conversation.owner.toString() === userId.toString()) return true;
+    return isClientOf(conversation.owner, userId);
+  }
+  return isClientOf(conversation.instructor, conversation.member);
+};
+
+module.exports = {
+  isClientOf,
+  getClientIds,
+  assertClientsOf,
+  findOrCreateDirectConversation,
+  canSendMessage
+};
@@ -224,9 +224,98 @@ const uploadFile = async (file, folder = 'gym-management') => {
   });
 };
 
+/**
+ * Private files (type 'authenticated') are not reachable through their public URL; they are
+ * only delivered through the signed URLs below. Used for chat attachments.
+ */
+
+/**
+ * Upload a file that is only reachable through signed URLs
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Cloudinary upload options (folder, resource_type, eager, ...)
+ * @returns {Promise<Object>} - { secure_url, public_id, resource_type, width, height, bytes, format }
+ */
+const uploadPrivateFile = async (file, options = {}) => {
+  return uploadToCloudinary(file, { ...options, type: 'authenticated' });
+};
+
+/**
+ * Download URL of a private file that stops working after `expiresInSeconds`
+ * @param {string} public_id - Full Cloudinary public ID (including folder)
+ * @param {Object} options
+ * @param {string} options.resource_type - 'image', 'video' or 'raw'
+ * @param {string} options.format - File format (extension) of the upload
+ * @param {number} options.expiresInSeconds - Lifetime of the URL
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+const getPrivateDownloadUrl = (public_id, { resource_type = 'image', format, expiresInSeconds = 3600 } = {}) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const url = cloudinary.utils.private_download_url(public_id, format, {
+    resource_type,
+    type: 'authenticated',
+    expires_at: expiresAt
+  });
+  return { url, expiresAt: new Date(expiresAt * 1000) };
+};
+
+/**
+ * Signed delivery URL of a transformed version (e.g. thumbnail) of a private file.
+ * The signature stops the URL from being changed to another transformation or the original.
+ * @param {string} public_id - Full Cloudinary public ID (including folder)
+ * @param {Object} options - resource_type, format and transformation
+ * @returns {string}
+ */
+const getSignedDeliveryUrl = (public_id, { resource_type = 'image', format, transformation = [] } = {}) => {
+  return cloudinary.url(public_id, {
+    resource_type,
+    type: 'authenticated',
+    sign_url: true,
+    secure: true,
+    format,
+    transformation
+  });
+};
+
+/**
+ * Delete a private file and its derived versions (thumbnails)
+ * @param {string} public_id - Full Cloudinary public ID (including folder)
+ * @param {Object} options
+ * @param {string} options.resource_type - 'image', 'video' or 'raw'
+ * @returns {Promise<Object>} - Cloudinary deletion result
+ */
+const deletePrivateFile = async (public_id, { resource_type = 'image' } = {}) => {
+  if (!config.CLOUDINARY_CLOUD_NAME || !config.CLOUDINARY_API_KEY || !config.CLOUDINARY_API_SECRET) {
+    logger.warn('Cloudinary not configured. Cannot delete file.');
+    return { result: 'error', error: 'Cloudinary not configured' };
+  }
+
+  try {
+    const result = await cloudinary.uploader.destroy(public_id, {
+      resource_type,
+      type: 'authenticated',
+      invalidate: true
+    });
+
+    if (result.result === 'ok') {
+      logger.info(`Private file deleted from Cloudinary: ${public_id}`);
+    } else {
+      logger.warn(`Cloudinary deletion result: ${result.result} for ${public_id}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Cloudinary deletion error for ${public_id}: ${error.message}`);
+    return { result: 'error', error: error.message };
+  }
+};
+
 module.exports = {
   uploadToCloudinary,
   deleteFromCloudinary,
+  uploadPrivateFile,
+  getPrivateDownloadUrl,
+  getSignedDeliveryUrl,
+  deletePrivateFile,
   uploadImage,
   uploadVideo,
   uploadFile
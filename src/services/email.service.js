@@ -1,16 +1,24 @@
 const { Resend } = require('resend');
 const config = require('../config/environment');
+const { isEmailAllowed } = require('./notificationPreference.service');
 const logger = require('../utils/logger');
 
 // Initialize Resend client
 const resend = config.RESEND_API_KEY ? new Resend(config.RESEND_API_KEY) : null;
 
-const sendMail = async ({ to, subject, html, from }) => {
+// `category` (NotificationPreference.NOTIFICATION_CATEGORIES) makes the email respect the
+// recipient's email preferences; account emails (verification, password reset) have none
+const sendMail = async ({ to, subject, html, from, attachments, category }) => {
   if (!config.RESEND_API_KEY || !resend) {
     logger.warn('Resend API key not configured; skipping send');
     return;
   }
 
+  if (category && !(await isEmailAllowed(to, category))) {
+    logger.info(`Email "${subject}" to ${to} not sent: ${category} emails are turned off`);
+    return;
+  }
+
   try {
     const fromEmail = from || config.RESEND_FROM_EMAIL || `Get-Fit Gym <onboarding@resend.dev>`;
     
@@ -19,6 +27,7 @@ const sendMail = async ({ to, subject, html, from }) => {
       to: Array.isArray(to) ? to : [to],
       subject,
       html,
+      ...(attachments && attachments.length > 0 ? { attachments } : {}),
     });
 
     if (error) {
@@ -212,7 +221,7 @@ const sendPasswordResetOTPEmail = async (email, otp, name) => {
   await sendMail({ to: email, subject: 'Reset Your Password - Get-Fit Gym', html });
 };
 
-const sendPaymentReceiptEmail = async (email, name, paymentData) => {
+const sendPaymentReceiptEmail = async (email, name, paymentData, attachments = []) => {
   const {
     orderId,
     paymentId,
@@ -220,7 +229,8 @@ const sendPaymentReceiptEmail = async (email, name, paymentData) => {
     currency,
     description,
     transactionDate,
-    instructorName
+    instructorName,
+    invoiceNumber
   } = paymentData;
 
   const formattedDate = new Date(transactionDate).toLocaleDateString('en-US', {
@@ -265,6 +275,12 @@ const sendPaymentReceiptEmail = async (email, name, paymentData) => {
               <td style="padding: 8px 0; color: #666; font-weight: bold;">Receipt Number:</td>
               <td style="padding: 8px 0; text-align: right; color: #333; font-family: monospace;">${orderId || paymentId || 'N/A'}</td>
             </tr>
+            ${invoiceNumber ? `
+            <tr>
+              <td style="padding: 8px 0; color: #666; font-weight: bold;">Invoice Number:</td>
+              <td style="padding: 8px 0; text-align: right; color: #333; font-family: monospace;">${invoiceNumber}</td>
+            </tr>
+            ` : ''}
             <tr>
               <td style="padding: 8px 0; color: #666; font-weight: bold;">Payment ID:</td>
               <td style="padding: 8px 0; text-align: right; color: #333; font-family: monospace;">${paymentId || 'N/A'}</td>
@@ -297,7 +313,7 @@ const sendPaymentReceiptEmail = async (email, name, paymentData) => {
 
         <div style="background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
           <p style="margin: 0; color: #856404; font-size: 14px;">
-            <strong>Note:</strong> Please keep this receipt for your records. This is your official proof of payment.
+            <strong>Note:</strong> Please keep this receipt for your records. ${attachments.length > 0 ? 'Your invoice is attached as a PDF.' : 'This is your official proof of payment.'}
           </p>
         </div>
 
@@ -316,7 +332,269 @@ const sendPaymentReceiptEmail = async (email, name, paymentData) => {
   await sendMail({ 
     to: email, 
     subject: `Payment Receipt - ${orderId || paymentId || 'Get-Fit Gym'}`, 
-    html 
+    html,
+    attachments,
+    category: 'payment'
+  });
+};
+
+const sendAutoRenewalFailedEmail = async (email, name, renewalData) => {
+  const { planName, amount, currency, endDate, nextAttemptAt, reason } = renewalData;
+
+  const formattedAmount = new Intl.NumberFormat('en-LK', {
+    style: 'currency',
+    currency: currency || 'LKR',
+    minimumFractionDigits: 2
+  }).format(amount);
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Membership Renewal Failed - Get-Fit Gym</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: #fff; margin: 0;">Get-Fit Gym</h1>
+        <p style="color: #fff; margin: 10px 0 0 0; font-size: 18px;">Membership Renewal</p>
+      </div>
+      <div style="background: #fff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <h2 style="color: #e53935; margin: 0 0 20px 0;">We couldn't renew your membership</h2>
+        <p>Hello ${name || 'there'},</p>
+        <p>The automatic payment of <strong>${formattedAmount}</strong> for your <strong>${planName}</strong> membership did not go through${reason ? ` (${reason})` : ''}.</p>
+        <p>Your current membership ends on <strong>${formatDate(endDate)}</strong>.</p>
+        ${nextAttemptAt ? `
+        <p>We will try again on <strong>${formatDate(nextAttemptAt)}</strong>. Please make sure your card has sufficient funds.</p>
+        ` : `
+        <div style="background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0; border-radius: 4px;">
+          <p style="margin: 0; color: #856404; font-size: 14px;">
+            <strong>Auto-renewal has been turned off.</strong> Please renew your membership in the app to keep your access.
+          </p>
+        </div>
+        `}
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">Thank you for choosing Get-Fit Gym!</p>
+      </div>
+      <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} Get-Fit Gym. All rights reserved.</p>
+        <p style="margin: 5px 0 0 0;">This is an automated email. Please do not reply.</p>
+      </div>
+    </body>
+    </html>
+  `;
+  await sendMail({
+    to: email,
+    subject: 'Action needed: membership renewal failed',
+    html,
+    category: 'payment'
+  });
+};
+
+const sendExpiryReminderEmail = async (email, name, reminderData) => {
+  const { itemName, kind, endDate, daysLeft, renewUrl } = reminderData;
+  const what = kind === 'subscription' ? 'subscription' : 'membership';
+
+  const formattedDate = new Date(endDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  const expired = daysLeft <= 0;
+  const heading = expired
+    ? `Your ${what} has expired`
+    : `Your ${what} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  const consequence = kind === 'subscription'
+    ? 'messaging your instructor and their training plans'
+    : 'gym check-in and member features';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${heading} - Get-Fit Gym</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: #fff; margin: 0;">Get-Fit Gym</h1>
+        <p style="color: #fff; margin: 10px 0 0 0; font-size: 18px;">${kind === 'subscription' ? 'Instructor Subscription' : 'Membership'} Reminder</p>
+      </div>
+      <div style="background: #fff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <h2 style="color: ${expired ? '#e53935' : '#667eea'}; margin: 0 0 20px 0;">${heading}</h2>
+        <p>Hello ${name || 'there'},</p>
+        <p>Your <strong>${itemName}</strong> ${expired ? 'ended' : 'ends'} on <strong>${formattedDate}</strong>.</p>
+        <p>${expired ? `You no longer have access to ${consequence}.` : `Renew before then to keep ${consequence}.`}</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${renewUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #fff; padding: 14px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">Renew in the app</a>
+        </div>
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">Thank you for choosing Get-Fit Gym!</p>
+      </div>
+      <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} Get-Fit Gym. All rights reserved.</p>
+        <p style="margin: 5px 0 0 0;">This is an automated email. Please do not reply.</p>
+      </div>
+    </body>
+    </html>
+  `;
+  await sendMail({
+    to: email,
+    subject: `${heading} - Get-Fit Gym`,
+    html,
+    category: 'reminder'
+  });
+};
+
+const sendRefundReceiptEmail = async (email, name, refundData) => {
+  const {
+    orderId,
+    amount,
+    originalAmount,
+    currency,
+    description,
+    reason,
+    refundDate,
+    entitlementNote
+  } = refundData;
+
+  const formatAmount = (value) => new Intl.NumberFormat('en-LK', {
+    style: 'currency',
+    currency: currency || 'LKR',
+    minimumFractionDigits: 2
+  }).format(value);
+
+  const formattedDate = new Date(refundDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Refund Receipt - Get-Fit Gym</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: #fff; margin: 0;">Get-Fit Gym</h1>
+        <p style="color: #fff; margin: 10px 0 0 0; font-size: 18px;">Refund Receipt</p>
+      </div>
+      <div style="background: #fff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <p>Hello ${name || 'there'},</p>
+        <p>We have issued a refund for your payment. It may take a few business days to appear on your statement.</p>
+
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="padding: 8px 0; color: #666; font-weight: bold;">Original Receipt:</td>
+              <td style="padding: 8px 0; text-align: right; color: #333; font-family: monospace;">${orderId || 'N/A'}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666; font-weight: bold;">Description:</td>
+              <td style="padding: 8px 0; text-align: right; color: #333;">${description || 'Payment'}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666; font-weight: bold;">Original Amount:</td>
+              <td style="padding: 8px 0; text-align: right; color: #333;">${formatAmount(originalAmount)}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666; font-weight: bold;">Refund Date:</td>
+              <td style="padding: 8px 0; text-align: right; color: #333;">${formattedDate}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px 0; color: #666; font-weight: bold;">Reason:</td>
+              <td style="padding: 8px 0; text-align: right; color: #333;">${reason}</td>
+            </tr>
+          </table>
+        </div>
+
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px;">
+          <p style="color: #fff; margin: 0 0 10px 0; font-size: 14px; text-transform: uppercase; letter-spacing: 1px;">Amount Refunded</p>
+          <p style="color: #fff; margin: 0; font-size: 32px; font-weight: bold;">${formatAmount(amount)}</p>
+        </div>
+
+        ${entitlementNote ? `
+        <div style="background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin-bottom: 20px; border-radius: 4px;">
+          <p style="margin: 0; color: #856404; font-size: 14px;">${entitlementNote}</p>
+        </div>
+        ` : ''}
+
+        <p style="color: #666; font-size: 14px; margin: 0;">Thank you for choosing Get-Fit Gym!</p>
+      </div>
+      <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} Get-Fit Gym. All rights reserved.</p>
+        <p style="margin: 5px 0 0 0;">This is an automated email. Please do not reply.</p>
+      </div>
+    </body>
+    </html>
+  `;
+  await sendMail({
+    to: email,
+    subject: `Refund Receipt - ${orderId || 'Get-Fit Gym'}`,
+    html,
+    category: 'payment'
+  });
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Daily digest of the notifications a member chose not to get pushed one by one
+const sendNotificationDigestEmail = async (email, name, notifications) => {
+  const rows = notifications.map(notification => `
+          <tr>
+            <td style="padding: 12px 0; border-bottom: 1px solid #eee;">
+              <strong>${escapeHtml(notification.title)}</strong>
+              <p style="margin: 4px 0 0 0; color: #666;">${escapeHtml(notification.message)}</p>
+              <p style="margin: 4px 0 0 0; color: #999; font-size: 12px;">${new Date(notification.createdAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}</p>
+            </td>
+          </tr>`).join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your daily summary - Get-Fit Gym</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: #fff; margin: 0;">Get-Fit Gym</h1>
+        <p style="color: #fff; margin: 10px 0 0 0; font-size: 18px;">Your daily summary</p>
+      </div>
+      <div style="background: #fff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <p>Hello ${escapeHtml(name) || 'there'},</p>
+        <p>Here ${notifications.length === 1 ? 'is what' : `are the ${notifications.length} updates that`} came in since your last summary:</p>
+        <table style="width: 100%; border-collapse: collapse;">${rows}
+        </table>
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">You get this summary because you turned on the daily digest. You can change this in the app's notification settings.</p>
+      </div>
+      <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} Get-Fit Gym. All rights reserved.</p>
+        <p style="margin: 5px 0 0 0;">This is an automated email. Please do not reply.</p>
+      </div>
+    </body>
+    </html>
+  `;
+  await sendMail({
+    to: email,
+    subject: 'Your daily summary - Get-Fit Gym',
+    html
   });
 };
 
@@ -326,7 +604,11 @@ module.exports = {
   sendWelcomeEmail, 
   sendOTPEmail, 
   sendPasswordResetOTPEmail,
-  sendPaymentReceiptEmail
+  sendPaymentReceiptEmail,
+  sendAutoRenewalFailedEmail,
+  sendExpiryReminderEmail,
+  sendRefundReceiptEmail,
+  sendNotificationDigestEmail
 };
 
 
@@ -0,0 +1,200 @@
+/**
+ * Expiry Reminder Service
+ * Push + email reminders before a membership or instructor subscription ends
+ * (EXPIRY_REMINDER_DAYS, default 7, 3 and 1 days) and once when it has expired.
+ *
+ * Each reminder is claimed on the record itself (expiryReminders, keyed by offset and end
+ * date) before it is sent, so restarts and parallel runs never send it twice. When the end
+ * date moves (renewal, freeze) the reminders start over for the new date. A record that
+ * only comes into the window late gets the closest reminder only, not all missed ones.
+ */
+
+const Membership = require('../models/Membership');
+const Subscription = require('../models/Subscription');
+const { sendPushNotification } = require('./notification.service');
+const { sendExpiryReminderEmail } = require('./email.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// "Has expired" reminders are only sent this long after expiry (avoids a burst on first deploy)
+const EXPIRED_NOTICE_WINDOW_DAYS = 2;
+
+/**
+ * Configured reminder offsets in days, smallest first
+ */
+const getReminderOffsets = () =>
+  String(config.EXPIRY_REMINDER_DAYS)
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(days => Number.isInteger(days) && days > 0)
+    .sort((a, b) => a - b);
+
+/**
+ * Deep link that opens the renew screen of the app
+ */
+const buildRenewLink = (kind, record) => {
+  const base = config.APP_DEEP_LINK_BASE;
+  if (kind === 'subscription') {
+    const instructorId = record.instructorId?._id || record.instructorId;
+    return `${base}instructors/${instructorId}/subscribe`;
+  }
+  return `${base}memberships/renew?membershipId=${record._id}&planId=${encodeURIComponent(record.planId)}`;
+};
+
+// Helper: per-kind fields, so memberships and subscriptions share one code path
+const KINDS = {
+  membership: {
+    Model: Membership,
+    endField: 'endDate',
+    userField: 'userId',
+    itemName: (membership) => `${membership.planName} membership`,
+    // A membership bought (or queued) after this one means the member already renewed
+    hasFollowUp: (membership) => Membership.exists({
+      _id: { $ne: membership._id },
+      userId: membership.userId._id || membership.userId,
+      status: { $in: ['active', 'pending', 'frozen'] },
+      endDate: { $gt: membership.endDate }
+    })
+  },
+  subscription: {
+    Model: Subscription,
+    endField: 'expiresAt',
+    userField: 'memberId',
+    itemName: (subscription) => `subscription to ${subscription.instructorId?.name || 'your instructor'}`,
+    // Subscriptions are extended in place, which changes expiresAt
+    hasFollowUp: async () => false
+  }
+};
+
+// Helper: record the reminder on the document; false if it (or a later one) was already sent
+const claimReminder = async (kind, record, offsetDays, now) => {
+  const { Model, endField } = KINDS[kind];
+  const endDate = record[endField];
+
+  const { modifiedCount } = await Model.updateOne(
+    {
+      _id: record._id,
+      [endField]: endDate,
+      expiryReminders: { $not: { $elemMatch: { endDate, offsetDays: { $lte: offsetDays } } } }
+    },
+    { $push: { expiryReminders: { offsetDays, endDate, sentAt: now } } }
+  );
+
+  return modifiedCount > 0;
+};
+
+// Helper: push and email one reminder. Failures are logged; the reminder is not retried.
+const deliverReminder = async (kind, record, daysLeft) => {
+  const { endField, userField, itemName } = KINDS[kind];
+  const user = record[userField];
+  const endDate = record[endField];
+  const renewUrl = buildRenewLink(kind, record);
+  const name = itemName(record);
+
+  const title = daysLeft <= 0
+    ? `Your ${kind} has expired`
+    : `Your ${kind} expires ${daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`}`;
+  const message = daysLeft <= 0
+    ? `Your ${name} ended on ${endDate.toDateString()}. Renew to get your access back.`
+    : `Your ${name} ends on ${endDate.toDateString()}. Renew now to keep your access.`;
+
+  await sendPushNotification(user._id, title, message, {
+    type: kind,
+    relatedId: record._id.toString(),
+    deepLink: renewUrl,
+    reminderDays: daysLeft
+  });
+
+  if (user.email) {
+    try {
+      await sendExpiryReminderEmail(user.email, user.name, { itemName: name, kind, endDate, daysLeft, renewUrl });
+    } catch (err) {
+      logger.error(`Failed to email expiry reminder for ${kind} ${record._id}:`, err);
+    }
+  }
+};
+
+// Helper: reminders for records that are about to end
+const sendUpcomingReminders = async (kind, offsets, now) => {
+  const { Model, endField, userField, hasFollowUp } = KINDS[kind];
+  const maxOffset = offsets[offsets.length - 1];
+
+  const filter = {
+    status: 'active',
+    [endField]: { $gt: now, $lte: new Date(now.getTime() + maxOffset * DAY_MS) }
+  };
+  // Auto-renew memberships are charged before they end; failures have their own email
+  if (kind === 'membership') filter.autoRenew = { $ne: true };
+
+  let query = Model.find(filter).populate(userField, 'name email');
+  if (kind === 'subscription') query = query.populate('instructorId', 'name');
+  const records = await query;
+
+  let sent = 0;
+  for (const record of records) {
+    const daysLeft = Math.ceil((record[endField].getTime() - now.getTime()) / DAY_MS);
+    // Closest configured offset that has been reached
+    const offsetDays = offsets.find(days => daysLeft <= days);
+    if (!offsetDays || !record[userField]) continue;
+
+    const alreadySent = (record.expiryReminders || []).some(reminder =>
+      reminder.endDate.getTime() === record[endField].getTime() && reminder.offsetDays <= offsetDays);
+    if (alreadySent || await hasFollowUp(record)) continue;
+
+    if (!(await claimReminder(kind, record, offsetDays, now))) continue;
+    await deliverReminder(kind, record, daysLeft);
+    sent += 1;
+  }
+
+  return sent;
+};
+
+// Helper: one "has expired" reminder for records that expired recently
+const sendExpiredReminders = async (kind, now) => {
+  const { Model, endField, userField, hasFollowUp } = KINDS[kind];
+
+  let query = Model.find({
+    status: 'expired',
+    [endField]: { $gte: new Date(now.getTime() - EXPIRED_NOTICE_WINDOW_DAYS * DAY_MS), $lte: now }
+  }).populate(userField, 'name email');
+  if (kind === 'subscription') query = query.populate('instructorId', 'name');
+  const records = await query;
+
+  let sent = 0;
+  for (const record of records) {
+    const alreadySent = (record.expiryReminders || []).some(reminder =>
+      reminder.endDate.getTime() === record[endField].getTime() && reminder.offsetDays === 0);
+    if (alreadySent || !record[userField] || await hasFollowUp(record)) continue;
+    if (!(await claimReminder(kind, record, 0, now))) continue;
+    await deliverReminder(kind, record, 0);
+    sent += 1;
+  }
+
+  return sent;
+};
+
+/**
+ * Send every reminder that is due (called by the scheduler after the expiry checks)
+ * @returns {Promise<{ memberships: number, subscriptions: number }>} Reminders sent
+ */
+const sendExpiryReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  const counts = { memberships: 0, subscriptions: 0 };
+
+  for (const kind of Object.keys(KINDS)) {
+    const key = `${kind}s`;
+    if (offsets.length > 0) {
+      counts[key] += await sendUpcomingReminders(kind, offsets, now);
+    }
+    counts[key] += await sendExpiredReminders(kind, now);
+  }
+
+  return counts;
+};
+
+module.exports = {
+  getReminderOffsets,
+  buildRenewLink,
+  sendExpiryReminders
+};
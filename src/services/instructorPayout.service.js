@@ -0,0 +1,396 @@
+/**
+ * Instructor Payout Service
+ * Commission ledger for instructor subscriptions and monthly payout batches.
+ *
+ * Every fulfilled subscription payment adds an `earning` entry that splits the amount into
+ * the gym's commission and the instructor's share; refunds add a matching negative `refund`
+ * entry. Once a month the unbatched entries of each instructor are rolled into a Payout,
+ * which an admin approves and then marks paid.
+ */
+
+const mongoose = require('mongoose');
+const ApiError = require('../utils/ApiError');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Instructor = require('../models/Instructor');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+// Some ledger entries of a balance were batched by another run in the meantime
+class StaleBalanceError extends Error {}
+
+/**
+ * Gym commission (%) for an instructor (user ID)
+ */
+const getCommissionRate = async (instructorId) => {
+  const instructor = await Instructor.findOne({ userId: instructorId }).select('commissionRate').lean();
+  const rate = instructor?.commissionRate ?? Number(config.INSTRUCTOR_COMMISSION_RATE);
+  return Math.min(100, Math.max(0, rate));
+};
+
+// Helper: keep Instructor.stats.totalEarnings equal to the instructor's ledger balance
+const addToTotalEarnings = (instructorId, amount) =>
+  Instructor.updateOne({ userId: instructorId }, { $inc: { 'stats.totalEarnings': amount } });
+
+/**
+ * Record the instructor's share of a fulfilled subscription payment (once per payment)
+ * @returns {Promise<Object|null>} The ledger entry, or null if the payment is not an instructor payment
+ */
+const recordEarning = async (payment) => {
+  if (!payment.instructorId) return null;
+
+  const instructorId = payment.instructorId._id || payment.instructorId;
+  const commissionRate = await getCommissionRate(instructorId);
+  const commissionAmount = round2(payment.amount * commissionRate / 100);
+
+  try {
+    const entry = await LedgerEntry.create({
+      instructorId,
+      memberId: payment.userId?._id || payment.userId,
+      paymentId: payment._id,
+      type: 'earning',
+      grossAmount: payment.amount,
+      commissionRate,
+      commissionAmount,
+      instructorAmount: round2(payment.amount - commissionAmount),
+      currency: payment.currency,
+      entryDate: payment.transactionDate || new Date()
+    });
+
+    await addToTotalEarnings(instructorId, entry.instructorAmount);
+    return entry;
+  } catch (err) {
+    if (!isDuplicateKeyError(err)) throw err;
+    return LedgerEntry.findOne({ paymentId: payment._id, type: 'earning' });
+  }
+};
+
+/**
+ * Reverse the refunded part of an instructor payment at the rate it was earned at
+ * @returns {Promise<Object|null>}
+ */
+const recordRefund = async (payment, refund) => {
+  if (!payment.instructorId) return null;
+
+  const instructorId = payment.instructorId._id || payment.instructorId;
+  const earning = await LedgerEntry.findOne({ paymentId: payment._id, type: 'earning' }).lean();
+  const commissionRate = earning ? earning.commissionRate : await getCommissionRate(instructorId);
+  const commissionAmount = round2(refund.amount * commissionRate / 100);
+
+  try {
+    const entry = await LedgerEntry.create({
+      instructorId,
+      memberId: payment.userId?._id || payment.userId,
+      paymentId: payment._id,
+      refundId: refund._id,
+      type: 'refund',
+      grossAmount: -refund.amount,
+      commissionRate,
+      commissionAmount: -commissionAmount,
+      instructorAmount: -round2(refund.amount - commissionAmount),
+      currency: refund.currency || payment.currency,
+      entryDate: refund.createdAt || new Date()
+    });
+
+    await addToTotalEarnings(instructorId, entry.instructorAmount);
+    return entry;
+  } catch (err) {
+    if (!isDuplicateKeyError(err)) throw err;
+    return LedgerEntry.findOne({ refundId: refund._id, type: 'refund' });
+  }
+};
+
+/**
+ * Start (inclusive) and end (exclusive) of a "YYYY-MM" period
+ */
+const getPeriodRange = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return { start: new Date(year, month - 1, 1), end: new Date(year, month, 1) };
+};
+
+/**
+ * The calendar month before `now`, as "YYYY-MM"
+ */
+const getPreviousPeriod = (now = new Date()) => {
+  const date = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Batch every unpaid ledger entry up to the end of `period` into one payout per instructor.
+ * Instructors whose balance is zero or negative (refunds) carry it forward to the next month.
+ * Running it again for the same period only picks up instructors without a payout yet.
+ *
+ * @param {string} [period] - "YYYY-MM", defaults to the previous month
+ * @returns {Promise<{ period: string, created: number, skipped: number }>}
+ */
+const generateMonthlyPayouts = async (period = getPreviousPeriod()) => {
+  const { start, end } = getPeriodRange(period);
+
+  const balances = await LedgerEntry.aggregate([
+    { $match: { payoutId: null, entryDate: { $lt: end } } },
+    {
+      $group: {
+        _id: '$instructorId',
+        entryIds: { $push: '$_id' },
+        grossAmount: { $sum: '$grossAmount' },
+        commissionAmount: { $sum: '$commissionAmount' },
+        amount: { $sum: '$instructorAmount' },
+        currency: { $first: '$currency' }
+      }
+    }
+  ]);
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const balance of balances) {
+    const amount = round2(balance.amount);
+    if (amount <= 0) {
+      skipped += 1;
+      continue;
+    }
+
+    // The entries are claimed under a payout ID chosen up front before the payout is written,
+    // both in one transaction, so they can never end up unpaid next to a payout (or paid twice)
+    const payoutId = new mongoose.Types.ObjectId();
+    try {
+      await withTransaction(async (session) => {
+        const { modifiedCount } = await LedgerEntry.updateMany(
+          { _id: { $in: balance.entryIds }, payoutId: null },
+          { $set: { payoutId } },
+          { session }
+        );
+        if (modifiedCount !== balance.entryIds.length) {
+          throw new StaleBalanceError();
+        }
+
+        await Payout.create([{
+          _id: payoutId,
+          instructorId: balance._id,
+          period,
+          periodStart: start,
+          periodEnd: end,
+          entryCount: balance.entryIds.length,
+          grossAmount: round2(balance.grossAmount),
+          commissionAmount: round2(balance.commissionAmount),
+          amount,
+          currency: balance.currency
+        }], { session });
+      }, {
+        rollback: () => LedgerEntry.updateMany({ payoutId }, { $set: { payoutId: null } })
+      });
+    } catch (err) {
+      // Already paid out for this period, or another run batched some of the entries first
+      if (!isDuplicateKeyError(err) && !(err instanceof StaleBalanceError)) throw err;
+      skipped += 1;
+      continue;
+    }
+    created += 1;
+  }
+
+  if (created > 0) {
+    logger.info(`Payouts generated for ${period}`, { created, skipped });
+  }
+  return { period, created, skipped };
+};
+
+/**
+ * Admin approval of a pending payout
+ */
+const approvePayout = async (payoutId, adminId) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    { $set: { status: 'approved', approvedBy: adminId, approvedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!payout) {
+    const exists = await Payout.exists({ _id: payoutId });
+    throw exists
+      ? new ApiError('Only pending payouts can be approved', 400)
+      : new ApiError('Payout not found', 404);
+  }
+
+  return payout;
+};
+
+/**
+ * Record that an approved payout has been sent to the instructor
+ */
+const markPayoutPaid = async (payoutId, adminId, { paymentReference, notes } = {}) => {
+  const update = { status: 'paid', paidBy: adminId, paidAt: new Date(), paymentReference };
+  if (notes !== undefined) update.notes = notes;
+
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'approved' },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!payout) {
+    const exists = await Payout.exists({ _id: payoutId });
+    throw exists
+      ? new ApiError('Only approved payouts can be marked as paid', 400)
+      : new ApiError('Payout not found', 404);
+  }
+
+  return payout;
+};
+
+// Helper: sum the money columns of ledger entries
+const sumEntries = (entries) => ({
+  grossAmount: round2(entries.reduce((sum, e) => sum + e.grossAmount, 0)),
+  commissionAmount: round2(entries.reduce((sum, e) => sum + e.commissionAmount, 0)),
+  instructorAmount: round2(entries.reduce((sum, e) => sum + e.instructorAmount, 0))
+});
+
+/**
+ * Lifetime balance of an instructor: earned, paid out and still owed
+ */
+const getBalance = async (userId) => {
+  // Aggregations don't cast, so the ID must already be an ObjectId
+  const instructorId = new mongoose.Types.ObjectId(String(userId));
+  const [earned] = await LedgerEntry.aggregate([
+    { $match: { instructorId } },
+    { $group: { _id: null, amount: { $sum: '$instructorAmount' } } }
+  ]);
+  const [paid] = await Payout.aggregate([
+    { $match: { instructorId, status: 'paid' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  const totalEarned = round2(earned?.amount || 0);
+  const totalPaid = round2(paid?.amount || 0);
+  return { totalEarned, totalPaid, outstanding: round2(totalEarned - totalPaid) };
+};
+
+/**
+ * Instructor statement: ledger entries and payouts between two dates plus the lifetime balance
+ * @param {ObjectId} instructorId - Instructor user ID
+ * @param {{ from?: Date, to?: Date }} range - Defaults to the current month
+ */
+const getStatement = async (instructorId, { from, to } = {}) => {
+  const now = new Date();
+  const start = from ? new Date(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = to ? new Date(to) : now;
+
+  const [entries, payouts, balance] = await Promise.all([
+    LedgerEntry.find({ instructorId, entryDate: { $gte: start, $lte: end } })
+      .populate('memberId', 'name email')
+      .populate('paymentId', 'description payhereOrderId invoiceNumber')
+      .sort({ entryDate: 1 })
+      .lean(),
+    Payout.find({ instructorId, periodStart: { $lte: end }, periodEnd: { $gt: start } })
+      .sort({ periodStart: 1 })
+      .lean(),
+    getBalance(instructorId)
+  ]);
+
+  return {
+    from: start,
+    to: end,
+    totals: sumEntries(entries),
+    entries,
+    payouts,
+    balance
+  };
+};
+
+/**
+ * Reconciliation for one period: instructor payments vs ledger entries vs payouts.
+ * Anything listed under `missingEarnings`, `missingRefunds` or `earningsMismatches` needs a look.
+ */
+const getReconciliationReport = async (period = getPreviousPeriod()) => {
+  const { start, end } = getPeriodRange(period);
+
+  const payments = await Payment.find({
+    instructorId: { $ne: null },
+    status: { $in: ['completed', 'refunded'] },
+    transactionDate: { $gte: start, $lt: end }
+  }).select('_id instructorId amount payhereOrderId transactionDate').lean();
+
+  const paymentIds = payments.map(p => p._id);
+  const [earnings, refunds, periodEntries, payouts, carriedForward, instructors] = await Promise.all([
+    LedgerEntry.find({ paymentId: { $in: paymentIds }, type: 'earning' }).select('paymentId').lean(),
+    Refund.find({ status: 'completed', createdAt: { $gte: start, $lt: end } }).select('_id paymentId amount').lean(),
+    LedgerEntry.find({ entryDate: { $gte: start, $lt: end } }).lean(),
+    Payout.find({ period }).lean(),
+    LedgerEntry.aggregate([
+      { $match: { payoutId: null, entryDate: { $lt: end } } },
+      { $group: { _id: '$instructorId', amount: { $sum: '$instructorAmount' }, entries: { $sum: 1 } } }
+    ]),
+    Instructor.find({}).select('userId stats.totalEarnings').lean()
+  ]);
+
+  const recorded = new Set(earnings.map(e => e.paymentId.toString()));
+  const missingEarnings = payments
+    .filter(p => !recorded.has(p._id.toString()))
+    .map(p => ({ paymentId: p._id, instructorId: p.instructorId, amount: p.amount, orderId: p.payhereOrderId }));
+
+  // Refunds of instructor payments that never made it into the ledger
+  const instructorPaymentIds = new Set((await Payment.find({
+    _id: { $in: refunds.map(r => r.paymentId) },
+    instructorId: { $ne: null }
+  }).select('_id').lean()).map(p => p._id.toString()));
+  const reversed = new Set((await LedgerEntry.find({
+    refundId: { $in: refunds.map(r => r._id) },
+    type: 'refund'
+  }).select('refundId').lean()).map(e => e.refundId.toString()));
+  const missingRefunds = refunds
+    .filter(r => instructorPaymentIds.has(r.paymentId.toString()) && !reversed.has(r._id.toString()))
+    .map(r => ({ refundId: r._id, paymentId: r.paymentId, amount: r.amount }));
+
+  // Instructor.stats.totalEarnings should equal the lifetime ledger balance
+  const ledgerTotals = await LedgerEntry.aggregate([
+    { $group: { _id: '$instructorId', amount: { $sum: '$instructorAmount' } } }
+  ]);
+  const ledgerByInstructor = new Map(ledgerTotals.map(t => [t._id.toString(), round2(t.amount)]));
+  const earningsMismatches = instructors
+    .map(i => ({
+      instructorId: i.userId,
+      totalEarnings: round2(i.stats?.totalEarnings || 0),
+      ledgerBalance: ledgerByInstructor.get(i.userId.toString()) || 0
+    }))
+    .filter(i => i.totalEarnings !== i.ledgerBalance);
+
+  const payoutsByStatus = Payout.PAYOUT_STATUSES.reduce((acc, status) => {
+    const matching = payouts.filter(p => p.status === status);
+    acc[status] = { count: matching.length, amount: round2(matching.reduce((sum, p) => sum + p.amount, 0)) };
+    return acc;
+  }, {});
+
+  return {
+    period,
+    payments: {
+      count: payments.length,
+      amount: round2(payments.reduce((sum, p) => sum + p.amount, 0))
+    },
+    ledger: { entries: periodEntries.length, ...sumEntries(periodEntries) },
+    payouts: payoutsByStatus,
+    carriedForward: carriedForward.map(c => ({ instructorId: c._id, entries: c.entries, amount: round2(c.amount) })),
+    missingEarnings,
+    missingRefunds,
+    earningsMismatches
+  };
+};
+
+module.exports = {
+  getCommissionRate,
+  recordEarning,
+  recordRefund,
+  getPreviousPeriod,
+  generateMonthlyPayouts,
+  approvePayout,
+  markPayoutPaid,
+  getBalance,
+  getStatement,
+  getReconciliationReport
+};
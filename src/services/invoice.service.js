@@ -0,0 +1,220 @@
+/**
+ * Invoice Service
+ * Sequential invoice numbers and locally generated PDF invoices (pdfkit)
+ */
+
+const PDFDocument = require('pdfkit');
+const Payment = require('../models/Payment');
+const Counter = require('../models/Counter');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const config = require('../config/environment');
+const { withTransaction } = require('../utils/transaction');
+
+const INVOICE_SEQUENCE = 'invoice';
+
+/**
+ * Give the payment its invoice number if it doesn't have one yet.
+ * Numbers come from a single atomic counter, so they are sequential and never reused.
+ * The number is taken in the same transaction that writes it to the payment, so a request
+ * that loses the race to number a payment rolls its number back and leaves no gap.
+ * @returns {Promise<string>} The invoice number
+ */
+const ensureInvoiceNumber = async (payment) => {
+  if (payment.invoiceNumber) return payment.invoiceNumber;
+
+  payment.invoiceNumber = await withTransaction(async (session) => {
+    const current = await Payment.findById(payment._id).select('invoiceNumber').session(session);
+    if (current.invoiceNumber) return current.invoiceNumber;
+
+    const seq = await Counter.next(INVOICE_SEQUENCE, session);
+    const invoiceNumber = `${config.INVOICE_PREFIX}-${String(seq).padStart(6, '0')}`;
+
+    // Without a transaction another request may have numbered it in the meantime - keep whichever was first
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, invoiceNumber: { $exists: false } },
+      { $set: { invoiceNumber } },
+      { new: true, session }
+    );
+    return updated ? updated.invoiceNumber : (await Payment.findById(payment._id).select('invoiceNumber')).invoiceNumber;
+  });
+
+  return payment.invoiceNumber;
+};
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-LK', {
+  style: 'currency',
+  currency: currency || 'LKR',
+  minimumFractionDigits: 2
+}).format(amount);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+/**
+ * Invoice lines built from Payment.metadata
+ * @returns {Array<{ description: string, amount: number }>}
+ */
+const buildLineItems = (payment, instructor) => {
+  const meta = payment.metadata || {};
+  const lines = [];
+
+  if (meta.type === 'membership' || meta.type === 'membership_renewal') {
+    let description = `${meta.planName || 'Membership'} Membership`;
+    if (meta.type === 'membership_renewal') description += ' (auto-renewal)';
+    if (meta.durationDays) description += ` - ${meta.durationDays} days`;
+    if (meta.startDate && meta.endDate) {
+      description += ` (${formatDate(meta.startDate)} - ${formatDate(meta.endDate)})`;
+    }
+    if (meta.priceRule) description += ` [${meta.priceRule} rate]`;
+    lines.push({ description, amount: meta.originalAmount ?? payment.amount });
+  } else if (meta.type === 'subscription' || payment.instructorId) {
+    const instructorName = instructor?.name || 'Instructor';
+    lines.push({
+      description: payment.description || `Monthly subscription to ${instructorName}`,
+      amount: meta.originalAmount ?? payment.amount
+    });
+  } else {
+    lines.push({ description: payment.description || 'Payment', amount: meta.originalAmount ?? payment.amount });
+  }
+
+  if (meta.promoCode && meta.discount) {
+    lines.push({ description: `Promo code ${meta.promoCode}`, amount: -meta.discount });
+  }
+
+  return lines;
+};
+
+/**
+ * Render the invoice for a completed (or refunded) payment
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const generateInvoicePdf = async (payment) => {
+  const invoiceNumber = await ensureInvoiceNumber(payment);
+
+  const [member, instructor, refunds] = await Promise.all([
+    User.findById(payment.userId?._id || payment.userId).select('name email phone address city').lean(),
+    payment.instructorId ? User.findById(payment.instructorId?._id || payment.instructorId).select('name email').lean() : null,
+    Refund.find({ paymentId: payment._id, status: 'completed' }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const currency = payment.currency || 'LKR';
+  const lines = buildLineItems(payment, instructor);
+  const taxRate = Number(config.INVOICE_TAX_RATE) || 0;
+  // Prices are tax inclusive
+  const taxAmount = taxRate > 0 ? Math.round((payment.amount * taxRate / (100 + taxRate)) * 100) / 100 : 0;
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoiceNumber}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = 50;
+  const right = doc.page.width - 50;
+
+  // Header - gym details
+  doc.fontSize(20).font('Helvetica-Bold').text(config.GYM_LEGAL_NAME, left, 50);
+  doc.fontSize(9).font('Helvetica');
+  [config.GYM_ADDRESS, config.GYM_PHONE, config.GYM_EMAIL]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  if (config.GYM_TAX_ID) doc.text(`${config.INVOICE_TAX_LABEL} Reg. No: ${config.GYM_TAX_ID}`);
+
+  doc.fontSize(16).font('Helvetica-Bold').text('INVOICE', left, 50, { align: 'right' });
+  doc.fontSize(9).font('Helvetica')
+    .text(`Invoice No: ${invoiceNumber}`, { align: 'right' })
+    .text(`Date: ${formatDate(payment.transactionDate || payment.createdAt)}`, { align: 'right' })
+    .text(`Order ID: ${payment.payhereOrderId || payment._id}`, { align: 'right' });
+  if (payment.payherePaymentId) doc.text(`Payment Ref: ${payment.payherePaymentId}`, { align: 'right' });
+  if (payment.receiptNumber) doc.text(`Receipt No: ${payment.receiptNumber}`, { align: 'right' });
+  doc.text(`Status: ${payment.status.toUpperCase()}`, { align: 'right' });
+
+  // Bill to / instructor
+  doc.moveDown(2);
+  const partiesTop = Math.max(doc.y, 150);
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill To', left, partiesTop);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(member?.name || 'Member');
+  if (member?.email) doc.text(member.email);
+  if (member?.phone) doc.text(member.phone);
+  if (member?.address || member?.city) doc.text([member.address, member.city].filter(Boolean).join(', '));
+  const billToBottom = doc.y;
+
+  if (instructor) {
+    doc.fontSize(10).font('Helvetica-Bold').text('Instructor', 320, partiesTop);
+    doc.font('Helvetica').fontSize(9).text(instructor.name || 'Instructor', 320);
+    if (instructor.email) doc.text(instructor.email, 320);
+  }
+
+  // Line items
+  let y = Math.max(billToBottom, doc.y) + 25;
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Description', left, y);
+  doc.text('Amount', right - 120, y, { width: 120, align: 'right' });
+  y += 15;
+  doc.moveTo(left, y).lineTo(right, y).stroke();
+  y += 8;
+
+  doc.font('Helvetica').fontSize(9);
+  lines.forEach(line => {
+    doc.text(line.description, left, y, { width: right - left - 130 });
+    doc.text(formatMoney(line.amount, currency), right - 120, y, { width: 120, align: 'right' });
+    y = doc.y + 6;
+  });
+
+  doc.moveTo(left, y).lineTo(right, y).stroke();
+  y += 8;
+
+  const totalRow = (label, value, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+    doc.text(label, right - 300, y, { width: 170, align: 'right' });
+    doc.text(value, right - 120, y, { width: 120, align: 'right' });
+    y = doc.y + 4;
+  };
+
+  if (taxAmount > 0) {
+    totalRow('Subtotal (excl. tax)', formatMoney(payment.amount - taxAmount, currency));
+    totalRow(`${config.INVOICE_TAX_LABEL} (${taxRate}%)`, formatMoney(taxAmount, currency));
+  }
+  totalRow('Total Paid', formatMoney(payment.amount, currency), true);
+
+  // Refund notes
+  if (refunds.length > 0) {
+    y += 15;
+    doc.font('Helvetica-Bold').fontSize(10).text('Refunds', left, y);
+    doc.font('Helvetica').fontSize(9);
+    refunds.forEach(refund => {
+      doc.text(`${formatDate(refund.createdAt)} - ${formatMoney(refund.amount, currency)} refunded: ${refund.reason}`, left);
+    });
+    const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    doc.font('Helvetica-Bold').text(`Net amount: ${formatMoney(payment.amount - refunded, currency)}`, left);
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text('Thank you for choosing Get-Fit Gym. This invoice was generated electronically and is valid without a signature.',
+      left, doc.page.height - 90, { width: right - left, align: 'center' });
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Invoice PDF as an email attachment
+ */
+const buildInvoiceAttachment = async (payment) => {
+  const content = await generateInvoicePdf(payment);
+  return { filename: `invoice-${payment.invoiceNumber}.pdf`, content };
+};
+
+module.exports = {
+  ensureInvoiceNumber,
+  generateInvoicePdf,
+  buildInvoiceAttachment
+};
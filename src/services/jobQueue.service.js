@@ -0,0 +1,288 @@
+/**
+ * Job Queue Service
+ * MongoDB-backed runner for named recurring jobs, replacing per-process setInterval timers.
+ *
+ * Every instance registers the same jobs and polls the Job collection. A due job is
+ * claimed with a conditional update on lockedUntil, so each run happens on exactly one
+ * instance of the cluster. The claim is extended while the handler runs and simply
+ * expires if the instance dies, letting another instance take over. Each run is stored
+ * as a JobRun; failed runs are retried with exponential backoff (JOB_RETRY_DELAY_SECONDS,
+ * doubling) up to JOB_MAX_RETRIES times before the job falls back to its normal interval.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Identifies this process in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Jobs registered on this instance, by name
+const definitions = new Map();
+// Runs started by this instance that have not finished yet
+const runningJobs = new Set();
+
+let pollTimer = null;
+let polling = false;
+let synced = false;
+
+const getLockMs = () => Number(config.JOB_LOCK_TIMEOUT_MINUTES) * 60 * 1000;
+
+/**
+ * Delay before retry number `failures` of a failed job
+ */
+const getRetryDelayMs = (failures) =>
+  Number(config.JOB_RETRY_DELAY_SECONDS) * 1000 * Math.pow(2, Math.max(0, failures - 1));
+
+/**
+ * Register a recurring job. Call before startJobQueue().
+ *
+ * @param {string} name - Unique job name, e.g. 'payment-reconciliation'
+ * @param {Object} options
+ * @param {number} options.intervalMs - Time between the starts of two scheduled runs
+ * @param {Function} options.handler - async () => result; throw to mark the run failed
+ * @param {string} [options.description]
+ */
+const defineJob = (name, { intervalMs, handler, description }) => {
+  definitions.set(name, { name, intervalMs, handler, description });
+};
+
+// Helper: create the Job documents of newly registered jobs and keep their interval up to date
+const syncJobs = async () => {
+  for (const { name, intervalMs, description } of definitions.values()) {
+    await Job.updateOne(
+      { name },
+      { $set: { intervalMs, description }, $setOnInsert: { nextRunAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  synced = true;
+};
+
+// Helper: lock a job for this instance. Returns the job as it was before the claim, or null.
+const claimJob = (name, now, { force = false } = {}) => {
+  const filter = { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+  if (!force) {
+    filter.isEnabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    filter,
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + getLockMs()), lastRunAt: now } },
+    { new: false }
+  );
+};
+
+// Helper: run the handler of a claimed job and record the outcome
+const finishRun = async (definition, previous, run, trigger) => {
+  const { name } = definition;
+
+  // Keep the claim for as long as the handler runs
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ name, lockedBy: INSTANCE_ID }, { $set: { lockedUntil: new Date(Date.now() + getLockMs()) } })
+      .catch(err => logger.error(`Job queue: could not extend lock of ${name}:`, err));
+  }, getLockMs() / 2);
+  heartbeat.unref();
+
+  let result;
+  let error = null;
+  try {
+    result = await definition.handler();
+  } catch (err) {
+    error = err;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - run.startedAt.getTime();
+  const failures = error ? (previous.consecutiveFailures || 0) + 1 : 0;
+
+  const update = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastFinishedAt: finishedAt,
+    lastStatus: error ? 'failed' : 'succeeded',
+    lastError: error ? error.message : null,
+    lastDurationMs: durationMs,
+    consecutiveFailures: failures
+  };
+  if (error && failures <= Number(config.JOB_MAX_RETRIES)) {
+    update.nextRunAt = new Date(finishedAt.getTime() + getRetryDelayMs(failures));
+  } else if (trigger !== 'manual') {
+    // Manual runs don't move the regular schedule
+    update.nextRunAt = new Date(run.startedAt.getTime() + definition.intervalMs);
+  }
+
+  await Job.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    { $set: update, $inc: { runCount: 1, failureCount: error ? 1 : 0 } }
+  );
+
+  if (error) {
+    logger.error(`Job queue: ${name} failed (${failures} in a row):`, error);
+  }
+
+  return JobRun.findByIdAndUpdate(run._id, {
+    $set: {
+      status: error ? 'failed' : 'succeeded',
+      finishedAt,
+      durationMs,
+      result: error ? undefined : result,
+      error: error ? error.message : undefined
+    }
+  }, { new: true });
+};
+
+// Helper: record the start of a claimed job and run it in the background
+const startRun = async (definition, previous, { trigger, triggeredBy }) => {
+  const startedAt = new Date();
+
+  if (previous.lockedBy) {
+    // The lock ran out while held: that instance stopped in the middle of a run
+    await JobRun.updateMany(
+      { jobName: definition.name, status: 'running', instanceId: previous.lockedBy },
+      { $set: { status: 'failed', finishedAt: startedAt, error: `Instance ${previous.lockedBy} stopped before the run finished` } }
+    );
+  }
+
+  const run = await JobRun.create({
+    jobName: definition.name,
+    trigger,
+    triggeredBy,
+    instanceId: INSTANCE_ID,
+    startedAt
+  });
+
+  const done = finishRun(definition, previous, run, trigger)
+    .catch(err => logger.error(`Job queue: could not record run of ${definition.name}:`, err))
+    .finally(() => runningJobs.delete(done));
+  runningJobs.add(done);
+
+  return run;
+};
+
+// Helper: claim and start every due job
+const pollJobs = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    if (!synced) await syncJobs();
+
+    for (const definition of definitions.values()) {
+      const previous = await claimJob(definition.name, new Date());
+      if (!previous) continue;
+
+      const trigger = previous.lastStatus === 'failed' && previous.consecutiveFailures > 0 ? 'retry' : 'schedule';
+      await startRun(definition, previous, { trigger });
+    }
+  } catch (err) {
+    logger.error('Job queue: poll failed:', err);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling for due jobs
+ */
+const startJobQueue = () => {
+  if (pollTimer) return;
+
+  const pollMs = Number(config.JOB_POLL_INTERVAL_SECONDS) * 1000;
+  pollTimer = setInterval(pollJobs, pollMs);
+  pollJobs();
+
+  logger.info(`Job queue: Started on ${INSTANCE_ID} with ${definitions.size} job(s), polling every ${pollMs / 1000}s`);
+};
+
+/**
+ * Stop polling. Runs already started finish; the returned promise resolves when they have.
+ */
+const stopJobQueue = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    logger.info('Job queue: Stopped');
+  }
+  return Promise.allSettled([...runningJobs]);
+};
+
+/**
+ * Run a job now on this instance, whatever its schedule
+ * @returns {Promise<Object>} The JobRun that was started
+ */
+const triggerJob = async (name, triggeredBy) => {
+  const definition = definitions.get(name);
+  if (!definition) throw new ApiError('Job not found', 404);
+
+  if (!synced) await syncJobs();
+
+  const previous = await claimJob(name, new Date(), { force: true });
+  if (!previous) throw new ApiError('Job is already running', 409);
+
+  logger.info(`Job queue: ${name} triggered manually by ${triggeredBy}`);
+  return startRun(definition, previous, { trigger: 'manual', triggeredBy });
+};
+
+/**
+ * All jobs with their schedule, lock and last outcome
+ */
+const listJobs = async () => {
+  const now = new Date();
+  const jobs = await Job.find().sort({ name: 1 }).lean();
+
+  return jobs.map(job => ({
+    ...job,
+    isRunning: !!job.lockedUntil && job.lockedUntil > now,
+    // Jobs left in the database by older deployments have no handler any more
+    isRegistered: definitions.has(job.name)
+  }));
+};
+
+/**
+ * Run history of a job, newest first
+ */
+const getJobRuns = async (name, { status, page = 1, limit = 20 } = {}) => {
+  const filter = { jobName: name };
+  if (status) filter.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [items, total] = await Promise.all([
+    JobRun.find(filter)
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    JobRun.countDocuments(filter)
+  ]);
+
+  return { items, total, page: parseInt(page), pages: Math.ceil(total / parseInt(limit)) };
+};
+
+/**
+ * Pause or resume the scheduled runs of a job (manual triggers still work)
+ */
+const setJobEnabled = async (name, isEnabled) => {
+  const job = await Job.findOneAndUpdate({ name }, { $set: { isEnabled } }, { new: true });
+  if (!job) throw new ApiError('Job not found', 404);
+  return job;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  getRetryDelayMs,
+  defineJob,
+  startJobQueue,
+  stopJobQueue,
+  triggerJob,
+  listJobs,
+  getJobRuns,
+  setJobEnabled
+};
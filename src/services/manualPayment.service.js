@@ -0,0 +1,273 @@
+/**
+ * Manual Payment Service
+ * Cash and bank-transfer payments taken at the front desk and recorded by an admin.
+ *
+ * The payment is priced and described exactly like an online purchase, gets a receipt
+ * number, and is then activated through paymentFulfilment.service like a PayHere payment.
+ */
+
+const ApiError = require('../utils/ApiError');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const Instructor = require('../models/Instructor');
+const membershipPlanService = require('./membershipPlan.service');
+const promoCodeService = require('./promoCode.service');
+const { fulfilPayment } = require('./paymentFulfilment.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const RECEIPT_SEQUENCE = 'receipt';
+const ORDER_PREFIXES = { cash: 'CASH', bank_transfer: 'BANK' };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Next front-desk receipt number, e.g. RC-000042
+ */
+const nextReceiptNumber = async () => {
+  const seq = await Counter.next(RECEIPT_SEQUENCE);
+  return `${config.RECEIPT_PREFIX}-${String(seq).padStart(6, '0')}`;
+};
+
+// Helper: amount, description and metadata of a membership bought at the desk
+const priceMembership = async (member, { planId, promoCode }) => {
+  const plan = await membershipPlanService.getActivePlan(planId);
+  if (!plan) throw new ApiError('Invalid membership plan', 400);
+
+  const { price, rule } = plan.getPriceFor(member);
+  const promo = promoCode
+    ? await promoCodeService.applyPromoCode({
+      code: promoCode,
+      userId: member._id,
+      type: 'membership',
+      amount: Number(price),
+      planCode: plan.code
+    })
+    : null;
+
+  return {
+    amount: promo ? promo.finalAmount : Number(price),
+    currency: plan.currency || 'LKR',
+    description: `${plan.name} Membership`,
+    metadata: {
+      type: 'membership',
+      planId: plan.code,
+      planName: plan.name,
+      durationDays: plan.durationDays,
+      basePrice: plan.price,
+      priceRule: rule ? (rule.label || 'custom') : null,
+      ...(promo ? promoCodeService.toPaymentMetadata(promo, Number(price)) : {})
+    }
+  };
+};
+
+// Helper: amount, description and metadata of a month of instructor subscription bought at the desk
+const priceSubscription = async (member, { instructorId, promoCode }) => {
+  const instructor = await Instructor.findOne({ userId: instructorId }).populate('userId', 'name');
+  if (!instructor) throw new ApiError('Instructor not found', 404);
+
+  const rate = Number(instructor.monthlyRate);
+  const promo = promoCode
+    ? await promoCodeService.applyPromoCode({
+      code: promoCode,
+      userId: member._id,
+      type: 'subscription',
+      amount: rate,
+      instructorId
+    })
+    : null;
+
+  return {
+    amount: promo ? promo.finalAmount : rate,
+    currency: 'LKR',
+    description: `Monthly subscription to ${instructor.userId?.name || 'Instructor'}`,
+    instructorId,
+    metadata: {
+      type: 'subscription',
+      instructorId,
+      ...(promo ? promoCodeService.toPaymentMetadata(promo, rate) : {})
+    }
+  };
+};
+
+/**
+ * Record a cash or bank-transfer payment and activate what it pays for.
+ *
+ * @param {Object} options
+ * @param {string} options.recordedBy - Admin taking the payment
+ * @param {string} options.userId - Member paying
+ * @param {'membership'|'subscription'} options.type
+ * @param {string} [options.planId] - Plan code (membership)
+ * @param {string} [options.instructorId] - Instructor user ID (subscription)
+ * @param {'cash'|'bank_transfer'} options.method
+ * @param {string} [options.reference] - Bank transfer reference (required for bank transfers)
+ * @param {string} [options.promoCode]
+ * @param {string} [options.notes]
+ * @returns {Promise<{ payment: Object, membership: Object|null, subscription: Object|null }>}
+ */
+const recordManualPayment = async ({ recordedBy, userId, type, planId, instructorId, method, reference, promoCode, notes }) => {
+  if (!Payment.MANUAL_PAYMENT_METHODS.includes(method)) {
+    throw new ApiError(`method must be one of: ${Payment.MANUAL_PAYMENT_METHODS.join(', ')}`, 400);
+  }
+  if (method === 'bank_transfer' && !reference) {
+    throw new ApiError('A bank transfer reference is required', 400);
+  }
+
+  const member = await User.findById(userId).select('name email gender dateOfBirth');
+  if (!member) throw new ApiError('Member not found', 404);
+
+  const priced = type === 'membership'
+    ? await priceMembership(member, { planId, promoCode })
+    : await priceSubscription(member, { instructorId, promoCode });
+
+  const receiptNumber = await nextReceiptNumber();
+  const payment = await Payment.create({
+    userId: member._id,
+    instructorId: priced.instructorId || null,
+    amount: priced.amount,
+    currency: priced.currency,
+    status: 'pending',
+    paymentMethod: method,
+    payhereOrderId: `${ORDER_PREFIXES[method]}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    description: priced.description,
+    recordedBy,
+    receiptNumber,
+    metadata: {
+      ...priced.metadata,
+      reference: reference || null,
+      notes: notes || null
+    }
+  });
+  await promoCodeService.reservePromoUse(payment);
+
+  let result;
+  try {
+    result = await fulfilPayment(payment._id, { source: 'front-desk' });
+  } catch (err) {
+    // Don't leave a pending desk payment holding the receipt number; the admin records it again
+    await Payment.updateOne(
+      { _id: payment._id, status: 'pending' },
+      { $set: { status: 'failed', 'metadata.failureReason': err.message } }
+    );
+    logger.error(`Front-desk ${method} payment ${receiptNumber} could not be activated and was marked failed:`, err);
+    throw err;
+  }
+
+  logger.info(`Front-desk ${method} payment ${receiptNumber} recorded`, {
+    paymentId: payment._id,
+    userId: member._id,
+    amount: priced.amount,
+    recordedBy
+  });
+
+  return {
+    payment: result.payment || payment,
+    membership: result.membership,
+    subscription: result.subscription
+  };
+};
+
+/**
+ * Front-desk takings for one day, grouped by the admin who recorded them.
+ * Manual refunds of front-desk payments issued that day are counted as money out.
+ *
+ * @param {Date} day - Any time on the day to report
+ */
+const getCashDrawerReport = async (day) => {
+  const start = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+
+  const payments = await Payment.find({
+    paymentMethod: { $in: Payment.MANUAL_PAYMENT_METHODS },
+    recordedBy: { $ne: null },
+    status: { $in: ['completed', 'refunded'] },
+    transactionDate: { $gte: start, $lt: end }
+  })
+    .populate('recordedBy', 'name email')
+    .populate('userId', 'name email')
+    .sort({ transactionDate: 1 })
+    .lean();
+
+  const refunds = await Refund.find({
+    method: 'manual',
+    status: 'completed',
+    createdAt: { $gte: start, $lt: end }
+  })
+    .populate({ path: 'paymentId', select: 'paymentMethod receiptNumber recordedBy' })
+    .populate('issuedBy', 'name email')
+    .lean();
+  const deskRefunds = refunds.filter(r => r.paymentId && Payment.MANUAL_PAYMENT_METHODS.includes(r.paymentId.paymentMethod));
+
+  const emptyTotals = () => Payment.MANUAL_PAYMENT_METHODS.reduce((acc, method) => {
+    acc[method] = { count: 0, amount: 0 };
+    return acc;
+  }, {});
+
+  const byAdmin = new Map();
+  const entryFor = (admin) => {
+    const key = admin?._id?.toString() || 'unknown';
+    if (!byAdmin.has(key)) {
+      byAdmin.set(key, { admin, received: emptyTotals(), refunded: emptyTotals(), payments: [], refunds: [] });
+    }
+    return byAdmin.get(key);
+  };
+
+  payments.forEach(payment => {
+    const entry = entryFor(payment.recordedBy);
+    entry.received[payment.paymentMethod].count += 1;
+    entry.received[payment.paymentMethod].amount = round2(entry.received[payment.paymentMethod].amount + payment.amount);
+    entry.payments.push({
+      paymentId: payment._id,
+      receiptNumber: payment.receiptNumber,
+      method: payment.paymentMethod,
+      amount: payment.amount,
+      member: payment.userId,
+      description: payment.description,
+      reference: payment.metadata?.reference || null,
+      time: payment.transactionDate
+    });
+  });
+
+  // Refunds come out of the drawer of the admin who handed the money back
+  deskRefunds.forEach(refund => {
+    const entry = entryFor(refund.issuedBy);
+    const method = refund.paymentId.paymentMethod;
+    entry.refunded[method].count += 1;
+    entry.refunded[method].amount = round2(entry.refunded[method].amount + refund.amount);
+    entry.refunds.push({
+      refundId: refund._id,
+      receiptNumber: refund.paymentId.receiptNumber,
+      method,
+      amount: refund.amount,
+      reason: refund.reason,
+      time: refund.createdAt
+    });
+  });
+
+  const admins = [...byAdmin.values()].map(entry => ({
+    ...entry,
+    // Cash that should be in this admin's drawer at close
+    expectedCash: round2(entry.received.cash.amount - entry.refunded.cash.amount)
+  }));
+
+  const totals = admins.reduce((acc, entry) => {
+    Payment.MANUAL_PAYMENT_METHODS.forEach(method => {
+      acc.received[method].count += entry.received[method].count;
+      acc.received[method].amount = round2(acc.received[method].amount + entry.received[method].amount);
+      acc.refunded[method].count += entry.refunded[method].count;
+      acc.refunded[method].amount = round2(acc.refunded[method].amount + entry.refunded[method].amount);
+    });
+    acc.expectedCash = round2(acc.expectedCash + entry.expectedCash);
+    return acc;
+  }, { received: emptyTotals(), refunded: emptyTotals(), expectedCash: 0 });
+
+  return { date: start, admins, totals };
+};
+
+module.exports = {
+  nextReceiptNumber,
+  recordManualPayment,
+  getCashDrawerReport
+};
@@ -0,0 +1,106 @@
+/**
+ * Member Pass Service
+ * Issues and verifies the rotating digital access pass members show at the door.
+ *
+ * A pass token is `GF1.<payload>.<signature>` where the payload (base64url JSON)
+ * carries the user ID, membership ID/status and the TOTP-style time step, and the
+ * signature is an HMAC-SHA256 over the payload. Tokens are only accepted during
+ * their own time step (plus a small skew), so a screenshot stops working within
+ * about a minute. Verification is stateless - no database write per scan.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+const TOKEN_VERSION = 'GF1';
+const STEP_SECONDS = parseInt(config.MEMBER_PASS_STEP_SECONDS) || 30;
+// Accept tokens from the previous step to allow for clock skew and slow scanners
+const ALLOWED_SKEW_STEPS = 1;
+
+const getSecret = () => {
+  const secret = config.MEMBER_PASS_SECRET || config.JWT_SECRET;
+  if (!secret) {
+    throw new Error('MEMBER_PASS_SECRET (or JWT_SECRET) must be configured to issue member passes');
+  }
+  return secret;
+};
+
+const toBase64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (value) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const sign = (encodedPayload) => toBase64Url(
+  crypto.createHmac('sha256', getSecret()).update(`${TOKEN_VERSION}.${encodedPayload}`).digest()
+);
+
+const getTimeStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+/**
+ * Issue a pass token for the current time step
+ * @param {string} userId - Member's user ID
+ * @param {Object|null} membership - Membership granting access (null if none)
+ * @returns {{ token: string, step: number, expiresAt: Date, refreshInSeconds: number }}
+ */
+const issuePass = (userId, membership, at = Date.now()) => {
+  const step = getTimeStep(at);
+  const payload = {
+    uid: String(userId),
+    mid: membership ? String(membership._id) : null,
+    st: membership ? membership.status : 'none',
+    end: membership ? new Date(membership.endDate).getTime() : null,
+    ts: step
+  };
+
+  const encodedPayload = toBase64Url(Buffer.from(JSON.stringify(payload)));
+  const token = `${TOKEN_VERSION}.${encodedPayload}.${sign(encodedPayload)}`;
+  const expiresAt = new Date((step + 1) * STEP_SECONDS * 1000);
+
+  return {
+    token,
+    step,
+    expiresAt,
+    refreshInSeconds: Math.max(1, Math.ceil((expiresAt.getTime() - at) / 1000))
+  };
+};
+
+/**
+ * Verify a pass token's signature and time step
+ * @param {string} token - Token scanned from the member's QR code
+ * @returns {{ valid: boolean, error?: string, payload?: Object }}
+ */
+const verifyPass = (token, at = Date.now()) => {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Pass token is required' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) {
+    return { valid: false, error: 'Malformed pass token' };
+  }
+
+  const [, encodedPayload, signature] = parts;
+  const expected = Buffer.from(sign(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, error: 'Invalid pass signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encodedPayload).toString('utf8'));
+  } catch (err) {
+    return { valid: false, error: 'Malformed pass token' };
+  }
+
+  const currentStep = getTimeStep(at);
+  if (typeof payload.ts !== 'number' || payload.ts > currentStep || currentStep - payload.ts > ALLOWED_SKEW_STEPS) {
+    return { valid: false, error: 'Pass has expired. Ask the member to refresh their pass.' };
+  }
+
+  return { valid: true, payload };
+};
+
+module.exports = {
+  STEP_SECONDS,
+  issuePass,
+  verifyPass
+};
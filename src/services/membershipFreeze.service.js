@@ -0,0 +1,153 @@
+/**
+ * Membership Freeze Service
+ * Pauses memberships and extends their end date by the time spent frozen
+ */
+
+const ApiError = require('../utils/ApiError');
+const Membership = require('../models/Membership');
+const MembershipPlan = require('../models/MembershipPlan');
+const webhookService = require('./webhook.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Freeze allowance for a membership - set per plan, falling back to the configured default
+ */
+const getMaxFreezeDays = async (membership) => {
+  const plan = await MembershipPlan.findOne({ code: membership.planId }).select('maxFreezeDays');
+  return plan && plan.maxFreezeDays != null
+    ? plan.maxFreezeDays
+    : Number(config.MEMBERSHIP_MAX_FREEZE_DAYS);
+};
+
+/**
+ * Freeze allowance summary for API responses
+ */
+const getFreezeAllowance = async (membership) => {
+  const maxDays = await getMaxFreezeDays(membership);
+  const usedDays = membership.getUsedFreezeDays();
+  return { maxDays, usedDays, remainingDays: Math.max(0, maxDays - usedDays) };
+};
+
+/**
+ * Freeze a running membership
+ * @param {Object} membership - Membership document
+ * @param {Object} options
+ * @param {number} options.days - Planned freeze length; the membership resumes automatically afterwards
+ * @param {string} [options.reason]
+ * @param {string} [options.requestedBy] - User who requested the freeze
+ * @param {boolean} [options.override] - Admin override, ignores the plan's freeze allowance
+ */
+const freezeMembership = async (membership, { days, reason, requestedBy, override = false, at = new Date() }) => {
+  if (membership.status !== 'active') {
+    throw new ApiError('Only active memberships can be frozen', 400);
+  }
+  if (membership.startDate > at || membership.endDate < at) {
+    throw new ApiError('Only a membership that is currently running can be frozen', 400);
+  }
+
+  if (!override) {
+    const { remainingDays } = await getFreezeAllowance(membership);
+    if (remainingDays <= 0) {
+      throw new ApiError('No freeze days remaining for this membership', 400);
+    }
+    if (days > remainingDays) {
+      throw new ApiError(`This membership can be frozen for at most ${remainingDays} more day(s)`, 400);
+    }
+  }
+
+  membership.freezes.push({
+    startDate: at,
+    until: new Date(at.getTime() + days * DAY_MS),
+    reason,
+    requestedBy,
+    isOverride: override
+  });
+  membership.status = 'frozen';
+  await membership.save();
+
+  logger.info(`Membership ${membership._id} frozen for ${days} day(s)`, { requestedBy, override });
+
+  return membership;
+};
+
+/**
+ * Resume a frozen membership and extend its end date by the days spent frozen.
+ * Memberships already queued after this one are pushed back by the same amount.
+ * @param {Object} membership - Membership document
+ * @param {Date} [at] - Resume time (capped at the freeze's planned end)
+ * @returns {Promise<{ membership: Object, days: number }>}
+ */
+const unfreezeMembership = async (membership, { at = new Date() } = {}) => {
+  const freeze = membership.getActiveFreeze();
+  if (membership.status !== 'frozen' || !freeze) {
+    throw new ApiError('Membership is not frozen', 400);
+  }
+
+  const endedAt = at < freeze.until ? at : freeze.until;
+  // Any part of a day counts as a full day for the member
+  const days = Math.max(0, Math.ceil((endedAt - freeze.startDate) / DAY_MS));
+  const extensionMs = days * DAY_MS;
+  const originalEndDate = membership.endDate;
+
+  freeze.endedAt = endedAt;
+  freeze.days = days;
+  membership.endDate = new Date(originalEndDate.getTime() + extensionMs);
+  membership.status = 'active';
+  await membership.save();
+
+  if (extensionMs > 0) {
+    await Membership.updateMany(
+      {
+        userId: membership.userId,
+        _id: { $ne: membership._id },
+        status: { $in: ['active', 'pending'] },
+        startDate: { $gte: originalEndDate }
+      },
+      [{
+        $set: {
+          startDate: { $add: ['$startDate', extensionMs] },
+          endDate: { $add: ['$endDate', extensionMs] }
+        }
+      }]
+    );
+  }
+
+  logger.info(`Membership ${membership._id} unfrozen after ${days} day(s)`, { endDate: membership.endDate });
+  // Usable again (door access): by the member, an admin, or the freeze running out
+  await webhookService.emitEvent('membership.activated', { membership });
+
+  return { membership, days };
+};
+
+/**
+ * Resume memberships whose planned freeze has run out
+ * @returns {Promise<number>} Number of memberships resumed
+ */
+const resumeDueFreezes = async (now = new Date()) => {
+  const due = await Membership.find({
+    status: 'frozen',
+    freezes: { $elemMatch: { endedAt: null, until: { $lte: now } } }
+  });
+
+  let resumed = 0;
+  for (const membership of due) {
+    try {
+      await unfreezeMembership(membership, { at: now });
+      resumed += 1;
+    } catch (err) {
+      logger.error(`Failed to resume frozen membership ${membership._id}:`, err);
+    }
+  }
+
+  return resumed;
+};
+
+module.exports = {
+  getFreezeAllowance,
+  freezeMembership,
+  unfreezeMembership,
+  resumeDueFreezes
+};
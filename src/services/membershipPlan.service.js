@@ -0,0 +1,95 @@
+/**
+ * Membership Plan Service
+ * Loads membership plans from the database and prices them per member
+ */
+
+const MembershipPlan = require('../models/MembershipPlan');
+const { MEMBERSHIP_PLANS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Seed the database with the default plans the first time plans are needed,
+ * so existing deployments keep working without manual setup.
+ */
+const ensureDefaultPlans = async () => {
+  const count = await MembershipPlan.estimatedDocumentCount();
+  if (count > 0) return;
+
+  const defaults = MEMBERSHIP_PLANS.map((plan, index) => ({
+    code: plan.id,
+    name: plan.name,
+    description: plan.description || '',
+    durationDays: plan.durationDays,
+    price: plan.price,
+    currency: plan.currency || 'LKR',
+    priceRules: plan.priceFemale ? [{ label: 'Female', gender: 'Female', price: plan.priceFemale }] : [],
+    sortOrder: index
+  }));
+
+  try {
+    await MembershipPlan.insertMany(defaults, { ordered: false });
+    logger.info(`Seeded ${defaults.length} default membership plan(s)`);
+  } catch (err) {
+    // Another request may have seeded concurrently - duplicate keys are fine
+    if (err.code !== 11000) throw err;
+  }
+};
+
+/**
+ * Get plans ordered for display
+ * @param {Object} options
+ * @param {boolean} options.includeArchived - Include archived plans (admin views)
+ */
+const getPlans = async ({ includeArchived = false } = {}) => {
+  await ensureDefaultPlans();
+  const filter = includeArchived ? {} : { isArchived: false };
+  return MembershipPlan.find(filter).sort({ sortOrder: 1, createdAt: 1 });
+};
+
+/**
+ * Get a purchasable (non-archived) plan by its code
+ */
+const getActivePlan = async (code) => {
+  await ensureDefaultPlans();
+  return MembershipPlan.findOne({ code: String(code).toLowerCase(), isArchived: false });
+};
+
+/**
+ * Shape a plan for API responses, including the price for the given member if provided
+ */
+const formatPlan = (plan, user = null) => {
+  const femaleRule = (plan.priceRules || []).find(rule =>
+    rule.gender === 'Female' && rule.minAge == null && rule.maxAge == null
+  );
+
+  const formatted = {
+    id: plan.code,
+    _id: plan._id,
+    name: plan.name,
+    price: plan.price,
+    // Kept for older app versions that only know about female pricing
+    priceFemale: femaleRule ? femaleRule.price : undefined,
+    priceRules: plan.priceRules || [],
+    currency: plan.currency || 'LKR',
+    durationDays: plan.durationDays,
+    description: plan.description || '',
+    maxFreezeDays: plan.maxFreezeDays,
+    sortOrder: plan.sortOrder,
+    isArchived: plan.isArchived
+  };
+
+  if (user) {
+    const { price, rule } = plan.getPriceFor(user);
+    formatted.yourPrice = price;
+    formatted.appliedRule = rule ? (rule.label || null) : null;
+  }
+
+  return formatted;
+};
+
+module.exports = {
+  ensureDefaultPlans,
+  getPlans,
+  getActivePlan,
+  formatPlan
+};
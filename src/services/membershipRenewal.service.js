@@ -0,0 +1,324 @@
+/**
+ * Membership Renewal Service
+ * Opt-in auto-renewal using PayHere pre-approval tokens.
+ *
+ * 1. The member enables auto-renew and completes the pre-approval checkout once
+ *    (order ID prefixed with PREAPPROVAL_ORDER_PREFIX); the notification stores the customer token.
+ * 2. The scheduler claims the membership, charges the token a few days before endDate and
+ *    completes the payment through paymentFulfilment.service, which extends the membership in the
+ *    same transaction. A charge whose result was never recorded leaves a pending payment that
+ *    payment reconciliation settles; the membership is not charged again until it has.
+ * 3. Failed charges are retried with exponential backoff; the member is emailed and pushed each time,
+ *    and auto-renew is switched off after the last attempt.
+ */
+
+const ApiError = require('../utils/ApiError');
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const membershipPlanService = require('./membershipPlan.service');
+const payhereService = require('./payhere.service');
+const payhereApi = require('./payhereApi.service');
+const { fulfilPayment } = require('./paymentFulfilment.service');
+const { sendAutoRenewalFailedEmail } = require('./email.service');
+const { sendPushNotification } = require('./notification.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// How long a renewal run holds the membership before another run may take it over
+const RENEWAL_LEASE_MS = 30 * 60 * 1000;
+const PREAPPROVAL_ORDER_PREFIX = 'PRE_';
+
+const getBackendUrl = () => config.BACKEND_URL || `http://localhost:${config.PORT || 3000}`;
+
+/**
+ * Delay before the next attempt after `attempts` failures (base, 2x base, 4x base...)
+ */
+const getRetryDelayMs = (attempts) =>
+  Number(config.AUTO_RENEW_RETRY_BASE_HOURS) * HOUR_MS * Math.pow(2, Math.max(0, attempts - 1));
+
+/**
+ * Build the PayHere pre-approval checkout for a membership
+ * @returns {Promise<{ paymentUrl: string, params: Object }>}
+ */
+const createPreapprovalCheckout = async (membership, user) => {
+  const plan = await membershipPlanService.getActivePlan(membership.planId);
+  if (!plan) {
+    throw new ApiError('This membership plan is no longer available for renewal', 400);
+  }
+
+  const { price } = plan.getPriceFor(user);
+  const backendUrl = getBackendUrl();
+  const orderId = `${PREAPPROVAL_ORDER_PREFIX}${membership._id}_${Date.now()}`;
+
+  return payhereService.initializePreapproval({
+    orderId,
+    amount: price,
+    currency: plan.currency || 'LKR',
+    items: `${plan.name} Membership auto-renewal`,
+    customerName: user.name || 'Customer',
+    customerEmail: user.email,
+    customerPhone: user.phone || '',
+    customerAddress: user.address || '',
+    city: user.city || '',
+    country: 'Sri Lanka',
+    returnUrl: `${backendUrl}/payment/return?type=preapproval`,
+    cancelUrl: `${backendUrl}/payment/cancel?type=preapproval`,
+    notifyUrl: `${backendUrl}/api/v1/payments/payhere-notify`
+  });
+};
+
+const isPreapprovalOrder = (orderId) => String(orderId || '').startsWith(PREAPPROVAL_ORDER_PREFIX);
+
+/**
+ * Store the customer token from a verified pre-approval notification and switch auto-renew on
+ */
+const handlePreapprovalNotification = async (verification) => {
+  const membershipId = String(verification.orderId).slice(PREAPPROVAL_ORDER_PREFIX.length).split('_')[0];
+
+  if (!verification.success || !verification.customerToken) {
+    logger.warn(`Pre-approval not completed for membership ${membershipId}`, { statusCode: verification.statusCode });
+    return null;
+  }
+
+  const membership = await Membership.findByIdAndUpdate(membershipId, {
+    autoRenew: true,
+    payhereCustomerToken: verification.customerToken,
+    renewalCardMask: verification.cardNo || null,
+    renewalAttempts: 0,
+    nextRenewalAttemptAt: null,
+    lastRenewalError: null
+  }, { new: true });
+
+  if (membership) {
+    logger.info(`Auto-renew enabled for membership ${membership._id}`);
+  } else {
+    logger.warn(`Pre-approval received for unknown membership ${membershipId}`);
+  }
+
+  return membership;
+};
+
+// Helper: email + push the member about a failed renewal attempt
+const notifyRenewalFailed = async (membership, user, { amount, currency, nextAttemptAt, reason }) => {
+  const message = nextAttemptAt
+    ? `We couldn't renew your ${membership.planName} membership. We'll try again on ${nextAttemptAt.toDateString()}.`
+    : `We couldn't renew your ${membership.planName} membership and auto-renew has been turned off. Please renew in the app.`;
+
+  await sendPushNotification(user._id, 'Membership renewal failed', message, {
+    type: 'membership',
+    category: 'payment',
+    relatedId: membership._id.toString()
+  });
+
+  if (user.email) {
+    try {
+      await sendAutoRenewalFailedEmail(user.email, user.name, {
+        planName: membership.planName,
+        amount,
+        currency,
+        endDate: membership.endDate,
+        nextAttemptAt,
+        reason
+      });
+    } catch (err) {
+      logger.error(`Failed to send renewal failure email for membership ${membership._id}:`, err);
+    }
+  }
+};
+
+/**
+ * Charge the stored token once and extend the membership on success
+ * @param {Object} membership - Membership document loaded with +payhereCustomerToken
+ * @returns {Promise<{ success: boolean, skipped?: boolean, payment?: Object, error?: string }>}
+ */
+const renewMembership = async (membership, now = new Date()) => {
+  // Take the membership before charging, so overlapping runs (or instances) charge it once
+  const claimed = await Membership.findOneAndUpdate(
+    {
+      _id: membership._id,
+      autoRenew: true,
+      endDate: membership.endDate,
+      $or: [{ nextRenewalAttemptAt: null }, { nextRenewalAttemptAt: { $lte: now } }]
+    },
+    { $set: { nextRenewalAttemptAt: new Date(now.getTime() + RENEWAL_LEASE_MS) } },
+    { new: true }
+  ).select('+payhereCustomerToken');
+  if (!claimed) {
+    return { success: false, skipped: true };
+  }
+  membership = claimed;
+
+  // An earlier charge whose result was never recorded is settled by payment reconciliation;
+  // charging again could take the money twice
+  const unsettled = await Payment.exists({
+    status: 'pending',
+    'metadata.type': 'membership_renewal',
+    'metadata.membershipId': membership._id
+  });
+  if (unsettled) {
+    logger.warn(`Auto-renewal of membership ${membership._id} waits for an unsettled renewal payment`);
+    return { success: false, skipped: true };
+  }
+
+  const user = await User.findById(membership.userId).select('name email gender dateOfBirth');
+  const plan = await membershipPlanService.getActivePlan(membership.planId);
+
+  // Plan archived or member gone - nothing to retry
+  if (!user || !plan) {
+    membership.autoRenew = false;
+    membership.nextRenewalAttemptAt = null;
+    membership.lastRenewalError = !user ? 'Member not found' : 'Plan is no longer available';
+    await membership.save();
+    if (user) {
+      await notifyRenewalFailed(membership, user, {
+        amount: membership.amount,
+        currency: membership.currency,
+        nextAttemptAt: null,
+        reason: membership.lastRenewalError
+      });
+    }
+    return { success: false, error: membership.lastRenewalError };
+  }
+
+  const { price } = plan.getPriceFor(user);
+  const currency = plan.currency || 'LKR';
+  const orderId = `REN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const payment = await Payment.create({
+    userId: membership.userId,
+    amount: price,
+    currency,
+    status: 'pending',
+    paymentMethod: 'payhere',
+    payhereOrderId: orderId,
+    description: `${plan.name} Membership (auto-renewal)`,
+    metadata: {
+      type: 'membership_renewal',
+      membershipId: membership._id,
+      planId: plan.code,
+      planName: plan.name,
+      durationDays: plan.durationDays,
+      attempt: membership.renewalAttempts + 1
+    }
+  });
+
+  let result;
+  try {
+    result = await payhereApi.getClient().chargeCustomerToken({
+      customerToken: membership.payhereCustomerToken,
+      orderId,
+      amount: price,
+      currency,
+      items: payment.description,
+      // No notify_url: the charge API answers synchronously and the payment is completed here
+      custom1: membership._id.toString()
+    });
+  } catch (err) {
+    result = { success: false, message: err.message };
+  }
+
+  if (result.success) {
+    // Completes the payment and extends the membership in one transaction, then sends the
+    // receipt and webhooks. If it fails the payment stays pending and reconciliation completes it.
+    const { payment: completed, membership: renewed } = await fulfilPayment(payment._id, {
+      payherePaymentId: result.paymentId,
+      source: 'auto-renewal'
+    });
+
+    if (renewed) {
+      logger.info(`Membership ${membership._id} auto-renewed until ${renewed.endDate.toISOString()}`);
+
+      await sendPushNotification(user._id, 'Membership renewed',
+        `Your ${plan.name} membership has been renewed until ${renewed.endDate.toDateString()}.`, {
+          type: 'membership',
+          category: 'payment',
+          relatedId: membership._id.toString()
+        });
+    }
+
+    return { success: true, payment: completed };
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, status: 'pending' },
+    { $set: { status: 'failed', 'metadata.failureReason': result.message } }
+  );
+
+  membership.renewalAttempts += 1;
+  membership.lastRenewalError = result.message;
+  const attemptsLeft = membership.renewalAttempts < Number(config.AUTO_RENEW_MAX_ATTEMPTS);
+  membership.nextRenewalAttemptAt = attemptsLeft
+    ? new Date(now.getTime() + getRetryDelayMs(membership.renewalAttempts))
+    : null;
+  if (!attemptsLeft) membership.autoRenew = false;
+  await membership.save();
+
+  logger.warn(`Auto-renewal failed for membership ${membership._id} (attempt ${membership.renewalAttempts})`, {
+    reason: result.message,
+    nextAttemptAt: membership.nextRenewalAttemptAt
+  });
+
+  await notifyRenewalFailed(membership, user, {
+    amount: price,
+    currency,
+    nextAttemptAt: membership.nextRenewalAttemptAt,
+    reason: result.message
+  });
+
+  return { success: false, payment, error: result.message };
+};
+
+/**
+ * Charge every auto-renew membership that is due (called by the scheduler)
+ * @returns {Promise<{ renewed: number, failed: number }>}
+ */
+const processAutoRenewals = async (now = new Date()) => {
+  const chargeFrom = new Date(now.getTime() + Number(config.AUTO_RENEW_DAYS_BEFORE) * DAY_MS);
+
+  const due = await Membership.find({
+    autoRenew: true,
+    status: 'active',
+    endDate: { $gt: now, $lte: chargeFrom },
+    $or: [{ nextRenewalAttemptAt: null }, { nextRenewalAttemptAt: { $lte: now } }]
+  }).select('+payhereCustomerToken');
+
+  let renewed = 0;
+  let failed = 0;
+
+  for (const membership of due) {
+    if (!membership.payhereCustomerToken) continue;
+
+    // The member already bought the next period themselves
+    const alreadyRenewed = await Membership.exists({
+      userId: membership.userId,
+      _id: { $ne: membership._id },
+      status: { $in: ['active', 'pending'] },
+      startDate: { $gte: membership.endDate }
+    });
+    if (alreadyRenewed) continue;
+
+    try {
+      const result = await renewMembership(membership, now);
+      if (result.skipped) continue;
+      if (result.success) renewed += 1;
+      else failed += 1;
+    } catch (err) {
+      failed += 1;
+      logger.error(`Auto-renewal error for membership ${membership._id}:`, err);
+    }
+  }
+
+  return { renewed, failed };
+};
+
+module.exports = {
+  PREAPPROVAL_ORDER_PREFIX,
+  createPreapprovalCheckout,
+  isPreapprovalOrder,
+  handlePreapprovalNotification,
+  renewMembership,
+  processAutoRenewals
+};
@@ -0,0 +1,237 @@
+/**
+ * Mock Payment Gateway
+ * Fully offline stand-in for PayHere used in development and tests (PAYMENT_GATEWAY=mock).
+ *
+ * initializePayment() returns a signed checkout on this server (/api/v1/payments/mock-checkout)
+ * instead of PayHere. Picking an outcome there posts a signed notification to notify_url, like
+ * PayHere's server callback, and redirects to return_url / cancel_url:
+ *   success - notification after MOCK_GATEWAY_WEBHOOK_DELAY_MS
+ *   delayed - notification after MOCK_GATEWAY_DELAYED_WEBHOOK_MS (user is back in the app first)
+ *   failure - failed notification, no redirect to return_url
+ *   cancel  - no notification, redirect to cancel_url
+ *
+ * Refunds succeed unless the payment ID starts with "fail". Outcomes are kept in memory so
+ * getPaymentStatus() can answer for checkouts completed by this process.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const OUTCOMES = ['success', 'failure', 'delayed', 'cancel'];
+const MERCHANT_ID = 'MOCK';
+
+// orderId -> { status, paymentId, amount, currency, refundedAmount }
+const results = new Map();
+
+const getBackendUrl = () => config.BACKEND_URL || `http://localhost:${config.PORT || 3000}`;
+
+const sign = (fields) => {
+  // Never sign with a guessable default
+  if (!config.MOCK_GATEWAY_SECRET) {
+    throw new Error('MOCK_GATEWAY_SECRET is not set');
+  }
+  return crypto
+    .createHmac('sha256', String(config.MOCK_GATEWAY_SECRET))
+    .update(fields.map(String).join('|'))
+    .digest('hex');
+};
+
+const signCheckout = (params) =>
+  sign([params.order_id, params.amount, params.currency, params.return_url, params.cancel_url, params.notify_url]);
+
+const signNotification = (body) =>
+  sign([body.merchant_id, body.order_id, body.payment_id, body.payhere_amount, body.payhere_currency, body.status_code]);
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Build the mock checkout. Accepts the same payment data as payhere.service.initializePayment
+ * @returns {Promise<{ paymentUrl: string, params: Object }>}
+ */
+const initializePayment = async (paymentData) => {
+  const amount = Number(paymentData.amount);
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error('Invalid payment amount');
+  }
+
+  const backendUrl = getBackendUrl();
+  const params = {
+    merchant_id: MERCHANT_ID,
+    order_id: String(paymentData.orderId),
+    items: String(paymentData.items || 'Payment').substring(0, 200),
+    amount: amount.toFixed(2),
+    currency: String(paymentData.currency || 'LKR').toUpperCase(),
+    return_url: paymentData.returnUrl || `${backendUrl}/payment/return`,
+    cancel_url: paymentData.cancelUrl || `${backendUrl}/payment/cancel`,
+    notify_url: paymentData.notifyUrl || `${backendUrl}/api/v1/payments/mock-notify`
+  };
+  params.hash = signCheckout(params);
+
+  return {
+    paymentUrl: `${backendUrl}/api/v1/payments/mock-checkout`,
+    params
+  };
+};
+
+/**
+ * Check that checkout parameters were issued by initializePayment and not edited
+ */
+const verifyCheckoutParams = (params) => Boolean(params && params.order_id && safeEqual(params.hash, signCheckout(params)));
+
+// Helper: POST the notification to notify_url after `delayMs`
+const sendNotification = (params, statusCode, paymentId, delayMs) => {
+  const body = {
+    merchant_id: MERCHANT_ID,
+    order_id: params.order_id,
+    payment_id: paymentId,
+    payhere_amount: params.amount,
+    payhere_currency: params.currency,
+    status_code: String(statusCode)
+  };
+  body.signature = signNotification(body);
+
+  const timer = setTimeout(async () => {
+    try {
+      const response = await fetch(params.notify_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      logger.info(`Mock gateway: notification for ${params.order_id} delivered (HTTP ${response.status})`);
+    } catch (err) {
+      logger.error(`Mock gateway: notification for ${params.order_id} failed:`, err.message);
+    }
+  }, delayMs);
+  timer.unref();
+
+  return body;
+};
+
+/**
+ * Finish a mock checkout with the given outcome
+ * @returns {{ outcome: string, redirectUrl: string|null, message: string }}
+ */
+const completeCheckout = (params, outcome = config.MOCK_GATEWAY_OUTCOME) => {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown mock outcome "${outcome}". Use one of: ${OUTCOMES.join(', ')}`);
+  }
+
+  if (outcome === 'cancel') {
+    return { outcome, redirectUrl: params.cancel_url, message: 'Payment cancelled' };
+  }
+
+  const paymentId = `MOCKPAY_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const success = outcome !== 'failure';
+  results.set(params.order_id, {
+    status: success ? 'completed' : 'failed',
+    paymentId,
+    amount: Number(params.amount),
+    currency: params.currency,
+    refundedAmount: 0
+  });
+
+  const delayMs = Number(outcome === 'delayed' ? config.MOCK_GATEWAY_DELAYED_WEBHOOK_MS : config.MOCK_GATEWAY_WEBHOOK_DELAY_MS);
+  sendNotification(params, success ? 2 : -2, paymentId, delayMs);
+  logger.info(`Mock gateway: checkout ${params.order_id} -> ${outcome}`);
+
+  return success
+    ? { outcome, redirectUrl: params.return_url, message: 'Payment successful' }
+    : { outcome, redirectUrl: null, message: 'Payment declined by the mock gateway' };
+};
+
+/**
+ * Simple HTML page letting the developer pick the outcome
+ */
+const renderCheckoutPage = (params) => {
+  const escape = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  const query = new URLSearchParams(params);
+  const link = (outcome, label) => {
+    query.set('outcome', outcome);
+    return `<p><a href="?${escape(query.toString())}">${label}</a></p>`;
+  };
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Mock Checkout</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Mock Checkout</h2>
+    <p>${escape(params.items)}</p>
+    <p><strong>${escape(params.currency)} ${escape(params.amount)}</strong> &middot; Order ${escape(params.order_id)}</p>
+    ${link('success', 'Pay successfully')}
+    ${link('delayed', 'Pay, webhook arrives late')}
+    ${link('failure', 'Decline the payment')}
+    ${link('cancel', 'Cancel')}
+  </body>
+</html>`;
+};
+
+/**
+ * Verify a notification sent by sendNotification(); same result shape as payhere.service.verifyPayment
+ */
+const verifyNotification = (body = {}) => {
+  if (!body.order_id || typeof body.status_code === 'undefined' || !body.signature) {
+    return { valid: false, error: 'Missing notification fields' };
+  }
+
+  if (!safeEqual(body.signature, signNotification(body))) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  return {
+    valid: true,
+    success: String(body.status_code) === '2',
+    orderId: body.order_id,
+    paymentId: body.payment_id,
+    amount: parseFloat(body.payhere_amount),
+    currency: body.payhere_currency,
+    statusCode: body.status_code
+  };
+};
+
+/**
+ * Refund a mock payment (payment IDs starting with "fail" are declined)
+ */
+const refund = async ({ paymentId, amount }) => {
+  logger.info(`Mock gateway: refunding ${amount ?? 'full amount'} of payment ${paymentId}`);
+  if (String(paymentId).startsWith('fail')) {
+    return { success: false, message: 'Mock refund declined' };
+  }
+
+  for (const result of results.values()) {
+    if (result.paymentId !== paymentId) continue;
+    result.refundedAmount += amount != null ? Number(amount) : result.amount - result.refundedAmount;
+    if (result.refundedAmount >= result.amount) result.status = 'refunded';
+  }
+
+  return { success: true, refundId: `MOCKREF_${Date.now()}`, message: 'Mock refund successful' };
+};
+
+/**
+ * Status of a checkout completed by this process
+ */
+const getPaymentStatus = async (orderId) => {
+  const result = results.get(String(orderId));
+  if (!result) {
+    return { found: false, status: null, message: 'No mock payment for this order' };
+  }
+  return { found: true, ...result, message: `Mock payment ${result.status}` };
+};
+
+module.exports = {
+  name: 'mock',
+  notifyPath: '/api/v1/payments/mock-notify',
+  OUTCOMES,
+  isConfigured: () => true,
+  initializePayment,
+  verifyCheckoutParams,
+  completeCheckout,
+  renderCheckoutPage,
+  verifyNotification,
+  refund,
+  getPaymentStatus
+};
@@ -1,71 +1,76 @@
 const Notification = require('../models/Notification');
+const UserNotification = require('../models/UserNotification');
 const User = require('../models/User');
+const pushService = require('./push.service');
+const preferenceService = require('./notificationPreference.service');
+const { sendNotificationDigestEmail } = require('./email.service');
 const logger = require('../utils/logger');
 
+// Helper: inbox entry for a push (type and relatedId get their own fields, the rest is kept as data)
+const toInboxEntry = (userId, title, message, { type, relatedId, category, ...data } = {}) => ({
+  userId,
+  title,
+  message,
+  type: UserNotification.NOTIFICATION_TYPES.includes(type) ? type : 'general',
+  relatedId: relatedId ? String(relatedId) : null,
+  data
+});
+
+// Helper: what happens to the push, given the user's delivery plan and whether they have a device
+const toPushStatus = (plan, hasDevice) => {
+  if (plan.push === 'skipped' || !hasDevice) return 'skipped';
+  return plan.push === 'send' ? 'sent' : plan.push;
+};
+
+// Helper: a held or digest push needs its inbox entry to be sent later, even with in-app turned off
+const needsInboxEntry = (plan, pushStatus) =>
+  plan.inApp || pushStatus === 'held' || pushStatus === 'digest';
+
+// Helper: Android notification channel of a push
+const channelFor = (type) => (type === 'message' ? 'messages' : 'default');
+
 /**
- * Send a push notification to a user via Expo Push Notification service
+ * Send a push notification to every device of a user via Expo Push Notification service.
+ * The user's notification preferences decide whether it is kept in the inbox and whether the
+ * push goes out now, after their quiet hours or in their daily digest.
+ *
  * @param {string} userId - The user ID to send notification to
  * @param {string} title - Notification title
  * @param {string} message - Notification body/message
- * @param {object} data - Additional data to include (type, relatedId, etc.)
+ * @param {object} data - Additional data to include (type, relatedId, etc.). `category` overrides
+ *   the preference category derived from `type`, e.g. a 'membership' notification about a payment.
  */
 const sendPushNotification = async (userId, title, message, data = {}) => {
   try {
-    // Always save to database notifications
-    await Notification.create({
-      userId,
-      title,
-      message,
-      type: data.type,
-      relatedId: data.relatedId
-    });
+    const category = data.category || preferenceService.categoryForType(data.type);
+    const [preferences, devices] = await Promise.all([
+      preferenceService.getPreferences(userId),
+      pushService.getUserDevices(userId)
+    ]);
+
+    const plan = preferenceService.getDeliveryPlan(preferences, category);
+    const pushStatus = toPushStatus(plan, devices.length > 0);
 
-    // Get user's Expo push token
-    const user = await User.findById(userId).select('expoPushToken');
+    if (needsInboxEntry(plan, pushStatus)) {
+      await UserNotification.create({
+        ...toInboxEntry(userId, title, message, data),
+        category,
+        inInbox: plan.inApp,
+        pushStatus
+      });
+    }
 
-    if (!user?.expoPushToken) {
-      logger.debug(`No Expo push token for user ${userId}, skipping push notification`);
+    if (pushStatus !== 'sent') {
+      logger.debug(`Push notification to user ${userId} not sent now (${pushStatus})`);
       return true;
     }
 
-    // Send to Expo Push Notification service
-    const expoPushMessage = {
-      to: user.expoPushToken,
-      sound: 'default',
-      title: title,
+    await pushService.sendToDevices(devices, {
+      title,
       body: message,
-      data: {
-        ...data,
-        userId
-      },
-      priority: 'high',
-      channelId: data.type === 'message' ? 'messages' : 'default'
-    };
-
-    const response = await fetch('https://exp.host/--/api/v2/push/send', {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Accept-encoding': 'gzip, deflate',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(expoPushMessage),
+      data: { ...data, userId: userId.toString() },
+      channelId: channelFor(data.type)
     });
-
-    const result = await response.json();
-
-    if (result.data?.status === 'error') {
-      logger.error(`Expo push error for user ${userId}:`, result.data.message);
-
-      // If token is invalid, remove it from the user
-      if (result.data.details?.error === 'DeviceNotRegistered') {
-        await User.findByIdAndUpdate(userId, { expoPushToken: null });
-        logger.info(`Removed invalid push token for user ${userId}`);
-      }
-    } else {
-      logger.debug(`Push notification sent to user ${userId}`);
-    }
-
     return true;
   } catch (error) {
     logger.error('Error sending push notification:', error.message);
@@ -74,65 +79,67 @@ const sendPushNotification = async (userId, title, message, data = {}) => {
 };
 
 /**
- * Send push notifications to multiple users
+ * Send push notifications to multiple users (each user's preferences apply)
  * @param {array} userIds - Array of user IDs
- * @param {object} notification - Notification object with title, message, type, relatedId
+ * @param {object} notification - Notification object with title, message, type, relatedId, category
  */
 const sendToMultipleUsers = async (userIds, notification) => {
   try {
-    // Create database notifications for all users
-    await Promise.all(userIds.map(id =>
-      Notification.create({
-        userId: id,
-        title: notification.title,
-        message: notification.message,
-        type: notification.type,
-        relatedId: notification.relatedId
-      })
-    ));
-
-    // Get all users with push tokens
-    const users = await User.find({
-      _id: { $in: userIds },
-      expoPushToken: { $ne: null }
-    }).select('_id expoPushToken');
-
-    if (users.length === 0) {
-      logger.debug('No users with push tokens found');
-      return true;
+    const now = new Date();
+    const category = notification.category || preferenceService.categoryForType(notification.type);
+
+    const [preferencesByUser, devicesByUser] = await Promise.all([
+      preferenceService.getPreferencesForUsers(userIds),
+      pushService.getDevicesForUsers(userIds)
+    ]);
+
+    const entries = [];
+    const pushes = [];
+    userIds.forEach(id => {
+      const userId = id.toString();
+      const devices = devicesByUser.get(userId) || [];
+      const plan = preferenceService.getDeliveryPlan(preferencesByUser.get(userId), category, now);
+      const pushStatus = toPushStatus(plan, devices.length > 0);
+
+      if (needsInboxEntry(plan, pushStatus)) {
+        entries.push({
+          ...toInboxEntry(id, notification.title, notification.message, {
+            type: notification.type,
+            relatedId: notification.relatedId
+          }),
+          category,
+          inInbox: plan.inApp,
+          pushStatus
+        });
+      }
+
+      if (pushStatus === 'sent') {
+        pushes.push({
+          devices,
+          title: notification.title,
+          body: notification.message,
+          data: {
+            type: notification.type,
+            relatedId: notification.relatedId,
+            userId
+          },
+          channelId: channelFor(notification.type)
+        });
+      }
+    });
+
+    if (entries.length > 0) {
+      await UserNotification.insertMany(entries);
     }
 
-    // Create Expo push messages
-    const expoPushMessages = users.map(user => ({
-      to: user.expoPushToken,
-      sound: 'default',
-      title: notification.title,
-      body: notification.message,
-      data: {
-        type: notification.type,
-        relatedId: notification.relatedId,
-        userId: user._id.toString()
-      },
-      priority: 'high'
-    }));
-
-    // Send to Expo in batches (Expo recommends max 100 per request)
-    const batchSize = 100;
-    for (let i = 0; i < expoPushMessages.length; i += batchSize) {
-      const batch = expoPushMessages.slice(i, i + batchSize);
-
-      await fetch('https://exp.host/--/api/v2/push/send', {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Accept-encoding': 'gzip, deflate',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(batch),
-      });
+    if (pushes.length === 0) {
+      logger.debug('No users to push to right now');
+      return true;
     }
 
-    logger.debug(`Push notifications sent to ${users.length} users`);
+    const { sent } = await pushService.sendNotifications(pushes);
+
+    logger.debug(`Push notifications sent to ${pushes.length} users (${sent} devices)`);
     return true;
   } catch (error) {
     logger.error('Error sending multiple push notifications:', error.message);
@@ -140,6 +147,62 @@ const sendToMultipleUsers = async (userIds, notification) => {
   }
 };
 
+/**
+ * Push an admin broadcast to its recipients (each user's preferences apply). The broadcast itself
+ * is what users see in their inbox, so personal entries are only kept for pushes that are held
+ * for quiet hours or the daily digest, hidden from the inbox.
+ *
+ * @param {Object} broadcast - Notification document
+ * @param {array} userIds - Recipients
+ * @returns {Promise<{ sent: number, failed: number, deferred: number, skipped: number }>}
+ *   sent / failed count devices, deferred / skipped count users
+ */
+const pushBroadcast = async (broadcast, userIds) => {
+  const now = new Date();
+  const stats = { sent: 0, failed: 0, deferred: 0, skipped: 0 };
+
+  const [preferencesByUser, devicesByUser] = await Promise.all([
+    preferenceService.getPreferencesForUsers(userIds),
+    pushService.getDevicesForUsers(userIds)
+  ]);
+
+  const entries = [];
+  const pushes = [];
+  userIds.forEach(id => {
+    const userId = id.toString();
+    const devices = devicesByUser.get(userId) || [];
+    const plan = preferenceService.getDeliveryPlan(preferencesByUser.get(userId), 'broadcast', now);
+    const pushStatus = toPushStatus(plan, devices.length > 0);
+    const data = { type: 'broadcast', relatedId: broadcast._id.toString(), userId };
+
+    if (pushStatus === 'sent') {
+      pushes.push({ devices, title: broadcast.title, body: broadcast.message, data, broadcastId: broadcast._id });
+    } else if (pushStatus === 'held' || pushStatus === 'digest') {
+      stats.deferred += 1;
+      entries.push({
+        ...toInboxEntry(id, broadcast.title, broadcast.message, data),
+        category: 'broadcast',
+        inInbox: false,
+        pushStatus
+      });
+    } else {
+      stats.skipped += 1;
+    }
+  });
+
+  if (entries.length > 0) {
+    await UserNotification.insertMany(entries);
+  }
+
+  if (pushes.length > 0) {
+    const { sent, failed } = await pushService.sendNotifications(pushes);
+    stats.sent = sent;
+    stats.failed = failed;
+  }
+
+  return stats;
+};
+
 /**
  * Send a message notification to a user
  * @param {string} recipientId - The recipient user ID
@@ -162,14 +225,14 @@ const sendMessageNotification = async (recipientId, senderName, messagePreview,
 };
 
 /**
- * Register or update a user's Expo push token
+ * Register or update the Expo push token of one of a user's devices
  * @param {string} userId - The user ID
  * @param {string} token - The Expo push token
+ * @param {object} [device] - platform, appVersion, deviceName
  */
-const registerPushToken = async (userId, token) => {
+const registerPushToken = async (userId, token, device = {}) => {
   try {
-    await User.findByIdAndUpdate(userId, { expoPushToken: token });
-    logger.info(`Registered push token for user ${userId}`);
+    await pushService.registerDevice(userId, { ...device, token });
     return true;
   } catch (error) {
     logger.error('Error registering push token:', error.message);
@@ -178,13 +241,13 @@ const registerPushToken = async (userId, token) => {
 };
 
 /**
- * Remove a user's push token (for logout)
+ * Remove a device's push token (for logout)
  * @param {string} userId - The user ID
+ * @param {string} token - The Expo push token of the device
  */
-const removePushToken = async (userId) => {
+const removePushToken = async (userId, token) => {
   try {
-    await User.findByIdAndUpdate(userId, { expoPushToken: null });
-    logger.info(`Removed push token for user ${userId}`);
+    await pushService.unregisterDevice(userId, token);
     return true;
   } catch (error) {
     logger.error('Error removing push token:', error.message);
@@ -192,10 +255,260 @@ const removePushToken = async (userId) => {
   }
 };
 
+// Helper: one push for notifications collected during quiet hours or for the digest
+// (the notification itself if there is only one)
+const pushCollected = async (userId, notifications, summaryTitle) => {
+  const devices = await pushService.getUserDevices(userId);
+  if (devices.length === 0) return false;
+
+  if (notifications.length === 1) {
+    const [notification] = notifications;
+    await pushService.sendToDevices(devices, {
+      title: notification.title,
+      body: notification.message,
+      data: {
+        ...notification.data,
+        type: notification.type,
+        relatedId: notification.relatedId,
+        userId: userId.toString()
+      },
+      channelId: channelFor(notification.type)
+    });
+    return true;
+  }
+
+  const latest = notifications[notifications.length - 1];
+  await pushService.sendToDevices(devices, {
+    title: summaryTitle,
+    body: `${latest.title} and ${notifications.length - 1} more`,
+    data: {
+      type: 'general',
+      notificationCount: notifications.length,
+      userId: userId.toString()
+    }
+  });
+  return true;
+};
+
+// Helper: move collected notifications on to `pushStatus`; only the run that moves them sends them
+const takeCollected = async (userId, fromStatus, toStatus) => {
+  const notifications = await UserNotification.find({ userId, pushStatus: fromStatus }).sort({ createdAt: 1 });
+  if (notifications.length === 0) return [];
+
+  const { modifiedCount } = await UserNotification.updateMany(
+    { _id: { $in: notifications.map(notification => notification._id) }, pushStatus: fromStatus },
+    { $set: { pushStatus: toStatus } }
+  );
+  return modifiedCount > 0 ? notifications : [];
+};
+
+/**
+ * Push what was held back during quiet hours to users whose quiet hours are over
+ * @returns {Promise<number>} Users pushed to
+ */
+const sendHeldPushes = async (now = new Date()) => {
+  const userIds = await UserNotification.distinct('userId', { pushStatus: 'held' });
+  if (userIds.length === 0) return 0;
+
+  const preferencesByUser = await preferenceService.getPreferencesForUsers(userIds);
+
+  let pushed = 0;
+  for (const userId of userIds) {
+    try {
+      if (preferenceService.isInQuietHours(preferencesByUser.get(userId.toString()), now)) continue;
+
+      const held = await takeCollected(userId, 'held', 'sent');
+      if (held.length === 0) continue;
+
+      if (await pushCollected(userId, held, `${held.length} new notifications`)) pushed += 1;
+    } catch (err) {
+      logger.error(`Failed to send held notifications of user ${userId}:`, err);
+    }
+  }
+
+  return pushed;
+};
+
+/**
+ * Send the daily digest (one push and one email) to users whose digest hour has come
+ * @returns {Promise<number>} Digests sent
+ */
+const sendDailyDigests = async (now = new Date()) => {
+  const due = await preferenceService.getDueDigests(now);
+
+  let sent = 0;
+  for (const preferences of due) {
+    try {
+      if (!(await preferenceService.claimDigest(preferences, now))) continue;
+
+      const notifications = await takeCollected(preferences.userId, 'digest', 'digested');
+      if (notifications.length === 0) continue;
+
+      await pushCollected(preferences.userId, notifications, 'Your daily Get-Fit summary');
+
+      const user = await User.findById(preferences.userId).select('name email');
+      if (user?.email) {
+        await sendNotificationDigestEmail(user.email, user.name, notifications).catch(err =>
+          logger.error(`Failed to email notification digest to user ${preferences.userId}:`, err));
+      }
+      sent += 1;
+    } catch (err) {
+      logger.error(`Failed to send notification digest to user ${preferences.userId}:`, err);
+    }
+  }
+
+  return sent;
+};
+
+// Helper: admin broadcasts visible to a user (none if they turned in-app broadcasts off).
+// Scheduled broadcasts are hidden until sent; targeted ones only show to their recipients.
+const broadcastFilterFor = async (user) => {
+  const preferences = await preferenceService.getPreferences(user._id);
+  if (!preferenceService.isChannelEnabled(preferences, 'broadcast', 'inApp')) {
+    return { targetAudience: { $in: [] } };
+  }
+
+  return {
+    isActive: true,
+    status: { $ne: 'scheduled' },
+    $or: [
+      { isTargeted: { $ne: true }, targetAudience: 'all' },
+      { isTargeted: { $ne: true }, targetAudience: user.role },
+      { isTargeted: true, recipients: user._id }
+    ]
+  };
+};
+
+// Helper: broadcasts and personal notifications in one shape, told apart by `kind`
+const fromBroadcast = ({ segment, pushStats, recipientCount, ...notification }, userId) => {
+  const read = notification.readBy.find(r => r.user && r.user.toString() === userId.toString());
+  return {
+    ...notification,
+    kind: 'broadcast',
+    type: 'broadcast',
+    isRead: !!read,
+    readAt: read ? read.readAt : null,
+    date: notification.sentAt || notification.createdAt
+  };
+};
+
+const fromPersonal = (notification) => ({
+  ...notification,
+  kind: 'personal',
+  date: notification.createdAt
+});
+
+/**
+ * A user's notifications: admin broadcasts for their role merged with their personal
+ * notifications, newest first.
+ *
+ * @param {Object} user - User document (needs _id and role)
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {boolean} [options.unreadOnly=false]
+ */
+const getInbox = async (user, { page = 1, limit = 20, unreadOnly = false } = {}) => {
+  page = parseInt(page);
+  limit = parseInt(limit);
+
+  const broadcastFilter = await broadcastFilterFor(user);
+  const personalFilter = { userId: user._id, inInbox: { $ne: false } };
+  if (unreadOnly) {
+    broadcastFilter['readBy.user'] = { $ne: user._id };
+    personalFilter.isRead = false;
+  }
+
+  // Enough of each list to fill the requested page after merging
+  const window = page * limit;
+  const [broadcasts, personal, broadcastTotal, personalTotal] = await Promise.all([
+    Notification.find(broadcastFilter)
+      .populate('createdBy', 'name')
+      .sort({ sentAt: -1, createdAt: -1 })
+      .limit(window)
+      .lean(),
+    UserNotification.find(personalFilter)
+      .sort({ createdAt: -1 })
+      .limit(window)
+      .lean(),
+    Notification.countDocuments(broadcastFilter),
+    UserNotification.countDocuments(personalFilter)
+  ]);
+
+  const items = [
+    ...broadcasts.map(notification => fromBroadcast(notification, user._id)),
+    ...personal.map(fromPersonal)
+  ]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice((page - 1) * limit, window);
+
+  const total = broadcastTotal + personalTotal;
+  return { items, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * Unread broadcasts and personal notifications of a user
+ */
+const getUnreadCounts = async (user) => {
+  const broadcastFilter = await broadcastFilterFor(user);
+  const [broadcasts, personal] = await Promise.all([
+    Notification.countDocuments({ ...broadcastFilter, 'readBy.user': { $ne: user._id } }),
+    UserNotification.countDocuments({ userId: user._id, isRead: false, inInbox: { $ne: false } })
+  ]);
+  return { unreadCount: broadcasts + personal, broadcasts, personal };
+};
+
+/**
+ * Mark one notification (personal or broadcast) read for a user
+ * @returns {Promise<Object|null>} The notification, or null if the user can't see it
+ */
+const markRead = async (user, notificationId) => {
+  const personal = await UserNotification.findOneAndUpdate(
+    { _id: notificationId, userId: user._id, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } },
+    { new: true }
+  ) || await UserNotification.findOne({ _id: notificationId, userId: user._id });
+  if (personal) return personal;
+
+  const filter = { _id: notificationId, ...(await broadcastFilterFor(user)) };
+  await Notification.updateOne(
+    { ...filter, 'readBy.user': { $ne: user._id } },
+    { $push: { readBy: { user: user._id, readAt: new Date() } } }
+  );
+  return Notification.findOne(filter);
+};
+
+/**
+ * Mark everything in a user's inbox read
+ * @returns {Promise<number>} Notifications newly marked read
+ */
+const markAllRead = async (user) => {
+  const now = new Date();
+  const broadcastFilter = await broadcastFilterFor(user);
+  const [broadcasts, personal] = await Promise.all([
+    Notification.updateMany(
+      { ...broadcastFilter, 'readBy.user': { $ne: user._id } },
+      { $push: { readBy: { user: user._id, readAt: now } } }
+    ),
+    UserNotification.updateMany(
+      { userId: user._id, isRead: false },
+      { $set: { isRead: true, readAt: now } }
+    )
+  ]);
+  return broadcasts.modifiedCount + personal.modifiedCount;
+};
+
 module.exports = {
   sendPushNotification,
   sendToMultipleUsers,
+  pushBroadcast,
   sendMessageNotification,
   registerPushToken,
-  removePushToken
+  removePushToken,
+  sendHeldPushes,
+  sendDailyDigests,
+  getInbox,
+  getUnreadCounts,
+  markRead,
+  markAllRead
 };
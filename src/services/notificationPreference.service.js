@@ -0,0 +1,231 @@
+/**
+ * Notification Preference Service
+ * Per-user channel toggles (push, email, in-app) per notification category, quiet hours
+ * and the daily digest. notification.service and email.service ask this service before
+ * sending anything, so callers never have to check preferences themselves.
+ *
+ * Users without a preferences document get the defaults: everything on, no quiet hours,
+ * no digest.
+ */
+
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const { NOTIFICATION_CATEGORIES, CHANNELS } = NotificationPreference;
+
+// A digest is not sent again within this many hours (the job runs several times in the digest hour)
+const DIGEST_MIN_GAP_HOURS = 20;
+
+// Personal notification types (UserNotification.type) and the category that controls them
+const CATEGORY_BY_TYPE = {
+  message: 'message',
+  payment: 'payment',
+  membership: 'reminder',
+  subscription: 'reminder',
+  schedule: 'schedule_assigned',
+  broadcast: 'broadcast'
+};
+
+/**
+ * Category of a notification type; null for types no preference applies to ('general')
+ */
+const categoryForType = (type) => CATEGORY_BY_TYPE[type] || null;
+
+/**
+ * A user's preferences; an unsaved document with the defaults if they never changed them
+ */
+const getPreferences = async (userId) =>
+  (await NotificationPreference.findOne({ userId })) || new NotificationPreference({ userId });
+
+/**
+ * Preferences of several users, keyed by user ID
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getPreferencesForUsers = async (userIds) => {
+  const saved = await NotificationPreference.find({ userId: { $in: userIds } });
+  const byUser = new Map(saved.map(preferences => [preferences.userId.toString(), preferences]));
+
+  userIds.forEach(userId => {
+    const key = userId.toString();
+    if (!byUser.has(key)) byUser.set(key, new NotificationPreference({ userId }));
+  });
+
+  return byUser;
+};
+
+/**
+ * Change some of a user's preferences; fields left out keep their value
+ *
+ * @param {string} userId
+ * @param {Object} changes
+ * @param {Object} [changes.channels] - e.g. { payment: { email: false }, message: { push: true } }
+ * @param {Object} [changes.quietHours] - { enabled, start: 'HH:mm', end: 'HH:mm', timezone }
+ * @param {Object} [changes.dailyDigest] - { enabled, hour }
+ */
+const updatePreferences = async (userId, { channels, quietHours, dailyDigest } = {}) => {
+  const $set = {};
+
+  if (channels) {
+    NOTIFICATION_CATEGORIES.forEach(category => {
+      CHANNELS.forEach(channel => {
+        const value = channels[category]?.[channel];
+        if (value !== undefined) $set[`channels.${category}.${channel}`] = value;
+      });
+    });
+  }
+
+  if (quietHours) {
+    ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+      if (quietHours[field] !== undefined) $set[`quietHours.${field}`] = quietHours[field];
+    });
+  }
+
+  if (dailyDigest) {
+    ['enabled', 'hour'].forEach(field => {
+      if (dailyDigest[field] !== undefined) $set[`dailyDigest.${field}`] = dailyDigest[field];
+    });
+  }
+
+  // One atomic upsert, so a user's first two saves cannot both try to create the document
+  return NotificationPreference.findOneAndUpdate(
+    { userId },
+    { $set },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Whether a user wants notifications of `category` on `channel` ('push', 'email' or 'inApp')
+ */
+const isChannelEnabled = (preferences, category, channel) => {
+  if (!category || !preferences) return true;
+  return preferences.channels?.[category]?.[channel] !== false;
+};
+
+// Helper: hour and minute of `now` in a timezone
+const getLocalTime = (timezone, now) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return { hour: value('hour'), minute: value('minute') };
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Whether `now` falls in the user's quiet hours (which may span midnight, e.g. 22:00-07:00)
+ */
+const isInQuietHours = (preferences, now = new Date()) => {
+  const quietHours = preferences?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const { hour, minute } = getLocalTime(quietHours.timezone, now);
+  const current = hour * 60 + minute;
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Whether the user's daily digest should go out now
+ */
+const isDigestDue = (preferences, now = new Date()) => {
+  const digest = preferences?.dailyDigest;
+  if (!digest?.enabled) return false;
+
+  const { hour } = getLocalTime(preferences.quietHours.timezone, now);
+  if (hour !== digest.hour) return false;
+
+  return !digest.lastSentAt || now.getTime() - digest.lastSentAt.getTime() >= DIGEST_MIN_GAP_HOURS * 60 * 60 * 1000;
+};
+
+/**
+ * Saved preferences of users whose daily digest should go out now
+ */
+const getDueDigests = async (now = new Date()) => {
+  const sentBefore = new Date(now.getTime() - DIGEST_MIN_GAP_HOURS * 60 * 60 * 1000);
+  const candidates = await NotificationPreference.find({
+    'dailyDigest.enabled': true,
+    $or: [{ 'dailyDigest.lastSentAt': null }, { 'dailyDigest.lastSentAt': { $lte: sentBefore } }]
+  });
+  return candidates.filter(preferences => isDigestDue(preferences, now));
+};
+
+/**
+ * Record that a digest is being sent; false if another run already claimed it
+ */
+const claimDigest = async (preferences, now = new Date()) => {
+  const { modifiedCount } = await NotificationPreference.updateOne(
+    { _id: preferences._id, 'dailyDigest.lastSentAt': preferences.dailyDigest.lastSentAt || null },
+    { $set: { 'dailyDigest.lastSentAt': now } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * How a notification reaches a user
+ * @returns {{ inApp: boolean, push: 'send'|'held'|'digest'|'skipped' }}
+ *   push: send now, hold until quiet hours end, collect for the daily digest, or don't push
+ */
+const getDeliveryPlan = (preferences, category, now = new Date()) => {
+  const inApp = isChannelEnabled(preferences, category, 'inApp');
+
+  let push = 'send';
+  if (!isChannelEnabled(preferences, category, 'push')) {
+    push = 'skipped';
+  } else if (preferences?.dailyDigest?.enabled && category !== 'message') {
+    // Chat messages are conversations; a day late they are useless
+    push = 'digest';
+  } else if (isInQuietHours(preferences, now)) {
+    push = 'held';
+  }
+
+  return { inApp, push };
+};
+
+/**
+ * Whether an email of `category` may be sent to this address. Addresses that don't belong to a
+ * user, and emails without a category (verification, password reset), are always allowed.
+ */
+const isEmailAllowed = async (email, category) => {
+  if (!category || !email) return true;
+
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('_id');
+    if (!user) return true;
+
+    const preferences = await NotificationPreference.findOne({ userId: user._id });
+    return isChannelEnabled(preferences, category, 'email');
+  } catch (err) {
+    // Better an unwanted email than a missing receipt
+    logger.error(`Could not check email preferences of ${email}:`, err);
+    return true;
+  }
+};
+
+module.exports = {
+  categoryForType,
+  getPreferences,
+  getPreferencesForUsers,
+  updatePreferences,
+  isChannelEnabled,
+  isInQuietHours,
+  isDigestDue,
+  getDueDigests,
+  claimDigest,
+  getDeliveryPlan,
+  isEmailAllowed
+};
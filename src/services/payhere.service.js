@@ -281,6 +281,20 @@ class PayHereService {
     };
   }
 
+  /**
+   * initializePreapproval
+   * Same parameters as initializePayment, but for the pre-approval checkout which
+   * authorises the customer's card and returns a `customer_token` to notify_url
+   * for later automatic charges (nothing is charged at this point).
+   */
+  async initializePreapproval(paymentData) {
+    const result = await this.initializePayment(paymentData);
+    return {
+      ...result,
+      paymentUrl: `${this.baseUrl}/pay/preapprove`
+    };
+  }
+
   /**
    * verifyPayment
    * Verify incoming PayHere server notification (notify_url)
@@ -328,7 +342,10 @@ class PayHereService {
       paymentId: payment_id,
       amount: parseFloat(payhere_amount),
       currency: payhere_currency,
-      statusCode: status_code
+      statusCode: status_code,
+      // Only present for pre-approval notifications
+      customerToken: data.customer_token,
+      cardNo: data.card_no
     };
   }
 
@@ -0,0 +1,206 @@
+/**
+ * PayHere Merchant API client
+ * Server-to-server calls (OAuth, charging a pre-approved customer token, refunds, payment retrieval).
+ *
+ * All charges and refunds go through getClient() so the real client can be swapped
+ * for the offline mock (PAYHERE_API_MOCK=true) or a custom stub via setClient().
+ */
+
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+class PayHereApiClient {
+  constructor({ appId, appSecret, baseUrl, fetchImpl = fetch } = {}) {
+    this.appId = appId;
+    this.appSecret = appSecret;
+    this.baseUrl = baseUrl;
+    this.fetch = fetchImpl;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Get (and cache) an OAuth access token using the business app credentials
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    if (!this.appId || !this.appSecret) {
+      throw new Error('PayHere API credentials (PAYHERE_APP_ID / PAYHERE_APP_SECRET) are not configured');
+    }
+
+    const credentials = Buffer.from(`${this.appId}:${this.appSecret}`).toString('base64');
+    const response = await this.fetch(`${this.baseUrl}/merchant/v1/oauth/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    const result = await response.json();
+    if (!response.ok || !result.access_token) {
+      throw new Error(`PayHere OAuth failed: ${result.error_description || result.msg || response.status}`);
+    }
+
+    this.accessToken = result.access_token;
+    // Refresh a minute early
+    this.accessTokenExpiresAt = Date.now() + Math.max(0, (result.expires_in || 0) - 60) * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * Charge a customer token obtained through the pre-approval checkout
+   * @returns {Promise<{ success: boolean, paymentId?: string, statusCode?: number, message: string }>}
+   */
+  async chargeCustomerToken({ customerToken, orderId, amount, currency = 'LKR', items, notifyUrl, custom1, custom2 }) {
+    const accessToken = await this.getAccessToken();
+
+    const response = await this.fetch(`${this.baseUrl}/merchant/v1/payment/charge`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        type: 'PAYMENT',
+        order_id: orderId,
+        items,
+        currency,
+        amount: Number(amount).toFixed(2),
+        customer_token: customerToken,
+        notify_url: notifyUrl,
+        custom_1: custom1,
+        custom_2: custom2
+      })
+    });
+
+    const result = await response.json();
+    const statusCode = result.data?.status_code;
+
+    return {
+      success: response.ok && result.status === 1 && String(statusCode) === '2',
+      paymentId: result.data?.payment_id ? String(result.data.payment_id) : undefined,
+      statusCode,
+      message: result.data?.status_message || result.msg || `HTTP ${response.status}`
+    };
+  }
+
+  /**
+   * Refund a payment in full, or partially when `amount` is given
+   * @returns {Promise<{ success: boolean, refundId?: string, message: string }>}
+   */
+  async refundPayment({ paymentId, amount, description }) {
+    const accessToken = await this.getAccessToken();
+
+    const body = { payment_id: paymentId, description };
+    if (amount != null) body.amount = Number(amount).toFixed(2);
+
+    const response = await this.fetch(`${this.baseUrl}/merchant/v1/payment/refund`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const result = await response.json();
+
+    return {
+      success: response.ok && result.status === 1,
+      refundId: result.data != null ? String(result.data) : undefined,
+      message: result.msg || `HTTP ${response.status}`
+    };
+  }
+
+  /**
+   * Look up the payments PayHere holds for an order ID (Retrieval API)
+   * @returns {Promise<{ success: boolean, payments: Array<Object>, message: string }>}
+   */
+  async retrievePayment(orderId) {
+    const accessToken = await this.getAccessToken();
+
+    const response = await this.fetch(`${this.baseUrl}/merchant/v1/payment/search?order_id=${encodeURIComponent(orderId)}`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const result = await response.json();
+
+    return {
+      success: response.ok && result.status === 1,
+      payments: Array.isArray(result.data) ? result.data : [],
+      message: result.msg || `HTTP ${response.status}`
+    };
+  }
+}
+
+/**
+ * Offline client for development and tests.
+ * Tokens, payment IDs and order IDs starting with "fail" are declined; everything else succeeds.
+ */
+const createMockClient = () => ({
+  async getAccessToken() {
+    return 'mock-access-token';
+  },
+  async chargeCustomerToken({ customerToken, orderId, amount }) {
+    logger.info(`PayHere mock: charging ${amount} for order ${orderId}`);
+    if (String(customerToken).startsWith('fail')) {
+      return { success: false, statusCode: -2, message: 'Mock charge declined' };
+    }
+    return { success: true, paymentId: `MOCK_${Date.now()}`, statusCode: 2, message: 'Mock charge successful' };
+  },
+  async refundPayment({ paymentId, amount }) {
+    logger.info(`PayHere mock: refunding ${amount ?? 'full amount'} of payment ${paymentId}`);
+    if (String(paymentId).startsWith('fail')) {
+      return { success: false, message: 'Mock refund declined' };
+    }
+    return { success: true, refundId: `MOCK_REFUND_${Date.now()}`, message: 'Mock refund successful' };
+  },
+  async retrievePayment(orderId) {
+    if (String(orderId).startsWith('fail')) {
+      return { success: false, payments: [], message: 'No payments found' };
+    }
+    return {
+      success: true,
+      payments: [{ payment_id: `MOCK_${orderId}`, order_id: orderId, status: 'RECEIVED' }],
+      message: 'Payments found'
+    };
+  }
+});
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    const isSandbox = String(config.PAYHERE_SANDBOX) !== 'false';
+    client = String(config.PAYHERE_API_MOCK) === 'true'
+      ? createMockClient()
+      : new PayHereApiClient({
+        appId: config.PAYHERE_APP_ID,
+        appSecret: config.PAYHERE_APP_SECRET,
+        baseUrl: isSandbox ? 'https://sandbox.payhere.lk' : 'https://www.payhere.lk'
+      });
+  }
+  return client;
+};
+
+/**
+ * Replace the client (pass null to go back to the configured one)
+ */
+const setClient = (newClient) => {
+  client = newClient;
+};
+
+module.exports = {
+  PayHereApiClient,
+  createMockClient,
+  getClient,
+  setClient
+};
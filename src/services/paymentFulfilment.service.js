@@ -0,0 +1,298 @@
+/**
+ * Payment Fulfilment Service
+ * Single place where a successful payment is marked completed and its
+ * membership / subscription is activated (or, for auto-renewal charges, extended).
+ *
+ * fulfilPayment() is idempotent and keyed on the payment ID: the pending payment
+ * is claimed with a conditional update (fulfilledAt: null) inside a MongoDB
+ * transaction, so a webhook and a return-URL hit racing each other produce
+ * exactly one activation. Whoever loses the race gets `alreadyFulfilled: true`.
+ */
+
+const Payment = require('../models/Payment');
+const Membership = require('../models/Membership');
+const Subscription = require('../models/Subscription');
+const promoCodeService = require('./promoCode.service');
+const invoiceService = require('./invoice.service');
+const instructorPayoutService = require('./instructorPayout.service');
+const webhookService = require('./webhook.service');
+const { sendPaymentReceiptEmail } = require('./email.service');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the membership paid for by this payment (one per payment)
+ */
+const activateMembership = async (payment, session, now) => {
+  const existing = await Membership.findOne({ paymentId: payment._id }).session(session);
+  if (existing) return existing;
+
+  const { planId, planName, durationDays, startDate, endDate } = payment.metadata;
+
+  let membershipStartDate = startDate ? new Date(startDate) : now;
+  let membershipEndDate = endDate ? new Date(endDate) : new Date(now.getTime() + durationDays * 24 * 60 * 60 * 1000);
+
+  // Queue after the current membership so paid days are never lost
+  const currentMembership = await Membership.findOne({
+    userId: payment.userId,
+    status: { $in: ['active', 'frozen'] },
+    endDate: { $gt: now }
+  }).sort({ endDate: -1 }).session(session);
+
+  if (currentMembership) {
+    membershipStartDate = new Date(currentMembership.endDate);
+    membershipStartDate.setDate(membershipStartDate.getDate() + 1);
+    membershipEndDate = new Date(membershipStartDate);
+    membershipEndDate.setDate(membershipEndDate.getDate() + durationDays);
+  }
+
+  const [membership] = await Membership.create([{
+    userId: payment.userId,
+    planId,
+    planName,
+    durationDays,
+    amount: payment.amount,
+    currency: payment.currency,
+    startDate: membershipStartDate,
+    endDate: membershipEndDate,
+    status: 'active',
+    paymentId: payment._id,
+    autoRenew: false,
+  }], { session });
+
+  logger.info(`Membership activated for payment ${payment._id}`, {
+    membershipId: membership._id,
+    userId: payment.userId,
+    startDate: membershipStartDate,
+    endDate: membershipEndDate
+  });
+
+  return membership;
+};
+
+/**
+ * Extend the membership an auto-renewal charge paid for by one plan period (once per payment)
+ */
+const extendMembership = async (payment, session, now) => {
+  const { membershipId, durationDays } = payment.metadata;
+  const membership = await Membership.findById(membershipId).session(session);
+  if (!membership) {
+    logger.warn(`Renewal payment ${payment._id} is for unknown membership ${membershipId}`);
+    return null;
+  }
+  if (membership.renewals.some(renewal => renewal.paymentId?.equals(payment._id))) return membership;
+
+  const previousEndDate = new Date(membership.endDate);
+  membership.endDate = new Date(previousEndDate.getTime() + durationDays * DAY_MS);
+  membership.renewals.push({
+    paymentId: payment._id,
+    amount: payment.amount,
+    previousEndDate,
+    newEndDate: membership.endDate,
+    renewedAt: now
+  });
+  // A charge settled by reconciliation may arrive after the membership expired
+  if (membership.status === 'expired' && membership.endDate > now) membership.status = 'active';
+  membership.renewalAttempts = 0;
+  membership.nextRenewalAttemptAt = null;
+  membership.lastRenewalError = null;
+  await membership.save({ session });
+
+  logger.info(`Membership ${membership._id} extended for payment ${payment._id}`, {
+    previousEndDate,
+    endDate: membership.endDate
+  });
+
+  return membership;
+};
+
+/**
+ * Start or extend the instructor subscription paid for by this payment (one month per payment)
+ */
+const activateSubscription = async (payment, session, now) => {
+  const alreadyApplied = await Subscription.findOne({ paymentId: payment._id }).session(session);
+  if (alreadyApplied) return alreadyApplied;
+
+  // One subscription document per member/instructor pair (unique index)
+  const existing = await Subscription.findOne({
+    memberId: payment.userId,
+    instructorId: payment.instructorId
+  }).session(session);
+
+  const baseDate = existing && existing.status === 'active' && existing.expiresAt > now
+    ? new Date(existing.expiresAt)
+    : new Date(now);
+  const expiresAt = new Date(baseDate);
+  expiresAt.setMonth(expiresAt.getMonth() + 1);
+
+  let subscription;
+  if (existing) {
+    existing.status = 'active';
+    existing.subscribedAt = now;
+    existing.expiresAt = expiresAt;
+    existing.cancelledAt = null;
+    existing.paymentId = payment._id;
+    subscription = await existing.save({ session });
+  } else {
+    [subscription] = await Subscription.create([{
+      memberId: payment.userId,
+      instructorId: payment.instructorId,
+      status: 'active',
+      paymentId: payment._id,
+      subscribedAt: now,
+      expiresAt
+    }], { session });
+  }
+
+  logger.info(`Subscription activated for payment ${payment._id}, expires: ${expiresAt.toISOString()}`);
+
+  return subscription;
+};
+
+// Helper: email the receipt once the payment has been fulfilled
+const sendReceipt = async (payment) => {
+  try {
+    await payment.populate('userId', 'name email');
+    const user = payment.userId;
+
+    if (!user || !user.email) {
+      logger.warn(`Cannot send receipt: User or email not found for payment ${payment._id}`);
+      return;
+    }
+
+    let instructorName = null;
+    if (payment.instructorId) {
+      const Instructor = require('../models/Instructor');
+      const instructor = await Instructor.findOne({ userId: payment.instructorId }).populate('userId', 'name');
+      instructorName = instructor?.userId?.name || null;
+    }
+
+    // A failed PDF must not stop the receipt itself
+    let attachments = [];
+    try {
+      attachments = [await invoiceService.buildInvoiceAttachment(payment)];
+    } catch (pdfError) {
+      logger.error(`Failed to generate invoice PDF for payment ${payment._id}:`, pdfError);
+    }
+
+    await sendPaymentReceiptEmail(user.email, user.name, {
+      // Front-desk payments carry the receipt number handed to the member
+      orderId: payment.receiptNumber || payment.payhereOrderId,
+      paymentId: payment.payherePaymentId,
+      amount: payment.amount,
+      currency: payment.currency,
+      description: payment.description,
+      transactionDate: payment.transactionDate || payment.createdAt,
+      instructorName,
+      invoiceNumber: payment.invoiceNumber
+    }, attachments);
+
+    logger.info(`Payment receipt email sent to ${user.email} for payment ${payment._id}`);
+  } catch (emailError) {
+    // Log error but don't throw - payment is already completed
+    logger.error(`Failed to send payment receipt email for payment ${payment._id}:`, emailError);
+  }
+};
+
+// Claim the payment and activate what it pays for, using `session` if given
+const runFulfilment = async (paymentId, { payherePaymentId, source }, session, now = new Date()) => {
+  const update = { status: 'completed', fulfilledAt: now, transactionDate: now };
+  if (payherePaymentId) update.payherePaymentId = payherePaymentId;
+
+  // Only one caller can move a pending payment to completed. Payments completed before
+  // fulfilment tracking existed have no fulfilledAt but were activated back then, so they
+  // must never be claimed again.
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: 'pending', fulfilledAt: null },
+    { $set: update },
+    { new: true, session }
+  );
+
+  if (!payment) {
+    return { payment: null };
+  }
+
+  let membership = null;
+  let subscription = null;
+
+  if (payment.metadata?.type === 'membership') {
+    membership = await activateMembership(payment, session, now);
+  } else if (payment.metadata?.type === 'membership_renewal') {
+    membership = await extendMembership(payment, session, now);
+  } else if (payment.instructorId && (payment.metadata?.type === 'subscription' || !payment.metadata?.type)) {
+    // Generic payment intents to an instructor carry no type and are subscriptions too
+    subscription = await activateSubscription(payment, session, now);
+  }
+
+  logger.info(`Payment ${payment._id} fulfilled`, { source, type: payment.metadata?.type });
+
+  return { payment, membership, subscription };
+};
+
+/**
+ * Mark a payment completed and activate its membership/subscription exactly once.
+ *
+ * @param {string} paymentId - Payment to fulfil
+ * @param {Object} [options]
+ * @param {string} [options.payherePaymentId] - PayHere payment reference (from the notification)
+ * @param {string} [options.source] - Caller, for logging ('webhook', 'return-url', ...)
+ * @returns {Promise<{ payment: Object|null, membership: Object|null, subscription: Object|null, alreadyFulfilled: boolean }>}
+ */
+const fulfilPayment = async (paymentId, options = {}) => {
+  const claimedAt = new Date();
+  const result = await withTransaction(
+    session => runFulfilment(paymentId, options, session, claimedAt),
+    {
+      // Without a transaction, release our claim (not someone else's) so the payment can be fulfilled again
+      rollback: () => Payment.updateOne(
+        { _id: paymentId, fulfilledAt: claimedAt },
+        { $set: { status: 'pending', fulfilledAt: null } }
+      )
+    }
+  );
+
+  if (!result.payment) {
+    const payment = await Payment.findById(paymentId);
+
+    // The webhook may bring the PayHere reference after the return URL already fulfilled the payment
+    if (payment && options.payherePaymentId && !payment.payherePaymentId) {
+      payment.payherePaymentId = options.payherePaymentId;
+      await payment.save();
+    }
+
+    const [membership, subscription] = payment
+      ? await Promise.all([
+        Membership.findOne({ paymentId: payment._id }),
+        Subscription.findOne({ paymentId: payment._id })
+      ])
+      : [null, null];
+
+    // Legacy completed payments have no fulfilledAt but were fulfilled all the same
+    const alreadyFulfilled = !!payment?.fulfilledAt || payment?.status === 'completed';
+    return { payment, membership, subscription, alreadyFulfilled };
+  }
+
+  // Side effects only run for the call that actually fulfilled the payment
+  const fulfilled = result;
+  await promoCodeService.recordRedemption(fulfilled.payment).catch(err =>
+    logger.error(`Failed to record promo redemption for payment ${fulfilled.payment._id}:`, err));
+  if (fulfilled.subscription) {
+    await instructorPayoutService.recordEarning(fulfilled.payment).catch(err =>
+      logger.error(`Failed to record instructor earning for payment ${fulfilled.payment._id}:`, err));
+  }
+  await invoiceService.ensureInvoiceNumber(fulfilled.payment).catch(err =>
+    logger.error(`Failed to assign invoice number for payment ${fulfilled.payment._id}:`, err));
+  await sendReceipt(fulfilled.payment);
+  await webhookService.emitEvent('payment.completed', fulfilled);
+  if (fulfilled.membership) {
+    await webhookService.emitEvent('membership.activated', { membership: fulfilled.membership, payment: fulfilled.payment });
+  }
+
+  return { ...fulfilled, alreadyFulfilled: false };
+};
+
+module.exports = {
+  fulfilPayment
+};
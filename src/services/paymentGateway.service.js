@@ -0,0 +1,102 @@
+/**
+ * Payment Gateway Service
+ * Picks the gateway used for checkouts (PAYMENT_GATEWAY) and gives every provider the same shape:
+ *
+ *   name, notifyPath                     - Payment.paymentMethod value and notification route
+ *   isConfigured()                       - credentials present
+ *   initializePayment(paymentData)       - { paymentUrl, params } for the client to open
+ *   verifyNotification(body)             - { valid, success, orderId, paymentId, amount, currency, statusCode, error? }
+ *   refund({ paymentId, amount, description }) - { success, refundId?, message }
+ *   getPaymentStatus(orderId)            - { found, status, paymentId?, amount?, currency?, message }
+ *
+ * `status` is one of completed, failed, refunded, chargeback, pending.
+ */
+
+const payhereService = require('./payhere.service');
+const payhereApi = require('./payhereApi.service');
+const mockGateway = require('./mockGateway.service');
+const config = require('../config/environment');
+
+// PayHere Retrieval API status -> our status
+const PAYHERE_STATUSES = {
+  RECEIVED: 'completed',
+  REFUNDED: 'refunded',
+  CHARGEBACKED: 'chargeback',
+  FAILED: 'failed'
+};
+
+const payhereGateway = {
+  name: 'payhere',
+  notifyPath: '/api/v1/payments/payhere-notify',
+
+  isConfigured: () => Boolean(config.PAYHERE_MERCHANT_ID && config.PAYHERE_MERCHANT_SECRET),
+
+  initializePayment: (paymentData) => payhereService.initializePayment(paymentData),
+
+  verifyNotification: (body) => payhereService.verifyPayment(body),
+
+  refund: (options) => payhereApi.getClient().refundPayment(options),
+
+  async getPaymentStatus(orderId) {
+    const result = await payhereApi.getClient().retrievePayment(orderId);
+    const payment = result.payments[0];
+
+    if (!result.success || !payment) {
+      return { found: false, status: null, message: result.message };
+    }
+
+    return {
+      found: true,
+      status: PAYHERE_STATUSES[String(payment.status).toUpperCase()] || 'pending',
+      gatewayStatus: payment.status,
+      paymentId: payment.payment_id != null ? String(payment.payment_id) : undefined,
+      amount: payment.amount != null ? Number(payment.amount) : undefined,
+      currency: payment.currency,
+      message: result.message
+    };
+  }
+};
+
+const GATEWAYS = {
+  payhere: payhereGateway,
+  mock: mockGateway
+};
+
+let activeGatewayName = null;
+
+/**
+ * Gateway by name (a Payment.paymentMethod), or null for methods without one (cash, paypal)
+ */
+const getGateway = (name) => GATEWAYS[name] || null;
+
+/**
+ * Gateway new checkouts go through
+ */
+const getActiveGateway = () => {
+  const name = activeGatewayName || config.PAYMENT_GATEWAY;
+  const gateway = getGateway(name);
+  if (!gateway) {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${name}". Use one of: ${Object.keys(GATEWAYS).join(', ')}`);
+  }
+  return gateway;
+};
+
+/**
+ * Switch the checkout gateway at runtime (pass null to go back to PAYMENT_GATEWAY)
+ */
+const setActiveGateway = (name) => {
+  if (name && !GATEWAYS[name]) {
+    throw new Error(`Unknown payment gateway "${name}"`);
+  }
+  // Same rule as PAYMENT_GATEWAY=mock at startup (see config/environment.js)
+  if (name === 'mock' && (!['development', 'test'].includes(process.env.NODE_ENV) || !config.MOCK_GATEWAY_SECRET)) {
+    throw new Error('The mock gateway needs NODE_ENV development or test and MOCK_GATEWAY_SECRET');
+  }
+  activeGatewayName = name;
+};
+
+module.exports = {
+  getGateway,
+  getActiveGateway,
+  setActiveGateway
+};
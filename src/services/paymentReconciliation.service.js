@@ -0,0 +1,275 @@
+/**
+ * Payment Reconciliation Service
+ * Resolves pending payments by asking the gateway what actually happened, instead of
+ * deleting them when a webhook is late or lost.
+ *
+ * For every pending payment older than PAYMENT_RECONCILE_MIN_AGE_MINUTES the gateway status
+ * API decides:
+ *   completed -> fulfilled through paymentFulfilment.service
+ *   failed    -> marked failed
+ *   not found -> marked expired once older than PAYMENT_EXPIRE_AFTER_MINUTES
+ * Cancelled and expired checkouts keep being checked (after the pending ones) until the
+ * gateway gives a final status or they are PAYMENT_RECONCILE_CLOSED_HOURS old, since the
+ * member may still have paid; such a payment is reopened and fulfilled (paid_after_cancel).
+ * Anything that needs a human (amount mismatch, refunds/chargebacks at the gateway,
+ * API errors) is recorded as a PaymentException for the admin exception report.
+ */
+
+const Payment = require('../models/Payment');
+const PaymentException = require('../models/PaymentException');
+const paymentGateway = require('./paymentGateway.service');
+const { fulfilPayment } = require('./paymentFulfilment.service');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Gateway statuses that will not change any more
+const FINAL_GATEWAY_STATUSES = ['completed', 'failed', 'refunded', 'chargeback'];
+// Checkouts closed here without a payment that the gateway may still complete
+const CLOSED_STATUSES = ['cancelled', 'expired'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Open (or bump) an exception for a payment. Repeated runs update the same open exception.
+ */
+const recordException = async (payment, type, details, gatewayResult = {}) => {
+  const now = new Date();
+  return PaymentException.findOneAndUpdate(
+    { paymentId: payment._id, type, status: 'open' },
+    {
+      $set: {
+        details,
+        gatewayStatus: gatewayResult.gatewayStatus || gatewayResult.status || undefined,
+        gatewayAmount: gatewayResult.amount,
+        lastSeenAt: now
+      },
+      $setOnInsert: { userId: payment.userId, orderId: payment.payhereOrderId },
+      $inc: { occurrences: 1 }
+    },
+    // No defaults on insert: they would clash with the $inc, which sets occurrences to 1
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  );
+};
+
+// Helper: move a payment from one status to another only if nobody changed it meanwhile
+const transition = (payment, from, to) =>
+  Payment.updateOne({ _id: payment._id, status: { $in: from } }, { $set: { status: to } });
+
+/**
+ * Whether the gateway captured a different amount than the payment is for; if so an
+ * amount_mismatch exception is opened and the payment must not be fulfilled.
+ * @param {Object} payment
+ * @param {Object} gatewayResult - What the gateway reported (amount, currency, status)
+ * @returns {Promise<boolean>}
+ */
+const recordAmountMismatch = async (payment, gatewayResult) => {
+  // Nothing to compare when the gateway did not report an amount
+  const amount = gatewayResult.amount == null ? NaN : Number(gatewayResult.amount);
+  if (Number.isNaN(amount) || round2(amount) === round2(payment.amount)) return false;
+
+  await recordException(payment, 'amount_mismatch',
+    `Gateway captured ${gatewayResult.amount} ${gatewayResult.currency || ''} but the payment is for ${payment.amount} ${payment.currency}`.trim(), gatewayResult);
+  return true;
+};
+
+/**
+ * A cancelled or expired checkout the gateway completed after all: move it back to pending so
+ * paymentFulfilment.service can claim it, and let an admin know. No-op for other payments.
+ * @param {Object} payment
+ * @param {Object} [gatewayResult] - What the gateway reported (status, amount)
+ * @returns {Promise<boolean>} Whether the payment was reopened
+ */
+const reopenLatePayment = async (payment, gatewayResult = {}) => {
+  if (!CLOSED_STATUSES.includes(payment.status)) return false;
+
+  await recordException(payment, 'paid_after_cancel',
+    `Checkout was ${payment.status} but the gateway completed the payment; it has been fulfilled`, gatewayResult);
+  const { modifiedCount } = await transition(payment, CLOSED_STATUSES, 'pending');
+  return modifiedCount > 0;
+};
+
+/**
+ * Reconcile one payment with its gateway
+ * @returns {Promise<string>} completed, failed, expired, exception, error, unchanged or skipped
+ */
+const reconcilePayment = async (payment, now = new Date()) => {
+  // Legacy payments without a method were all PayHere checkouts
+  const gateway = paymentGateway.getGateway(payment.paymentMethod || 'payhere');
+  if (!gateway) return 'skipped';
+
+  let result;
+  try {
+    result = await gateway.getPaymentStatus(payment.payhereOrderId);
+  } catch (err) {
+    logger.error(`Reconciliation: status lookup failed for payment ${payment._id}:`, err);
+    await recordException(payment, 'gateway_error', err.message);
+    await Payment.updateOne({ _id: payment._id }, {
+      $set: { 'reconciliation.lastCheckedAt': now },
+      $inc: { 'reconciliation.attempts': 1 }
+    });
+    return 'error';
+  }
+
+  const settled = result.found && FINAL_GATEWAY_STATUSES.includes(result.status);
+  await Payment.updateOne({ _id: payment._id }, {
+    $set: {
+      'reconciliation.lastCheckedAt': now,
+      'reconciliation.gatewayStatus': result.found ? (result.gatewayStatus || result.status) : 'not_found',
+      ...(settled ? { 'reconciliation.settledAt': now } : {})
+    },
+    $inc: { 'reconciliation.attempts': 1 }
+  });
+
+  if (!result.found) {
+    const expireBefore = new Date(now.getTime() - Number(config.PAYMENT_EXPIRE_AFTER_MINUTES) * MINUTE_MS);
+    if (payment.status === 'pending' && payment.createdAt < expireBefore) {
+      const { modifiedCount } = await transition(payment, ['pending'], 'expired');
+      return modifiedCount > 0 ? 'expired' : 'unchanged';
+    }
+    return 'unchanged';
+  }
+
+  switch (result.status) {
+    case 'completed': {
+      if (await recordAmountMismatch(payment, result)) {
+        return 'exception';
+      }
+
+      // The member paid after all - honour it, but let an admin know
+      await reopenLatePayment(payment, result);
+
+      await fulfilPayment(payment._id, { payherePaymentId: result.paymentId, source: 'reconciliation' });
+      return 'completed';
+    }
+    case 'failed': {
+      const { modifiedCount } = await transition(payment, ['pending'], 'failed');
+      return modifiedCount > 0 ? 'failed' : 'unchanged';
+    }
+    case 'refunded':
+      await recordException(payment, 'refunded_at_gateway', 'Payment was refunded at the gateway before it was completed here', result);
+      return 'exception';
+    case 'chargeback':
+      await recordException(payment, 'chargeback', 'Payment was charged back at the gateway', result);
+      return 'exception';
+    default:
+      // Still processing at the gateway
+      return 'unchanged';
+  }
+};
+
+/**
+ * Reconcile the oldest unresolved checkouts (called by the scheduler)
+ * @returns {Promise<{ checked: number, completed: number, failed: number, expired: number, exceptions: number, errors: number }>}
+ */
+const reconcilePendingPayments = async (now = new Date()) => {
+  const checkBefore = new Date(now.getTime() - Number(config.PAYMENT_RECONCILE_MIN_AGE_MINUTES) * MINUTE_MS);
+  const closedCheckFrom = new Date(now.getTime() - Number(config.PAYMENT_RECONCILE_CLOSED_HOURS) * HOUR_MS);
+  const batchSize = Number(config.PAYMENT_RECONCILE_BATCH_SIZE);
+
+  const pending = await Payment.find({
+    paymentMethod: { $nin: Payment.MANUAL_PAYMENT_METHODS },
+    status: 'pending',
+    createdAt: { $lt: checkBefore }
+  })
+    .sort({ createdAt: 1 })
+    .limit(batchSize);
+
+  // Cancelled/expired checkouts in case the gateway took the money anyway; least recently checked first
+  const closed = pending.length < batchSize
+    ? await Payment.find({
+      paymentMethod: { $nin: Payment.MANUAL_PAYMENT_METHODS },
+      status: { $in: CLOSED_STATUSES },
+      createdAt: { $lt: checkBefore, $gte: closedCheckFrom },
+      'reconciliation.settledAt': null
+    })
+      .sort({ 'reconciliation.lastCheckedAt': 1, createdAt: 1 })
+      .limit(batchSize - pending.length)
+    : [];
+  const payments = [...pending, ...closed];
+
+  const summary = { checked: 0, completed: 0, failed: 0, expired: 0, exceptions: 0, errors: 0 };
+  const counters = { completed: 'completed', failed: 'failed', expired: 'expired', exception: 'exceptions', error: 'errors' };
+
+  for (const payment of payments) {
+    let outcome;
+    try {
+      outcome = await reconcilePayment(payment, now);
+    } catch (err) {
+      logger.error(`Reconciliation: error reconciling payment ${payment._id}:`, err);
+      outcome = 'error';
+    }
+
+    if (outcome === 'skipped') continue;
+    summary.checked += 1;
+    if (counters[outcome]) summary[counters[outcome]] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Exceptions for the admin report, with counts of open exceptions by type
+ */
+const getExceptionReport = async ({ status = 'open', type, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (status && status !== 'all') filter.status = status;
+  if (type) filter.type = type;
+
+  const expireBefore = new Date(Date.now() - Number(config.PAYMENT_EXPIRE_AFTER_MINUTES) * MINUTE_MS);
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [items, total, openByType, stalePending] = await Promise.all([
+    PaymentException.find(filter)
+      .populate('paymentId', 'amount currency status paymentMethod description createdAt')
+      .populate('userId', 'name email')
+      .populate('resolvedBy', 'name email')
+      .sort({ lastSeenAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PaymentException.countDocuments(filter),
+    PaymentException.aggregate([
+      { $match: { status: 'open' } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]),
+    // Pending past the expiry window: the gateway could not tell us what happened
+    Payment.countDocuments({
+      status: 'pending',
+      paymentMethod: { $nin: Payment.MANUAL_PAYMENT_METHODS },
+      createdAt: { $lt: expireBefore }
+    })
+  ]);
+
+  return {
+    items,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / parseInt(limit)),
+    summary: {
+      open: openByType.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {}),
+      stalePending
+    }
+  };
+};
+
+/**
+ * Close an exception once an admin has dealt with it
+ */
+const resolveException = async (exceptionId, adminId, note) => {
+  return PaymentException.findOneAndUpdate(
+    { _id: exceptionId, status: 'open' },
+    { $set: { status: 'resolved', resolvedBy: adminId, resolvedAt: new Date(), resolutionNote: note } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  recordAmountMismatch,
+  reopenLatePayment,
+  reconcilePayment,
+  reconcilePendingPayments,
+  getExceptionReport,
+  resolveException
+};
@@ -0,0 +1,176 @@
+/**
+ * Promo Code Service
+ * Validates promo codes against a purchase and tracks redemptions.
+ *
+ * timesUsed counts uses held by open checkouts as well as completed ones: a checkout reserves a
+ * use atomically (reservePromoUse) so parallel checkouts cannot exceed maxUses, and the use is
+ * given back once the payment fails, is cancelled or expires (releaseAbandonedPromoUses).
+ */
+
+const ApiError = require('../utils/ApiError');
+const PromoCode = require('../models/PromoCode');
+const Payment = require('../models/Payment');
+const logger = require('../utils/logger');
+
+/**
+ * Check a promo code against a purchase and work out the discounted price.
+ * Throws an ApiError (400/404) explaining why the code cannot be used.
+ *
+ * @param {Object} options
+ * @param {string} options.code - Promo code entered by the member
+ * @param {string} options.userId - Member making the purchase
+ * @param {string} options.type - 'membership' or 'subscription'
+ * @param {number} options.amount - Price before discount
+ * @param {string} [options.planCode] - Membership plan code (membership purchases)
+ * @param {string} [options.instructorId] - Instructor user ID (subscription purchases)
+ * @returns {Promise<{ promo: Object, discount: number, finalAmount: number }>}
+ */
+const applyPromoCode = async ({ code, userId, type, amount, planCode, instructorId }) => {
+  const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+  if (!promo || !promo.isActive) {
+    throw new ApiError('Invalid promo code', 404);
+  }
+
+  const now = new Date();
+  if (promo.validFrom && promo.validFrom > now) {
+    throw new ApiError('This promo code is not active yet', 400);
+  }
+  if (promo.validUntil && promo.validUntil < now) {
+    throw new ApiError('This promo code has expired', 400);
+  }
+  if (promo.maxUses != null && promo.timesUsed >= promo.maxUses) {
+    throw new ApiError('This promo code has reached its usage limit', 400);
+  }
+
+  if (promo.appliesTo.length > 0 && !promo.appliesTo.includes(type)) {
+    throw new ApiError(`This promo code cannot be used for ${type} purchases`, 400);
+  }
+  if (type === 'membership' && promo.planCodes.length > 0 && !promo.planCodes.includes(String(planCode).toLowerCase())) {
+    throw new ApiError('This promo code is not valid for the selected plan', 400);
+  }
+  if (type === 'subscription' && promo.instructorIds.length > 0 &&
+    !promo.instructorIds.some(id => id.toString() === String(instructorId))) {
+    throw new ApiError('This promo code is not valid for the selected instructor', 400);
+  }
+  if (amount < promo.minAmount) {
+    throw new ApiError(`This promo code requires a minimum purchase of ${promo.minAmount}`, 400);
+  }
+
+  const [userUses, hasPurchased] = await Promise.all([
+    // Open checkouts count too, or parallel ones would all pass
+    Payment.countDocuments({ userId, status: { $in: ['pending', 'completed'] }, 'metadata.promoCodeId': promo._id }),
+    promo.firstPurchaseOnly
+      ? Payment.exists({ userId, status: 'completed', 'metadata.type': { $in: PromoCode.PURCHASE_TYPES } })
+      : null
+  ]);
+
+  if (userUses >= promo.maxUsesPerUser) {
+    throw new ApiError('You have already used this promo code', 400);
+  }
+  if (promo.firstPurchaseOnly && hasPurchased) {
+    throw new ApiError('This promo code is only valid on your first purchase', 400);
+  }
+
+  const discount = promo.calculateDiscount(amount);
+  const finalAmount = Math.round((amount - discount) * 100) / 100;
+
+  // PayHere cannot process zero-value payments
+  if (finalAmount <= 0) {
+    throw new ApiError('This promo code cannot reduce the price to zero', 400);
+  }
+
+  return { promo, discount, finalAmount };
+};
+
+/**
+ * Payment.metadata fields recording the applied promo code
+ */
+const toPaymentMetadata = ({ promo, discount }, originalAmount) => ({
+  promoCode: promo.code,
+  promoCodeId: promo._id,
+  originalAmount,
+  discount
+});
+
+/**
+ * Take one use of the payment's promo code for its checkout, if the code has uses left.
+ * Call right after creating the pending payment; without a use left the payment is
+ * cancelled and an ApiError (400) is thrown.
+ */
+const reservePromoUse = async (payment) => {
+  const promoCodeId = payment?.metadata?.promoCodeId;
+  if (!promoCodeId) return;
+
+  const { modifiedCount } = await PromoCode.updateOne(
+    { _id: promoCodeId, $or: [{ maxUses: null }, { $expr: { $lt: ['$timesUsed', '$maxUses'] } }] },
+    { $inc: { timesUsed: 1 } }
+  );
+  if (modifiedCount === 0) {
+    await Payment.updateOne({ _id: payment._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+    throw new ApiError('This promo code has reached its usage limit', 400);
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { $set: { 'metadata.promoUseHeld': true } });
+  payment.metadata = { ...payment.metadata, promoUseHeld: true };
+};
+
+/**
+ * Give back the uses held by checkouts that failed, were cancelled or expired (called by the scheduler)
+ * @returns {Promise<number>} Uses released
+ */
+const releaseAbandonedPromoUses = async () => {
+  const abandoned = await Payment.find({
+    status: { $in: ['failed', 'cancelled', 'expired'] },
+    'metadata.promoUseHeld': true
+  }).select('metadata.promoCodeId');
+
+  let released = 0;
+  for (const payment of abandoned) {
+    // Conditional, so a checkout reopened by a late payment meanwhile keeps its use
+    const { modifiedCount } = await Payment.updateOne(
+      { _id: payment._id, status: { $in: ['failed', 'cancelled', 'expired'] }, 'metadata.promoUseHeld': true },
+      { $set: { 'metadata.promoUseHeld': false } }
+    );
+    if (modifiedCount === 0) continue;
+
+    await PromoCode.updateOne({ _id: payment.metadata.promoCodeId }, { $inc: { timesUsed: -1 } });
+    released += 1;
+  }
+
+  return released;
+};
+
+/**
+ * Count a redemption once the payment has completed. The use reserved at checkout counts as it;
+ * only a payment whose use was released (or that predates reservations) takes one now.
+ * Safe to call more than once for the same payment - only the first call counts.
+ */
+const recordRedemption = async (payment) => {
+  const promoCodeId = payment?.metadata?.promoCodeId;
+  if (!promoCodeId) return;
+
+  try {
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'completed', 'metadata.promoRedeemed': { $ne: true } },
+      { $set: { 'metadata.promoRedeemed': true, 'metadata.promoUseHeld': true } }
+    );
+    if (!claimed) return;
+
+    if (!claimed.metadata?.promoUseHeld) {
+      // The member has paid, so this use counts even if it takes the code past maxUses
+      await PromoCode.updateOne({ _id: promoCodeId }, { $inc: { timesUsed: 1 } });
+    }
+    logger.info(`Promo code ${payment.metadata.promoCode} redeemed by payment ${payment._id}`);
+  } catch (err) {
+    // The member has already paid - never fail the payment flow over bookkeeping
+    logger.error(`Failed to record promo redemption for payment ${payment._id}:`, err);
+  }
+};
+
+module.exports = {
+  applyPromoCode,
+  toPaymentMetadata,
+  reservePromoUse,
+  releaseAbandonedPromoUses,
+  recordRedemption
+};
@@ -0,0 +1,318 @@
+/**
+ * Push Service
+ * Registered devices (PushDevice) and delivery through the Expo push API.
+ *
+ * A push to a user goes to every device they are logged in on. Expo answers each message
+ * with a ticket; tickets are stored (PushTicket) and their receipts fetched later by the
+ * scheduler, because Expo only reports an uninstalled app (DeviceNotRegistered) in the
+ * receipt. Devices reported as not registered, on the ticket or the receipt, are removed.
+ *
+ * EXPO_PUSH_API_URL points at Expo by default and can be set to a local stub.
+ */
+
+const PushDevice = require('../models/PushDevice');
+const PushTicket = require('../models/PushTicket');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Expo accepts at most 100 messages per send request and 1000 IDs per receipts request
+const SEND_BATCH_SIZE = 100;
+const RECEIPT_BATCH_SIZE = 1000;
+
+const EXPO_TOKEN_REGEX = /^Expo(nent)?PushToken\[.+\]$/;
+
+/**
+ * Whether a string looks like an Expo push token
+ */
+const isExpoPushToken = (token) => typeof token === 'string' && EXPO_TOKEN_REGEX.test(token);
+
+// Helper: POST to the Expo push API
+const callExpo = async (path, body) => {
+  const headers = {
+    'Accept': 'application/json',
+    'Accept-encoding': 'gzip, deflate',
+    'Content-Type': 'application/json',
+  };
+  if (config.EXPO_ACCESS_TOKEN) headers.Authorization = `Bearer ${config.EXPO_ACCESS_TOKEN}`;
+
+  const response = await fetch(`${String(config.EXPO_PUSH_API_URL).replace(/\/$/, '')}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json();
+  if (!response.ok || result.errors) {
+    const reason = result.errors?.map(error => error.message).join('; ') || `HTTP ${response.status}`;
+    throw new Error(`Expo push API ${path} failed: ${reason}`);
+  }
+  return result;
+};
+
+/**
+ * Register (or refresh) the device a user is logged in on
+ *
+ * @param {string} userId
+ * @param {Object} device
+ * @param {string} device.token - Expo push token
+ * @param {string} [device.platform] - ios, android or web
+ * @param {string} [device.appVersion]
+ * @param {string} [device.deviceName]
+ */
+const registerDevice = async (userId, { token, platform, appVersion, deviceName }) => {
+  const update = { userId, lastSeenAt: new Date() };
+  if (platform) update.platform = platform;
+  if (appVersion !== undefined) update.appVersion = appVersion;
+  if (deviceName !== undefined) update.deviceName = deviceName;
+
+  const device = await PushDevice.findOneAndUpdate(
+    { token },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info(`Registered push device ${device._id} for user ${userId}`);
+  return device;
+};
+
+/**
+ * Remove one of a user's devices (logout on that device)
+ * @returns {Promise<number>} Devices removed
+ */
+const unregisterDevice = async (userId, token) => {
+  // An undefined token would be dropped from the filter and match every device
+  if (!token) throw new ApiError('Push token is required', 400);
+
+  const { deletedCount } = await PushDevice.deleteMany({ userId, token });
+  await User.updateOne({ _id: userId, expoPushToken: token }, { $set: { expoPushToken: null } });
+
+  logger.info(`Removed ${deletedCount} push device(s) of user ${userId}`);
+  return deletedCount;
+};
+
+/**
+ * Remove the devices registered by app builds that predate device details (no platform or
+ * app version), including tokens migrated from the user document. Those builds log out
+ * without sending their token.
+ * @returns {Promise<number>} Devices removed
+ */
+const unregisterLegacyDevices = async (userId) => {
+  const { deletedCount } = await PushDevice.deleteMany({ userId, platform: 'unknown', appVersion: null });
+  await User.updateOne({ _id: userId }, { $set: { expoPushToken: null } });
+
+  logger.info(`Removed ${deletedCount} legacy push device(s) of user ${userId}`);
+  return deletedCount;
+};
+
+/**
+ * Remove every device of a user (e.g. "log out everywhere")
+ * @returns {Promise<number>} Devices removed
+ */
+const unregisterAllDevices = async (userId) => {
+  const { deletedCount } = await PushDevice.deleteMany({ userId });
+  await User.updateOne({ _id: userId }, { $set: { expoPushToken: null } });
+
+  logger.info(`Removed all ${deletedCount} push device(s) of user ${userId}`);
+  return deletedCount;
+};
+
+/**
+ * A user's registered devices, most recently seen first
+ */
+const listDevices = (userId) => PushDevice.find({ userId }).sort({ lastSeenAt: -1 });
+
+// Helper: move tokens still stored on the user (before devices existed) to PushDevice
+const migrateLegacyTokens = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds }, expoPushToken: { $ne: null } }).select('_id expoPushToken');
+
+  for (const user of users) {
+    if (isExpoPushToken(user.expoPushToken)) {
+      await PushDevice.updateOne(
+        { token: user.expoPushToken },
+        { $setOnInsert: { userId: user._id, platform: 'unknown', lastSeenAt: new Date() } },
+        { upsert: true }
+      );
+    }
+    await User.updateOne({ _id: user._id, expoPushToken: user.expoPushToken }, { $set: { expoPushToken: null } });
+  }
+};
+
+/**
+ * Devices of several users, keyed by user ID (users without devices map to [])
+ * @returns {Promise<Map<string, Object[]>>}
+ */
+const getDevicesForUsers = async (userIds) => {
+  await migrateLegacyTokens(userIds);
+
+  const devices = await PushDevice.find({ userId: { $in: userIds } });
+  const byUser = new Map(userIds.map(userId => [userId.toString(), []]));
+  devices.forEach(device => {
+    const key = device.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(device);
+  });
+
+  return byUser;
+};
+
+/**
+ * Devices of one user
+ */
+const getUserDevices = async (userId) =>
+  (await getDevicesForUsers([userId])).get(userId.toString()) || [];
+
+// Helper: forget devices Expo says no longer exist
+const removeUnregisteredTokens = async (tokens) => {
+  if (tokens.length === 0) return 0;
+  const { deletedCount } = await PushDevice.deleteMany({ token: { $in: tokens } });
+  if (deletedCount > 0) {
+    logger.info(`Removed ${deletedCount} push device(s) that are no longer registered with Expo`);
+  }
+  return deletedCount;
+};
+
+/**
+ * Send pushes, one message per device.
+ *
+ * @param {Object[]} notifications - { devices, title, body, data, channelId, broadcastId }
+ * @returns {Promise<{ sent: number, failed: number }>} Messages Expo accepted / rejected
+ */
+const sendNotifications = async (notifications) => {
+  const queue = [];
+  notifications.forEach(({ devices, title, body, data = {}, channelId, broadcastId }) => {
+    devices.forEach(device => {
+      queue.push({
+        device,
+        broadcastId: broadcastId || null,
+        message: {
+          to: device.token,
+          sound: 'default',
+          title,
+          body,
+          data,
+          priority: 'high',
+          channelId: channelId || 'default'
+        }
+      });
+    });
+  });
+
+  const summary = { sent: 0, failed: 0 };
+  for (let i = 0; i < queue.length; i += SEND_BATCH_SIZE) {
+    const batch = queue.slice(i, i + SEND_BATCH_SIZE);
+
+    let tickets;
+    try {
+      ({ data: tickets } = await callExpo('/send', batch.map(item => item.message)));
+    } catch (err) {
+      logger.error(`Failed to send ${batch.length} push message(s): ${err.message}`);
+      summary.failed += batch.length;
+      continue;
+    }
+
+    // Tickets come back in the order the messages were sent
+    const accepted = [];
+    const unregistered = [];
+    batch.forEach(({ device, broadcastId }, index) => {
+      const ticket = tickets?.[index];
+      if (ticket?.status === 'ok' && ticket.id) {
+        accepted.push({ ticketId: ticket.id, deviceId: device._id, userId: device.userId, token: device.token, broadcastId });
+      } else {
+        summary.failed += 1;
+        logger.error(`Expo push error for device ${device._id}: ${ticket?.message || 'no ticket returned'}`);
+        if (ticket?.details?.error === 'DeviceNotRegistered') unregistered.push(device.token);
+      }
+    });
+
+    summary.sent += accepted.length;
+    if (accepted.length > 0) {
+      await PushTicket.insertMany(accepted, { ordered: false });
+      await PushDevice.updateMany(
+        { _id: { $in: accepted.map(ticket => ticket.deviceId) } },
+        { $set: { lastPushedAt: new Date() } }
+      );
+    }
+    await removeUnregisteredTokens(unregistered);
+  }
+
+  return summary;
+};
+
+/**
+ * Send one push to a set of devices (usually all devices of a user)
+ */
+const sendToDevices = (devices, notification) => sendNotifications([{ ...notification, devices }]);
+
+/**
+ * Fetch the receipts of tickets at least PUSH_RECEIPT_DELAY_MINUTES old (called by the scheduler)
+ * and remove devices that are no longer registered. Receipts Expo doesn't have yet are asked again
+ * on the next run; after a day the ticket expires.
+ *
+ * @returns {Promise<{ checked: number, ok: number, errors: number, devicesRemoved: number }>}
+ */
+const processReceipts = async (now = new Date()) => {
+  const checkedBefore = new Date(now.getTime() - Number(config.PUSH_RECEIPT_DELAY_MINUTES) * 60 * 1000);
+  const tickets = await PushTicket.find({ createdAt: { $lte: checkedBefore } })
+    .sort({ createdAt: 1 })
+    .limit(Number(config.PUSH_RECEIPT_BATCH_SIZE));
+
+  const summary = { checked: 0, ok: 0, errors: 0, devicesRemoved: 0 };
+  for (let i = 0; i < tickets.length; i += RECEIPT_BATCH_SIZE) {
+    const batch = tickets.slice(i, i + RECEIPT_BATCH_SIZE);
+    const { data: receipts = {} } = await callExpo('/getReceipts', { ids: batch.map(ticket => ticket.ticketId) });
+
+    const done = [];
+    const unregistered = [];
+    // Receipt outcomes per broadcast, added to Notification.pushStats
+    const broadcastStats = new Map();
+    batch.forEach(ticket => {
+      const receipt = receipts[ticket.ticketId];
+      if (!receipt) return;
+
+      done.push(ticket._id);
+      if (ticket.broadcastId) {
+        const key = ticket.broadcastId.toString();
+        const stats = broadcastStats.get(key) || { delivered: 0, receiptErrors: 0 };
+        stats[receipt.status === 'ok' ? 'delivered' : 'receiptErrors'] += 1;
+        broadcastStats.set(key, stats);
+      }
+
+      if (receipt.status === 'ok') {
+        summary.ok += 1;
+        return;
+      }
+
+      summary.errors += 1;
+      logger.warn(`Expo push receipt error for device ${ticket.deviceId}: ${receipt.message}`, { error: receipt.details?.error });
+      if (receipt.details?.error === 'DeviceNotRegistered') unregistered.push(ticket.token);
+    });
+
+    summary.checked += done.length;
+    for (const [broadcastId, stats] of broadcastStats) {
+      await Notification.updateOne({ _id: broadcastId }, {
+        $inc: { 'pushStats.delivered': stats.delivered, 'pushStats.receiptErrors': stats.receiptErrors }
+      });
+    }
+    await PushTicket.deleteMany({ _id: { $in: done } });
+    summary.devicesRemoved += await removeUnregisteredTokens(unregistered);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  isExpoPushToken,
+  registerDevice,
+  unregisterDevice,
+  unregisterLegacyDevices,
+  unregisterAllDevices,
+  listDevices,
+  getDevicesForUsers,
+  getUserDevices,
+  sendNotifications,
+  sendToDevices,
+  processReceipts
+};
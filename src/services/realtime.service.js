@@ -0,0 +1,220 @@
+/**
+ * Realtime Service
+ * Socket.IO gateway for chat: new messages, read receipts, typing indicators and unread counts
+ * are pushed to the participants instead of the app polling for them.
+ *
+ * Sockets authenticate with the same access token as the REST API (handshake `auth.token` or
+ * an `Authorization: Bearer` header) and join a room per user, so every device a user has open
+ * gets the event. The socket is closed when the token expires; the app reconnects with a
+ * refreshed one. Controllers emit through emitToUser; while the gateway is not attached
+ * (scripts, tests) emitting does nothing and nobody counts as online.
+ *
+ * With several API instances, the MongoDB cluster adapter (SOCKET_IO_CLUSTER_ADAPTER) passes
+ * events and socket lookups on to the other instances, so a user's room spans all of them.
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// setTimeout cannot wait longer than this (about 24.8 days)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+// Participants of a conversation are cached per socket this long (group members change)
+const PARTICIPANTS_CACHE_MS = 60 * 1000;
+// Capped collection the instances exchange events through
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+const ADAPTER_COLLECTION_BYTES = 1e6;
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+// Helper: access token from the handshake
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+
+  return null;
+};
+
+// Socket.IO middleware: same checks as verifyToken
+const authenticate = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) return next(new Error('Access denied. No token provided.'));
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.JWT_SECRET);
+  } catch (error) {
+    return next(new Error(error.name === 'TokenExpiredError' ? 'Token has expired.' : 'Invalid token.'));
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select('name role isActive');
+    if (!user) return next(new Error('Token is valid but user no longer exists.'));
+    if (!user.isActive) return next(new Error('Account has been deactivated.'));
+
+    socket.data.user = { id: user._id.toString(), name: user.name, role: user.role };
+    socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    next();
+  } catch (error) {
+    logger.error(`Socket authentication failed: ${error.message}`);
+    next(new Error('Authentication failed.'));
+  }
+};
+
+// Helper: participants of a conversation the socket's user takes part in, null otherwise
+// (cached per socket)
+const getParticipants = async (socket, conversationId) => {
+  const cached = socket.data.conversations.get(conversationId);
+  if (cached && Date.now() - cached.cachedAt < PARTICIPANTS_CACHE_MS) return cached.participants;
+
+  const conversation = await Conversation.findOne({ _id: conversationId, participants: socket.data.user.id })
+    .select('participants');
+  if (!conversation) {
+    socket.data.conversations.delete(conversationId);
+    return null;
+  }
+
+  const participants = conversation.participants.map(id => id.toString());
+  socket.data.conversations.set(conversationId, { participants, cachedAt: Date.now() });
+  return participants;
+};
+
+// Helper: `typing` from the app is passed on to the other participant(s)
+const handleTyping = async (socket, payload = {}) => {
+  const conversationId = payload.conversationId ? String(payload.conversationId) : null;
+  if (!conversationId) return;
+
+  let participants;
+  try {
+    participants = await getParticipants(socket, conversationId);
+  } catch (error) {
+    // Malformed conversation IDs end up here
+    return;
+  }
+  if (!participants) return;
+
+  const { id, name } = socket.data.user;
+  participants
+    .filter(participantId => participantId !== id)
+    .forEach(participantId => emitToUser(participantId, 'typing', {
+      conversationId,
+      userId: id,
+      name,
+      isTyping: payload.isTyping !== false
+    }));
+};
+
+const handleConnection = (socket) => {
+  const { id } = socket.data.user;
+  socket.data.conversations = new Map();
+  socket.join(userRoom(id));
+
+  let expiryTimer = null;
+  if (socket.data.tokenExpiresAt) {
+    const delay = Math.min(Math.max(socket.data.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS);
+    expiryTimer = setTimeout(() => {
+      socket.emit('session:expired');
+      socket.disconnect(true);
+    }, delay);
+  }
+
+  socket.on('typing', (payload) => {
+    handleTyping(socket, payload);
+  });
+
+  socket.on('disconnect', () => {
+    if (expiryTimer) clearTimeout(expiryTimer);
+  });
+};
+
+// Helper: share rooms and broadcasts with the other instances through MongoDB (change streams,
+// so a replica set is required)
+const useClusterAdapter = async (server) => {
+  if (mongoose.connection.readyState !== 1) {
+    await new Promise(resolve => mongoose.connection.once('connected', resolve));
+  }
+
+  const { db } = mongoose.connection;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: ADAPTER_COLLECTION_BYTES });
+  } catch (error) {
+    // 48 = NamespaceExists: created earlier or by another instance
+    if (error.code !== 48) throw error;
+  }
+
+  server.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+};
+
+/**
+ * Attach the gateway to the HTTP server (called once from server.js)
+ * @param {import('http').Server} server
+ */
+const attachRealtime = (server) => {
+  io = new Server(server, {
+    path: config.SOCKET_IO_PATH,
+    cors: {
+      // Same origins as the REST API (see app.js)
+      origin: config.NODE_ENV === 'development' ? true : config.ALLOWED_ORIGINS,
+      credentials: true
+    }
+  });
+
+  if (config.SOCKET_IO_CLUSTER_ADAPTER === 'true') {
+    const adapterReady = useClusterAdapter(io)
+      .then(() => logger.info('Realtime gateway uses the MongoDB cluster adapter'))
+      .catch(error => logger.error('Realtime cluster adapter unavailable; only sockets on this instance are reached:', error));
+    // Sockets join their rooms only once the adapter is in place (switching adapters drops rooms)
+    io.use((socket, next) => {
+      adapterReady.then(() => next());
+    });
+  }
+
+  io.use(authenticate);
+  io.on('connection', handleConnection);
+
+  logger.info(`Realtime gateway listening on ${config.SOCKET_IO_PATH}`);
+  return io;
+};
+
+/**
+ * Disconnect all sockets (on shutdown). The HTTP server itself is closed by server.js.
+ */
+const closeRealtime = async () => {
+  if (!io) return;
+  const closing = io;
+  io = null;
+  closing.disconnectSockets(true);
+};
+
+/**
+ * Send an event to every socket of a user
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+/**
+ * Whether the user has at least one live socket (on any instance)
+ */
+const isUserOnline = async (userId) => {
+  if (!io || !userId) return false;
+  const sockets = await io.in(userRoom(userId.toString())).fetchSockets();
+  return sockets.length > 0;
+};
+
+module.exports = {
+  attachRealtime,
+  closeRealtime,
+  emitToUser,
+  isUserOnline
+};
@@ -0,0 +1,278 @@
+/**
+ * Refund Service
+ * Full and partial refunds with pro-rata rollback of what the payment paid for.
+ */
+
+const ApiError = require('../utils/ApiError');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Membership = require('../models/Membership');
+const Subscription = require('../models/Subscription');
+const paymentGateway = require('./paymentGateway.service');
+const instructorPayoutService = require('./instructorPayout.service');
+const webhookService = require('./webhook.service');
+const { sendRefundReceiptEmail } = require('./email.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Instructor subscriptions are sold per month
+const SUBSCRIPTION_PERIOD_DAYS = 30;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+// Amounts are kept to the cent; this absorbs floating point error when comparing sums
+const AMOUNT_EPSILON = 0.005;
+
+/**
+ * Reserve `refundAmount` of the payment's refundable balance before any money moves.
+ * The conditional $inc makes concurrent refunds of the same payment unable to exceed its amount.
+ * @returns {Promise<number|null>} Amount refunded before this reservation, null if it doesn't fit
+ */
+const reserveRefund = async (paymentId, refundAmount) => {
+  const previous = await Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      status: 'completed',
+      $expr: {
+        $lte: [
+          { $ifNull: ['$refundedAmount', 0] },
+          { $subtract: ['$amount', refundAmount - AMOUNT_EPSILON] }
+        ]
+      }
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: false }
+  );
+  return previous ? previous.refundedAmount || 0 : null;
+};
+
+// Helper: give a reservation back when the refund did not go through
+const releaseRefund = (paymentId, refundAmount) =>
+  Payment.updateOne({ _id: paymentId }, { $inc: { refundedAmount: -refundAmount } });
+
+/**
+ * Shorten the membership paid for by this payment by the refunded share of its period,
+ * cancelling it when nothing is left.
+ */
+const rollbackMembership = async (payment, fraction, now) => {
+  const isRenewal = payment.metadata?.type === 'membership_renewal';
+  const membership = isRenewal
+    ? await Membership.findById(payment.metadata.membershipId)
+    : await Membership.findOne({ paymentId: payment._id });
+
+  if (!membership || ['cancelled', 'expired'].includes(membership.status)) {
+    return { kind: 'membership', id: membership?._id, action: 'none' };
+  }
+
+  const durationDays = isRenewal ? payment.metadata.durationDays : membership.durationDays;
+  const previousEndDate = membership.endDate;
+  const newEndDate = new Date(previousEndDate.getTime() - fraction * durationDays * DAY_MS);
+  const floor = membership.startDate > now ? membership.startDate : now;
+
+  let action = 'shortened';
+  if (newEndDate <= floor) {
+    action = 'cancelled';
+    membership.status = 'cancelled';
+    membership.endDate = floor;
+    membership.autoRenew = false;
+  } else {
+    membership.endDate = newEndDate;
+  }
+  await membership.save();
+
+  return { kind: 'membership', id: membership._id, action, previousEndDate, newEndDate: membership.endDate };
+};
+
+/**
+ * Shorten the instructor subscription paid for by this payment, cancelling it when nothing is left
+ */
+const rollbackSubscription = async (payment, fraction, now) => {
+  const subscription = await Subscription.findOne({ paymentId: payment._id }) ||
+    await Subscription.findOne({ memberId: payment.userId, instructorId: payment.instructorId });
+
+  if (!subscription || subscription.status !== 'active' || !subscription.expiresAt) {
+    return { kind: 'subscription', id: subscription?._id, action: 'none' };
+  }
+
+  const previousEndDate = subscription.expiresAt;
+  const newEndDate = new Date(previousEndDate.getTime() - fraction * SUBSCRIPTION_PERIOD_DAYS * DAY_MS);
+
+  let action = 'shortened';
+  if (newEndDate <= now) {
+    action = 'cancelled';
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = now;
+    subscription.expiresAt = now;
+  } else {
+    subscription.expiresAt = newEndDate;
+  }
+  await subscription.save();
+
+  return { kind: 'subscription', id: subscription._id, action, previousEndDate, newEndDate: subscription.expiresAt };
+};
+
+// Helper: short sentence for the refund email
+const describeEntitlement = (entitlement) => {
+  if (!entitlement || entitlement.action === 'none') return null;
+  const label = entitlement.kind === 'membership' ? 'membership' : 'instructor subscription';
+  return entitlement.action === 'cancelled'
+    ? `Your ${label} has been cancelled.`
+    : `Your ${label} now ends on ${entitlement.newEndDate.toDateString()}.`;
+};
+
+/**
+ * Refund a completed payment (fully or partially) and roll back its entitlement pro-rata.
+ *
+ * @param {Object} options
+ * @param {Object} options.payment - Payment document
+ * @param {number} [options.amount] - Amount to refund (defaults to everything not yet refunded)
+ * @param {string} options.reason - Shown to the member
+ * @param {string} options.issuedBy - Admin issuing the refund
+ * @param {boolean} [options.manual] - Money was already returned outside the API (cash, gateway portal)
+ * @returns {Promise<{ refund: Object, payment: Object }>}
+ */
+const issueRefund = async ({ payment, amount, reason, issuedBy, manual = false }) => {
+  if (payment.status !== 'completed') {
+    throw new ApiError('Only completed payments can be refunded', 400);
+  }
+
+  const refundable = round2(payment.amount - (payment.refundedAmount || 0));
+  const refundAmount = round2(amount != null ? Number(amount) : refundable);
+
+  if (!(refundAmount > 0)) {
+    throw new ApiError('Refund amount must be greater than zero', 400);
+  }
+  if (refundAmount > refundable) {
+    throw new ApiError(`Refund amount cannot exceed the refundable balance of ${refundable}`, 400);
+  }
+
+  // Cash and other methods without a gateway are always refunded by hand
+  const gateway = manual ? null : paymentGateway.getGateway(payment.paymentMethod);
+  const method = gateway ? gateway.name : 'manual';
+  let gatewayResult = { success: true };
+
+  if (gateway && !payment.payherePaymentId) {
+    throw new ApiError('This payment has no gateway payment reference. Refund it in the gateway portal and record it with "manual": true.', 400);
+  }
+
+  // Another refund of this payment may have been issued since it was loaded
+  const alreadyRefunded = await reserveRefund(payment._id, refundAmount);
+  if (alreadyRefunded === null) {
+    throw new ApiError('Refund amount exceeds the refundable balance of this payment (another refund may have just been issued)', 409);
+  }
+
+  if (gateway) {
+    const isFullRefund = alreadyRefunded === 0 && refundAmount === round2(payment.amount);
+    try {
+      gatewayResult = await gateway.refund({
+        paymentId: payment.payherePaymentId,
+        amount: isFullRefund ? null : refundAmount,
+        description: reason
+      });
+    } catch (err) {
+      gatewayResult = { success: false, message: err.message };
+    }
+
+    if (!gatewayResult.success) {
+      await releaseRefund(payment._id, refundAmount);
+      await Refund.create({
+        paymentId: payment._id,
+        userId: payment.userId,
+        amount: refundAmount,
+        currency: payment.currency,
+        reason,
+        issuedBy,
+        status: 'failed',
+        method,
+        gatewayMessage: gatewayResult.message
+      });
+      logger.error(`${gateway.name} refund failed for payment ${payment._id}: ${gatewayResult.message}`);
+      throw new ApiError(`Refund failed at the ${gateway.name} gateway: ${gatewayResult.message}`, 502);
+    }
+  }
+
+  const now = new Date();
+  // The amount was added by the reservation; the payment is refunded once nothing is left
+  const updatedPayment = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'completed',
+      $expr: { $gte: ['$refundedAmount', { $subtract: ['$amount', AMOUNT_EPSILON] }] }
+    },
+    { $set: { status: 'refunded' } },
+    { new: true }
+  ) || await Payment.findById(payment._id);
+
+  // Roll back the same share of the period as the share of the price refunded
+  const fraction = Math.min(1, refundAmount / payment.amount);
+  let entitlement = { kind: null, action: 'none' };
+  try {
+    const type = payment.metadata?.type;
+    if (type === 'membership' || type === 'membership_renewal') {
+      entitlement = await rollbackMembership(payment, fraction, now);
+    } else if (payment.instructorId) {
+      entitlement = await rollbackSubscription(payment, fraction, now);
+    }
+  } catch (err) {
+    // The money has already gone back - record the refund regardless
+    logger.error(`Failed to roll back entitlement for refunded payment ${payment._id}:`, err);
+  }
+
+  const refund = await Refund.create({
+    paymentId: payment._id,
+    userId: payment.userId,
+    amount: refundAmount,
+    currency: payment.currency,
+    reason,
+    issuedBy,
+    status: 'completed',
+    method,
+    gatewayRefundId: gatewayResult.refundId,
+    gatewayMessage: gatewayResult.message,
+    entitlement
+  });
+
+  if (payment.instructorId) {
+    try {
+      await instructorPayoutService.recordRefund(payment, refund);
+    } catch (err) {
+      logger.error(`Failed to reverse instructor earning for refund ${refund._id}:`, err);
+    }
+  }
+
+  logger.info(`Refund ${refund._id} issued for payment ${payment._id}`, {
+    amount: refundAmount,
+    method,
+    entitlement: entitlement.action
+  });
+
+  await webhookService.emitEvent('payment.refunded', { payment: updatedPayment, refund });
+  if (entitlement.kind === 'subscription' && entitlement.action === 'cancelled') {
+    const subscription = await Subscription.findById(entitlement.id);
+    await webhookService.emitEvent('subscription.cancelled', { subscription, payment: updatedPayment });
+  }
+
+  try {
+    await updatedPayment.populate('userId', 'name email');
+    const user = updatedPayment.userId;
+    if (user?.email) {
+      await sendRefundReceiptEmail(user.email, user.name, {
+        orderId: payment.payhereOrderId,
+        amount: refundAmount,
+        originalAmount: payment.amount,
+        currency: payment.currency,
+        description: payment.description,
+        reason,
+        refundDate: now,
+        entitlementNote: describeEntitlement(entitlement)
+      });
+    }
+  } catch (emailError) {
+    logger.error(`Failed to send refund receipt for payment ${payment._id}:`, emailError);
+  }
+
+  return { refund, payment: updatedPayment };
+};
+
+module.exports = {
+  issueRefund
+};
@@ -1,118 +1,304 @@
 /**
  * Scheduler Service
- * Handles periodic tasks like expiring subscriptions and memberships
+ * Periodic tasks like expiring subscriptions and memberships, run through jobQueue.service
  */
 
 const Subscription = require('../models/Subscription');
 const Membership = require('../models/Membership');
+const { resumeDueFreezes } = require('./membershipFreeze.service');
+const { processAutoRenewals } = require('./membershipRenewal.service');
+const { generateMonthlyPayouts } = require('./instructorPayout.service');
+const { reconcilePendingPayments } = require('./paymentReconciliation.service');
+const { releaseAbandonedPromoUses } = require('./promoCode.service');
+const { emitEvent, processDueDeliveries } = require('./webhook.service');
+const { defineJob, startJobQueue, stopJobQueue } = require('./jobQueue.service');
+const { sendExpiryReminders } = require('./expiryReminder.service');
+const { sendHeldPushes, sendDailyDigests } = require('./notification.service');
+const { processReceipts } = require('./push.service');
+const { dispatchDueBroadcasts } = require('./broadcast.service');
+const config = require('../config/environment');
 const logger = require('../utils/logger');
 
 /**
  * Expire subscriptions that have passed their expiry date
  */
 const expireSubscriptions = async () => {
-    try {
-        const now = new Date();
-
-        const result = await Subscription.updateMany(
-            {
-                status: 'active',
-                expiresAt: { $lte: now }
-            },
-            {
-                $set: { status: 'expired' }
-            }
-        );
-
-        if (result.modifiedCount > 0) {
-            logger.info(`Scheduler: Expired ${result.modifiedCount} subscription(s)`);
+    const now = new Date();
+
+    // Look them up first so integrations can be told which ones expired
+    const due = await Subscription.find({ status: 'active', expiresAt: { $lte: now } });
+    if (due.length === 0) return 0;
+
+    const result = await Subscription.updateMany(
+        {
+            _id: { $in: due.map(subscription => subscription._id) },
+            status: 'active'
+        },
+        {
+            $set: { status: 'expired' }
         }
+    );
 
-        return result.modifiedCount;
-    } catch (error) {
-        logger.error('Scheduler: Error expiring subscriptions:', error);
-        return 0;
+    if (result.modifiedCount > 0) {
+        logger.info(`Scheduler: Expired ${result.modifiedCount} subscription(s)`);
     }
+
+    for (const subscription of due) {
+        subscription.status = 'expired';
+        await emitEvent('subscription.expired', { subscription });
+    }
+
+    return result.modifiedCount;
 };
 
 /**
- * Expire memberships that have passed their end date
+ * Expire memberships that have passed their end date.
+ * Frozen memberships are skipped; freezes that have run out are resumed first
+ * so their extended end date is used.
  */
 const expireMemberships = async () => {
-    try {
-        const now = new Date();
-
-        const result = await Membership.updateMany(
-            {
-                status: { $in: ['active', 'pending'] },
-                endDate: { $lt: now }
-            },
-            {
-                $set: { status: 'expired' }
-            }
-        );
-
-        if (result.modifiedCount > 0) {
-            logger.info(`Scheduler: Expired ${result.modifiedCount} membership(s)`);
+    const now = new Date();
+
+    const resumed = await resumeDueFreezes(now);
+    if (resumed > 0) {
+        logger.info(`Scheduler: Resumed ${resumed} frozen membership(s)`);
+    }
+
+    const due = await Membership.find({ status: { $in: ['active', 'pending'] }, endDate: { $lt: now } });
+    if (due.length === 0) return 0;
+
+    const result = await Membership.updateMany(
+        {
+            _id: { $in: due.map(membership => membership._id) },
+            status: { $in: ['active', 'pending'] }
+        },
+        {
+            $set: { status: 'expired' }
         }
+    );
+
+    if (result.modifiedCount > 0) {
+        logger.info(`Scheduler: Expired ${result.modifiedCount} membership(s)`);
+    }
+
+    for (const membership of due) {
+        membership.status = 'expired';
+        await emitEvent('membership.expired', { membership });
+    }
+
+    return result.modifiedCount;
+};
+
+/**
+ * Charge auto-renew memberships that are close to their end date
+ */
+const renewMemberships = async () => {
+    const { renewed, failed } = await processAutoRenewals();
+
+    if (renewed > 0 || failed > 0) {
+        logger.info(`Scheduler: Auto-renewed ${renewed} membership(s), ${failed} failed`);
+    }
 
-        return result.modifiedCount;
-    } catch (error) {
-        logger.error('Scheduler: Error expiring memberships:', error);
-        return 0;
+    return renewed;
+};
+
+/**
+ * Remind members before (and when) their memberships and subscriptions expire
+ */
+const sendReminders = async () => {
+    const { memberships, subscriptions } = await sendExpiryReminders();
+
+    if (memberships > 0 || subscriptions > 0) {
+        logger.info(`Scheduler: Sent ${memberships} membership and ${subscriptions} subscription expiry reminder(s)`);
+    }
+
+    return memberships + subscriptions;
+};
+
+/**
+ * Batch last month's instructor earnings into payouts.
+ * Safe to run every hour: instructors that already have a payout for the month are skipped.
+ */
+const generatePayouts = async () => {
+    const { created } = await generateMonthlyPayouts();
+    return created;
+};
+
+/**
+ * Check stale pending payments against the gateway instead of deleting them,
+ * then give back the promo code uses held by checkouts that were closed
+ */
+const reconcilePayments = async () => {
+    const summary = await reconcilePendingPayments();
+
+    if (summary.checked > 0) {
+        logger.info(`Scheduler: Reconciled ${summary.checked} payment(s)`, summary);
+    }
+
+    const promoUsesReleased = await releaseAbandonedPromoUses();
+    if (promoUsesReleased > 0) {
+        logger.info(`Scheduler: Released ${promoUsesReleased} promo code use(s) held by closed checkouts`);
     }
+
+    return { ...summary, promoUsesReleased };
+};
+
+/**
+ * Retry outbound webhook deliveries whose backoff has passed
+ */
+const retryWebhooks = async () => {
+    const summary = await processDueDeliveries();
+
+    if (summary.processed > 0) {
+        logger.info(`Scheduler: Retried ${summary.processed} webhook delivery(ies), ${summary.delivered} delivered, ${summary.failed} given up`);
+    }
+
+    return summary;
+};
+
+/**
+ * Send pushes held back during quiet hours and the daily digests that are due
+ */
+const deliverDeferredNotifications = async () => {
+    const now = new Date();
+    const heldPushes = await sendHeldPushes(now);
+    const digests = await sendDailyDigests(now);
+
+    if (heldPushes > 0 || digests > 0) {
+        logger.info(`Scheduler: Sent held notifications to ${heldPushes} user(s) and ${digests} daily digest(s)`);
+    }
+
+    return { heldPushes, digests };
+};
+
+/**
+ * Check Expo push receipts and drop devices that no longer exist
+ */
+const checkPushReceipts = async () => {
+    const summary = await processReceipts();
+
+    if (summary.checked > 0) {
+        logger.info(`Scheduler: Checked ${summary.checked} push receipt(s), ${summary.errors} error(s), ${summary.devicesRemoved} device(s) removed`);
+    }
+
+    return summary;
+};
+
+/**
+ * Send admin broadcasts whose scheduled time has come
+ */
+const dispatchBroadcasts = async () => {
+    const sent = await dispatchDueBroadcasts();
+
+    if (sent > 0) {
+        logger.info(`Scheduler: Sent ${sent} scheduled broadcast(s)`);
+    }
+
+    return sent;
 };
 
 /**
  * Run all expiration checks
+ * Renewals run first so memberships renewed today are not expired.
+ * A failing step does not stop the others, but fails the run so the job queue retries it.
  */
 const runExpirationChecks = async () => {
     logger.info('Scheduler: Running expiration checks...');
 
-    const expiredSubscriptions = await expireSubscriptions();
-    const expiredMemberships = await expireMemberships();
+    const failures = [];
+    const runStep = async (step, fn) => {
+        try {
+            return await fn();
+        } catch (error) {
+            logger.error(`Scheduler: Error in ${step}:`, error);
+            failures.push(`${step}: ${error.message}`);
+            return 0;
+        }
+    };
+
+    const renewedMemberships = await runStep('membership renewals', renewMemberships);
+    const expiredSubscriptions = await runStep('subscription expiry', expireSubscriptions);
+    const expiredMemberships = await runStep('membership expiry', expireMemberships);
+    // After the expiry steps so "has expired" reminders go out in the same run
+    const remindersSent = await runStep('expiry reminders', sendReminders);
+    const payoutsCreated = await runStep('instructor payouts', generatePayouts);
 
-    logger.info(`Scheduler: Expiration check complete. Subscriptions: ${expiredSubscriptions}, Memberships: ${expiredMemberships}`);
+    logger.info(`Scheduler: Expiration check complete. Subscriptions: ${expiredSubscriptions}, Memberships: ${expiredMemberships}, Renewed: ${renewedMemberships}, Reminders: ${remindersSent}, Payouts: ${payoutsCreated}`);
+
+    if (failures.length > 0) {
+        throw new Error(`Expiration checks failed - ${failures.join('; ')}`);
+    }
 
     return {
+        renewedMemberships,
         expiredSubscriptions,
-        expiredMemberships
+        expiredMemberships,
+        remindersSent,
+        payoutsCreated
     };
 };
 
-// Interval ID for cleanup
-let schedulerInterval = null;
-
 /**
- * Start the scheduler
- * Runs expiration checks every hour by default
+ * Register the recurring jobs and start the job queue.
+ * Jobs are stored in MongoDB and locked while running, so with several instances
+ * each run still happens once, and a restart picks up where the schedule left off.
  */
 const startScheduler = (intervalMs = 60 * 60 * 1000) => { // Default: 1 hour
-    // Run immediately on startup
-    runExpirationChecks();
+    defineJob('expiration-checks', {
+        intervalMs,
+        description: 'Auto-renew, expire subscriptions and memberships, send expiry reminders, generate instructor payouts',
+        handler: runExpirationChecks
+    });
+
+    defineJob('payment-reconciliation', {
+        intervalMs: Number(config.PAYMENT_RECONCILE_INTERVAL_MINUTES) * 60 * 1000,
+        description: 'Check stale pending payments against the gateway, expire abandoned ones and release their promo code uses',
+        handler: reconcilePayments
+    });
+
+    defineJob('webhook-retries', {
+        intervalMs: Number(config.WEBHOOK_QUEUE_INTERVAL_SECONDS) * 1000,
+        description: 'Retry outbound webhook deliveries whose backoff has passed',
+        handler: retryWebhooks
+    });
 
-    // Then run periodically
-    schedulerInterval = setInterval(() => {
-        runExpirationChecks();
-    }, intervalMs);
+    defineJob('notification-delivery', {
+        intervalMs: Number(config.NOTIFICATION_DELIVERY_INTERVAL_MINUTES) * 60 * 1000,
+        description: 'Push notifications held during quiet hours and send daily digests',
+        handler: deliverDeferredNotifications
+    });
 
-    logger.info(`Scheduler: Started with interval of ${intervalMs / 1000 / 60} minutes`);
+    defineJob('push-receipts', {
+        intervalMs: Number(config.PUSH_RECEIPT_INTERVAL_MINUTES) * 60 * 1000,
+        description: 'Fetch Expo push receipts and remove devices that are no longer registered',
+        handler: checkPushReceipts
+    });
+
+    defineJob('broadcast-dispatch', {
+        intervalMs: Number(config.BROADCAST_DISPATCH_INTERVAL_SECONDS) * 1000,
+        description: 'Send scheduled admin broadcasts that are due',
+        handler: dispatchBroadcasts
+    });
+
+    startJobQueue();
 };
 
 /**
- * Stop the scheduler
+ * Stop the scheduler (runs in progress finish on their own)
  */
-const stopScheduler = () => {
-    if (schedulerInterval) {
-        clearInterval(schedulerInterval);
-        schedulerInterval = null;
-        logger.info('Scheduler: Stopped');
-    }
-};
+const stopScheduler = () => stopJobQueue();
 
 module.exports = {
     expireSubscriptions,
     expireMemberships,
+    renewMemberships,
+    sendReminders,
+    generatePayouts,
+    reconcilePayments,
+    retryWebhooks,
+    deliverDeferredNotifications,
+    checkPushReceipts,
+    dispatchBroadcasts,
     runExpirationChecks,
     startScheduler,
     stopScheduler
@@ -6,6 +6,12 @@ const generateRefreshToken = (userId) => jwt.sign({ id: userId }, config.JWT_REF
 const verifyToken = (token, isRefresh = false) => jwt.verify(token, isRefresh ? config.JWT_REFRESH_SECRET : config.JWT_SECRET);
 const generateEmailVerificationToken = (userId, email) => jwt.sign({ id: userId, email }, config.JWT_SECRET, { expiresIn: '24h' });
 
-module.exports = { generateAccessToken, generateRefreshToken, verifyToken, generateEmailVerificationToken };
-
+// Front-desk check-in code shown as a QR code and scanned by members with the app
+const generateCheckInCode = (location = 'front-desk') => jwt.sign({ purpose: 'check-in', location }, config.JWT_SECRET, { expiresIn: config.CHECK_IN_CODE_TTL || '5m' });
+const verifyCheckInCode = (code) => {
+  const decoded = jwt.verify(code, config.JWT_SECRET);
+  if (decoded.purpose !== 'check-in') throw new jwt.JsonWebTokenError('Invalid check-in code');
+  return decoded;
+};
 
+module.exports = { generateAccessToken, generateRefreshToken, verifyToken, generateEmailVerificationToken, generateCheckInCode, verifyCheckInCode };
@@ -0,0 +1,327 @@
+/**
+ * Webhook Service
+ * Outbound webhooks for gym integrations (accounting, door access control, ...).
+ *
+ * emitEvent() queues one WebhookDelivery per active subscription listening to the event
+ * and tries to send it straight away. Deliveries that fail are retried by the scheduler
+ * with exponential backoff (WEBHOOK_RETRY_BASE_SECONDS, doubling) until WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Every request is signed: X-GetFit-Signature is "sha256=" + HMAC-SHA256 of
+ * "<X-GetFit-Timestamp>.<raw body>" with the subscription secret.
+ */
+
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Receivers' responses are kept for debugging, up to this many characters
+const RESPONSE_BODY_LIMIT = 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value) || null;
+
+// What each kind of document looks like in an event payload
+const serializers = {
+  member: (user) => ({
+    id: idOf(user),
+    name: user.name,
+    email: user.email,
+    phone: user.phone || null,
+    role: user.role,
+    createdAt: user.createdAt
+  }),
+  payment: (payment) => ({
+    id: idOf(payment),
+    userId: idOf(payment.userId),
+    instructorId: idOf(payment.instructorId),
+    type: payment.metadata?.type || null,
+    amount: payment.amount,
+    refundedAmount: payment.refundedAmount || 0,
+    currency: payment.currency,
+    status: payment.status,
+    paymentMethod: payment.paymentMethod,
+    orderId: payment.payhereOrderId,
+    invoiceNumber: payment.invoiceNumber || null,
+    receiptNumber: payment.receiptNumber || null,
+    description: payment.description,
+    transactionDate: payment.transactionDate
+  }),
+  membership: (membership) => ({
+    id: idOf(membership),
+    userId: idOf(membership.userId),
+    planId: membership.planId,
+    planName: membership.planName,
+    status: membership.status,
+    startDate: membership.startDate,
+    endDate: membership.endDate,
+    paymentId: idOf(membership.paymentId)
+  }),
+  subscription: (subscription) => ({
+    id: idOf(subscription),
+    memberId: idOf(subscription.memberId),
+    instructorId: idOf(subscription.instructorId),
+    status: subscription.status,
+    subscribedAt: subscription.subscribedAt,
+    expiresAt: subscription.expiresAt,
+    cancelledAt: subscription.cancelledAt || null
+  }),
+  refund: (refund) => ({
+    id: idOf(refund),
+    paymentId: idOf(refund.paymentId),
+    amount: refund.amount,
+    currency: refund.currency,
+    reason: refund.reason,
+    method: refund.method,
+    createdAt: refund.createdAt
+  })
+};
+
+/**
+ * New signing secret for a subscription
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * HMAC-SHA256 signature of a delivery body, as sent in X-GetFit-Signature (without the "sha256=" prefix)
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, sent in X-GetFit-Timestamp
+ * @param {string} body - Raw JSON body
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failed ones
+ */
+const getRetryDelaySeconds = (attempts) =>
+  Number(config.WEBHOOK_RETRY_BASE_SECONDS) * Math.pow(2, Math.max(0, attempts - 1));
+
+// Helper: the receiver's response body, shortened for the delivery log
+const readResponseBody = async (response) => {
+  try {
+    const text = await response.text();
+    return text.slice(0, RESPONSE_BODY_LIMIT);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Send one delivery. Claims it first so the scheduler and an immediate send never both post it.
+ * @returns {Promise<Object|null>} The updated delivery, or null if it was not due or already being sent
+ */
+const processDelivery = async (deliveryId) => {
+  const now = new Date();
+  const timeoutMs = Number(config.WEBHOOK_TIMEOUT_MS);
+
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      status: 'pending',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + timeoutMs * 2) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  if (!subscription) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'failed', lockedUntil: null, error: 'Subscription was deleted' }
+    }, { new: true });
+  }
+  if (!subscription.isActive) {
+    // Paused: keep it queued, without a retry time, until the subscription is resumed
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { lockedUntil: null, nextAttemptAt: null, error: 'Subscription is paused' }
+    }, { new: true });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempts = delivery.attempts + 1;
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Get-Fit-Webhooks/1.0',
+        'X-GetFit-Event': delivery.event,
+        'X-GetFit-Event-Id': delivery.eventId,
+        'X-GetFit-Delivery': delivery._id.toString(),
+        'X-GetFit-Timestamp': String(timestamp),
+        'X-GetFit-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    responseStatus = response.status;
+    responseBody = await readResponseBody(response);
+    if (!response.ok) error = `Receiver answered HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No response within ${timeoutMs}ms` : err.message;
+  }
+
+  const update = {
+    attempts,
+    lastAttemptAt: now,
+    lockedUntil: null,
+    responseStatus,
+    responseBody,
+    error,
+    durationMs: Date.now() - startedAt
+  };
+
+  if (!error) {
+    update.status = 'delivered';
+    update.deliveredAt = new Date();
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { $set: { lastDeliveryAt: update.deliveredAt, consecutiveFailures: 0 } });
+  } else if (attempts >= Number(config.WEBHOOK_MAX_ATTEMPTS)) {
+    update.status = 'failed';
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { $inc: { consecutiveFailures: 1 } });
+    logger.warn(`Webhook delivery ${delivery._id} (${delivery.event}) to ${subscription.url} failed after ${attempts} attempt(s): ${error}`);
+  } else {
+    update.nextAttemptAt = new Date(now.getTime() + getRetryDelaySeconds(attempts) * 1000);
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true });
+};
+
+/**
+ * Queue the deliveries held back while a subscription was paused (called when it is resumed)
+ * @returns {Promise<number>} Deliveries queued again
+ */
+const resumeDeliveries = async (subscriptionId) => {
+  const { modifiedCount } = await WebhookDelivery.updateMany(
+    { subscriptionId, status: 'pending', nextAttemptAt: null },
+    { $set: { nextAttemptAt: new Date() } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Queue an event for every subscription listening to it and send it right away. Deliveries for
+ * paused subscriptions are held (no retry time) until the subscription is resumed.
+ * Never throws: a webhook problem must not break the request or job that raised the event.
+ *
+ * @param {string} event - One of WebhookSubscription.WEBHOOK_EVENTS
+ * @param {Object} documents - Documents the event is about, keyed by kind
+ *   (member, payment, membership, subscription, refund)
+ * @returns {Promise<Object[]>} Queued deliveries
+ */
+const emitEvent = async (event, documents = {}) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ events: { $in: [event, '*'] } }).select('_id isActive');
+    if (subscriptions.length === 0) return [];
+
+    const data = {};
+    Object.entries(documents).forEach(([kind, doc]) => {
+      if (doc && serializers[kind]) data[kind] = serializers[kind](doc);
+    });
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      event,
+      eventId,
+      payload,
+      ...(subscription.isActive ? {} : { nextAttemptAt: null, error: 'Subscription is paused' })
+    })));
+
+    // A subscription resumed while the event was being queued has already released its held deliveries
+    const pausedIds = subscriptions.filter(subscription => !subscription.isActive).map(subscription => subscription._id);
+    if (pausedIds.length > 0) {
+      const resumed = await WebhookSubscription.find({ _id: { $in: pausedIds }, isActive: true }).select('_id');
+      await Promise.all(resumed.map(subscription => resumeDeliveries(subscription._id)));
+    }
+
+    // First attempt in the background; failures are picked up by the scheduler
+    deliveries
+      .filter(delivery => delivery.nextAttemptAt)
+      .forEach(delivery => {
+        processDelivery(delivery._id).catch(err =>
+          logger.error(`Webhook delivery ${delivery._id} errored:`, err));
+      });
+
+    return deliveries;
+  } catch (err) {
+    logger.error(`Failed to queue webhook event ${event}:`, err);
+    return [];
+  }
+};
+
+/**
+ * Send deliveries whose retry is due (called by the scheduler)
+ * @returns {Promise<{ processed: number, delivered: number, failed: number }>}
+ */
+const processDueDeliveries = async (limit = 50) => {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  const summary = { processed: 0, delivered: 0, failed: 0 };
+  for (const { _id } of due) {
+    try {
+      const delivery = await processDelivery(_id);
+      if (!delivery) continue;
+      summary.processed += 1;
+      if (delivery.status === 'delivered') summary.delivered += 1;
+      if (delivery.status === 'failed') summary.failed += 1;
+    } catch (err) {
+      logger.error(`Webhook delivery ${_id} errored:`, err);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Send a delivery again as a new delivery with the same event ID and payload
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ */
+const redeliver = async (deliveryId, requestedBy) => {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) throw new ApiError('Delivery not found', 404);
+
+  const subscription = await WebhookSubscription.findById(original.subscriptionId);
+  if (!subscription) throw new ApiError('Webhook subscription no longer exists', 404);
+  if (!subscription.isActive) throw new ApiError('Webhook subscription is disabled', 400);
+
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: original.subscriptionId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    requestedBy
+  });
+
+  return (await processDelivery(delivery._id)) || delivery;
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  getRetryDelaySeconds,
+  emitEvent,
+  processDelivery,
+  processDueDeliveries,
+  resumeDeliveries,
+  redeliver
+};
@@ -4,6 +4,7 @@ const EXERCISE_CATEGORIES = ['strength', 'cardio', 'flexibility', 'balance', 'sp
 const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
 const SCHEDULE_TYPES = ['1-day', '2-day', '3-day'];
 
+// Default plans used to seed the MembershipPlan collection on first use
 const MEMBERSHIP_PLANS = [
   { id: 'monthly', name: '1 Month', durationDays: 30, price: 6000, priceFemale: 4500, currency: 'LKR', description: 'Access to all gym facilities for 30 days.' },
   { id: 'quarterly', name: '3 Months', durationDays: 90, price: 14000, priceFemale: 12000, currency: 'LKR', description: 'Save compared to monthly plan.' },
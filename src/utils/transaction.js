@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Standalone MongoDB servers (local development) don't support transactions
+let transactionsSupported = true;
+
+const isTransactionUnsupportedError = (err) =>
+  err && (err.code === 20 || /replica set|Transaction numbers/i.test(err.message || ''));
+
+/**
+ * Run `work(session)` inside a MongoDB transaction (retried on transient errors).
+ * On servers without transaction support it runs once with a null session instead;
+ * `rollback` is then called when it fails, to undo whatever was already written.
+ *
+ * @param {function(import('mongoose').ClientSession|null): Promise<*>} work
+ * @param {Object} [options]
+ * @param {function(Error): Promise<void>} [options.rollback] - Only used without a transaction
+ * @returns {Promise<*>} What `work` returned
+ */
+const withTransaction = async (work, { rollback } = {}) => {
+  if (transactionsSupported) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (err) {
+      if (!isTransactionUnsupportedError(err)) throw err;
+      transactionsSupported = false;
+      logger.warn('MongoDB transactions are not supported by this server; running without a transaction');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  try {
+    return await work(null);
+  } catch (err) {
+    if (rollback) await rollback(err);
+    throw err;
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,19 @@
+const { body, query } = require('express-validator');
+
+const checkInValidator = [
+  body('code').optional().isString(),
+  body('userId').optional().isMongoId(),
+  body('passToken').optional().isString(),
+];
+
+const checkOutValidator = [
+  body('userId').optional().isMongoId(),
+];
+
+const reportRangeValidator = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('date').optional().isISO8601(),
+];
+
+module.exports = { checkInValidator, checkOutValidator, reportRangeValidator };
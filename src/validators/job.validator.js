@@ -0,0 +1,26 @@
+const { body, param, query } = require('express-validator');
+const JobRun = require('../models/JobRun');
+
+const JOB_NAME_REGEX = /^[a-z0-9-]+$/;
+
+const jobNameValidator = [
+  param('name').matches(JOB_NAME_REGEX).withMessage('Invalid job name'),
+];
+
+const jobRunsValidator = [
+  ...jobNameValidator,
+  query('status').optional().isIn(JobRun.RUN_STATUSES).withMessage(`status must be one of: ${JobRun.RUN_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+const updateJobValidator = [
+  ...jobNameValidator,
+  body('isEnabled').isBoolean().withMessage('isEnabled must be true or false').toBoolean(),
+];
+
+module.exports = {
+  jobNameValidator,
+  jobRunsValidator,
+  updateJobValidator
+};
@@ -0,0 +1,72 @@
+const { body, param } = require('express-validator');
+
+const verifyPassValidator = [
+  body('token').isString().notEmpty().withMessage('Pass token is required'),
+];
+
+const PLAN_CODE_REGEX = /^[a-z0-9-_]+$/;
+
+const priceRulesValidator = [
+  body('priceRules').optional().isArray().withMessage('priceRules must be an array'),
+  body('priceRules.*.label').optional().isString().isLength({ max: 100 }),
+  body('priceRules.*.gender').optional().isIn(['Male', 'Female', 'Other', 'Prefer not to say']).withMessage('Invalid gender'),
+  body('priceRules.*.minAge').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('priceRules.*.maxAge').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('priceRules.*.price').isFloat({ min: 0 }).withMessage('Each price rule needs a price of 0 or more').toFloat(),
+];
+
+const createPlanValidator = [
+  body('code').isString().trim().toLowerCase().matches(PLAN_CODE_REGEX)
+    .withMessage('Plan code may only contain letters, numbers, dashes and underscores'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Plan name is required'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('durationDays').isInt({ min: 1 }).withMessage('durationDays must be a whole number of at least 1').toInt(),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be 0 or more').toFloat(),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('maxFreezeDays').optional({ nullable: true }).isInt({ min: 0 }).withMessage('maxFreezeDays must be 0 or more').toInt(),
+  body('sortOrder').optional().isInt().toInt(),
+  ...priceRulesValidator,
+];
+
+const updatePlanValidator = [
+  param('code').isString().trim().toLowerCase(),
+  body('code').not().exists().withMessage('Plan code cannot be changed'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('durationDays').optional().isInt({ min: 1 }).withMessage('durationDays must be a whole number of at least 1').toInt(),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be 0 or more').toFloat(),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('maxFreezeDays').optional({ nullable: true }).isInt({ min: 0 }).withMessage('maxFreezeDays must be 0 or more').toInt(),
+  body('sortOrder').optional().isInt().toInt(),
+  ...priceRulesValidator,
+];
+
+const freezeValidator = [
+  param('id').isMongoId().withMessage('Invalid membership ID'),
+  body('days').isInt({ min: 1, max: 365 }).withMessage('days must be a whole number between 1 and 365').toInt(),
+  body('reason').optional().isString().isLength({ max: 500 }),
+];
+
+const membershipIdValidator = [
+  param('id').isMongoId().withMessage('Invalid membership ID'),
+];
+
+const autoRenewValidator = [
+  param('id').isMongoId().withMessage('Invalid membership ID'),
+  body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean(),
+];
+
+const reorderPlansValidator = [
+  body('order').isArray({ min: 1 }).withMessage('order must be a non-empty array of plan codes'),
+  body('order.*').isString().trim().toLowerCase(),
+];
+
+module.exports = {
+  verifyPassValidator,
+  createPlanValidator,
+  updatePlanValidator,
+  reorderPlansValidator,
+  freezeValidator,
+  membershipIdValidator,
+  autoRenewValidator
+};
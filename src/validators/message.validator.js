@@ -0,0 +1,91 @@
+const { body, param, query } = require('express-validator');
+
+const conversationIdValidator = [
+  param('conversationId').isMongoId().withMessage('Invalid conversation ID'),
+];
+
+const messageIdValidator = [
+  param('messageId').isMongoId().withMessage('Invalid message ID'),
+];
+
+const getMessagesValidator = [
+  ...conversationIdValidator,
+  query('before').optional().isMongoId().withMessage('before must be a message ID'),
+  query('after').optional().isMongoId().withMessage('after must be a message ID'),
+  query().custom(({ before, after }) => !(before && after)).withMessage('Use either before or after, not both'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be 1-100').toInt(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be at least 1').toInt(),
+];
+
+const syncMessagesValidator = [
+  ...conversationIdValidator,
+  query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be 1-500').toInt(),
+];
+
+const markReadValidator = [
+  ...conversationIdValidator,
+  body('upTo').optional({ nullable: true }).isMongoId().withMessage('upTo must be a message ID'),
+];
+
+const editMessageValidator = [
+  ...messageIdValidator,
+  body('content').isString().withMessage('Message content is required')
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Message cannot be more than 2000 characters'),
+];
+
+const broadcastValidator = [
+  body('content').isString().withMessage('Message content is required')
+    .trim()
+    .notEmpty().withMessage('Message content is required')
+    .isLength({ max: 2000 }).withMessage('Message cannot be more than 2000 characters'),
+];
+
+const groupDetailsValidator = [
+  body('name').optional().isString().trim().notEmpty().withMessage('Group name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Group name cannot be more than 100 characters'),
+  body('description').optional({ nullable: true }).isString().trim()
+    .isLength({ max: 500 }).withMessage('Group description cannot be more than 500 characters'),
+];
+
+const memberIdsValidator = [
+  body('memberIds').isArray({ min: 1 }).withMessage('memberIds must be a non-empty array'),
+  body('memberIds.*').isMongoId().withMessage('memberIds must be user IDs'),
+];
+
+const createGroupValidator = [
+  body('name').exists().withMessage('Group name is required'),
+  ...groupDetailsValidator,
+  body('memberIds').optional().isArray().withMessage('memberIds must be an array'),
+  body('memberIds.*').isMongoId().withMessage('memberIds must be user IDs'),
+];
+
+const updateGroupValidator = [
+  ...conversationIdValidator,
+  ...groupDetailsValidator,
+];
+
+const addGroupMembersValidator = [
+  ...conversationIdValidator,
+  ...memberIdsValidator,
+];
+
+const groupMemberValidator = [
+  ...conversationIdValidator,
+  param('memberId').isMongoId().withMessage('Invalid member ID'),
+];
+
+module.exports = {
+  conversationIdValidator,
+  messageIdValidator,
+  getMessagesValidator,
+  syncMessagesValidator,
+  markReadValidator,
+  editMessageValidator,
+  broadcastValidator,
+  createGroupValidator,
+  updateGroupValidator,
+  addGroupMembersValidator,
+  groupMemberValidator,
+};
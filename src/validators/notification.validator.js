@@ -0,0 +1,44 @@
+const { body, param } = require('express-validator');
+const Notification = require('../models/Notification');
+
+const notificationIdValidator = [
+  param('id').isMongoId().withMessage('Invalid notification ID'),
+];
+
+const segmentValidator = [
+  body('segment').optional({ nullable: true }).isObject().withMessage('segment must be an object'),
+  body('segment.expiringWithinDays').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('segment.expiringWithinDays must be 1-365').toInt(),
+  body('segment.instructorId').optional({ nullable: true }).isMongoId().withMessage('segment.instructorId must be a user ID'),
+  body('segment.inactiveDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('segment.inactiveDays must be at least 1').toInt(),
+  body('segment.genders').optional().isArray().withMessage('segment.genders must be an array'),
+  body('segment.genders.*').isIn(Notification.GENDERS).withMessage(`segment.genders must be from: ${Notification.GENDERS.join(', ')}`),
+  body('segment.planIds').optional().isArray().withMessage('segment.planIds must be an array'),
+  body('segment.planIds.*').isString().trim().notEmpty().withMessage('segment.planIds must be plan IDs'),
+];
+
+const scheduleValidator = [
+  body('sentAt').optional().isISO8601().withMessage('sentAt must be an ISO 8601 date'),
+  body('sendPush').optional().isBoolean().withMessage('sendPush must be true or false').toBoolean(),
+];
+
+const createNotificationValidator = [
+  ...segmentValidator,
+  ...scheduleValidator,
+];
+
+const updateNotificationValidator = [
+  ...notificationIdValidator,
+  ...segmentValidator,
+  ...scheduleValidator,
+];
+
+const audiencePreviewValidator = [
+  ...segmentValidator,
+];
+
+module.exports = {
+  notificationIdValidator,
+  createNotificationValidator,
+  updateNotificationValidator,
+  audiencePreviewValidator
+};
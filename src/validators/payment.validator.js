@@ -0,0 +1,132 @@
+const { body, param, query } = require('express-validator');
+const PaymentException = require('../models/PaymentException');
+
+const promoCodeFieldsValidator = [
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('discountValue must be 0 or more').toFloat(),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  body('minAmount').optional().isFloat({ min: 0 }).toFloat(),
+  body('validFrom').optional({ nullable: true }).isISO8601().withMessage('validFrom must be a date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('validUntil must be a date'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxUsesPerUser').optional().isInt({ min: 1 }).toInt(),
+  body('appliesTo').optional().isArray(),
+  body('appliesTo.*').isIn(['membership', 'subscription']).withMessage('appliesTo may only contain membership or subscription'),
+  body('planCodes').optional().isArray(),
+  body('planCodes.*').isString(),
+  body('instructorIds').optional().isArray(),
+  body('instructorIds.*').isMongoId().withMessage('instructorIds must be user IDs'),
+  body('firstPurchaseOnly').optional().isBoolean().toBoolean(),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('discountValue').custom((value, { req }) => {
+    if (req.body.discountType === 'percentage' && value > 100) {
+      throw new Error('Percentage discounts cannot exceed 100');
+    }
+    return true;
+  }),
+];
+
+const createPromoCodeValidator = [
+  body('code').isString().trim().toUpperCase().matches(/^[A-Z0-9-_]+$/)
+    .withMessage('Promo code may only contain letters, numbers, dashes and underscores'),
+  body('discountType').isIn(['percentage', 'fixed']).withMessage('discountType must be percentage or fixed'),
+  body('discountValue').exists().withMessage('discountValue is required'),
+  ...promoCodeFieldsValidator,
+];
+
+const updatePromoCodeValidator = [
+  body('code').not().exists().withMessage('Promo code cannot be changed'),
+  body('discountType').optional().isIn(['percentage', 'fixed']).withMessage('discountType must be percentage or fixed'),
+  ...promoCodeFieldsValidator,
+];
+
+const quoteValidator = [
+  body('type').isIn(['membership', 'subscription']).withMessage('type must be membership or subscription'),
+  body('planId').if(body('type').equals('membership')).notEmpty().withMessage('planId is required'),
+  body('instructorId').if(body('type').equals('subscription')).isMongoId().withMessage('Valid instructorId is required'),
+  body('amount').if(body('type').equals('subscription')).isFloat({ gt: 0 }).withMessage('Valid payment amount is required').toFloat(),
+  body('promoCode').optional().isString().trim(),
+];
+
+const refundValidator = [
+  param('paymentId').isMongoId().withMessage('Invalid payment ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero').toFloat(),
+  body('reason').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('A refund reason is required'),
+  body('manual').optional().isBoolean().toBoolean(),
+];
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const statementValidator = [
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+];
+
+const generatePayoutsValidator = [
+  body('period').optional().matches(PERIOD_PATTERN).withMessage('period must be in YYYY-MM format'),
+];
+
+const reconciliationValidator = [
+  query('period').optional().matches(PERIOD_PATTERN).withMessage('period must be in YYYY-MM format'),
+];
+
+const payoutIdValidator = [
+  param('id').isMongoId().withMessage('Invalid payout ID'),
+];
+
+const markPayoutPaidValidator = [
+  ...payoutIdValidator,
+  body('paymentReference').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('A payment reference is required'),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+];
+
+const manualPaymentValidator = [
+  body('userId').isMongoId().withMessage('userId must be a member ID'),
+  body('type').isIn(['membership', 'subscription']).withMessage('type must be membership or subscription'),
+  body('planId').if(body('type').equals('membership')).isString().notEmpty().withMessage('planId is required for memberships'),
+  body('instructorId').if(body('type').equals('subscription')).isMongoId().withMessage('instructorId is required for subscriptions'),
+  body('method').isIn(['cash', 'bank_transfer']).withMessage('method must be cash or bank_transfer'),
+  body('reference').if(body('method').equals('bank_transfer')).isString().trim().notEmpty().withMessage('A bank transfer reference is required'),
+  body('reference').optional().isString().isLength({ max: 200 }),
+  body('promoCode').optional().isString().trim(),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+];
+
+const cashDrawerValidator = [
+  query('date').optional().isISO8601().withMessage('date must be in YYYY-MM-DD format'),
+];
+
+const paymentExceptionsValidator = [
+  query('status').optional().isIn(['open', 'resolved', 'all']).withMessage('status must be open, resolved or all'),
+  query('type').optional().isIn(PaymentException.EXCEPTION_TYPES).withMessage(`type must be one of: ${PaymentException.EXCEPTION_TYPES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+const resolveExceptionValidator = [
+  param('exceptionId').isMongoId().withMessage('Invalid exception ID'),
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('note must be at most 1000 characters'),
+];
+
+const commissionRateValidator = [
+  param('userId').isMongoId().withMessage('Invalid instructor ID'),
+  body('commissionRate').custom(value => value === null || (typeof value === 'number' && value >= 0 && value <= 100))
+    .withMessage('commissionRate must be a percentage between 0 and 100, or null for the default'),
+];
+
+module.exports = {
+  createPromoCodeValidator,
+  updatePromoCodeValidator,
+  quoteValidator,
+  refundValidator,
+  statementValidator,
+  generatePayoutsValidator,
+  reconciliationValidator,
+  payoutIdValidator,
+  markPayoutPaidValidator,
+  commissionRateValidator,
+  manualPaymentValidator,
+  cashDrawerValidator,
+  paymentExceptionsValidator,
+  resolveExceptionValidator
+};
@@ -0,0 +1,13 @@
+const { body } = require('express-validator');
+
+const createReviewValidator = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5').toInt(),
+  body('comment').optional().isString().isLength({ max: 500 }).withMessage('Comment cannot be more than 500 characters'),
+];
+
+const updateReviewValidator = [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5').toInt(),
+  body('comment').optional().isString().isLength({ max: 500 }).withMessage('Comment cannot be more than 500 characters'),
+];
+
+module.exports = { createReviewValidator, updateReviewValidator };
@@ -1,4 +1,8 @@
 const { body } = require('express-validator');
+const NotificationPreference = require('../models/NotificationPreference');
+
+const { NOTIFICATION_CATEGORIES, CHANNELS } = NotificationPreference;
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const updateProfileValidator = [
   body('name').optional().isLength({ min: 2, max: 50 }),
@@ -11,6 +15,29 @@ const changePasswordValidator = [
   body('newPassword').isLength({ min: 8 }),
 ];
 
-module.exports = { updateProfileValidator, changePasswordValidator };
+const notificationPreferencesValidator = [
+  body('channels').optional().isObject().withMessage('channels must be an object')
+    .custom(channels => {
+      const unknown = Object.keys(channels).filter(category => !NOTIFICATION_CATEGORIES.includes(category));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown notification type(s): ${unknown.join(', ')}. Use: ${NOTIFICATION_CATEGORIES.join(', ')}`);
+      }
+      return true;
+    }),
+  ...NOTIFICATION_CATEGORIES.flatMap(category => CHANNELS.map(channel =>
+    body(`channels.${category}.${channel}`).optional().isBoolean().withMessage(`channels.${category}.${channel} must be true or false`).toBoolean()
+  )),
+  body('quietHours').optional().isObject().withMessage('quietHours must be an object'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be true or false').toBoolean(),
+  body('quietHours.start').optional().matches(TIME_OF_DAY_REGEX).withMessage('quietHours.start must be HH:mm'),
+  body('quietHours.end').optional().matches(TIME_OF_DAY_REGEX).withMessage('quietHours.end must be HH:mm'),
+  body('quietHours.timezone').optional().isString()
+    .custom(timezone => NotificationPreference.isValidTimezone(timezone)).withMessage('quietHours.timezone must be an IANA timezone, e.g. Asia/Colombo'),
+  body('dailyDigest').optional().isObject().withMessage('dailyDigest must be an object'),
+  body('dailyDigest.enabled').optional().isBoolean().withMessage('dailyDigest.enabled must be true or false').toBoolean(),
+  body('dailyDigest.hour').optional().isInt({ min: 0, max: 23 }).withMessage('dailyDigest.hour must be 0-23').toInt(),
+];
+
+module.exports = { updateProfileValidator, changePasswordValidator, notificationPreferencesValidator };
 
 
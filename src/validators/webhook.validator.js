@@ -0,0 +1,49 @@
+const { body, param, query } = require('express-validator');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const EVENT_OPTIONS = [...WebhookSubscription.WEBHOOK_EVENTS, '*'];
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+const createWebhookValidator = [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required'),
+  body('url').isURL(URL_OPTIONS).withMessage('url must be an http(s) URL'),
+  body('events').isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+  body('events.*').isIn(EVENT_OPTIONS).withMessage(`Each event must be one of: ${EVENT_OPTIONS.join(', ')}`),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean(),
+];
+
+const updateWebhookValidator = [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('url').optional().isURL(URL_OPTIONS).withMessage('url must be an http(s) URL'),
+  body('events').optional().isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+  body('events.*').optional().isIn(EVENT_OPTIONS).withMessage(`Each event must be one of: ${EVENT_OPTIONS.join(', ')}`),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean(),
+];
+
+const webhookIdValidator = [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+];
+
+const deliveriesValidator = [
+  query('subscriptionId').optional().isMongoId().withMessage('Invalid webhook ID'),
+  query('status').optional().isIn(WebhookDelivery.DELIVERY_STATUSES).withMessage(`status must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`),
+  query('event').optional().isIn(WebhookSubscription.WEBHOOK_EVENTS).withMessage('Unknown event'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+const deliveryIdValidator = [
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID'),
+];
+
+module.exports = {
+  createWebhookValidator,
+  updateWebhookValidator,
+  webhookIdValidator,
+  deliveriesValidator,
+  deliveryIdValidator
+};